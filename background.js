@@ -1,10 +1,33 @@
 // Production-ready background service worker
 // Note: Chrome extension service workers don't support ES6 imports
-// All functionality is implemented using traditional JavaScript
+// The analysis engine is shared with the React app and bundled into
+// lib/engine.js by `npm run build:engine`, exposing `TCGuardEngine`
+importScripts('lib/engine.js');
 
 class SecureBackgroundService {
     constructor() {
         this.analysisCache = new Map();
+        this.maxPolicyVersions = 5;
+        this.analyzer = new TCGuardEngine.PolicyAnalyzer();
+        this.policyDiff = new TCGuardEngine.PolicyDiff();
+        this.policyFetcher = new TCGuardEngine.PolicyFetcher();
+        this.verdictCombiner = new TCGuardEngine.VerdictCombiner();
+        this.ruleLoader = new TCGuardEngine.RulePackLoader();
+        this.history = new TCGuardEngine.AnalysisHistory();
+        this.comparison = new TCGuardEngine.PolicyComparison();
+        this.exporter = new TCGuardEngine.ReportExporter();
+        this.alternatives = new TCGuardEngine.AlternativesCatalog();
+        this.bundledCatalog = TCGuardEngine.AlternativesCatalog.bundled();
+        this.scoringProfiles = new TCGuardEngine.ScoringProfiles();
+        this.watchlist = new TCGuardEngine.PolicyWatchlist();
+        this.consentBanners = new TCGuardEngine.ConsentBannerAnalyzer();
+        this.trackers = new TCGuardEngine.TrackerInventory();
+        this.trackerList = TCGuardEngine.TrackerInventory.bundled();
+        this.watchlistCheck = null;
+        this.watchlistCheckMinutes = 12 * 60;
+        this.scoringReady = this.loadScoringProfile();
+        this.rulePacksReady = this.loadRulePacks();
+        this.summarizerReady = this.loadSummarizer();
         this.setupMessageListener();
         this.initializeServices();
     }
@@ -14,13 +37,40 @@ class SecureBackgroundService {
             this.handleMessage(request, sender, sendResponse);
             return true; // Will respond asynchronously
         });
+
+        // Alarms outlive the service worker; timers set in it don't
+        chrome.alarms.onAlarm.addListener((alarm) => this.handleAlarm(alarm));
+
+        chrome.notifications.onClicked.addListener((notificationId) => {
+            if (!notificationId.startsWith('watch_')) return;
+            chrome.tabs.create({ url: chrome.runtime.getURL(`report.html?id=${notificationId.slice(6)}`) });
+            chrome.notifications.clear(notificationId);
+        });
+
+        // Linked-policy verdicts and cookie banner reports are per tab and die with it
+        chrome.tabs.onRemoved.addListener((tabId) => {
+            chrome.storage.session.remove([`linked_${tabId}`, `consent_${tabId}`]);
+        });
+
+        // The settings page writes AI summary settings and consent straight to
+        // storage; results cached under the old settings no longer apply
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'local' && (changes.llmSettings || changes.userConsent)) {
+                this.summarizerReady = this.loadSummarizer();
+                this.clearCachedAnalyses();
+            }
+            // Stored results are re-weighted as they are read, so a new
+            // profile applies without analyzing anything again
+            if (area === 'local' && changes.scoringProfiles) {
+                this.scoringReady = this.loadScoringProfile();
+            }
+        });
     }
 
     async initializeServices() {
         try {
-            // Schedule periodic cleanup
-            this.scheduleDataCleanup();
-            
+            await this.scheduleAlarms();
+
             console.log('T&C Guard background services initialized');
         } catch (error) {
             console.error('Failed to initialize background services:', error);
@@ -39,6 +89,21 @@ class SecureBackgroundService {
                 case 'analyzePage':
                     await this.handleAnalyzeRequest(request, sender, sendResponse);
                     break;
+                case 'analyzeLinkedPolicies':
+                    await this.handleLinkedPoliciesRequest(request, sender, sendResponse);
+                    break;
+                case 'getLinkedVerdict':
+                    await this.handleLinkedVerdictRequest(request, sendResponse);
+                    break;
+                case 'analyzeConsentBanner':
+                    await this.handleConsentBannerAnalysis(request, sender, sendResponse);
+                    break;
+                case 'getConsentBanner':
+                    await this.handleConsentBannerRequest(request, sendResponse);
+                    break;
+                case 'getTrackerInventory':
+                    await this.handleTrackerInventoryRequest(request, sendResponse);
+                    break;
                 case 'getConsent':
                     await this.handleConsentRequest(sendResponse);
                     break;
@@ -48,6 +113,63 @@ class SecureBackgroundService {
                 case 'exportData':
                     await this.handleExportData(sendResponse);
                     break;
+                case 'getRulePacks':
+                    await this.handleGetRulePacks(sendResponse);
+                    break;
+                case 'importRulePack':
+                    await this.handleImportRulePack(request, sendResponse);
+                    break;
+                case 'removeRulePack':
+                    await this.handleRemoveRulePack(request, sendResponse);
+                    break;
+                case 'setRulePackEnabled':
+                    await this.handleSetRulePackEnabled(request, sendResponse);
+                    break;
+                case 'getHistory':
+                    await this.handleGetHistory(request, sendResponse);
+                    break;
+                case 'deleteHistoryEntry':
+                    await this.handleDeleteHistoryEntry(request, sendResponse);
+                    break;
+                case 'compareHistoryEntries':
+                    await this.handleCompareHistoryEntries(request, sendResponse);
+                    break;
+                case 'exportReport':
+                    await this.handleExportReport(request, sendResponse);
+                    break;
+                case 'getReport':
+                    await this.handleGetReport(request, sendResponse);
+                    break;
+                case 'getAlternatives':
+                    await this.handleGetAlternatives(request, sendResponse);
+                    break;
+                case 'getCatalog':
+                    await this.handleGetCatalog(sendResponse);
+                    break;
+                case 'importCatalog':
+                    await this.handleImportCatalog(request, sendResponse);
+                    break;
+                case 'resetCatalog':
+                    await this.handleResetCatalog(sendResponse);
+                    break;
+                case 'getScoringProfiles':
+                    await this.handleGetScoringProfiles(sendResponse);
+                    break;
+                case 'saveScoringProfiles':
+                    await this.handleSaveScoringProfiles(request, sendResponse);
+                    break;
+                case 'getWatchlist':
+                    await this.handleGetWatchlist(request, sendResponse);
+                    break;
+                case 'addToWatchlist':
+                    await this.handleAddToWatchlist(request, sendResponse);
+                    break;
+                case 'removeFromWatchlist':
+                    await this.handleRemoveFromWatchlist(request, sendResponse);
+                    break;
+                case 'checkWatchlist':
+                    await this.handleCheckWatchlist(sendResponse);
+                    break;
                 default:
                     throw new Error(`Unknown action: ${request.action}`);
             }
@@ -71,6 +193,33 @@ class SecureBackgroundService {
         }
     }
 
+    // Local PDFs and text files opened in a tab (needs file URL access)
+    isLocalDocument(url) {
+        try {
+            const format = this.policyFetcher.detectFormat('', url);
+            return new URL(url).protocol === 'file:' && (format === 'pdf' || format === 'text');
+        } catch {
+            return false;
+        }
+    }
+
+    async isDocumentTab(tabId, url) {
+        let contentType = '';
+        try {
+            const results = await chrome.scripting.executeScript({
+                target: { tabId },
+                func: () => document.contentType
+            });
+            contentType = results[0]?.result || '';
+        } catch (error) {
+            // The built-in PDF viewer may refuse script injection; fall back to the URL
+            console.log('Document type check skipped:', error.message);
+        }
+
+        const format = this.policyFetcher.detectFormat(contentType, url);
+        return format === 'pdf' || format === 'text';
+    }
+
     sanitizeText(text) {
         if (typeof text !== 'string') return '';
         
@@ -84,7 +233,7 @@ class SecureBackgroundService {
     async handleAnalyzeRequest(request, sender, sendResponse) {
         try {
             // Validate input
-            if (!this.validateUrl(request.url)) {
+            if (!this.validateUrl(request.url) && !this.isLocalDocument(request.url)) {
                 throw new Error('Invalid URL provided');
             }
             
@@ -99,23 +248,31 @@ class SecureBackgroundService {
             const cached = await this.getCachedAnalysis(cacheKey);
             
             if (cached && this.isCacheValid(cached)) {
-                sendResponse({ success: true, data: cached.data });
+                sendResponse({ success: true, data: await this.rescore(cached.data) });
+                this.sendHighlightsToTab(tabId, cached.data);
                 return;
             }
 
-            // Extract content securely
-            let content = await this.extractPageContentSecurely(tabId);
-            
-            // Try alternative method if first fails
-            if (!content || !content.content || content.content.length < 100) {
-                content = await this.extractContentAlternative(tabId, request.url);
+            let content;
+            if (await this.isDocumentTab(tabId, request.url)) {
+                // PDFs and text files have no page DOM to read, so fetch the
+                // document itself and extract its text with page numbers
+                content = await this.policyFetcher.fetchPolicy(request.url);
+            } else {
+                // Extract content securely
+                content = await this.extractPageContentSecurely(tabId);
+
+                // Try alternative method if first fails
+                if (!content || !content.content || content.content.length < 100) {
+                    content = await this.extractContentAlternative(tabId, request.url);
+                }
             }
             
             if (!content || !content.content || content.content.length < 100) {
                 throw new Error('NO_POLICY');
             }
 
-            await this.handleContentAnalysis(content, request.url, cacheKey, sendResponse);
+            await this.handleContentAnalysis(content, request.url, cacheKey, tabId, sendResponse);
         } catch (error) {
             console.error('Analysis request error:', error);
             sendResponse({ 
@@ -125,15 +282,23 @@ class SecureBackgroundService {
         }
     }
 
-    async handleContentAnalysis(content, url, cacheKey, sendResponse) {
+    async handleContentAnalysis(content, url, cacheKey, tabId, sendResponse) {
         try {
             // Analyze content
             const analysis = await this.performSecureAnalysis(content, url);
+
+            // Compare against the last stored version of this policy
+            const changes = await this.recordPolicyVersion(cacheKey, analysis);
+            if (changes) {
+                analysis.changes = changes;
+            }
             
             // Cache results securely
             await this.cacheAnalysisSecurely(cacheKey, analysis);
+            await this.recordHistory(cacheKey, analysis);
 
             sendResponse({ success: true, data: analysis });
+            this.sendHighlightsToTab(tabId, analysis);
         } catch (error) {
             console.error('Content analysis error:', error);
             sendResponse({ 
@@ -143,6 +308,230 @@ class SecureBackgroundService {
         }
     }
 
+    // Fetches and analyzes the policies linked from a signup form, checkout
+    // or cookie banner, and combines them into one verdict for the page
+    async handleLinkedPoliciesRequest(request, sender, sendResponse) {
+        try {
+            const tabId = sender.tab?.id || request.tabId;
+            const pageUrl = sender.tab?.url || '';
+            const linkTypes = ['privacy', 'terms', 'cookie', 'other'];
+            const links = (Array.isArray(request.links) ? request.links : [])
+                .filter(link => link && this.isFetchableLink(link.href, pageUrl))
+                .filter((link, index, all) => all.findIndex(other => other.href === link.href) === index)
+                .slice(0, 5)
+                .map(link => ({
+                    href: link.href,
+                    text: this.sanitizeText(link.text).slice(0, 100),
+                    type: linkTypes.includes(link.type) ? link.type : 'other'
+                }));
+
+            if (links.length === 0) {
+                throw new Error('NO_POLICY');
+            }
+
+            // One document at a time to keep the worker's memory use low
+            const outcomes = [];
+            for (const link of links) {
+                try {
+                    outcomes.push({ link, analysis: await this.analyzeLinkedPolicy(link.href) });
+                } catch (error) {
+                    outcomes.push({ link, error: error.message || 'ANALYSIS_FAILED' });
+                }
+            }
+
+            const verdict = this.verdictCombiner.combine(this.sanitizeText(request.context || 'page'), outcomes);
+            if (tabId) {
+                await chrome.storage.session.set({ [`linked_${tabId}`]: verdict });
+            }
+
+            sendResponse({ success: true, data: verdict });
+        } catch (error) {
+            console.error('Linked policy analysis error:', error);
+            sendResponse({
+                success: false,
+                error: error.message || 'ANALYSIS_FAILED'
+            });
+        }
+    }
+
+    // The page picks these links, so only ones on its own site are
+    // followed, and never to this machine or a private network
+    isFetchableLink(href, pageUrl) {
+        if (!this.validateUrl(href) || !this.validateUrl(pageUrl)) return false;
+
+        const host = new URL(href).hostname.toLowerCase().replace(/\.$/, '');
+        const pageHost = new URL(pageUrl).hostname.toLowerCase().replace(/\.$/, '');
+        return this.isPublicHost(host) && this.trackers.siteOf(host) === this.trackers.siteOf(pageHost);
+    }
+
+    isPublicHost(host) {
+        if (!host.includes('.') || /\.(localhost|local|localdomain|internal|intranet|lan|home\.arpa)$/.test(host)) {
+            return false;
+        }
+        // Policies are served from domain names; an IP address could be
+        // anything on the user's network
+        return !/^\d+(\.\d+){3}$/.test(host) && !host.startsWith('[');
+    }
+
+    // Analyzed without the user asking, so the result stays out of the
+    // cache, the version history and the history list
+    async analyzeLinkedPolicy(url) {
+        const cacheKey = await this.generateCacheKey(url);
+        const cached = await this.getCachedAnalysis(cacheKey);
+        if (cached && this.isCacheValid(cached)) {
+            return this.rescore(cached.data);
+        }
+
+        const content = await this.policyFetcher.fetchPolicy(url);
+        return this.performSecureAnalysis(content, url);
+    }
+
+    // Fetches a policy by URL, analyzes it and stores it like a visited one
+    async analyzeRemotePolicy(url) {
+        const cacheKey = await this.generateCacheKey(url);
+        const content = await this.policyFetcher.fetchPolicy(url);
+        const analysis = await this.performSecureAnalysis(content, url);
+
+        const changes = await this.recordPolicyVersion(cacheKey, analysis);
+        if (changes) {
+            analysis.changes = changes;
+        }
+
+        await this.cacheAnalysisSecurely(cacheKey, analysis);
+        await this.recordHistory(cacheKey, analysis);
+        return analysis;
+    }
+
+    async handleLinkedVerdictRequest(request, sendResponse) {
+        try {
+            const key = `linked_${request.tabId}`;
+            const result = await chrome.storage.session.get([key]);
+            sendResponse({ success: true, data: result[key] || null });
+        } catch (error) {
+            console.error('Linked verdict request error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    // The content script reads the banner; judging it happens here so the
+    // popup can show it next to the policy analysis
+    async handleConsentBannerAnalysis(request, sender, sendResponse) {
+        try {
+            const tabId = sender.tab?.id;
+            if (!tabId) {
+                throw new Error('No tab ID provided');
+            }
+
+            const report = this.consentBanners.analyze(this.consentBanners.parse(request.banner));
+            await chrome.storage.session.set({ [`consent_${tabId}`]: report });
+            sendResponse({ success: true, data: report });
+        } catch (error) {
+            console.error('Consent banner analysis error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    async handleConsentBannerRequest(request, sendResponse) {
+        try {
+            const key = `consent_${request.tabId}`;
+            const result = await chrome.storage.session.get([key]);
+            sendResponse({ success: true, data: result[key] || null });
+        } catch (error) {
+            console.error('Consent banner request error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    // The page's resources come from the content script; cookies set on
+    // third-party hosts can only be read here
+    async handleTrackerInventoryRequest(request, sendResponse) {
+        try {
+            if (!request.tabId) {
+                throw new Error('No tab ID provided');
+            }
+
+            const collected = await chrome.tabs.sendMessage(request.tabId, { action: 'collectTrackers' });
+            if (!collected || !collected.success) {
+                throw new Error('Could not read the page');
+            }
+
+            const page = collected.data;
+            const pageSite = this.trackers.siteOf(new URL(page.url).hostname);
+            const sites = new Set();
+            page.resources.forEach(resource => {
+                try {
+                    const site = this.trackers.siteOf(new URL(resource.url).hostname);
+                    if (site !== pageSite) sites.add(site);
+                } catch {
+                    // Not a URL (data:, blob: and the like)
+                }
+            });
+            for (const domain of Array.from(sites).slice(0, 100)) {
+                const cookies = await chrome.cookies.getAll({ domain });
+                page.cookies.push(...cookies.map(cookie => ({ name: cookie.name, domain: cookie.domain })));
+            }
+
+            let report = this.trackers.classify(this.trackerList, this.trackers.parse({
+                ...page,
+                cookies: page.cookies.slice(0, 2000)
+            }));
+
+            const policy = await this.findSitePolicy(page.url);
+            if (policy) {
+                report = this.trackers.compare(report, policy);
+            }
+
+            sendResponse({ success: true, data: report });
+        } catch (error) {
+            console.error('Tracker inventory error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    // The newest analyzed policy for the page itself or another page on the
+    // same site
+    async findSitePolicy(url) {
+        const site = this.trackers.siteOf(new URL(url).hostname);
+        const { analysisHistory = [] } = await chrome.storage.local.get(['analysisHistory']);
+        const entry = analysisHistory.find(item => item.url === url) || analysisHistory.find(item => {
+            try {
+                return this.trackers.siteOf(new URL(item.url).hostname) === site;
+            } catch {
+                return false;
+            }
+        });
+        if (!entry) return null;
+
+        const historyKey = `history_${entry.id}`;
+        const stored = await chrome.storage.local.get([historyKey]);
+        const versions = stored[historyKey] || [];
+        return versions[versions.length - 1] || null;
+    }
+
+    // Send red flags with their source clause text to the content script,
+    // which marks them in the page (offsets alone don't survive DOM layout),
+    // along with the glossary terms the policy uses
+    async sendHighlightsToTab(tabId, analysis) {
+        try {
+            const clauses = (analysis.sections || []).flatMap(section => section.clauses);
+            const flags = (analysis.redFlags || []).map(flag => ({
+                id: flag.id,
+                title: flag.title,
+                severity: flag.severity,
+                whatItMeans: flag.whatItMeans,
+                quotes: (flag.evidenceRanges || [])
+                    .map(([start, end]) => clauses.find(clause => clause.start <= start && clause.end >= end))
+                    .filter(Boolean)
+                    .map(clause => clause.text)
+            }));
+
+            await chrome.tabs.sendMessage(tabId, { action: 'highlightFlags', flags, terms: analysis.glossary || [] });
+        } catch (error) {
+            // Tabs without the content script (e.g. chrome:// pages) can't be highlighted
+            console.log('Highlight delivery skipped:', error.message);
+        }
+    }
+
     async extractContentAlternative(tabId, url) {
         try {
             console.log('Trying alternative content extraction for tab:', tabId);
@@ -170,6 +559,12 @@ class SecureBackgroundService {
                         
                         // Clean up content
                         content = content.replace(/\s+/g, ' ').trim();
+
+                        // Headings let the analyzer split the text into sections
+                        const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4'))
+                            .map(el => (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim())
+                            .filter(text => text.length > 0 && text.length < 200)
+                            .slice(0, 100);
                         
                         console.log('Extracted content length:', content.length);
                         
@@ -178,6 +573,8 @@ class SecureBackgroundService {
                             content: content.slice(0, 500000), // 500KB limit
                             url: window.location.href,
                             title: document.title,
+                            headings,
+                            language: (document.documentElement.lang || '').slice(0, 20),
                             extractedAt: new Date().toISOString()
                         };
                     } catch (error) {
@@ -214,13 +611,14 @@ class SecureBackgroundService {
             
             if (!extracted) return null;
 
-            // Sanitize extracted content
-            if (extracted.content) {
-                extracted.content = this.sanitizeText(extracted.content);
-            }
-            if (extracted.title) {
-                extracted.title = this.sanitizeText(extracted.title);
-            }
+            // The engine gets the text as the page shows it, the same as in the
+            // web app: stripping quotes and apostrophes would turn "don't" into
+            // "dont" and lose the negation. Renderers escape what they display.
+            if (typeof extracted.content !== 'string') return null;
+            if (typeof extracted.title !== 'string') extracted.title = '';
+            extracted.headings = Array.isArray(extracted.headings)
+                ? extracted.headings.filter(heading => typeof heading === 'string')
+                : [];
 
             return extracted;
         } catch (error) {
@@ -260,6 +658,12 @@ class SecureBackgroundService {
             
             // Limit content size for security
             content = content.replace(/\s+/g, ' ').trim().slice(0, 500000); // 500KB limit
+
+            // Headings let the analyzer split the text into sections
+            const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4'))
+                .map(el => (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim())
+                .filter(text => text.length > 0 && text.length < 200)
+                .slice(0, 100);
             
             console.log('Extracted content length:', content.length);
             
@@ -272,6 +676,8 @@ class SecureBackgroundService {
                 content: content,
                 url: window.location.href,
                 title: document.title,
+                headings,
+                language: (document.documentElement.lang || '').slice(0, 20),
                 extractedAt: new Date().toISOString()
             };
         } catch (error) {
@@ -282,148 +688,15 @@ class SecureBackgroundService {
 
     async performSecureAnalysis(content, url) {
         try {
-            // Simple analysis implementation (since we can't import complex analyzers)
-            const text = content.content || '';
-            
-            // Basic pattern matching for demo
-            const patterns = {
-                dataSelling: [
-                    /\b(we|may|will|can)\s+sell\s+(your|personal)\s+data/i,
-                    /monetize\s+(your\s+)?data/i,
-                    /sell.*information.*valuable\s+consideration/i
-                ],
-                arbitration: [
-                    /binding arbitration/i,
-                    /waive.*right.*jury/i,
-                    /class action waiver/i
-                ],
-                tracking: [
-                    /device fingerprint/i,
-                    /canvas fingerprint/i,
-                    /cross.*site tracking/i
-                ]
-            };
-
-            // Generate basic analysis
-            const summary = this.generateBasicSummary(text);
-            const redFlags = this.detectBasicRedFlags(text, patterns);
-            const scores = this.calculateBasicScores(text, patterns);
-
-            return {
-                url,
-                retrievedAt: new Date().toISOString(),
-                contentHash: this.simpleHash(text),
-                language: 'en',
-                summary,
-                redFlags,
-                scores
-            };
+            await Promise.all([this.rulePacksReady, this.summarizerReady, this.scoringReady]);
+            // Same engine as the web app, so every surface scores identically
+            return await this.analyzer.analyze(content, url);
         } catch (error) {
             console.error('Analysis error:', error);
             throw new Error('ANALYSIS_FAILED');
         }
     }
 
-    generateBasicSummary(text) {
-        // Simple summary generation
-        const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 30);
-        const keywords = [
-            { word: 'collect', desc: 'Data collection practices' },
-            { word: 'share', desc: 'Information sharing policies' },
-            { word: 'cookie', desc: 'Cookie and tracking usage' },
-            { word: 'delete', desc: 'Data deletion and user rights' },
-            { word: 'secure', desc: 'Security measures and protection' },
-            { word: 'retain', desc: 'Data retention policies' }
-        ];
-        
-        const summaryItems = [];
-        keywords.forEach((keywordObj, index) => {
-            const relevantSentence = sentences.find(s => 
-                s.toLowerCase().includes(keywordObj.word)
-            );
-            
-            if (relevantSentence) {
-                summaryItems.push({
-                    id: `${keywordObj.word}_${index}`,
-                    text: relevantSentence.trim().slice(0, 150) + (relevantSentence.length > 150 ? '...' : ''),
-                    priority: index + 1,
-                    evidence: []
-                });
-            }
-        });
-
-        // Add fallback summaries if not enough found
-        if (summaryItems.length < 3) {
-            const fallbackSentences = sentences.slice(0, 5);
-            fallbackSentences.forEach((sentence, index) => {
-                if (summaryItems.length < 6) {
-                    summaryItems.push({
-                        id: `general_${index}`,
-                        text: sentence.trim().slice(0, 150) + (sentence.length > 150 ? '...' : ''),
-                        priority: index + 10,
-                        evidence: []
-                    });
-                }
-            });
-        }
-
-        return summaryItems.slice(0, 8);
-    }
-
-    detectBasicRedFlags(text, patterns) {
-        const flags = [];
-        
-        if (patterns.dataSelling.some(pattern => pattern.test(text))) {
-            flags.push({
-                id: 'data-selling',
-                title: 'May sell your data',
-                severity: 5,
-                evidence: 'Data selling patterns detected in policy text',
-                whatItMeans: 'This company may sell or share your personal information with third parties for profit.'
-            });
-        }
-
-        if (patterns.arbitration.some(pattern => pattern.test(text))) {
-            flags.push({
-                id: 'arbitration',
-                title: 'Mandatory arbitration',
-                severity: 4,
-                evidence: 'Arbitration clauses found in policy text',
-                whatItMeans: 'You give up your right to sue or join class action lawsuits.'
-            });
-        }
-
-        return flags;
-    }
-
-    calculateBasicScores(text, patterns) {
-        let baseScore = 65;
-        
-        // Adjust based on detected patterns
-        if (patterns.dataSelling.some(p => p.test(text))) baseScore -= 20;
-        if (patterns.arbitration.some(p => p.test(text))) baseScore -= 15;
-        if (patterns.tracking.some(p => p.test(text))) baseScore -= 10;
-        if (/GDPR|CCPA|data protection/i.test(text)) baseScore += 15;
-        if (/opt.*out|unsubscribe|delete.*account/i.test(text)) baseScore += 10;
-        if (/encrypt|secure|protection/i.test(text)) baseScore += 5;
-
-        const finalScore = Math.max(0, Math.min(100, baseScore));
-
-        return {
-            collection: finalScore,
-            sharingSelling: finalScore,
-            rights: finalScore,
-            retention: finalScore,
-            dispute: finalScore,
-            license: finalScore,
-            tracking: finalScore,
-            children: finalScore,
-            security: finalScore,
-            aggregate: finalScore,
-            confidence: 0.7
-        };
-    }
-
     async generateCacheKey(url) {
         const encoder = new TextEncoder();
         const data = encoder.encode(url);
@@ -456,6 +729,156 @@ class SecureBackgroundService {
         }
     }
 
+    // Keeps the last few distinct versions of each policy URL and returns a
+    // clause-level diff when the text differs from the previous version
+    async recordPolicyVersion(cacheKey, analysis) {
+        try {
+            const historyKey = `history_${cacheKey}`;
+            const result = await chrome.storage.local.get([historyKey]);
+            const versions = result[historyKey] || [];
+            const previous = versions[versions.length - 1];
+
+            if (previous && !this.policyDiff.hasChanged(previous, analysis)) {
+                return previous.changes || null;
+            }
+
+            // The stored version may have been weighted by another profile
+            const changes = previous ? this.policyDiff.compare(await this.rescore(previous), analysis) : null;
+            versions.push({ ...analysis, changes });
+
+            await chrome.storage.local.set({
+                [historyKey]: versions.slice(-this.maxPolicyVersions)
+            });
+
+            return changes;
+        } catch (error) {
+            console.error('Policy history error:', error);
+            return null;
+        }
+    }
+
+    // The history index outlives the 5-minute cache so users can find the
+    // policies they agreed to weeks ago
+    async recordHistory(cacheKey, analysis) {
+        try {
+            const { analysisHistory = [] } = await chrome.storage.local.get(['analysisHistory']);
+            await chrome.storage.local.set({
+                analysisHistory: this.history.record(analysisHistory, this.history.toEntry(analysis, cacheKey))
+            });
+        } catch (error) {
+            console.error('History recording error:', error);
+        }
+    }
+
+    async handleGetHistory(request, sendResponse) {
+        try {
+            const { analysisHistory = [] } = await chrome.storage.local.get(['analysisHistory']);
+            const query = request.query && typeof request.query === 'object' ? request.query : {};
+
+            sendResponse({
+                success: true,
+                data: {
+                    total: analysisHistory.length,
+                    entries: this.history.query(analysisHistory, {
+                        search: this.sanitizeText(query.search || '').slice(0, 200),
+                        band: query.band,
+                        sort: query.sort
+                    })
+                }
+            });
+        } catch (error) {
+            console.error('History request error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    // Deleting an entry also drops the stored versions and cached result
+    async handleDeleteHistoryEntry(request, sendResponse) {
+        try {
+            if (typeof request.id !== 'string' || !/^[0-9a-f]{64}$/.test(request.id)) {
+                throw new Error('Invalid history entry');
+            }
+
+            const { analysisHistory = [] } = await chrome.storage.local.get(['analysisHistory']);
+            await chrome.storage.local.set({ analysisHistory: this.history.remove(analysisHistory, request.id) });
+            await chrome.storage.local.remove([`history_${request.id}`, `analysis_${request.id}`]);
+
+            sendResponse({ success: true });
+        } catch (error) {
+            console.error('History deletion error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    // Compares the latest stored version of each selected policy
+    async handleCompareHistoryEntries(request, sendResponse) {
+        try {
+            const ids = Array.isArray(request.ids) ? request.ids : [];
+            if (!ids.every(id => typeof id === 'string' && /^[0-9a-f]{64}$/.test(id))) {
+                throw new Error('Invalid history entry');
+            }
+
+            const keys = ids.map(id => `history_${id}`);
+            const stored = await chrome.storage.local.get(keys);
+            const results = keys.map(key => {
+                const versions = stored[key] || [];
+                if (versions.length === 0) {
+                    throw new Error('HISTORY_ENTRY_NOT_FOUND');
+                }
+                return versions[versions.length - 1];
+            });
+
+            const rescored = await Promise.all(results.map(result => this.rescore(result)));
+            sendResponse({ success: true, data: this.comparison.compare(rescored) });
+        } catch (error) {
+            console.error('Comparison error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    async handleExportReport(request, sendResponse) {
+        try {
+            if (!request.analysis || typeof request.analysis !== 'object') {
+                throw new Error('Invalid export: no analysis');
+            }
+
+            const exportedAt = new Date();
+            const file = this.exporter.export(request.analysis, request.format, exportedAt);
+            sendResponse({
+                success: true,
+                data: { ...file, fileName: this.exporter.fileName(request.analysis, file.extension, exportedAt) }
+            });
+        } catch (error) {
+            console.error('Report export error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    // The full report reads the latest stored version of a policy, by history
+    // entry id or by the URL it was analyzed at
+    async handleGetReport(request, sendResponse) {
+        try {
+            const id = typeof request.url === 'string'
+                ? await this.generateCacheKey(request.url)
+                : request.id;
+            if (typeof id !== 'string' || !/^[0-9a-f]{64}$/.test(id)) {
+                throw new Error('Invalid history entry');
+            }
+
+            const historyKey = `history_${id}`;
+            const stored = await chrome.storage.local.get([historyKey]);
+            const versions = stored[historyKey] || [];
+            if (versions.length === 0) {
+                throw new Error('HISTORY_ENTRY_NOT_FOUND');
+            }
+
+            sendResponse({ success: true, data: await this.rescore(versions[versions.length - 1]) });
+        } catch (error) {
+            console.error('Report request error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
     isCacheValid(cached) {
         const maxAge = 5 * 60 * 1000; // 5 minutes
         return cached && (Date.now() - cached.timestamp) < maxAge;
@@ -474,6 +897,7 @@ class SecureBackgroundService {
     async handleRevokeConsent(sendResponse) {
         try {
             await chrome.storage.local.clear();
+            this.analyzer.setRulePacks([]);
             sendResponse({ success: true });
         } catch (error) {
             console.error('Consent revocation error:', error);
@@ -496,38 +920,406 @@ class SecureBackgroundService {
         }
     }
 
-    simpleHash(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
+    // Imported rule packs are stored as validated definitions and compiled
+    // into the analyzer on startup and whenever they change
+    async loadRulePacks() {
+        try {
+            const { rulePacks = [] } = await chrome.storage.local.get(['rulePacks']);
+            const compiled = [];
+
+            rulePacks.filter(entry => entry.enabled).forEach(entry => {
+                try {
+                    compiled.push(this.ruleLoader.load(entry.definition));
+                } catch (error) {
+                    console.error(`Skipping rule pack ${entry.definition?.id}:`, error.message);
+                }
+            });
+
+            this.analyzer.setRulePacks(compiled);
+        } catch (error) {
+            console.error('Rule pack loading error:', error);
         }
-        return 'simple-' + Math.abs(hash).toString(16);
     }
 
-    scheduleDataCleanup() {
-        // Run cleanup every 24 hours
-        setInterval(async () => {
-            try {
-                const data = await chrome.storage.local.get();
-                const cutoffTime = Date.now() - (30 * 24 * 60 * 60 * 1000); // 30 days
-                
-                const keysToRemove = [];
-                Object.entries(data).forEach(([key, value]) => {
-                    if (key.startsWith('analysis_') && value.timestamp < cutoffTime) {
-                        keysToRemove.push(key);
+    async saveRulePacks(rulePacks) {
+        await chrome.storage.local.set({ rulePacks });
+        this.rulePacksReady = this.loadRulePacks();
+        await this.rulePacksReady;
+
+        // Cached results were scored with the previous rules
+        await this.clearCachedAnalyses();
+    }
+
+    async clearCachedAnalyses() {
+        try {
+            const data = await chrome.storage.local.get();
+            const stale = Object.keys(data).filter(key => key.startsWith('analysis_'));
+            if (stale.length > 0) {
+                await chrome.storage.local.remove(stale);
+            }
+        } catch (error) {
+            console.error('Cache clearing error:', error);
+        }
+    }
+
+    // AI summaries stay off unless enabled on the settings page, where the
+    // user also agrees to clause text being sent to their endpoint
+    async loadSummarizer() {
+        try {
+            const { llmSettings, userConsent } = await chrome.storage.local.get(['llmSettings', 'userConsent']);
+            const consent = userConsent && typeof userConsent === 'object' ? userConsent : null;
+
+            this.analyzer.setSummarizer(TCGuardEngine.LlmSummarizer.isAllowed(llmSettings, consent)
+                ? new TCGuardEngine.LlmSummarizer(llmSettings)
+                : null);
+        } catch (error) {
+            console.error('Summarizer loading error:', error);
+            this.analyzer.setSummarizer(null);
+        }
+    }
+
+    async handleGetRulePacks(sendResponse) {
+        try {
+            const { rulePacks = [] } = await chrome.storage.local.get(['rulePacks']);
+            sendResponse({ success: true, data: rulePacks });
+        } catch (error) {
+            console.error('Rule pack request error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    async handleImportRulePack(request, sendResponse) {
+        try {
+            const definition = this.ruleLoader.parse(request.data);
+            const { rulePacks = [] } = await chrome.storage.local.get(['rulePacks']);
+
+            // Importing a pack with an existing id replaces it (e.g. a newer version)
+            const others = rulePacks.filter(entry => entry.definition.id !== definition.id);
+            await this.saveRulePacks([
+                ...others,
+                { definition, enabled: true, importedAt: new Date().toISOString() }
+            ]);
+
+            sendResponse({ success: true, data: definition });
+        } catch (error) {
+            console.error('Rule pack import error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    async handleRemoveRulePack(request, sendResponse) {
+        try {
+            const { rulePacks = [] } = await chrome.storage.local.get(['rulePacks']);
+            await this.saveRulePacks(rulePacks.filter(entry => entry.definition.id !== request.id));
+            sendResponse({ success: true });
+        } catch (error) {
+            console.error('Rule pack removal error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    async handleSetRulePackEnabled(request, sendResponse) {
+        try {
+            const { rulePacks = [] } = await chrome.storage.local.get(['rulePacks']);
+            await this.saveRulePacks(rulePacks.map(entry => entry.definition.id === request.id
+                ? { ...entry, enabled: Boolean(request.enabled) }
+                : entry
+            ));
+            sendResponse({ success: true });
+        } catch (error) {
+            console.error('Rule pack update error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    // An imported catalog is used until an extension update bundles a newer one
+    async getActiveCatalog() {
+        const { alternativesCatalog } = await chrome.storage.local.get(['alternativesCatalog']);
+        if (alternativesCatalog && this.alternatives.isNewer(alternativesCatalog.catalog, this.bundledCatalog)) {
+            return { catalog: alternativesCatalog.catalog, source: 'imported', importedAt: alternativesCatalog.importedAt };
+        }
+        return { catalog: this.bundledCatalog, source: 'bundled', importedAt: null };
+    }
+
+    async getScoringSettings() {
+        const { scoringProfiles } = await chrome.storage.local.get(['scoringProfiles']);
+        if (!scoringProfiles) {
+            return TCGuardEngine.ScoringProfiles.defaultSettings();
+        }
+        try {
+            return this.scoringProfiles.parse(scoringProfiles);
+        } catch (error) {
+            console.error('Ignoring stored scoring profiles:', error.message);
+            return TCGuardEngine.ScoringProfiles.defaultSettings();
+        }
+    }
+
+    async loadScoringProfile() {
+        try {
+            this.scoringProfile = this.scoringProfiles.active(await this.getScoringSettings());
+        } catch (error) {
+            console.error('Scoring profile loading error:', error);
+            this.scoringProfile = this.scoringProfiles.active(TCGuardEngine.ScoringProfiles.defaultSettings());
+        }
+        this.analyzer.setScoringProfile(this.scoringProfile);
+    }
+
+    // Weights a stored result with the current profile
+    async rescore(analysis) {
+        await this.scoringReady;
+        return this.scoringProfiles.apply(analysis, this.scoringProfile);
+    }
+
+    async handleGetScoringProfiles(sendResponse) {
+        try {
+            sendResponse({
+                success: true,
+                data: {
+                    settings: await this.getScoringSettings(),
+                    builtIn: TCGuardEngine.ScoringProfiles.builtIn()
+                }
+            });
+        } catch (error) {
+            console.error('Scoring profile request error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    async handleSaveScoringProfiles(request, sendResponse) {
+        try {
+            const settings = this.scoringProfiles.parse(request.settings);
+            await chrome.storage.local.set({ scoringProfiles: settings });
+            sendResponse({ success: true, data: settings });
+        } catch (error) {
+            console.error('Scoring profile save error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    async handleGetAlternatives(request, sendResponse) {
+        try {
+            const url = typeof request.url === 'string' ? request.url : '';
+            const score = typeof request.score === 'number' ? request.score : null;
+            const { catalog } = await this.getActiveCatalog();
+
+            sendResponse({ success: true, data: this.alternatives.suggest(catalog, url, score) });
+        } catch (error) {
+            console.error('Alternatives request error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    async handleGetCatalog(sendResponse) {
+        try {
+            sendResponse({ success: true, data: await this.getActiveCatalog() });
+        } catch (error) {
+            console.error('Catalog request error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    async handleImportCatalog(request, sendResponse) {
+        try {
+            const catalog = this.alternatives.parse(request.data);
+            const active = await this.getActiveCatalog();
+
+            if (!this.alternatives.isNewer(catalog, active.catalog)) {
+                throw new Error(`Invalid catalog: version ${catalog.version} is not newer than the installed ${active.catalog.version}`);
+            }
+
+            await chrome.storage.local.set({
+                alternativesCatalog: { catalog, importedAt: new Date().toISOString() }
+            });
+            sendResponse({ success: true, data: catalog });
+        } catch (error) {
+            console.error('Catalog import error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    async handleResetCatalog(sendResponse) {
+        try {
+            await chrome.storage.local.remove(['alternativesCatalog']);
+            sendResponse({ success: true });
+        } catch (error) {
+            console.error('Catalog reset error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    // Creating an alarm that already exists would restart its period, and
+    // the worker starts far more often than once a day
+    async scheduleAlarms() {
+        const periods = { dataCleanup: 24 * 60, watchlistCheck: this.watchlistCheckMinutes };
+        for (const [name, periodInMinutes] of Object.entries(periods)) {
+            if (!await chrome.alarms.get(name)) {
+                await chrome.alarms.create(name, { periodInMinutes });
+            }
+        }
+    }
+
+    async handleAlarm(alarm) {
+        if (alarm.name === 'dataCleanup') {
+            await this.cleanupExpiredAnalyses();
+        } else if (alarm.name === 'watchlistCheck') {
+            await this.checkWatchlist();
+        }
+    }
+
+    async cleanupExpiredAnalyses() {
+        try {
+            const data = await chrome.storage.local.get();
+            const cutoffTime = Date.now() - (30 * 24 * 60 * 60 * 1000); // 30 days
+            
+            const keysToRemove = [];
+            Object.entries(data).forEach(([key, value]) => {
+                if (key.startsWith('analysis_') && value.timestamp < cutoffTime) {
+                    keysToRemove.push(key);
+                }
+            });
+            
+            if (keysToRemove.length > 0) {
+                await chrome.storage.local.remove(keysToRemove);
+                console.log(`Cleaned up ${keysToRemove.length} expired analysis results`);
+            }
+        } catch (error) {
+            console.error('Scheduled cleanup error:', error);
+        }
+    }
+
+    async handleGetWatchlist(request, sendResponse) {
+        try {
+            const { watchlist = [] } = await chrome.storage.local.get(['watchlist']);
+            sendResponse({
+                success: true,
+                data: {
+                    entries: watchlist,
+                    // Whether the policy open in the popup is covered
+                    watching: typeof request.url === 'string' && watchlist.some(entry => this.watchlist.matches(entry, request.url))
+                }
+            });
+        } catch (error) {
+            console.error('Watchlist request error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    // Policies analyzed before they were pinned are compared against the
+    // version the user saw, not only from the first scheduled check on
+    async handleAddToWatchlist(request, sendResponse) {
+        try {
+            const { watchlist = [], analysisHistory = [] } = await chrome.storage.local.get(['watchlist', 'analysisHistory']);
+            const updated = this.watchlist.add(watchlist, request.target);
+            const entry = updated[updated.length - 1];
+
+            if (updated !== watchlist) {
+                for (const url of this.watchlist.policyUrls(entry, analysisHistory)) {
+                    const historyKey = `history_${await this.generateCacheKey(url)}`;
+                    const versions = (await chrome.storage.local.get([historyKey]))[historyKey] || [];
+                    if (versions.length > 0) {
+                        const latest = await this.rescore(versions[versions.length - 1]);
+                        entry.snapshots[url] = this.watchlist.snapshot(latest, new Date(latest.retrievedAt));
+                    }
+                }
+                await chrome.storage.local.set({ watchlist: updated });
+            }
+
+            sendResponse({ success: true, data: updated });
+        } catch (error) {
+            console.error('Watchlist add error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    async handleRemoveFromWatchlist(request, sendResponse) {
+        try {
+            const { watchlist = [] } = await chrome.storage.local.get(['watchlist']);
+            const target = typeof request.target === 'string'
+                ? request.target
+                : watchlist.find(entry => typeof request.url === 'string' && this.watchlist.matches(entry, request.url))?.target;
+            const updated = this.watchlist.remove(watchlist, target);
+
+            await chrome.storage.local.set({ watchlist: updated });
+            sendResponse({ success: true, data: updated });
+        } catch (error) {
+            console.error('Watchlist remove error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    async handleCheckWatchlist(sendResponse) {
+        try {
+            await this.checkWatchlist();
+            const { watchlist = [] } = await chrome.storage.local.get(['watchlist']);
+            sendResponse({ success: true, data: watchlist });
+        } catch (error) {
+            console.error('Watchlist check error:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    // A manual check and the alarm share one run
+    checkWatchlist() {
+        if (!this.watchlistCheck) {
+            this.watchlistCheck = this.runWatchlistCheck().finally(() => {
+                this.watchlistCheck = null;
+            });
+        }
+        return this.watchlistCheck;
+    }
+
+    async runWatchlistCheck() {
+        try {
+            const { watchlist = [], analysisHistory = [] } = await chrome.storage.local.get(['watchlist', 'analysisHistory']);
+            const checked = [];
+
+            // One policy at a time to keep the worker's memory use low
+            for (const entry of watchlist) {
+                const urls = this.watchlist.policyUrls(entry, analysisHistory);
+                const snapshots = { ...entry.snapshots };
+                let lastError = urls.length === 0 ? 'NO_POLICY' : null;
+
+                for (const url of urls) {
+                    try {
+                        const snapshot = this.watchlist.snapshot(await this.analyzeRemotePolicy(url));
+                        const changes = this.watchlist.changes(url, entry.snapshots[url], snapshot);
+                        if (changes.length > 0) {
+                            await this.notifyWatchChanges(url, changes);
+                        }
+                        snapshots[url] = snapshot;
+                    } catch (error) {
+                        lastError = error.message || 'ANALYSIS_FAILED';
                     }
-                });
-                
-                if (keysToRemove.length > 0) {
-                    await chrome.storage.local.remove(keysToRemove);
-                    console.log(`Cleaned up ${keysToRemove.length} expired analysis results`);
                 }
-            } catch (error) {
-                console.error('Scheduled cleanup error:', error);
+
+                checked.push({ ...entry, snapshots, lastError, lastCheckedAt: new Date().toISOString() });
             }
-        }, 24 * 60 * 60 * 1000);
+
+            // Entries added or removed while the check ran keep that change;
+            // one removed and pinned again has a new addedAt and keeps its
+            // fresh snapshots instead of this check's
+            const { watchlist: current = [] } = await chrome.storage.local.get(['watchlist']);
+            await chrome.storage.local.set({
+                watchlist: current.map(entry => checked.find(item => item.target === entry.target && item.addedAt === entry.addedAt) || entry)
+            });
+        } catch (error) {
+            console.error('Watchlist check error:', error);
+        }
+    }
+
+    // Clicking the notification opens the full report of the policy
+    async notifyWatchChanges(url, changes) {
+        try {
+            const { title, message } = this.watchlist.describe(url, changes);
+            await chrome.notifications.create(`watch_${await this.generateCacheKey(url)}`, {
+                type: 'basic',
+                iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+                title,
+                message
+            });
+        } catch (error) {
+            console.error('Watchlist notification error:', error);
+        }
     }
 }
 
@@ -0,0 +1,19 @@
+// Scores the analyzer against the labeled corpus: npm run benchmark [-- --json]
+// With --write, stores the calibration the analyzer's confidence is based on
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { BenchmarkRunner } from '../src/services/BenchmarkRunner';
+
+const root = dirname(fileURLToPath(import.meta.url));
+const runner = new BenchmarkRunner();
+const corpus = runner.parse(readFileSync(join(root, 'corpus.json'), 'utf8'));
+const report = await runner.run(corpus, path => readFileSync(join(root, path), 'utf8'));
+
+if (process.argv.includes('--write')) {
+  writeFileSync(join(root, 'calibration.json'), JSON.stringify(report.calibration, null, 2) + '\n');
+}
+
+process.stdout.write(process.argv.includes('--json')
+  ? JSON.stringify(report, null, 2) + '\n'
+  : runner.format(report));
@@ -1,8 +1,627 @@
 // Production-ready content script with security hardening
+
+// Marks red flag evidence in the live DOM, with a tooltip per mark and a
+// floating navigator, and underlines glossary terms with their definitions.
+// Controlled by the `highlightsEnabled` storage toggle.
+class PageHighlighter {
+    constructor() {
+        this.flags = [];
+        this.terms = [];
+        this.hits = [];
+        this.currentHit = -1;
+        this.enabled = true;
+        this.observer = null;
+        this.rerenderTimer = null;
+        this.handleMouseOver = this.handleMouseOver.bind(this);
+        this.handleMouseOut = this.handleMouseOut.bind(this);
+        this.loadToggle();
+    }
+
+    async loadToggle() {
+        try {
+            const result = await chrome.storage.local.get(['highlightsEnabled']);
+            this.enabled = result.highlightsEnabled !== false;
+
+            chrome.storage.onChanged.addListener((changes, area) => {
+                if (area !== 'local' || !changes.highlightsEnabled) return;
+                this.enabled = changes.highlightsEnabled.newValue !== false;
+                this.enabled ? this.render() : this.remove();
+            });
+        } catch (error) {
+            console.error('Highlight toggle loading error:', error);
+        }
+    }
+
+    setFlags(flags, terms = []) {
+        const next = Array.isArray(flags) ? flags : [];
+        const nextTerms = Array.isArray(terms) ? terms : [];
+        const rendered = this.hits.length > 0 || document.querySelector('dfn.tc-guard-term');
+        if (JSON.stringify([next, nextTerms]) === JSON.stringify([this.flags, this.terms]) && rendered) return;
+
+        this.flags = next;
+        this.terms = nextTerms;
+        if (this.enabled) this.render();
+    }
+
+    render() {
+        try {
+            this.remove();
+            if (this.flags.length === 0 && this.terms.length === 0) return;
+
+            this.injectStyles();
+
+            // Most severe flags claim overlapping text first
+            const flags = [...this.flags].sort((a, b) => b.severity - a.severity);
+            const index = this.buildTextIndex(document.body);
+            const segments = [];
+
+            flags.forEach(flag => {
+                (flag.quotes || []).forEach(quote => {
+                    const match = this.locateQuote(index, quote);
+                    if (!match) return;
+
+                    const hitId = this.hits.length;
+                    this.hits.push({ id: hitId, flag, position: match.position });
+                    segments.push(...this.toSegments(index, match, hitId));
+                });
+            });
+
+            // Document order for the navigator
+            this.hits.sort((a, b) => a.position - b.position);
+            this.wrapSegments(index, segments);
+            const termCount = this.markTerms();
+
+            if (this.hits.length > 0) {
+                this.showNavigator();
+            }
+            if (this.hits.length > 0 || termCount > 0) {
+                document.addEventListener('mouseover', this.handleMouseOver);
+                document.addEventListener('mouseout', this.handleMouseOut);
+                this.observeMutations();
+            }
+        } catch (error) {
+            console.error('Highlight rendering error:', error);
+        }
+    }
+
+    remove() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        document.removeEventListener('mouseover', this.handleMouseOver);
+        document.removeEventListener('mouseout', this.handleMouseOut);
+
+        document.querySelectorAll('mark.tc-guard-mark, dfn.tc-guard-term').forEach(mark => {
+            const parent = mark.parentNode;
+            if (!parent) return;
+            while (mark.firstChild) {
+                parent.insertBefore(mark.firstChild, mark);
+            }
+            parent.removeChild(mark);
+            parent.normalize();
+        });
+
+        ['tc-guard-navigator', 'tc-guard-tooltip'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.remove();
+        });
+
+        this.hits = [];
+        this.currentHit = -1;
+    }
+
+    // Re-apply marks when the page re-renders the text we highlighted
+    observeMutations() {
+        const selector = 'mark.tc-guard-mark, dfn.tc-guard-term';
+        const expected = document.querySelectorAll(selector).length;
+
+        this.observer = new MutationObserver(() => {
+            clearTimeout(this.rerenderTimer);
+            this.rerenderTimer = setTimeout(() => {
+                const current = document.querySelectorAll(selector).length;
+                if (this.enabled && current < expected) {
+                    this.render();
+                }
+            }, 500);
+        });
+
+        this.observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+    }
+
+    // Visible page text with whitespace and sanitized characters removed, plus a
+    // map from each character back to its text node so offsets become DOM ranges
+    buildTextIndex(root) {
+        const nodes = [];
+        const nodeIndexes = [];
+        const offsets = [];
+        let text = '';
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode(node) {
+                const parent = node.parentElement;
+                if (!parent || parent.closest('script, style, noscript, [id^="tc-guard"]')) {
+                    return NodeFilter.FILTER_REJECT;
+                }
+                return NodeFilter.FILTER_ACCEPT;
+            }
+        });
+
+        let node;
+        while ((node = walker.nextNode())) {
+            const value = node.nodeValue;
+            for (let i = 0; i < value.length; i++) {
+                const char = value[i];
+                if (/[\s<>"'&]/.test(char)) continue;
+                text += char.toLowerCase();
+                nodeIndexes.push(nodes.length);
+                offsets.push(i);
+            }
+            nodes.push(node);
+        }
+
+        return { text, nodes, nodeIndexes, offsets };
+    }
+
+    normalizeQuote(quote) {
+        return String(quote || '').replace(/[\s<>"'&]/g, '').toLowerCase();
+    }
+
+    locateQuote(index, quote) {
+        const needle = this.normalizeQuote(quote);
+        if (needle.length < 10) return null;
+
+        // Fall back to the opening of long clauses that span several elements
+        let position = index.text.indexOf(needle);
+        let length = needle.length;
+        if (position === -1) {
+            length = Math.min(needle.length, 60);
+            position = index.text.indexOf(needle.slice(0, length));
+        }
+        if (position === -1) return null;
+
+        return { position, length };
+    }
+
+    createRange(index, match) {
+        const last = match.position + match.length - 1;
+        const range = document.createRange();
+        range.setStart(index.nodes[index.nodeIndexes[match.position]], index.offsets[match.position]);
+        range.setEnd(index.nodes[index.nodeIndexes[last]], index.offsets[last] + 1);
+        return range;
+    }
+
+    // Splits a match into one [start, end) slice per text node
+    toSegments(index, match, hitId) {
+        const segments = [];
+        const last = match.position + match.length - 1;
+
+        for (let i = match.position; i <= last; i++) {
+            const nodeIndex = index.nodeIndexes[i];
+            const current = segments[segments.length - 1];
+            if (current && current.nodeIndex === nodeIndex) {
+                current.end = index.offsets[i] + 1;
+            } else {
+                segments.push({ nodeIndex, start: index.offsets[i], end: index.offsets[i] + 1, hitId });
+            }
+        }
+
+        return segments;
+    }
+
+    wrapSegments(index, segments) {
+        const byNode = new Map();
+        segments.forEach(segment => {
+            if (!byNode.has(segment.nodeIndex)) byNode.set(segment.nodeIndex, []);
+            byNode.get(segment.nodeIndex).push(segment);
+        });
+
+        byNode.forEach((nodeSegments, nodeIndex) => {
+            const node = index.nodes[nodeIndex];
+            let claimedFrom = Infinity;
+
+            // Right to left so earlier offsets stay valid after each split
+            nodeSegments
+                .sort((a, b) => b.start - a.start)
+                .forEach(segment => {
+                    if (segment.end > claimedFrom) return;
+
+                    const hit = this.hits.find(h => h.id === segment.hitId);
+                    node.splitText(segment.end);
+                    const target = node.splitText(segment.start);
+
+                    const mark = document.createElement('mark');
+                    mark.className = 'tc-guard-mark';
+                    mark.dataset.tcHit = String(hit.id);
+                    mark.dataset.tcSeverity = String(Math.max(1, Math.min(5, Number(hit.flag.severity) || 1)));
+                    target.parentNode.insertBefore(mark, target);
+                    mark.appendChild(target);
+
+                    claimedFrom = segment.start;
+                });
+        });
+    }
+
+    // Underlines the first use of each glossary term in the page; terms split
+    // across elements are missed. Returns the number of terms marked.
+    markTerms() {
+        const aliases = new Map();
+        this.terms.forEach(term => {
+            [term.term, ...(term.aliases || [])].forEach(alias => {
+                const key = this.normalizeAlias(alias);
+                if (key && !aliases.has(key)) aliases.set(key, term);
+            });
+        });
+        if (aliases.size === 0) return 0;
+
+        const alternatives = Array.from(aliases.keys())
+            .sort((a, b) => b.length - a.length)
+            .map(alias => alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+').replace(/'/g, "['’]"));
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+        const found = [];
+        const seen = new Set();
+        const { nodes } = this.buildTextIndex(document.body);
+        nodes.forEach(node => {
+            if (seen.size === this.terms.length) return;
+            for (const match of node.nodeValue.matchAll(pattern)) {
+                const term = aliases.get(this.normalizeAlias(match[0]));
+                if (!term || seen.has(term.id)) continue;
+                seen.add(term.id);
+                found.push({ node, term, start: match.index, end: match.index + match[0].length });
+            }
+        });
+
+        // Last to first so earlier offsets in a node stay valid after each split
+        found
+            .reverse()
+            .forEach(({ node, term, start, end }) => {
+                node.splitText(end);
+                const target = node.splitText(start);
+
+                const dfn = document.createElement('dfn');
+                dfn.className = 'tc-guard-term';
+                dfn.dataset.tcTerm = term.id;
+                target.parentNode.insertBefore(dfn, target);
+                dfn.appendChild(target);
+            });
+
+        return found.length;
+    }
+
+    normalizeAlias(alias) {
+        return String(alias || '').toLowerCase().replace(/’/g, "'").replace(/\s+/g, ' ').trim();
+    }
+
+    handleMouseOver(event) {
+        const element = event.target.closest && event.target.closest('dfn.tc-guard-term, mark.tc-guard-mark');
+        if (!element) return;
+
+        let title;
+        let text;
+        if (element.matches('dfn.tc-guard-term')) {
+            const term = this.terms.find(t => t.id === element.dataset.tcTerm);
+            if (!term) return;
+            title = term.term;
+            text = term.definition;
+        } else {
+            const hit = this.hits.find(h => String(h.id) === element.dataset.tcHit);
+            if (!hit) return;
+            title = `${hit.flag.title} (${hit.flag.severity}/5)`;
+            text = hit.flag.whatItMeans;
+        }
+
+        let tooltip = document.getElementById('tc-guard-tooltip');
+        if (!tooltip) {
+            tooltip = document.createElement('div');
+            tooltip.id = 'tc-guard-tooltip';
+            tooltip.appendChild(document.createElement('strong'));
+            tooltip.appendChild(document.createElement('p'));
+            document.body.appendChild(tooltip);
+        }
+
+        // textContent only: flag text must never be parsed as HTML
+        tooltip.querySelector('strong').textContent = title;
+        tooltip.querySelector('p').textContent = text || '';
+
+        const rect = element.getBoundingClientRect();
+        tooltip.style.top = `${Math.min(rect.bottom + 8, window.innerHeight - 120)}px`;
+        tooltip.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 328))}px`;
+        tooltip.style.display = 'block';
+    }
+
+    handleMouseOut(event) {
+        if (!event.target.closest || !event.target.closest('dfn.tc-guard-term, mark.tc-guard-mark')) return;
+
+        const tooltip = document.getElementById('tc-guard-tooltip');
+        if (tooltip) tooltip.style.display = 'none';
+    }
+
+    showNavigator() {
+        const navigator = document.createElement('div');
+        navigator.id = 'tc-guard-navigator';
+        navigator.innerHTML = `
+            <button class="tc-nav-prev" title="Previous flagged clause">&#8249;</button>
+            <span class="tc-nav-label"></span>
+            <button class="tc-nav-next" title="Next flagged clause">&#8250;</button>
+            <button class="tc-nav-close" title="Turn off highlights">&#215;</button>
+        `;
+
+        navigator.querySelector('.tc-nav-prev').addEventListener('click', () => this.goTo(this.currentHit - 1));
+        navigator.querySelector('.tc-nav-next').addEventListener('click', () => this.goTo(this.currentHit + 1));
+        navigator.querySelector('.tc-nav-close').addEventListener('click', () => {
+            chrome.storage.local.set({ highlightsEnabled: false });
+        });
+
+        document.body.appendChild(navigator);
+        this.updateNavigatorLabel();
+    }
+
+    goTo(position) {
+        if (this.hits.length === 0) return;
+
+        this.currentHit = (position + this.hits.length) % this.hits.length;
+        const hit = this.hits[this.currentHit];
+
+        document.querySelectorAll('mark.tc-guard-mark.tc-guard-active')
+            .forEach(mark => mark.classList.remove('tc-guard-active'));
+
+        const marks = document.querySelectorAll(`mark.tc-guard-mark[data-tc-hit="${hit.id}"]`);
+        marks.forEach(mark => mark.classList.add('tc-guard-active'));
+        if (marks[0]) {
+            marks[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+
+        this.updateNavigatorLabel();
+    }
+
+    updateNavigatorLabel() {
+        const label = document.querySelector('#tc-guard-navigator .tc-nav-label');
+        if (!label) return;
+
+        const hit = this.hits[this.currentHit];
+        label.textContent = hit
+            ? `${this.currentHit + 1}/${this.hits.length} · ${hit.flag.title}`
+            : `${this.hits.length} flagged clause${this.hits.length === 1 ? '' : 's'}`;
+    }
+
+    injectStyles() {
+        if (document.getElementById('tc-guard-highlight-styles')) return;
+
+        const styleSheet = document.createElement('style');
+        styleSheet.id = 'tc-guard-highlight-styles';
+        styleSheet.textContent = `
+            mark.tc-guard-mark {
+                color: inherit !important;
+                border-radius: 2px !important;
+                cursor: help !important;
+            }
+            mark.tc-guard-mark[data-tc-severity="5"] { background: rgba(239, 68, 68, 0.35) !important; }
+            mark.tc-guard-mark[data-tc-severity="4"] { background: rgba(249, 115, 22, 0.35) !important; }
+            mark.tc-guard-mark[data-tc-severity="3"] { background: rgba(245, 158, 11, 0.35) !important; }
+            mark.tc-guard-mark[data-tc-severity="2"],
+            mark.tc-guard-mark[data-tc-severity="1"] { background: rgba(59, 130, 246, 0.25) !important; }
+            mark.tc-guard-mark.tc-guard-active {
+                outline: 2px solid #14B8A6 !important;
+            }
+            dfn.tc-guard-term {
+                font-style: inherit !important;
+                text-decoration: underline dotted #14B8A6 !important;
+                text-underline-offset: 2px !important;
+                cursor: help !important;
+            }
+
+            #tc-guard-tooltip {
+                position: fixed !important;
+                display: none;
+                max-width: 320px !important;
+                padding: 10px 12px !important;
+                background: #0F172A !important;
+                color: #F8FAFC !important;
+                border: 1px solid rgba(20, 184, 166, 0.4) !important;
+                border-radius: 8px !important;
+                font: 12px/1.5 'Inter', -apple-system, BlinkMacSystemFont, sans-serif !important;
+                z-index: 2147483647 !important;
+                pointer-events: none !important;
+            }
+            #tc-guard-tooltip p {
+                margin: 4px 0 0 !important;
+            }
+
+            #tc-guard-navigator {
+                position: fixed !important;
+                bottom: 20px !important;
+                right: 20px !important;
+                display: flex !important;
+                align-items: center !important;
+                gap: 6px !important;
+                padding: 6px 10px !important;
+                background: #0F172A !important;
+                color: #F8FAFC !important;
+                border: 1px solid rgba(20, 184, 166, 0.4) !important;
+                border-radius: 20px !important;
+                font: 12px 'Inter', -apple-system, BlinkMacSystemFont, sans-serif !important;
+                z-index: 2147483647 !important;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3) !important;
+            }
+            #tc-guard-navigator button {
+                background: none !important;
+                border: none !important;
+                color: #14B8A6 !important;
+                font-size: 16px !important;
+                cursor: pointer !important;
+                padding: 0 4px !important;
+            }
+            #tc-guard-navigator .tc-nav-label {
+                max-width: 220px !important;
+                overflow: hidden !important;
+                text-overflow: ellipsis !important;
+                white-space: nowrap !important;
+            }
+        `;
+
+        document.head.appendChild(styleSheet);
+    }
+}
+
+// Reads cookie consent banners: which consent platform runs them, the
+// buttons on the first layer, the purpose toggles and the vendors listed.
+// The background worker judges what was found with the shared engine.
+class ConsentBannerInspector {
+    constructor() {
+        this.platforms = [
+            { id: 'onetrust', banner: '#onetrust-banner-sdk', settings: '#onetrust-pc-sdk' },
+            { id: 'cookiebot', banner: '#CybotCookiebotDialog', settings: '#CybotCookiebotDialog' },
+            { id: 'trustarc', banner: '#truste-consent-track, #truste-consent-content', settings: null },
+            {
+                id: 'other',
+                banner: '[id*="cookie-banner" i], [class*="cookie-banner" i], [id*="consent-banner" i], [class*="consent-banner" i], ' +
+                    '[id*="cookie-consent" i], [class*="cookie-consent" i], [role="dialog"][aria-label*="cookie" i]',
+                settings: null
+            }
+        ];
+        // Platforms name their vendor list entries differently; these catch
+        // the common class names
+        this.vendorSelector = '[class*="vendor-name" i], [class*="ven-name" i], [class*="vendorname" i], [class*="ProviderName"]';
+        this.legitimateInterestPattern = /leg(itimate)?[-_]?(int|out)|legitimate interest|berechtigte[sn]? interesse|intérêt légitime|interés legítimo/i;
+    }
+
+    // Null when no banner is waiting for an answer
+    async inspect() {
+        const tcf = await this.readTcf();
+        const found = this.findBanner();
+        if (!found && (!tcf || tcf.eventStatus !== 'cmpuishown')) return null;
+
+        const banner = found ? found.banner : null;
+        const settings = (found && found.settings && document.querySelector(found.settings)) || banner;
+        const snapshot = {
+            platform: found && found.id !== 'other' ? found.id : tcf ? 'tcf' : 'other',
+            url: window.location.href,
+            text: banner ? (banner.innerText || '').replace(/\s+/g, ' ').trim().slice(0, 5000) : '',
+            buttons: banner ? this.readButtons(banner) : [],
+            toggles: settings ? this.readToggles(settings) : [],
+            vendors: settings ? this.readVendors(settings) : []
+        };
+        if (tcf) snapshot.tcf = tcf;
+        return snapshot;
+    }
+
+    findBanner() {
+        for (const platform of this.platforms) {
+            const banner = Array.from(document.querySelectorAll(platform.banner))
+                .find(element => element.offsetParent !== null || getComputedStyle(element).position === 'fixed');
+            if (banner && (banner.innerText || '').trim().length > 20) {
+                return { ...platform, banner };
+            }
+        }
+        return null;
+    }
+
+    // Only visible buttons: the choices offered before any settings are opened
+    readButtons(banner) {
+        const labels = Array.from(banner.querySelectorAll(
+            'button, [role="button"], a[class*="btn" i], a[class*="button" i], input[type="button"], input[type="submit"]'
+        ))
+            .filter(element => element.offsetParent !== null)
+            .map(element => (element.innerText || element.value || element.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim())
+            .filter(label => label.length > 0);
+        return Array.from(new Set(labels)).slice(0, 30).map(label => label.slice(0, 200));
+    }
+
+    // Hidden second-layer settings count too: their default state is what
+    // "Accept" or "Save" would submit
+    readToggles(root) {
+        return Array.from(root.querySelectorAll('input[type="checkbox"], [role="switch"]'))
+            .slice(0, 200)
+            .map(toggle => {
+                const label = this.toggleLabel(toggle);
+                const legitimateInterest = this.legitimateInterestPattern.test(
+                    `${toggle.id} ${toggle.getAttribute('name') || ''} ${toggle.className} ${label}`
+                );
+                return {
+                    label: label.replace(this.legitimateInterestPattern, '').replace(/[()]/g, '').replace(/\s+/g, ' ').trim().slice(0, 200),
+                    checked: toggle.checked === true || toggle.getAttribute('aria-checked') === 'true',
+                    disabled: toggle.disabled === true || toggle.getAttribute('aria-disabled') === 'true',
+                    legitimateInterest
+                };
+            })
+            .filter(toggle => toggle.label.length > 0);
+    }
+
+    toggleLabel(toggle) {
+        const forLabel = toggle.id ? document.querySelector(`label[for="${CSS.escape(toggle.id)}"]`) : null;
+        const text = (forLabel && forLabel.textContent) ||
+            toggle.getAttribute('aria-label') ||
+            (toggle.closest('label') && toggle.closest('label').textContent) ||
+            '';
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    readVendors(root) {
+        const names = Array.from(root.querySelectorAll(this.vendorSelector))
+            .map(element => (element.textContent || '').replace(/\s+/g, ' ').trim())
+            .filter(name => name.length > 0 && name.length <= 200);
+        return Array.from(new Set(names)).slice(0, 1000);
+    }
+
+    // IAB TCF v2 through the postMessage interface every CMP stub provides,
+    // since the page's __tcfapi function isn't reachable from a content script
+    readTcf() {
+        if (!document.querySelector('iframe[name="__tcfapiLocator"]')) return Promise.resolve(null);
+
+        return new Promise(resolve => {
+            const callId = `tc-guard-${Date.now()}`;
+            const finish = (result) => {
+                clearTimeout(timer);
+                window.removeEventListener('message', onMessage);
+                resolve(result);
+            };
+            const onMessage = (event) => {
+                let data = event.data;
+                if (typeof data === 'string') {
+                    try {
+                        data = JSON.parse(data);
+                    } catch {
+                        return;
+                    }
+                }
+                const reply = data && data.__tcfapiReturn;
+                if (!reply || reply.callId !== callId) return;
+                finish(reply.success && reply.returnValue && reply.returnValue.gdprApplies !== false
+                    ? this.summarizeTcData(reply.returnValue)
+                    : null);
+            };
+            const timer = setTimeout(() => finish(null), 1500);
+
+            window.addEventListener('message', onMessage);
+            window.postMessage({ __tcfapiCall: { command: 'getTCData', version: 2, callId } }, '*');
+        });
+    }
+
+    summarizeTcData(tcData) {
+        const ids = (flags) => Object.entries(flags || {})
+            .filter(([, value]) => value === true)
+            .map(([id]) => Number(id))
+            .filter(id => Number.isInteger(id) && id >= 1 && id <= 24);
+        const count = (flags) => Object.values(flags || {}).filter(value => value === true).length;
+
+        return {
+            cmpId: Number.isInteger(tcData.cmpId) && tcData.cmpId >= 0 ? tcData.cmpId : 0,
+            eventStatus: String(tcData.eventStatus || '').slice(0, 40),
+            purposeConsents: ids(tcData.purpose && tcData.purpose.consents),
+            purposeLegitimateInterests: ids(tcData.purpose && tcData.purpose.legitimateInterests),
+            vendorConsents: count(tcData.vendor && tcData.vendor.consents),
+            vendorLegitimateInterests: count(tcData.vendor && tcData.vendor.legitimateInterests)
+        };
+    }
+}
+
 class SecureContentAnalyzer {
     constructor() {
         this.isAnalyzing = false;
         this.consentChecked = true; // Simplified for demo
+        this.highlighter = new PageHighlighter();
+        this.consentInspector = new ConsentBannerInspector();
         this.init();
     }
 
@@ -12,6 +631,7 @@ class SecureContentAnalyzer {
             // Wait a bit for page to load, then check for policies
             setTimeout(() => {
                 this.detectPolicyPage();
+                this.checkConsentBanner(true);
             }, 2000);
         } catch (error) {
             console.error('Content script initialization error:', error);
@@ -24,6 +644,16 @@ class SecureContentAnalyzer {
                 this.extractContent().then(sendResponse);
                 return true;
             }
+            if (request.action === 'showEvidence') {
+                sendResponse({ success: this.showEvidence(request.quotes) });
+            }
+            if (request.action === 'highlightFlags') {
+                this.highlighter.setFlags(request.flags, request.terms);
+                sendResponse({ success: true });
+            }
+            if (request.action === 'collectTrackers') {
+                sendResponse({ success: true, data: this.collectPageResources() });
+            }
         });
     }
 
@@ -37,19 +667,24 @@ class SecureContentAnalyzer {
                 'terms of use', 'legal notice', 'privacy', 'terms', 'conditions'
             ];
 
+            // Signup forms, checkouts and cookie banners mention and link to
+            // their policies, so they're checked first: there only the URL,
+            // title or headings can make the page a policy itself
+            const agreementContext = this.checkAgreementContext();
+
             const currentUrl = window.location.href.toLowerCase();
             const pageTitle = document.title.toLowerCase();
             const headings = this.extractHeadings();
             const pageText = document.body.innerText.toLowerCase();
 
-            // Check URL, title, headings, and page content
-            const isPolicyPage = policyKeywords.some(keyword => {
+            // Check URL, title and headings
+            const isNamedPolicy = policyKeywords.some(keyword => {
                 const keywordNormalized = keyword.replace(/\s+/g, '');
                 return currentUrl.includes(keywordNormalized) ||
                        pageTitle.includes(keyword) ||
-                       headings.some(heading => heading.includes(keyword)) ||
-                       (pageText.includes(keyword) && pageText.length > 1000);
+                       headings.some(heading => heading.includes(keyword));
             });
+            const mentionsPolicy = policyKeywords.some(keyword => pageText.includes(keyword)) && pageText.length > 1000;
             
             // Also check for policy-like content patterns
             const policyPatterns = [
@@ -62,14 +697,18 @@ class SecureContentAnalyzer {
             ];
             
             const hasPatterns = policyPatterns.some(pattern => pattern.test(pageText));
+            const isPolicyPage = agreementContext
+                ? isNamedPolicy
+                : isNamedPolicy || mentionsPolicy || hasPatterns;
             
             console.log('Policy detection results:', {
-                isPolicyPage: isPolicyPage || hasPatterns,
+                isPolicyPage,
+                agreementContext,
                 url: currentUrl,
                 title: pageTitle
             });
 
-            if ((isPolicyPage || hasPatterns) && !this.isAnalyzing) {
+            if (isPolicyPage && !this.isAnalyzing) {
                 this.showPolicyDetectedBadge();
                 // Auto-trigger analysis after showing badge
                 setTimeout(() => {
@@ -81,6 +720,198 @@ class SecureContentAnalyzer {
         }
     }
 
+    // Consent platforms often load after the page, so one late retry
+    async checkConsentBanner(retry = false) {
+        try {
+            const banner = await this.consentInspector.inspect();
+            if (!banner) {
+                if (retry) setTimeout(() => this.checkConsentBanner(), 4000);
+                return;
+            }
+
+            console.log('Consent banner detected:', banner.platform);
+            await chrome.runtime.sendMessage({ action: 'analyzeConsentBanner', banner });
+        } catch (error) {
+            console.error('Consent banner check error:', error);
+        }
+    }
+
+    // What the page has loaded so far; third-party cookies aren't visible
+    // here, so the background worker adds them
+    collectPageResources() {
+        const resources = performance.getEntriesByType('resource')
+            .map(entry => ({ url: entry.name, type: entry.initiatorType }));
+        // Scripts served from cache or loaded before timing started
+        const loaded = new Set(resources.map(resource => resource.url));
+        document.querySelectorAll('script[src]').forEach(script => {
+            if (!loaded.has(script.src)) resources.push({ url: script.src, type: 'script' });
+        });
+
+        const cookies = document.cookie.split(';')
+            .map(cookie => cookie.split('=')[0].trim())
+            .filter(Boolean)
+            .map(name => ({ name, domain: window.location.hostname }));
+
+        return { url: window.location.href, resources: resources.slice(0, 5000), cookies };
+    }
+
+    // Signup forms, checkouts and cookie banners are where users actually
+    // meet policies: analyze the linked documents before they click "I agree"
+    // Returns the agreement context found, whether or not it links policies
+    checkAgreementContext() {
+        try {
+            const context = this.detectAgreementContext();
+            if (!context) return null;
+
+            const links = this.findPolicyLinks();
+            if (links.length === 0) return context;
+
+            console.log('Agreement context detected:', context, links.length, 'policy links');
+
+            chrome.runtime.sendMessage({
+                action: 'analyzeLinkedPolicies',
+                context,
+                links,
+                timestamp: Date.now()
+            }).then(response => {
+                if (response && response.success) {
+                    this.showLinkedVerdict(response.data);
+                }
+            }).catch(error => {
+                console.error('Linked policy request error:', error);
+            });
+            return context;
+        } catch (error) {
+            console.error('Agreement context check error:', error);
+            return null;
+        }
+    }
+
+    detectAgreementContext() {
+        const url = window.location.href.toLowerCase();
+        const text = (document.body.innerText || '').toLowerCase().slice(0, 50000);
+
+        const hasPassword = !!document.querySelector('input[type="password"]');
+        const hasAgreeCheckbox = Array.from(document.querySelectorAll('input[type="checkbox"]'))
+            .some(box => /agree|accept|consent/i.test(box.closest('label, div, p')?.textContent || ''));
+        if ((hasPassword || hasAgreeCheckbox) && /sign up|create (an |your )?account|register|join now|get started|agree/.test(text)) {
+            return 'signup';
+        }
+
+        const hasCardField = !!document.querySelector('input[autocomplete^="cc-"], input[name*="card" i]');
+        if (hasCardField || /checkout|\/cart|\/payment/.test(url)) {
+            return 'checkout';
+        }
+
+        const banner = document.querySelector(
+            '#onetrust-banner-sdk, #CybotCookiebotDialog, #truste-consent-track, ' +
+            '[id*="cookie-banner" i], [class*="cookie-banner" i], [id*="consent-banner" i], [class*="consent-banner" i]'
+        );
+        if (banner && banner.offsetParent !== null) {
+            return 'cookie-banner';
+        }
+
+        return null;
+    }
+
+    showLinkedVerdict(verdict) {
+        try {
+            const existing = document.getElementById('tc-guard-verdict');
+            if (existing) existing.remove();
+            if (!verdict || verdict.aggregate === null) return;
+
+            this.injectVerdictStyles();
+
+            const panel = document.createElement('div');
+            panel.id = 'tc-guard-verdict';
+            // Banded like the popup dial, with the active scoring profile
+            const thresholds = verdict.scoring?.thresholds || { good: 75, caution: 50 };
+            panel.dataset.level = verdict.aggregate >= thresholds.good ? 'good' : verdict.aggregate >= thresholds.caution ? 'caution' : 'poor';
+
+            // Built with textContent only: link text comes from the page
+            const header = document.createElement('div');
+            header.className = 'tc-verdict-header';
+            const title = document.createElement('span');
+            title.textContent = `Before you agree: ${verdict.aggregate}/100`;
+            const close = document.createElement('button');
+            close.textContent = '×';
+            close.title = 'Dismiss';
+            close.addEventListener('click', () => panel.remove());
+            header.append(title, close);
+            panel.appendChild(header);
+
+            const documents = document.createElement('ul');
+            verdict.documents.forEach(doc => {
+                const item = document.createElement('li');
+                const status = doc.error === 'UNSUPPORTED_LANGUAGE' ? 'language not supported' : 'could not be analyzed';
+                item.textContent = `${doc.text || doc.type}: ${doc.aggregate !== null ? `${doc.aggregate}/100` : status}`;
+                documents.appendChild(item);
+            });
+            panel.appendChild(documents);
+
+            verdict.redFlags.slice(0, 3).forEach(flag => {
+                const item = document.createElement('div');
+                item.className = 'tc-verdict-flag';
+                item.textContent = `⚠️ ${flag.title} (${flag.source})`;
+                item.title = flag.whatItMeans;
+                panel.appendChild(item);
+            });
+
+            document.body.appendChild(panel);
+        } catch (error) {
+            console.error('Linked verdict display error:', error);
+        }
+    }
+
+    injectVerdictStyles() {
+        if (document.getElementById('tc-guard-verdict-styles')) return;
+
+        const styleSheet = document.createElement('style');
+        styleSheet.id = 'tc-guard-verdict-styles';
+        styleSheet.textContent = `
+            #tc-guard-verdict {
+                position: fixed !important;
+                bottom: 20px !important;
+                left: 20px !important;
+                width: 300px !important;
+                padding: 12px 14px !important;
+                background: #0F172A !important;
+                color: #F8FAFC !important;
+                border: 1px solid rgba(20, 184, 166, 0.4) !important;
+                border-left-width: 4px !important;
+                border-radius: 10px !important;
+                font: 12px/1.5 'Inter', -apple-system, BlinkMacSystemFont, sans-serif !important;
+                z-index: 2147483647 !important;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3) !important;
+            }
+            #tc-guard-verdict[data-level="good"] { border-left-color: #22C55E !important; }
+            #tc-guard-verdict[data-level="caution"] { border-left-color: #F59E0B !important; }
+            #tc-guard-verdict[data-level="poor"] { border-left-color: #EF4444 !important; }
+            #tc-guard-verdict .tc-verdict-header {
+                display: flex !important;
+                justify-content: space-between !important;
+                font-weight: 700 !important;
+                font-size: 13px !important;
+            }
+            #tc-guard-verdict button {
+                background: none !important;
+                border: none !important;
+                color: #94A3B8 !important;
+                font-size: 16px !important;
+                cursor: pointer !important;
+            }
+            #tc-guard-verdict ul {
+                margin: 6px 0 !important;
+                padding-left: 16px !important;
+            }
+            #tc-guard-verdict .tc-verdict-flag {
+                color: #FCA5A5 !important;
+            }
+        `;
+
+        document.head.appendChild(styleSheet);
+    }
+
     extractHeadings() {
         try {
             return Array.from(document.querySelectorAll('h1, h2, h3, h4'))
@@ -243,6 +1074,33 @@ class SecureContentAnalyzer {
         }
     }
 
+    showEvidence(quotes) {
+        try {
+            if (!Array.isArray(quotes) || quotes.length === 0) return false;
+
+            const index = this.highlighter.buildTextIndex(document.body);
+            const match = quotes
+                .map(quote => this.highlighter.locateQuote(index, quote))
+                .find(Boolean);
+
+            if (!match) return false;
+
+            const range = this.highlighter.createRange(index, match);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+
+            const element = range.startContainer.parentElement;
+            if (element) {
+                element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+            return true;
+        } catch (error) {
+            console.error('Evidence display error:', error);
+            return false;
+        }
+    }
+
     async extractContent() {
         try {
             console.log('Extracting content for analysis');
@@ -0,0 +1,130 @@
+class CompareController {
+    constructor() {
+        this.ids = (new URLSearchParams(window.location.search).get('ids') || '')
+            .split(',')
+            .filter(Boolean);
+        this.scoreLabels = {
+            aggregate: 'Trust Score',
+            collection: 'Data Collection',
+            sharingSelling: 'Data Sharing/Selling',
+            rights: 'User Rights',
+            retention: 'Data Retention',
+            dispute: 'Dispute Resolution',
+            license: 'Content License',
+            tracking: 'Tracking',
+            children: 'Children\'s Data',
+            security: 'Security'
+        };
+        this.stanceLabels = {
+            asserted: 'States it',
+            conditional: 'Only under conditions',
+            negated: 'Rules it out'
+        };
+        this.init();
+    }
+
+    async init() {
+        await this.loadTheme();
+        await this.loadComparison();
+    }
+
+    // Follows the theme chosen in the popup
+    async loadTheme() {
+        try {
+            const result = await chrome.storage.local.get(['theme']);
+            document.body.className = `theme-${result.theme || 'dark'}`;
+        } catch (error) {
+            console.error('Theme loading error:', error);
+        }
+    }
+
+    async loadComparison() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'compareHistoryEntries', ids: this.ids });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.renderComparison(response.data);
+        } catch (error) {
+            console.error('Comparison loading error:', error);
+            this.showStatus(error.message === 'HISTORY_ENTRY_NOT_FOUND'
+                ? 'One of the selected policies is no longer in your history.'
+                : 'Select two to four policies in your history to compare them.', true);
+        }
+    }
+
+    renderComparison(report) {
+        const table = document.getElementById('compare-table');
+        if (!table) return;
+
+        table.style.gridTemplateColumns = `minmax(140px, 1fr) repeat(${report.policies.length}, minmax(160px, 2fr))`;
+
+        const header = `<div class="compare-cell"></div>${report.policies.map(policy => `
+            <div class="compare-cell compare-policy">
+                <a href="${this.escapeHtml(policy.url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(policy.domain)}</a>
+                <div class="compare-policy-date">${new Date(policy.analyzedAt).toLocaleDateString()}</div>
+            </div>
+        `).join('')}`;
+
+        const scores = report.scores.map(row => this.renderRow(
+            this.scoreLabels[row.key],
+            row.values.map(value => value === null ? 'Not scored' : `${value}/100`),
+            row.best
+        )).join('');
+
+        const flags = report.redFlags.length === 0
+            ? '<div class="compare-empty">None of these policies raised a red flag.</div>'
+            : report.redFlags.map(row => this.renderRow(
+                this.escapeHtml(row.title),
+                row.severities.map(severity => severity === null
+                    ? 'Not scored'
+                    : severity === 0 ? 'Not flagged' : `Severity ${severity}/5`),
+                row.best
+            )).join('');
+
+        const clauses = report.clauses.map(row => this.renderRow(
+            this.escapeHtml(row.title),
+            row.clauses.map((clause, index) => clause
+                ? `<span class="compare-stance">${this.stanceLabels[clause.stance]}</span>
+                   <span class="compare-clause">"${this.escapeHtml(clause.text.length > 240 ? `${clause.text.slice(0, 240)}...` : clause.text)}"</span>`
+                : `<span class="compare-missing">${report.policies[index].aggregate === null ? 'Not scored' : 'Not mentioned'}</span>`),
+            row.best
+        )).join('');
+
+        table.innerHTML = `
+            ${header}
+            <div class="compare-heading">Scores</div>
+            ${scores}
+            <div class="compare-heading">Red Flags</div>
+            ${flags}
+            <div class="compare-heading">Clauses</div>
+            ${clauses}
+        `;
+    }
+
+    // Labels and cells must already be escaped by the caller
+    renderRow(label, cells, best) {
+        return `
+            <div class="compare-cell compare-label">${label}</div>
+            ${cells.map((cell, index) => `<div class="compare-cell${best.includes(index) ? ' best' : ''}">${cell}</div>`).join('')}
+        `;
+    }
+
+    showStatus(message, isError = false) {
+        const status = document.getElementById('compare-status');
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize comparison page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new CompareController();
+});
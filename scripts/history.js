@@ -0,0 +1,198 @@
+class HistoryController {
+    constructor() {
+        this.query = { search: '', band: 'all', sort: 'newest' };
+        this.entries = [];
+        this.selected = [];
+        this.maxCompared = 4;
+        // The popup links here with the current policy already selected
+        this.pendingSelection = new URLSearchParams(window.location.search).get('select');
+        this.init();
+    }
+
+    async init() {
+        await this.loadTheme();
+        this.setupEventListeners();
+        await this.loadHistory();
+    }
+
+    // Follows the theme chosen in the popup
+    async loadTheme() {
+        try {
+            const result = await chrome.storage.local.get(['theme']);
+            document.body.className = `theme-${result.theme || 'dark'}`;
+        } catch (error) {
+            console.error('Theme loading error:', error);
+        }
+    }
+
+    setupEventListeners() {
+        const search = document.getElementById('history-search');
+        if (search) {
+            search.addEventListener('input', (e) => {
+                this.query.search = e.target.value;
+                this.loadHistory();
+            });
+        }
+
+        const sort = document.getElementById('history-sort');
+        if (sort) {
+            sort.addEventListener('change', (e) => {
+                this.query.sort = e.target.value;
+                this.loadHistory();
+            });
+        }
+
+        const bands = document.getElementById('history-bands');
+        if (bands) {
+            bands.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-band]');
+                if (!button) return;
+                this.query.band = button.dataset.band;
+                bands.querySelectorAll('button').forEach(item => item.classList.toggle('active', item === button));
+                this.loadHistory();
+            });
+        }
+
+        const list = document.getElementById('history-list');
+        if (list) {
+            list.addEventListener('click', this.handleListClick.bind(this));
+            list.addEventListener('change', this.handleSelectionChange.bind(this));
+        }
+
+        const compareBtn = document.getElementById('history-compare-btn');
+        if (compareBtn) compareBtn.addEventListener('click', this.openComparison.bind(this));
+    }
+
+    async loadHistory() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getHistory', query: this.query });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.entries = response.data.entries;
+            if (this.pendingSelection) {
+                const match = this.entries.find(entry => entry.url === this.pendingSelection);
+                if (match) this.selected = [match.id];
+                this.pendingSelection = null;
+            }
+            this.renderHistory(response.data.total);
+        } catch (error) {
+            console.error('History loading error:', error);
+            this.showStatus('Could not load your history.', true);
+        }
+    }
+
+    renderHistory(total) {
+        const list = document.getElementById('history-list');
+        const summary = document.getElementById('history-summary');
+        if (!list) return;
+
+        if (summary) {
+            summary.textContent = total === 0
+                ? ''
+                : `Showing ${this.entries.length} of ${total} analyzed polic${total === 1 ? 'y' : 'ies'}.`;
+        }
+
+        this.updateCompareButton();
+
+        if (this.entries.length === 0) {
+            list.innerHTML = `<div class="rule-pack-empty">${total === 0
+                ? 'No policies analyzed yet. Open the popup on a privacy policy or terms page to start.'
+                : 'No analyses match your filters.'}</div>`;
+            return;
+        }
+
+        list.innerHTML = this.entries.map(entry => `
+            <div class="history-entry" data-entry-id="${entry.id}">
+                <input type="checkbox" class="history-entry-select" title="Select for comparison" ${this.selected.includes(entry.id) ? 'checked' : ''}>
+                <div class="history-entry-info">
+                    <a class="history-entry-domain" href="${this.escapeHtml(entry.url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(entry.domain)}</a>
+                    <div class="history-entry-meta">${new Date(entry.analyzedAt).toLocaleString()} · ${this.escapeHtml(entry.url)}</div>
+                </div>
+                ${entry.redFlagCount > 0 ? `<span class="history-entry-flags">${entry.redFlagCount} red flag${entry.redFlagCount === 1 ? '' : 's'}</span>` : ''}
+                <span class="history-entry-score ${this.getScoreBand(entry)}">${entry.aggregate === null ? 'N/A' : `${entry.aggregate}/100`}</span>
+                <a class="secondary-btn" href="report.html?id=${entry.id}">Report</a>
+                <button class="secondary-btn" data-action="delete">Delete</button>
+            </div>
+        `).join('');
+    }
+
+    async handleListClick(event) {
+        const button = event.target.closest('button[data-action="delete"]');
+        if (!button) return;
+
+        const id = button.closest('.history-entry').dataset.entryId;
+        const entry = this.entries.find(item => item.id === id);
+        if (!entry || !confirm(`Delete ${entry.domain} from your history?`)) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'deleteHistoryEntry', id });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.selected = this.selected.filter(item => item !== id);
+            this.showStatus(`Deleted ${entry.domain}.`);
+            await this.loadHistory();
+        } catch (error) {
+            console.error('History deletion error:', error);
+            this.showStatus('Could not delete the entry.', true);
+        }
+    }
+
+    // Selecting a fifth policy drops the earliest selection
+    handleSelectionChange(event) {
+        if (!event.target.classList.contains('history-entry-select')) return;
+
+        const id = event.target.closest('.history-entry').dataset.entryId;
+        this.selected = event.target.checked
+            ? [...this.selected.filter(item => item !== id), id].slice(-this.maxCompared)
+            : this.selected.filter(item => item !== id);
+
+        document.querySelectorAll('.history-entry').forEach(row => {
+            row.querySelector('.history-entry-select').checked = this.selected.includes(row.dataset.entryId);
+        });
+        this.updateCompareButton();
+    }
+
+    updateCompareButton() {
+        const button = document.getElementById('history-compare-btn');
+        if (!button) return;
+        button.disabled = this.selected.length < 2;
+        button.textContent = this.selected.length > 0
+            ? `Compare selected (${this.selected.length})`
+            : 'Compare selected';
+    }
+
+    openComparison() {
+        if (this.selected.length < 2) return;
+        window.location.href = `compare.html?ids=${this.selected.join(',')}`;
+    }
+
+    // Same bands as the trust levels in the popup, set by the scoring
+    // profile the policy was analyzed with
+    getScoreBand(entry) {
+        const thresholds = entry.scoring?.thresholds || { good: 75, caution: 50 };
+        if (entry.aggregate === null) return 'unscored';
+        if (entry.aggregate >= thresholds.good) return 'good';
+        if (entry.aggregate >= thresholds.caution) return 'caution';
+        return 'concerning';
+    }
+
+    showStatus(message, isError = false) {
+        const status = document.getElementById('history-status');
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize history page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new HistoryController();
+});
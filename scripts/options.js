@@ -0,0 +1,617 @@
+class OptionsController {
+    constructor() {
+        this.rulePacks = [];
+        this.catalog = null;
+        this.scoring = null;
+        this.builtInProfiles = [];
+        this.watchlist = [];
+        this.categoryLabels = {
+            collection: 'Data Collection',
+            sharingSelling: 'Data Sharing/Selling',
+            rights: 'User Rights',
+            retention: 'Data Retention',
+            dispute: 'Dispute Resolution',
+            license: 'Content License',
+            tracking: 'Tracking',
+            children: 'Children\'s Data',
+            security: 'Security'
+        };
+        this.init();
+    }
+
+    async init() {
+        await this.loadTheme();
+        this.setupEventListeners();
+        await this.loadRulePacks();
+        await this.loadCatalog();
+        await this.loadScoringProfiles();
+        await this.loadLlmSettings();
+        await this.loadWatchlist();
+    }
+
+    // Follows the theme chosen in the popup
+    async loadTheme() {
+        try {
+            const result = await chrome.storage.local.get(['theme']);
+            document.body.className = `theme-${result.theme || 'dark'}`;
+        } catch (error) {
+            console.error('Theme loading error:', error);
+        }
+    }
+
+    setupEventListeners() {
+        const fileInput = document.getElementById('rule-pack-file');
+        if (fileInput) fileInput.addEventListener('change', this.importRulePack.bind(this));
+
+        const catalogFile = document.getElementById('catalog-file');
+        if (catalogFile) catalogFile.addEventListener('change', this.importCatalog.bind(this));
+
+        const catalogExport = document.getElementById('catalog-export');
+        if (catalogExport) catalogExport.addEventListener('click', this.exportCatalog.bind(this));
+
+        const catalogReset = document.getElementById('catalog-reset');
+        if (catalogReset) catalogReset.addEventListener('click', this.resetCatalog.bind(this));
+
+        const watchlistForm = document.getElementById('watchlist-form');
+        if (watchlistForm) watchlistForm.addEventListener('submit', this.addToWatchlist.bind(this));
+
+        const watchlistCheck = document.getElementById('watchlist-check');
+        if (watchlistCheck) watchlistCheck.addEventListener('click', this.checkWatchlist.bind(this));
+
+        const watchlist = document.getElementById('watchlist');
+        if (watchlist) {
+            watchlist.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-action="unwatch"]');
+                if (button) this.removeFromWatchlist(button.closest('[data-target]').dataset.target);
+            });
+        }
+
+        const scoringForm = document.getElementById('scoring-form');
+        if (scoringForm) {
+            scoringForm.addEventListener('submit', this.saveScoringProfile.bind(this));
+            scoringForm.addEventListener('input', this.updateWeightShares.bind(this));
+        }
+
+        const scoringSelect = document.getElementById('scoring-profile');
+        if (scoringSelect) scoringSelect.addEventListener('change', this.selectScoringProfile.bind(this));
+
+        const scoringReset = document.getElementById('scoring-reset');
+        if (scoringReset) scoringReset.addEventListener('click', this.resetScoringProfile.bind(this));
+
+        const scoringDelete = document.getElementById('scoring-delete');
+        if (scoringDelete) scoringDelete.addEventListener('click', this.deleteScoringProfile.bind(this));
+
+        const llmForm = document.getElementById('llm-form');
+        if (llmForm) llmForm.addEventListener('submit', this.saveLlmSettings.bind(this));
+
+        const list = document.getElementById('rule-pack-list');
+        if (list) {
+            list.addEventListener('click', this.handleListClick.bind(this));
+            list.addEventListener('change', this.handleListChange.bind(this));
+        }
+    }
+
+    async loadRulePacks() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getRulePacks' });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.rulePacks = response.data;
+            this.renderRulePacks();
+        } catch (error) {
+            console.error('Rule pack loading error:', error);
+            this.showStatus('Could not load rule packs.', true);
+        }
+    }
+
+    renderRulePacks() {
+        const list = document.getElementById('rule-pack-list');
+        if (!list) return;
+
+        if (this.rulePacks.length === 0) {
+            list.innerHTML = '<div class="rule-pack-empty">No rule packs imported. Only the built-in rules are used.</div>';
+            return;
+        }
+
+        list.innerHTML = this.rulePacks.map(({ definition, enabled }) => `
+            <div class="rule-pack ${enabled ? '' : 'disabled'}" data-pack-id="${definition.id}">
+                <div class="rule-pack-info">
+                    <div class="rule-pack-name">${this.escapeHtml(definition.name)}</div>
+                    <div class="rule-pack-meta">
+                        ${definition.id} · v${this.escapeHtml(definition.version)} ·
+                        ${definition.rules.length} rule${definition.rules.length === 1 ? '' : 's'} ·
+                        ${definition.languages ? definition.languages.join(', ') : 'all languages'}
+                    </div>
+                    ${definition.description ? `<div class="rule-pack-description">${this.escapeHtml(definition.description)}</div>` : ''}
+                </div>
+                <div class="rule-pack-controls">
+                    <label class="rule-pack-toggle">
+                        <input type="checkbox" data-action="toggle" ${enabled ? 'checked' : ''}>
+                        Enabled
+                    </label>
+                    <button class="secondary-btn" data-action="export">Export</button>
+                    <button class="secondary-btn" data-action="remove">Remove</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async importRulePack(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'importRulePack',
+                data: await file.text()
+            });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            this.showStatus(`Imported "${response.data.name}" with ${response.data.rules.length} rules.`);
+            await this.loadRulePacks();
+        } catch (error) {
+            console.error('Rule pack import error:', error);
+            this.showStatus(error.message || 'Could not import the rule pack.', true);
+        }
+    }
+
+    async handleListClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const packId = button.closest('.rule-pack').dataset.packId;
+        if (button.dataset.action === 'export') {
+            this.exportRulePack(packId);
+        } else if (button.dataset.action === 'remove') {
+            await this.removeRulePack(packId);
+        }
+    }
+
+    async handleListChange(event) {
+        if (event.target.dataset.action !== 'toggle') return;
+
+        const packId = event.target.closest('.rule-pack').dataset.packId;
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'setRulePackEnabled',
+                id: packId,
+                enabled: event.target.checked
+            });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            await this.loadRulePacks();
+        } catch (error) {
+            console.error('Rule pack update error:', error);
+            this.showStatus('Could not update the rule pack.', true);
+        }
+    }
+
+    // Exported files use the same format as imports, so packs can be shared
+    exportRulePack(packId) {
+        const entry = this.rulePacks.find(pack => pack.definition.id === packId);
+        if (!entry) return;
+
+        const { definition } = entry;
+        const blob = new Blob([JSON.stringify(definition, null, 2) + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${definition.id}-${definition.version}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async removeRulePack(packId) {
+        const entry = this.rulePacks.find(pack => pack.definition.id === packId);
+        if (!entry || !confirm(`Remove the "${entry.definition.name}" rule pack?`)) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'removeRulePack', id: packId });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.showStatus(`Removed "${entry.definition.name}".`);
+            await this.loadRulePacks();
+        } catch (error) {
+            console.error('Rule pack removal error:', error);
+            this.showStatus('Could not remove the rule pack.', true);
+        }
+    }
+
+    async loadCatalog() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getCatalog' });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.catalog = response.data;
+            this.renderCatalog();
+        } catch (error) {
+            console.error('Catalog loading error:', error);
+            this.showStatus('Could not load the alternatives catalog.', true, 'catalog-status');
+        }
+    }
+
+    renderCatalog() {
+        const info = document.getElementById('catalog-info');
+        const reset = document.getElementById('catalog-reset');
+        if (!info || !this.catalog) return;
+
+        const { catalog, source, importedAt } = this.catalog;
+        info.innerHTML = `
+            <div class="rule-pack">
+                <div class="rule-pack-info">
+                    <div class="rule-pack-name">${source === 'imported' ? 'Imported catalog' : 'Bundled catalog'}</div>
+                    <div class="rule-pack-meta">
+                        v${this.escapeHtml(catalog.version)} ·
+                        ${catalog.services.length} services in ${catalog.categories.length} categories ·
+                        scores from ${new Date(catalog.updatedAt).toLocaleDateString()}
+                    </div>
+                    ${importedAt ? `<div class="rule-pack-description">Imported ${new Date(importedAt).toLocaleString()}</div>` : ''}
+                </div>
+            </div>
+        `;
+        if (reset) reset.style.display = source === 'imported' ? '' : 'none';
+    }
+
+    async importCatalog(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'importCatalog',
+                data: await file.text()
+            });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            this.showStatus(`Imported catalog v${response.data.version} with ${response.data.services.length} services.`, false, 'catalog-status');
+            await this.loadCatalog();
+        } catch (error) {
+            console.error('Catalog import error:', error);
+            this.showStatus(error.message || 'Could not import the catalog.', true, 'catalog-status');
+        }
+    }
+
+    // Exported files use the same format as imports
+    exportCatalog() {
+        if (!this.catalog) return;
+
+        const { catalog } = this.catalog;
+        const blob = new Blob([JSON.stringify(catalog, null, 2) + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `alternatives-${catalog.version}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async resetCatalog() {
+        if (!confirm('Remove the imported catalog and use the one bundled with the extension?')) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'resetCatalog' });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.showStatus('Using the bundled catalog.', false, 'catalog-status');
+            await this.loadCatalog();
+        } catch (error) {
+            console.error('Catalog reset error:', error);
+            this.showStatus('Could not reset the catalog.', true, 'catalog-status');
+        }
+    }
+
+    async loadScoringProfiles() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getScoringProfiles' });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.scoring = response.data.settings;
+            this.builtInProfiles = response.data.builtIn;
+            this.renderScoringProfile();
+        } catch (error) {
+            console.error('Scoring profile loading error:', error);
+            this.showStatus('Could not load scoring profiles.', true, 'scoring-status');
+        }
+    }
+
+    activeScoringProfile() {
+        return this.scoring.profiles.find(profile => profile.id === this.scoring.activeId) || this.scoring.profiles[0];
+    }
+
+    renderScoringProfile() {
+        const active = this.activeScoringProfile();
+        const builtIn = this.builtInProfiles.find(profile => profile.id === active.id);
+
+        document.getElementById('scoring-profile').innerHTML = this.scoring.profiles.map(profile => `
+            <option value="${this.escapeHtml(profile.id)}" ${profile.id === active.id ? 'selected' : ''}>${this.escapeHtml(profile.name)}</option>
+        `).join('');
+
+        document.getElementById('scoring-weights').innerHTML = Object.entries(this.categoryLabels).map(([category, label]) => `
+            <label for="scoring-weight-${category}">${label}</label>
+            <input id="scoring-weight-${category}" data-category="${category}" type="number" min="0" max="100" step="0.5" value="${active.weights[category]}">
+            <span class="scoring-share" data-share="${category}"></span>
+        `).join('');
+
+        document.getElementById('scoring-good').value = active.thresholds.good;
+        document.getElementById('scoring-caution').value = active.thresholds.caution;
+        document.getElementById('scoring-new-name').value = '';
+
+        const reset = document.getElementById('scoring-reset');
+        reset.style.display = builtIn ? '' : 'none';
+        reset.textContent = builtIn ? `Reset ${builtIn.name}` : 'Reset';
+        document.getElementById('scoring-delete').style.display = builtIn ? 'none' : '';
+
+        this.updateWeightShares();
+    }
+
+    readScoringWeights() {
+        const weights = {};
+        document.querySelectorAll('#scoring-weights input[data-category]').forEach(input => {
+            weights[input.dataset.category] = Number(input.value);
+        });
+        return weights;
+    }
+
+    // Shows how much of the trust score each weight amounts to
+    updateWeightShares() {
+        const weights = this.readScoringWeights();
+        const total = Object.values(weights).reduce((sum, weight) => sum + (weight > 0 ? weight : 0), 0);
+        document.querySelectorAll('#scoring-weights [data-share]').forEach(share => {
+            const weight = weights[share.dataset.share];
+            share.textContent = total > 0 && weight > 0 ? `${Math.round((weight / total) * 100)}% of score` : '0% of score';
+        });
+    }
+
+    async saveScoringSettings(settings, message) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'saveScoringProfiles', settings });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.scoring = response.data;
+            this.renderScoringProfile();
+            this.showStatus(message, false, 'scoring-status');
+        } catch (error) {
+            console.error('Scoring profile save error:', error);
+            this.showStatus(error.message || 'Could not save the scoring profile.', true, 'scoring-status');
+        }
+    }
+
+    async selectScoringProfile(event) {
+        const profile = this.scoring.profiles.find(item => item.id === event.target.value);
+        if (!profile) return;
+        await this.saveScoringSettings({ ...this.scoring, activeId: profile.id }, `Scoring with the ${profile.name} profile.`);
+    }
+
+    async saveScoringProfile(event) {
+        event.preventDefault();
+
+        const active = this.activeScoringProfile();
+        const edited = {
+            ...active,
+            weights: this.readScoringWeights(),
+            thresholds: {
+                good: Number(document.getElementById('scoring-good').value),
+                caution: Number(document.getElementById('scoring-caution').value)
+            }
+        };
+
+        const name = document.getElementById('scoring-new-name').value.trim();
+        if (!name) {
+            await this.saveScoringSettings({
+                ...this.scoring,
+                profiles: this.scoring.profiles.map(profile => profile.id === active.id ? edited : profile)
+            }, `Saved the ${active.name} profile.`);
+            return;
+        }
+
+        const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'profile';
+        let id = base;
+        for (let n = 2; this.scoring.profiles.some(profile => profile.id === id); n++) {
+            id = `${base}-${n}`;
+        }
+        await this.saveScoringSettings({
+            activeId: id,
+            profiles: [...this.scoring.profiles, { ...edited, id, name }]
+        }, `Created the ${name} profile.`);
+    }
+
+    async resetScoringProfile() {
+        const active = this.activeScoringProfile();
+        const builtIn = this.builtInProfiles.find(profile => profile.id === active.id);
+        if (!builtIn) return;
+        await this.saveScoringSettings({
+            ...this.scoring,
+            profiles: this.scoring.profiles.map(profile => profile.id === builtIn.id ? builtIn : profile)
+        }, `Reset the ${builtIn.name} profile.`);
+    }
+
+    async deleteScoringProfile() {
+        const active = this.activeScoringProfile();
+        if (this.builtInProfiles.some(profile => profile.id === active.id)) return;
+        if (!confirm(`Delete the "${active.name}" scoring profile?`)) return;
+
+        const profiles = this.scoring.profiles.filter(profile => profile.id !== active.id);
+        await this.saveScoringSettings({ activeId: profiles[0].id, profiles }, `Deleted the ${active.name} profile.`);
+    }
+
+    async loadLlmSettings() {
+        try {
+            const { llmSettings = {}, userConsent } = await chrome.storage.local.get(['llmSettings', 'userConsent']);
+            document.getElementById('llm-enabled').checked = llmSettings.enabled === true;
+            document.getElementById('llm-endpoint').value = llmSettings.endpoint || '';
+            document.getElementById('llm-model').value = llmSettings.model || '';
+            document.getElementById('llm-api-key').value = llmSettings.apiKey || '';
+            document.getElementById('llm-consent').checked = userConsent?.llmSummaries === true;
+        } catch (error) {
+            console.error('AI summary settings loading error:', error);
+        }
+    }
+
+    // The background worker picks up changes to these keys on its own
+    async saveLlmSettings(event) {
+        event.preventDefault();
+
+        const enabled = document.getElementById('llm-enabled').checked;
+        const endpoint = document.getElementById('llm-endpoint').value.trim();
+        const model = document.getElementById('llm-model').value.trim();
+        const apiKey = document.getElementById('llm-api-key').value.trim();
+        const consented = document.getElementById('llm-consent').checked;
+
+        if (enabled) {
+            if (!/^https?:\/\/\S+$/.test(endpoint) || !model) {
+                this.showStatus('Enter the endpoint URL and model name.', true, 'llm-status');
+                return;
+            }
+            if (!consented) {
+                this.showStatus('AI summaries need your agreement to send clause text to the endpoint.', true, 'llm-status');
+                return;
+            }
+        }
+
+        try {
+            const { userConsent } = await chrome.storage.local.get(['userConsent']);
+            const consent = userConsent && typeof userConsent === 'object' ? userConsent : {};
+
+            await chrome.storage.local.set({
+                llmSettings: { enabled, endpoint, model, apiKey },
+                userConsent: { ...consent, llmSummaries: consented }
+            });
+            this.showStatus(enabled ? 'AI summaries are on.' : 'AI summaries are off.', false, 'llm-status');
+        } catch (error) {
+            console.error('AI summary settings save error:', error);
+            this.showStatus('Could not save the settings.', true, 'llm-status');
+        }
+    }
+
+    async loadWatchlist() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getWatchlist' });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.watchlist = response.data.entries;
+            this.renderWatchlist();
+        } catch (error) {
+            console.error('Watchlist loading error:', error);
+            this.showStatus('Could not load the watchlist.', true, 'watchlist-status');
+        }
+    }
+
+    renderWatchlist() {
+        const list = document.getElementById('watchlist');
+        if (!list) return;
+
+        if (this.watchlist.length === 0) {
+            list.innerHTML = '<div class="rule-pack-empty">Nothing watched yet. Use "Watch" in the popup or add a domain below.</div>';
+            return;
+        }
+
+        list.innerHTML = this.watchlist.map(entry => {
+            const policies = Object.keys(entry.snapshots).length;
+            const status = entry.lastError
+                ? (entry.lastError === 'NO_POLICY' ? 'No analyzed policy on this domain yet' : `Last check failed: ${entry.lastError}`)
+                : `${policies} polic${policies === 1 ? 'y' : 'ies'}`;
+            return `
+                <div class="rule-pack" data-target="${this.escapeHtml(entry.target)}">
+                    <div class="rule-pack-info">
+                        <div class="rule-pack-name">${this.escapeHtml(entry.target)}</div>
+                        <div class="rule-pack-meta">
+                            ${entry.kind === 'domain' ? 'Domain' : 'Policy URL'} ·
+                            ${entry.lastCheckedAt ? `checked ${new Date(entry.lastCheckedAt).toLocaleString()}` : 'not checked yet'} ·
+                            ${this.escapeHtml(status)}
+                        </div>
+                    </div>
+                    <div class="rule-pack-controls">
+                        <button class="secondary-btn" data-action="unwatch">Remove</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async addToWatchlist(event) {
+        event.preventDefault();
+        const input = document.getElementById('watchlist-target');
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'addToWatchlist', target: input.value });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.watchlist = response.data;
+            this.renderWatchlist();
+            this.showStatus(`Watching ${input.value.trim()}.`, false, 'watchlist-status');
+            input.value = '';
+        } catch (error) {
+            console.error('Watchlist add error:', error);
+            this.showStatus(error.message, true, 'watchlist-status');
+        }
+    }
+
+    async removeFromWatchlist(target) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'removeFromWatchlist', target });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.watchlist = response.data;
+            this.renderWatchlist();
+            this.showStatus(`Stopped watching ${target}.`, false, 'watchlist-status');
+        } catch (error) {
+            console.error('Watchlist remove error:', error);
+            this.showStatus('Could not update the watchlist.', true, 'watchlist-status');
+        }
+    }
+
+    async checkWatchlist() {
+        const button = document.getElementById('watchlist-check');
+        button.disabled = true;
+        this.showStatus('Checking watched policies...', false, 'watchlist-status');
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'checkWatchlist' });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.watchlist = response.data;
+            this.renderWatchlist();
+            this.showStatus('Check finished. Changes are reported as notifications.', false, 'watchlist-status');
+        } catch (error) {
+            console.error('Watchlist check error:', error);
+            this.showStatus('Could not check the watchlist.', true, 'watchlist-status');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    showStatus(message, isError = false, elementId = 'rule-pack-status') {
+        const status = document.getElementById(elementId);
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize settings page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new OptionsController();
+});
@@ -3,15 +3,28 @@ class PopupController {
         this.currentTab = null;
         this.analysisData = null;
         this.currentTheme = 'dark'; // Default theme
+        this.highlightsEnabled = true;
+        this.complianceRegime = null;
+        this.watching = false;
+        this.readabilityLabels = {
+            plain: 'Plain language',
+            'fairly-difficult': 'Fairly difficult',
+            difficult: 'Difficult',
+            'very-difficult': 'Very difficult'
+        };
         this.init();
     }
 
     async init() {
         await this.loadTheme();
+        await this.loadHighlightSetting();
         await this.getCurrentTab();
         this.setupEventListeners();
         this.showLoadingState();
         await this.analyzeCurrentPage();
+        await this.loadLinkedVerdict();
+        await this.loadConsentBanner();
+        await this.loadTrackerInventory();
     }
 
     async getCurrentTab() {
@@ -64,6 +77,15 @@ class PopupController {
         const themeToggle = document.getElementById('theme-toggle');
         if (themeToggle) themeToggle.addEventListener('click', this.toggleTheme.bind(this));
         
+        const highlightToggle = document.getElementById('highlight-toggle');
+        if (highlightToggle) highlightToggle.addEventListener('click', this.toggleHighlights.bind(this));
+
+        const settingsBtn = document.getElementById('settings-btn');
+        if (settingsBtn) settingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+        const historyBtn = document.getElementById('history-btn');
+        if (historyBtn) historyBtn.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('history.html') }));
+        
         const acceptBtn = document.getElementById('accept-btn');
         if (acceptBtn) acceptBtn.addEventListener('click', this.handleAccept.bind(this));
         
@@ -72,12 +94,26 @@ class PopupController {
         
         const alternativesBtn = document.getElementById('alternatives-btn');
         if (alternativesBtn) alternativesBtn.addEventListener('click', this.showAlternatives.bind(this));
+
+        const compareBtn = document.getElementById('compare-btn');
+        if (compareBtn) compareBtn.addEventListener('click', this.openComparison.bind(this));
         
         const exportBtn = document.getElementById('export-btn');
-        if (exportBtn) exportBtn.addEventListener('click', this.exportReport.bind(this));
+        if (exportBtn) exportBtn.addEventListener('click', this.toggleExportMenu.bind(this));
+
+        const exportMenu = document.getElementById('export-menu');
+        if (exportMenu) {
+            exportMenu.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-format]');
+                if (button) this.exportReport(button.dataset.format, button);
+            });
+        }
         
         const fullReportBtn = document.getElementById('full-report-btn');
         if (fullReportBtn) fullReportBtn.addEventListener('click', this.openFullReport.bind(this));
+
+        const watchBtn = document.getElementById('watch-btn');
+        if (watchBtn) watchBtn.addEventListener('click', this.toggleWatch.bind(this));
         
         const retryBtn = document.getElementById('retry-btn');
         if (retryBtn) retryBtn.addEventListener('click', this.retryAnalysis.bind(this));
@@ -127,6 +163,7 @@ class PopupController {
                 this.analysisData = response.data;
                 this.renderAnalysis();
                 this.updateLastChecked();
+                await this.loadWatchState();
             } else if (response.error === 'NO_POLICY') {
                 this.showNoPolicyState();
             } else {
@@ -144,12 +181,31 @@ class PopupController {
         console.log('Rendering analysis:', this.analysisData);
         this.showContentState();
         this.renderTrustScore();
+        this.renderChanges();
         this.renderSummary();
         this.renderRedFlags();
+        this.renderCompliance();
+        this.renderReadability();
     }
 
     renderTrustScore() {
         const { scores } = this.analysisData;
+        const notice = document.getElementById('language-notice');
+
+        // No pattern set for this language: a score would only be a placeholder
+        if (this.analysisData.languageSupported === false) {
+            const trustScoreEl = document.getElementById('trust-score');
+            if (trustScoreEl) trustScoreEl.textContent = 'N/A';
+            const confidenceEl = document.getElementById('confidence-value');
+            if (confidenceEl) confidenceEl.textContent = '--';
+            if (notice) {
+                notice.textContent = `${this.getLanguageName(this.analysisData.language)} policies are not supported yet, so this policy was not scored.`;
+                notice.style.display = 'block';
+            }
+            return;
+        }
+        if (notice) notice.style.display = 'none';
+
         const trustScore = scores.aggregate;
         const confidence = Math.round(scores.confidence * 100);
 
@@ -170,10 +226,11 @@ class PopupController {
                 dialProgress.style.strokeDasharray = `${progress} ${circumference}`;
             }, 500);
 
-            // Update dial color based on score
-            if (trustScore >= 75) {
+            // Update dial color based on score, with the bands of the active scoring profile
+            const thresholds = this.analysisData.scoring?.thresholds || { good: 75, caution: 50 };
+            if (trustScore >= thresholds.good) {
                 dialProgress.style.stroke = '#22C55E';
-            } else if (trustScore >= 50) {
+            } else if (trustScore >= thresholds.caution) {
                 dialProgress.style.stroke = '#F59E0B';
             } else {
                 dialProgress.style.stroke = '#EF4444';
@@ -181,17 +238,283 @@ class PopupController {
         }
     }
 
+    getLanguageName(code) {
+        try {
+            if (code && code !== 'und') {
+                return new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+            }
+        } catch (error) {
+            console.log('Unknown language code:', code);
+        }
+        return 'Documents in this language';
+    }
+
+    renderChanges() {
+        const { changes } = this.analysisData;
+        const section = document.getElementById('changes-section');
+        const overview = document.getElementById('changes-overview');
+        const container = document.getElementById('changes-container');
+
+        if (!section || !overview || !container) return;
+        if (!changes) {
+            section.style.display = 'none';
+            return;
+        }
+
+        section.style.display = 'block';
+
+        const since = new Date(changes.previousRetrievedAt).toLocaleDateString();
+        const counts = ['added', 'modified', 'removed'].map(type => {
+            const count = changes.clauses.filter(change => change.type === type).length;
+            return `${count} ${type}`;
+        });
+        const scoreLines = Object.entries(changes.scoreChanges).map(([key, change]) => {
+            const delta = change.after - change.before;
+            return `<span class="score-change ${delta < 0 ? 'worse' : 'better'}">${this.getCategoryLabel(key)} ${delta > 0 ? '+' : ''}${delta}</span>`;
+        });
+
+        overview.innerHTML = `
+            <div class="changes-summary">Since ${since}: ${counts.join(', ')} clauses</div>
+            ${changes.addedFlags.map(flag => `<div class="flag-change worse">New red flag: ${this.escapeHtml(flag.title)}</div>`).join('')}
+            ${changes.removedFlags.map(flag => `<div class="flag-change better">Resolved: ${this.escapeHtml(flag.title)}</div>`).join('')}
+            ${scoreLines.length ? `<div class="score-changes">${scoreLines.join('')}</div>` : ''}
+        `;
+
+        container.innerHTML = changes.clauses.slice(0, 5).map(change => `
+            <div class="clause-change ${change.type}" data-range='${JSON.stringify(change.range ? [change.range] : [])}'>
+                <span class="clause-change-type">${change.type}</span>
+                ${change.before ? `<div class="clause-before">${this.escapeHtml(change.before)}</div>` : ''}
+                ${change.after ? `<div class="clause-after">${this.escapeHtml(change.after)}</div>` : ''}
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.clause-change').forEach(item => {
+            item.addEventListener('click', (e) => {
+                this.showEvidence(JSON.parse(e.currentTarget.dataset.range));
+            });
+        });
+    }
+
+    getCategoryLabel(key) {
+        const labels = {
+            collection: 'Data Collection',
+            sharingSelling: 'Data Sharing/Selling',
+            rights: 'User Rights',
+            retention: 'Data Retention',
+            dispute: 'Dispute Resolution',
+            license: 'License to Content',
+            tracking: 'Tracking',
+            children: "Children's Data",
+            security: 'Security',
+            aggregate: 'Trust Score'
+        };
+        return labels[key] || key;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Escaped text with its glossary terms underlined; the definition is a
+    // child element shown on hover or focus, so it never goes in an attribute
+    withTerms(text, terms = []) {
+        const glossary = new Map((this.analysisData.glossary || []).map(entry => [entry.id, entry]));
+        let html = '';
+        let offset = 0;
+
+        terms.forEach(match => {
+            const entry = glossary.get(match.id);
+            if (!entry || match.start < offset) return;
+            html += this.escapeHtml(text.slice(offset, match.start));
+            html += `<span class="glossary-term" tabindex="0">${this.escapeHtml(text.slice(match.start, match.end))}` +
+                `<span class="glossary-definition" role="tooltip"><strong>${this.escapeHtml(entry.term)}</strong> ${this.escapeHtml(entry.definition)}</span></span>`;
+            offset = match.end;
+        });
+
+        return html + this.escapeHtml(text.slice(offset));
+    }
+
+    async loadLinkedVerdict() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'getLinkedVerdict',
+                tabId: this.currentTab.id
+            });
+
+            if (response.success && response.data) {
+                this.renderLinkedVerdict(response.data);
+            }
+        } catch (error) {
+            console.error('Linked verdict loading error:', error);
+        }
+    }
+
+    renderLinkedVerdict(verdict) {
+        const section = document.getElementById('linked-section');
+        const container = document.getElementById('linked-container');
+        if (!section || !container || verdict.aggregate === null) return;
+
+        section.style.display = 'block';
+        container.innerHTML = `
+            <div class="linked-verdict ${this.getScoreLevel(verdict.aggregate, verdict.scoring?.thresholds)}">
+                Combined verdict: <strong>${verdict.aggregate}/100</strong>
+            </div>
+            ${verdict.documents.map(doc => `
+                <div class="linked-document">
+                    <span class="linked-document-name">${this.escapeHtml(doc.text || doc.type)}</span>
+                    <span class="linked-document-score">${doc.aggregate !== null ? `${doc.aggregate}/100` : doc.error === 'UNSUPPORTED_LANGUAGE' ? 'Language not supported' : 'Unavailable'}</span>
+                </div>
+            `).join('')}
+            ${verdict.redFlags.slice(0, 3).map(flag => `
+                <div class="flag-change worse">${this.getSeverityEmoji(flag.severity)} ${this.escapeHtml(flag.title)} (${flag.source})</div>
+            `).join('')}
+        `;
+    }
+
+    async loadConsentBanner() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'getConsentBanner',
+                tabId: this.currentTab.id
+            });
+
+            // Reports are kept per tab, so one from a previous site may linger
+            if (response.success && response.data &&
+                new URL(response.data.url).hostname === new URL(this.currentTab.url).hostname) {
+                this.renderConsentBanner(response.data);
+            }
+        } catch (error) {
+            console.error('Cookie banner loading error:', error);
+        }
+    }
+
+    renderConsentBanner(report) {
+        const section = document.getElementById('consent-section');
+        const overview = document.getElementById('consent-overview');
+        const patterns = document.getElementById('consent-patterns');
+        const purposes = document.getElementById('consent-purposes');
+        if (!section || !overview || !patterns || !purposes) return;
+
+        section.style.display = 'block';
+        overview.textContent = `${report.platformName} · ${report.purposes.length} purpose${report.purposes.length === 1 ? '' : 's'} · ` +
+            `${report.vendorCount} vendor${report.vendorCount === 1 ? '' : 's'}`;
+
+        patterns.innerHTML = report.darkPatterns.length === 0
+            ? '<div class="consent-ok">No dark patterns found in this banner.</div>'
+            : report.darkPatterns.map(pattern => `
+                <div class="red-flag-card">
+                    <div class="red-flag-header">
+                        <span class="red-flag-title">${this.escapeHtml(pattern.title)}</span>
+                        <span class="severity-chip">${this.getSeverityEmoji(pattern.severity)} ${pattern.severity}</span>
+                    </div>
+                    <div class="red-flag-description">${this.escapeHtml(pattern.whatItMeans)}</div>
+                    <div class="red-flag-description">${pattern.evidence.map(item => `“${this.escapeHtml(item)}”`).join(', ')}</div>
+                </div>
+            `).join('');
+
+        const tags = (purpose) => [
+            purpose.required ? 'required' : '',
+            purpose.preChecked ? 'pre-ticked' : '',
+            purpose.legitimateInterest ? 'legitimate interest' : ''
+        ].filter(Boolean).join(', ');
+        purposes.innerHTML = `
+            ${report.purposes.map(purpose => `
+                <div class="consent-purpose">
+                    <span>${this.escapeHtml(purpose.name)}</span>
+                    <span class="consent-purpose-tags">${tags(purpose)}</span>
+                </div>
+            `).join('') || '<div>The banner lists no purposes.</div>'}
+            ${report.vendors.length ? `<div class="consent-vendors">${report.vendors.slice(0, 30).map(vendor => this.escapeHtml(vendor)).join(', ')}${report.vendors.length > 30 ? ` and ${report.vendors.length - 30} more` : ''}</div>` : ''}
+        `;
+    }
+
+    async loadTrackerInventory() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'getTrackerInventory',
+                tabId: this.currentTab.id
+            });
+
+            if (response.success) {
+                this.renderTrackerInventory(response.data);
+            }
+        } catch (error) {
+            console.error('Tracker inventory loading error:', error);
+        }
+    }
+
+    renderTrackerInventory(report) {
+        const section = document.getElementById('trackers-section');
+        const overview = document.getElementById('trackers-overview');
+        const gaps = document.getElementById('trackers-gaps');
+        const list = document.getElementById('trackers-list');
+        if (!section || !overview || !gaps || !list) return;
+        if (report.trackers.length === 0 && report.otherThirdParties.length === 0) return;
+
+        section.style.display = 'block';
+        overview.textContent = `${report.trackers.length} known tracker${report.trackers.length === 1 ? '' : 's'} · ` +
+            `${report.otherThirdParties.length} other third-part${report.otherThirdParties.length === 1 ? 'y' : 'ies'}`;
+
+        if (!report.policyUrl) {
+            gaps.innerHTML = '<div class="trackers-note">Analyze this site\'s privacy policy to check it against these trackers.</div>';
+        } else {
+            gaps.innerHTML = report.gaps.length === 0
+                ? '<div class="consent-ok">The policy covers the trackers found on this page.</div>'
+                : report.gaps.map(gap => `
+                    <div class="red-flag-card">
+                        <div class="red-flag-header">
+                            <span class="red-flag-title">${this.escapeHtml(gap.title)}</span>
+                            <span class="severity-chip">${this.getSeverityEmoji(gap.severity)} ${gap.severity}</span>
+                        </div>
+                        <div class="red-flag-description">${gap.trackers.map(name => this.escapeHtml(name)).join(', ')}</div>
+                        ${gap.clause ? `<div class="red-flag-description">“${this.escapeHtml(gap.clause)}”</div>` : ''}
+                    </div>
+                `).join('');
+        }
+
+        const loads = (tracker) => [
+            tracker.scripts ? `${tracker.scripts} script${tracker.scripts === 1 ? '' : 's'}` : '',
+            tracker.pixels ? `${tracker.pixels} pixel${tracker.pixels === 1 ? '' : 's'}` : '',
+            tracker.requests ? `${tracker.requests} request${tracker.requests === 1 ? '' : 's'}` : '',
+            tracker.cookies.length ? `${tracker.cookies.length} cookie${tracker.cookies.length === 1 ? '' : 's'}` : ''
+        ].filter(Boolean).join(', ');
+        list.innerHTML = `
+            ${report.trackers.map(tracker => `
+                <div class="consent-purpose">
+                    <span>${this.escapeHtml(tracker.name)} <span class="tracker-category">${this.escapeHtml(tracker.category)}</span></span>
+                    <span class="consent-purpose-tags">${loads(tracker)}</span>
+                </div>
+            `).join('')}
+            ${report.otherThirdParties.length ? `<div class="consent-vendors">Other third parties: ${report.otherThirdParties.map(host => this.escapeHtml(host)).join(', ')}</div>` : ''}
+        `;
+    }
+
+    getScoreLevel(score, thresholds = { good: 75, caution: 50 }) {
+        if (score >= thresholds.good) return 'good';
+        if (score >= thresholds.caution) return 'caution';
+        return 'poor';
+    }
+
     renderSummary() {
-        const { summary } = this.analysisData;
+        const { summary, summarySource, summaryFallback } = this.analysisData;
         const container = document.getElementById('summary-bullets');
         
         if (!container) return;
+
+        const sourceBadge = document.getElementById('summary-source');
+        if (sourceBadge) sourceBadge.style.display = summarySource === 'llm' ? 'inline-block' : 'none';
+
+        const fallbackNotice = document.getElementById('summary-fallback');
+        if (fallbackNotice) fallbackNotice.style.display = summaryFallback ? 'block' : 'none';
         
+        // Bullets may come from the user's model endpoint, so never trust their markup
         container.innerHTML = summary.map(item => `
             <div class="summary-bullet" data-evidence='${JSON.stringify(item.evidence || [])}'>
                 <div class="summary-bullet-content">
                     <span class="bullet-icon">${this.getSummaryIcon(item.id)}</span>
-                    <span class="bullet-text">${item.text}</span>
+                    <span class="bullet-text">${this.withTerms(item.text, item.terms)}</span>
                 </div>
             </div>
         `).join('');
@@ -221,10 +544,10 @@ class PopupController {
         container.innerHTML = redFlags.map(flag => `
             <div class="red-flag-card" data-flag-id="${flag.id}">
                 <div class="red-flag-header">
-                    <span class="red-flag-title">${flag.title}</span>
+                    <span class="red-flag-title">${this.escapeHtml(flag.title)}</span>
                     <span class="severity-chip">${this.getSeverityEmoji(flag.severity)} ${flag.severity}</span>
                 </div>
-                <div class="red-flag-description">${flag.whatItMeans}</div>
+                <div class="red-flag-description">${this.escapeHtml(flag.whatItMeans)}</div>
             </div>
         `).join('');
 
@@ -238,6 +561,97 @@ class PopupController {
         });
     }
 
+    renderCompliance() {
+        const { compliance, languageSupported } = this.analysisData;
+        const section = document.getElementById('compliance-section');
+        const tabs = document.getElementById('compliance-tabs');
+        const note = document.getElementById('compliance-note');
+        const container = document.getElementById('compliance-container');
+
+        if (!section || !tabs || !note || !container) return;
+        if (languageSupported === false || !compliance?.items.length) {
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = 'block';
+
+        const labels = { gdpr: 'GDPR', ccpa: 'CCPA/CPRA', coppa: 'COPPA' };
+        const regimes = Object.keys(labels).filter(regime => compliance.items.some(item => item.regime === regime));
+        // Start on a law the policy names, since that's the one it claims to follow
+        if (!regimes.includes(this.complianceRegime)) {
+            this.complianceRegime = regimes.find(regime => compliance.referenced.includes(regime)) || regimes[0];
+        }
+
+        tabs.innerHTML = regimes.map(regime => `
+            <button class="compliance-tab ${regime === this.complianceRegime ? 'active' : ''}" data-regime="${regime}">
+                ${labels[regime]}${compliance.referenced.includes(regime) ? ' · named' : ''}
+            </button>
+        `).join('');
+        tabs.querySelectorAll('.compliance-tab').forEach(tab => {
+            tab.addEventListener('click', (e) => {
+                this.complianceRegime = e.currentTarget.dataset.regime;
+                this.renderCompliance();
+            });
+        });
+
+        const items = compliance.items.filter(item => item.regime === this.complianceRegime);
+        const passed = items.filter(item => item.status === 'pass').length;
+        note.textContent = `${passed} of ${items.length} disclosures found.` +
+            (compliance.referenced.includes(this.complianceRegime) ? '' : ' The policy does not name this law, so it may not apply.');
+
+        const statusLabels = { pass: '✅ Pass', unclear: '❓ Unclear', missing: '❌ Missing' };
+        container.innerHTML = items.map(item => `
+            <div class="compliance-item ${item.evidenceRanges ? 'has-evidence' : ''}" data-item-id="${item.id}" title="${this.escapeHtml(item.requirement)}">
+                <div class="compliance-item-text">
+                    ${this.escapeHtml(item.title)}
+                    ${item.missing ? `<div class="compliance-item-missing">Not covered: ${this.escapeHtml(item.missing.join(', '))}</div>` : ''}
+                </div>
+                <span class="compliance-status ${item.status}">${statusLabels[item.status]}</span>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.compliance-item.has-evidence').forEach(row => {
+            row.addEventListener('click', (e) => {
+                const item = items.find(entry => entry.id === e.currentTarget.dataset.itemId);
+                this.showEvidence(item.evidenceRanges);
+            });
+        });
+    }
+
+    renderReadability() {
+        const { readability } = this.analysisData;
+        const section = document.getElementById('readability-section');
+        const overview = document.getElementById('readability-overview');
+        const stats = document.getElementById('readability-stats');
+
+        if (!section || !overview || !stats) return;
+        if (!readability) {
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = 'block';
+
+        overview.innerHTML = `
+            <span class="readability-ease ${readability.band}">${readability.readingEase}/100</span>
+            <span>${this.readabilityLabels[readability.band]} · ${this.escapeHtml(readability.readingEaseFormula)}</span>
+        `;
+
+        const grade = readability.gradeLevels[0];
+        const rows = [
+            ['Length', `${readability.words.toLocaleString()} words, about ${readability.readingMinutes} min`],
+            ['Sentences', `${readability.averageSentenceLength} words on average`],
+            ...(grade ? [[`${grade.name} grade`, String(grade.grade)]] : []),
+            ['Legal jargon', `${readability.legaleseShare}% of words`],
+            ['Cross-references', String(readability.crossReferences)]
+        ];
+        stats.innerHTML = rows.map(([label, value]) => `
+            <div class="readability-stat">
+                <span>${this.escapeHtml(label)}</span>
+                <span>${this.escapeHtml(value)}</span>
+            </div>
+        `).join('');
+    }
+
     getSummaryIcon(id) {
         const icons = {
             collection: '📊',
@@ -272,12 +686,50 @@ class PopupController {
         if (lastCheckedEl) lastCheckedEl.textContent = `Last checked: ${timeStr}`;
     }
 
-    showEvidence(evidence) {
+    async showEvidence(evidence) {
         if (!evidence || evidence.length === 0) return;
-        
-        // For now, just show an alert with evidence info
-        // In a full implementation, this would open a detailed evidence viewer
-        alert(`Evidence found in ${evidence.length} location(s) in the policy document.`);
+
+        const pages = this.getEvidencePages(evidence);
+
+        // The PDF viewer has no page text to highlight; point to the pages
+        if (this.analysisData.format === 'pdf') {
+            alert(`Evidence found on page${pages.length !== 1 ? 's' : ''} ${pages.join(', ')} of the document.`);
+            return;
+        }
+
+        const quotes = this.getEvidenceQuotes(evidence);
+
+        try {
+            // Ask the content script to scroll to and select the source clause
+            const response = await chrome.tabs.sendMessage(this.currentTab.id, {
+                action: 'showEvidence',
+                quotes
+            });
+
+            if (response?.success) return;
+        } catch (error) {
+            console.error('Evidence navigation error:', error);
+        }
+
+        alert(pages.length
+            ? `Evidence found on page${pages.length !== 1 ? 's' : ''} ${pages.join(', ')} of the document.`
+            : `Evidence found in ${evidence.length} location(s) in the policy document.`);
+    }
+
+    getEvidencePages(ranges) {
+        const pages = (this.analysisData.pages || [])
+            .filter(page => ranges.some(([start]) => start >= page.start && start < page.end))
+            .map(page => page.page);
+        return Array.from(new Set(pages));
+    }
+
+    getEvidenceQuotes(ranges) {
+        const clauses = (this.analysisData.sections || []).flatMap(section => section.clauses);
+
+        return ranges
+            .map(([start, end]) => clauses.find(clause => clause.start <= start && clause.end >= end))
+            .filter(Boolean)
+            .map(clause => clause.text);
     }
 
     showFlagDetails(flag) {
@@ -289,7 +741,7 @@ class PopupController {
         overlay.innerHTML = `
             <div class="flag-detail-modal">
                 <div class="flag-detail-header">
-                    <h3>${flag.title}</h3>
+                    <h3>${this.escapeHtml(flag.title)}</h3>
                     <button class="close-modal">×</button>
                 </div>
                 <div class="flag-detail-content">
@@ -297,13 +749,14 @@ class PopupController {
                         Severity: ${this.getSeverityEmoji(flag.severity)} ${flag.severity}/5
                     </div>
                     <div class="flag-evidence">
-                        <h4>Evidence:</h4>
-                        <blockquote>"${flag.evidence}"</blockquote>
+                        <h4>Evidence${flag.evidencePages?.length ? ` (page ${flag.evidencePages.join(', ')})` : ''}:</h4>
+                        <blockquote>"${this.withTerms(flag.evidence, flag.evidenceTerms)}"</blockquote>
                     </div>
                     <div class="flag-explanation">
                         <h4>What this means:</h4>
-                        <p>${flag.whatItMeans}</p>
+                        <p>${this.escapeHtml(flag.whatItMeans)}</p>
                     </div>
+                    ${flag.evidenceRanges?.length ? '<button class="show-on-page">Show on page</button>' : ''}
                 </div>
             </div>
         `;
@@ -348,6 +801,16 @@ class PopupController {
             .flag-detail-content {
                 padding: 16px;
             }
+            .show-on-page {
+                margin-top: 12px;
+                width: 100%;
+                padding: 8px;
+                background: var(--bg-glass);
+                border: 1px solid var(--border-color);
+                border-radius: 6px;
+                color: var(--text-primary);
+                cursor: pointer;
+            }
             .flag-evidence blockquote {
                 background: var(--bg-glass);
                 padding: 12px;
@@ -369,11 +832,51 @@ class PopupController {
         };
         
         overlay.querySelector('.close-modal').addEventListener('click', closeModal);
+
+        const showOnPage = overlay.querySelector('.show-on-page');
+        if (showOnPage) {
+            showOnPage.addEventListener('click', () => {
+                closeModal();
+                this.showEvidence(flag.evidenceRanges);
+            });
+        }
         overlay.addEventListener('click', (e) => {
             if (e.target === overlay) closeModal();
         });
     }
 
+    async loadHighlightSetting() {
+        try {
+            const result = await chrome.storage.local.get(['highlightsEnabled']);
+            this.highlightsEnabled = result.highlightsEnabled !== false;
+        } catch (error) {
+            console.error('Highlight setting loading error:', error);
+        }
+        this.updateHighlightToggle();
+    }
+
+    updateHighlightToggle() {
+        const toggle = document.getElementById('highlight-toggle');
+        if (toggle) {
+            toggle.classList.toggle('active', this.highlightsEnabled);
+            toggle.title = this.highlightsEnabled
+                ? 'Hide highlighted clauses on the page'
+                : 'Highlight flagged clauses on the page';
+        }
+    }
+
+    async toggleHighlights() {
+        try {
+            this.highlightsEnabled = !this.highlightsEnabled;
+            this.updateHighlightToggle();
+
+            // The content script listens for this change and adds or removes marks
+            await chrome.storage.local.set({ highlightsEnabled: this.highlightsEnabled });
+        } catch (error) {
+            console.error('Highlight toggle error:', error);
+        }
+    }
+
     async toggleTheme() {
         try {
             this.currentTheme = this.currentTheme === 'dark' ? 'light' : 'dark';
@@ -396,22 +899,120 @@ class PopupController {
         chrome.tabs.remove(this.currentTab.id);
     }
 
-    showAlternatives() {
+    // Suggestions come from the catalog bundled with the extension (or a
+    // newer imported one), so this works offline
+    async showAlternatives() {
+        const section = document.getElementById('alternatives-section');
+        const note = document.getElementById('alternatives-note');
+        const container = document.getElementById('alternatives-container');
+        if (!section || !note || !container) return;
+
+        try {
+            const scored = this.analysisData && this.analysisData.languageSupported !== false;
+            const response = await chrome.runtime.sendMessage({
+                action: 'getAlternatives',
+                url: this.currentTab.url,
+                score: scored ? this.analysisData.scores.aggregate : null
+            });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.renderAlternatives(response.data);
+        } catch (error) {
+            console.error('Alternatives error:', error);
+            note.textContent = 'Could not load the alternatives catalog.';
+            container.innerHTML = '';
+        }
+
+        section.style.display = 'block';
+        section.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    renderAlternatives(report) {
+        const note = document.getElementById('alternatives-note');
+        const container = document.getElementById('alternatives-container');
         const domain = new URL(this.currentTab.url).hostname;
-        const searchUrl = `https://www.google.com/search?q=alternatives+to+${encodeURIComponent(domain)}`;
-        chrome.tabs.create({ url: searchUrl });
+
+        container.innerHTML = '';
+        if (!report.category) {
+            note.textContent = `${domain} is not in the alternatives catalog yet.`;
+            return;
+        }
+        if (report.alternatives.length === 0) {
+            note.textContent = `No ${report.category.name.toLowerCase()} service in the catalog scores above ${report.baseline}/100.`;
+            return;
+        }
+
+        note.textContent = `${report.category.name} services scoring above ${report.service.name} (${report.baseline}/100):`;
+        container.innerHTML = report.alternatives.map(alternative => `
+            <div class="alternative-item" data-url="${this.escapeHtml(alternative.url)}" title="Open ${this.escapeHtml(alternative.name)}">
+                <div class="alternative-info">
+                    <div class="alternative-name">${this.escapeHtml(alternative.name)}</div>
+                    <div class="alternative-meta">
+                        ${alternative.redFlagCount === 0 ? 'No red flags' : `${alternative.redFlagCount} red flag${alternative.redFlagCount === 1 ? '' : 's'}`} ·
+                        scored ${new Date(alternative.analyzedAt).toLocaleDateString()}
+                    </div>
+                </div>
+                <div class="alternative-score">${alternative.aggregate}/100</div>
+                <div class="alternative-gain">+${alternative.scoreGain}</div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.alternative-item').forEach(item => {
+            item.addEventListener('click', () => chrome.tabs.create({ url: item.dataset.url }));
+        });
+    }
+
+    // Opens the history with this policy selected so it can be lined up
+    // against other analyzed vendors
+    openComparison() {
+        const url = chrome.runtime.getURL(`history.html?select=${encodeURIComponent(this.currentTab.url)}`);
+        chrome.tabs.create({ url });
+    }
+
+    toggleExportMenu() {
+        const menu = document.getElementById('export-menu');
+        if (menu) menu.style.display = menu.style.display === 'none' ? 'flex' : 'none';
     }
 
-    async exportReport() {
+    // Markdown, HTML and JSON are rendered by the shared engine; PDF is the
+    // full report page printed by the browser
+    async exportReport(format, btn) {
         if (!this.analysisData) return;
-        
+
+        if (format === 'text') {
+            await this.copyReportText(btn);
+            return;
+        }
+        if (format === 'pdf') {
+            const url = chrome.runtime.getURL(`report.html?url=${encodeURIComponent(this.analysisData.url)}&print=1`);
+            chrome.tabs.create({ url });
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'exportReport',
+                format,
+                analysis: this.analysisData
+            });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            const { content, fileName, mimeType } = response.data;
+            this.downloadReport(content, fileName, mimeType);
+        } catch (error) {
+            console.error('Export failed:', error);
+        }
+    }
+
+    async copyReportText(btn) {
         const report = this.generateReportText();
         
         try {
             await navigator.clipboard.writeText(report);
             
             // Show success feedback
-            const btn = document.getElementById('export-btn');
             const originalText = btn.textContent;
             btn.textContent = '✅ Copied!';
             btn.style.color = 'var(--accent-success)';
@@ -428,7 +1029,7 @@ class PopupController {
     }
 
     generateReportText() {
-        const { summary, redFlags, scores } = this.analysisData;
+        const { summary, redFlags, scores, compliance, readability } = this.analysisData;
         const domain = new URL(this.currentTab.url).hostname;
         
         return `
@@ -455,24 +1056,75 @@ SCORE BREAKDOWN:
 • Tracking: ${scores.tracking}/100
 • Children's Data: ${scores.children}/100
 • Security: ${scores.security}/100
-
+${compliance?.items.length ? `
+COMPLIANCE CHECKLIST:
+${compliance.items.map(item => `• [${item.regime.toUpperCase()}] ${item.title}: ${item.status}${item.missing ? ` (not covered: ${item.missing.join(', ')})` : ''}`).join('\n')}
+` : ''}${readability ? `
+READABILITY:
+• Reading ease: ${readability.readingEase}/100 (${readability.readingEaseFormula})
+• Length: ${readability.words} words, about ${readability.readingMinutes} min to read
+• Average sentence: ${readability.averageSentenceLength} words
+• Legal jargon: ${readability.legaleseShare}% of words
+• Cross-references: ${readability.crossReferences}
+` : ''}
 Generated by T&C Guard Browser Extension
         `.trim();
     }
 
-    downloadReport(content) {
-        const blob = new Blob([content], { type: 'text/plain' });
+    downloadReport(content, fileName = `tc-guard-report-${new Date().toISOString().split('T')[0]}.txt`, mimeType = 'text/plain') {
+        const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `tc-guard-report-${new Date().toISOString().split('T')[0]}.txt`;
+        a.download = fileName;
         a.click();
         URL.revokeObjectURL(url);
     }
 
+    // The report page loads the stored version of this policy, which keeps
+    // the full clause text
     openFullReport() {
-        // Placeholder for opening detailed side panel
-        console.log('Opening full report');
+        if (!this.analysisData) return;
+        const url = chrome.runtime.getURL(`report.html?url=${encodeURIComponent(this.analysisData.url)}`);
+        chrome.tabs.create({ url });
+    }
+
+    async loadWatchState() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getWatchlist', url: this.analysisData.url });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.watching = response.data.watching;
+            this.renderWatchButton();
+        } catch (error) {
+            console.error('Watchlist loading error:', error);
+        }
+    }
+
+    renderWatchButton() {
+        const watchBtn = document.getElementById('watch-btn');
+        if (!watchBtn) return;
+        watchBtn.textContent = this.watching ? '👁 Watching' : 'Watch';
+        watchBtn.classList.toggle('watching', this.watching);
+    }
+
+    // Pins the analyzed policy URL; the settings page can pin whole domains
+    async toggleWatch() {
+        if (!this.analysisData || !/^https?:/.test(this.analysisData.url)) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage(this.watching
+                ? { action: 'removeFromWatchlist', url: this.analysisData.url }
+                : { action: 'addToWatchlist', target: this.analysisData.url });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.watching = !this.watching;
+            this.renderWatchButton();
+        } catch (error) {
+            console.error('Watchlist update error:', error);
+        }
     }
 
     retryAnalysis() {
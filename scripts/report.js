@@ -0,0 +1,332 @@
+class ReportController {
+    constructor() {
+        const params = new URLSearchParams(window.location.search);
+        this.query = params.has('id') ? { id: params.get('id') } : { url: params.get('url') || '' };
+        // The popup's PDF export opens the report ready to print
+        this.printOnLoad = params.get('print') === '1';
+        this.analysis = null;
+        this.scoreLabels = {
+            collection: 'Data Collection',
+            sharingSelling: 'Data Sharing/Selling',
+            rights: 'User Rights',
+            retention: 'Data Retention',
+            dispute: 'Dispute Resolution',
+            license: 'Content License',
+            tracking: 'Tracking',
+            children: 'Children\'s Data',
+            security: 'Security'
+        };
+        this.readabilityLabels = {
+            plain: 'Plain language',
+            'fairly-difficult': 'Fairly difficult',
+            difficult: 'Difficult',
+            'very-difficult': 'Very difficult'
+        };
+        this.init();
+    }
+
+    async init() {
+        await this.loadTheme();
+        document.getElementById('report-print').addEventListener('click', () => window.print());
+        // Printed reports show the evidence behind every score
+        window.addEventListener('beforeprint', () => {
+            document.querySelectorAll('.report-score').forEach(details => { details.open = true; });
+        });
+        await this.loadReport();
+        if (this.printOnLoad && this.analysis) window.print();
+
+        // The background re-weights the report with the new profile
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'local' && changes.scoringProfiles) this.loadReport();
+        });
+    }
+
+    // Follows the theme chosen in the popup
+    async loadTheme() {
+        try {
+            const result = await chrome.storage.local.get(['theme']);
+            document.body.className = `theme-${result.theme || 'dark'}`;
+        } catch (error) {
+            console.error('Theme loading error:', error);
+        }
+    }
+
+    async loadReport() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getReport', ...this.query });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.analysis = response.data;
+            this.renderReport();
+        } catch (error) {
+            console.error('Report loading error:', error);
+            this.showStatus(error.message === 'HISTORY_ENTRY_NOT_FOUND'
+                ? 'This policy is not in your history anymore. Analyze it again from the popup.'
+                : 'Could not load the report.', true);
+        }
+    }
+
+    renderReport() {
+        const { url } = this.analysis;
+        document.getElementById('report-title').textContent = `Full Report: ${this.getDomain(url)}`;
+        const link = document.getElementById('report-url');
+        link.textContent = url;
+        if (/^https?:/.test(url)) link.href = url;
+        document.title = `T&C Guard: ${this.getDomain(url)}`;
+
+        this.clauses = (this.analysis.sections || []).flatMap(section => section.clauses);
+        this.renderMeta();
+        this.renderScores();
+        this.renderSummary();
+        this.renderFlags();
+        this.renderReadability();
+        this.renderText();
+
+        document.getElementById('report-content').style.display = '';
+        document.getElementById('report-content').addEventListener('click', this.handleEvidenceClick.bind(this));
+    }
+
+    renderMeta() {
+        const { scores, scoring, retrievedAt, contentHash, language, languageSupported, format, summarySource } = this.analysis;
+        const rows = [
+            ['Trust score', languageSupported === false ? 'Not scored' : `${scores.aggregate}/100`],
+            ['Scoring profile', scoring ? scoring.profileName : 'Balanced'],
+            ['Confidence', languageSupported === false ? '--' : `${Math.round(scores.confidence * 100)}%`],
+            ['Retrieved', new Date(retrievedAt).toLocaleString()],
+            ['Content hash', contentHash],
+            ['Language', this.getLanguageName(language)],
+            ['Format', (format || 'html').toUpperCase()],
+            ['Clauses', String(this.clauses.length)],
+            ['Key points', summarySource === 'llm' ? 'AI summary' : 'Rule-based']
+        ];
+
+        document.getElementById('report-meta').innerHTML = rows.map(([label, value]) => `
+            <dt>${label}</dt>
+            <dd>${this.escapeHtml(value)}</dd>
+        `).join('');
+    }
+
+    renderScores() {
+        const container = document.getElementById('report-scores');
+        const { scores, scoreContributions, scoreEvidence = {}, languageSupported } = this.analysis;
+
+        if (languageSupported === false) {
+            container.innerHTML = '<div class="report-empty">Policies in this language are not scored yet.</div>';
+            return;
+        }
+
+        container.innerHTML = Object.entries(this.scoreLabels).map(([key, label]) => {
+            const ranges = scoreEvidence[key] || [];
+            // Analyses saved before contributions were itemized only have the ranges
+            const details = scoreContributions
+                ? this.renderContributions(scoreContributions[key] || [])
+                : ranges.length === 0
+                    ? '<div class="report-empty">No clause moved this score from the neutral 50.</div>'
+                    : ranges.map(range => this.renderEvidenceLink(range)).join('');
+            return `
+                <details class="report-score">
+                    <summary>
+                        <span class="report-score-label">${label}</span>
+                        <span class="report-score-value ${this.getScoreBand(scores[key])}">${scores[key]}/100</span>
+                    </summary>
+                    <div class="report-score-bar"><div class="report-score-fill ${this.getScoreBand(scores[key])}" style="width: ${scores[key]}%"></div></div>
+                    ${details}
+                </details>
+            `;
+        }).join('');
+    }
+
+    renderContributions(contributions) {
+        if (contributions.length === 0) {
+            return '<div class="report-empty">Nothing in the policy moved this score from the neutral 50.</div>';
+        }
+
+        return `
+            <div class="report-why">Why this score: every category starts at 50.</div>
+            ${contributions.map(item => `
+                <div class="report-contribution">
+                    <div class="report-contribution-row">
+                        <span>${this.escapeHtml(item.label)}</span>
+                        <span class="report-contribution-points ${item.points > 0 ? 'good' : 'concerning'}">${item.points > 0 ? '+' : ''}${item.points}</span>
+                    </div>
+                    ${(item.ranges || []).map(range => this.renderEvidenceLink(range)).join('')}
+                </div>
+            `).join('')}
+        `;
+    }
+
+    renderSummary() {
+        const container = document.getElementById('report-summary');
+        const { summary = [] } = this.analysis;
+
+        container.innerHTML = summary.length === 0
+            ? '<div class="report-empty">No key points for this policy.</div>'
+            : summary.map(item => `
+                <button class="report-item" data-range="${(item.evidence?.[0] || []).join(',')}">
+                    ${this.escapeHtml(item.text)}
+                    ${item.evidencePages?.length ? `<span class="report-page">p. ${item.evidencePages.join(', ')}</span>` : ''}
+                </button>
+            `).join('');
+    }
+
+    renderFlags() {
+        const container = document.getElementById('report-flags');
+        const { redFlags = [] } = this.analysis;
+
+        if (redFlags.length === 0) {
+            document.getElementById('report-flags-section').style.display = 'none';
+            return;
+        }
+
+        container.innerHTML = redFlags.map(flag => `
+            <div class="report-flag severity-${flag.severity}">
+                <div class="report-flag-title">${this.escapeHtml(flag.title)} <span class="report-flag-severity">${flag.severity}/5</span></div>
+                <div class="report-flag-meaning">${this.escapeHtml(flag.whatItMeans)}</div>
+                ${(flag.evidenceRanges || []).map(range => this.renderEvidenceLink(range)).join('')}
+            </div>
+        `).join('');
+    }
+
+    renderReadability() {
+        const { readability } = this.analysis;
+        if (!readability) {
+            document.getElementById('report-readability-section').style.display = 'none';
+            return;
+        }
+        document.getElementById('report-readability-section').style.display = '';
+
+        const rows = [
+            [readability.readingEaseFormula, `${readability.readingEase}/100 (${this.readabilityLabels[readability.band]})`],
+            ...readability.gradeLevels.map(level => [`${level.name} grade`, String(level.grade)]),
+            ['Words', readability.words.toLocaleString()],
+            ['Reading time', `about ${readability.readingMinutes} min`],
+            ['Average sentence', `${readability.averageSentenceLength} words`],
+            ['Legal jargon', `${readability.legaleseShare}% of words`],
+            ['Cross-references', String(readability.crossReferences)]
+        ];
+        document.getElementById('report-readability').innerHTML = rows.map(([label, value]) => `
+            <dt>${this.escapeHtml(label)}</dt>
+            <dd>${this.escapeHtml(value)}</dd>
+        `).join('');
+
+        document.getElementById('report-jargon').textContent = readability.legaleseTerms.length
+            ? `Most frequent jargon: ${readability.legaleseTerms.map(item => `"${item.term}" (${item.count})`).join(', ')}`
+            : '';
+    }
+
+    // The policy as segmented for analysis, with every clause a flag or key
+    // point points at marked up
+    renderText() {
+        const container = document.getElementById('report-text');
+        const flagsByClause = new Map();
+        const summarized = new Set();
+
+        (this.analysis.redFlags || []).forEach(flag => {
+            this.clausesIn(flag.evidenceRanges).forEach(clause => {
+                const flags = flagsByClause.get(clause.id) || [];
+                flagsByClause.set(clause.id, [...flags, flag]);
+            });
+        });
+        (this.analysis.summary || []).forEach(item => {
+            this.clausesIn(item.evidence).forEach(clause => summarized.add(clause.id));
+        });
+
+        const renderClause = (clause) => {
+            const flags = flagsByClause.get(clause.id) || [];
+            const severity = Math.max(0, ...flags.map(flag => flag.severity));
+            const classes = [
+                'report-clause',
+                flags.length > 0 ? `flagged severity-${severity}` : '',
+                summarized.has(clause.id) ? 'summarized' : ''
+            ].filter(Boolean).join(' ');
+            const title = flags.map(flag => `${flag.title}: ${flag.whatItMeans}`).join('\n');
+
+            return `<span id="clause-${clause.start}" class="${classes}"${title ? ` title="${this.escapeHtml(title)}"` : ''}>${this.escapeHtml(clause.text)}</span>`;
+        };
+
+        container.innerHTML = (this.analysis.sections || []).map(section => `
+            <div class="report-section">
+                ${section.heading ? `<h3>${section.number ? `${this.escapeHtml(section.number)} ` : ''}${this.escapeHtml(section.heading)}</h3>` : ''}
+                <p>${section.clauses.map(renderClause).join(' ')}</p>
+            </div>
+        `).join('') || '<div class="report-empty">The policy text was not stored with this analysis.</div>';
+    }
+
+    renderEvidenceLink(range) {
+        const clause = this.clausesIn([range])[0];
+        if (!clause) return '';
+
+        const text = clause.text.length > 160 ? `${clause.text.slice(0, 160)}...` : clause.text;
+        return `
+            <button class="report-evidence" data-range="${range.join(',')}">
+                "${this.escapeHtml(text)}"
+                ${clause.page ? `<span class="report-page">p. ${clause.page}</span>` : ''}
+            </button>
+        `;
+    }
+
+    handleEvidenceClick(event) {
+        const link = event.target.closest('[data-range]');
+        if (!link || !link.dataset.range) return;
+
+        const [start, end] = link.dataset.range.split(',').map(Number);
+        const clause = this.clausesIn([[start, end]])[0];
+        const element = clause && document.getElementById(`clause-${clause.start}`);
+        if (!element) return;
+
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('focused');
+        setTimeout(() => element.classList.remove('focused'), 2000);
+    }
+
+    // Evidence ranges are clause ranges, possibly spanning several clauses
+    clausesIn(ranges = []) {
+        return this.clauses.filter(clause => ranges.some(([start, end]) => clause.start < end && clause.end > start));
+    }
+
+    getDomain(url) {
+        try {
+            return new URL(url).hostname || url;
+        } catch {
+            return url;
+        }
+    }
+
+    getLanguageName(code) {
+        try {
+            if (code && code !== 'und') {
+                return new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+            }
+        } catch (error) {
+            console.log('Unknown language code:', code);
+        }
+        return 'Unknown';
+    }
+
+    // Same bands as the trust levels in the popup, set by the scoring profile
+    getScoreBand(score) {
+        const thresholds = this.analysis?.scoring?.thresholds || { good: 75, caution: 50 };
+        if (score >= thresholds.good) return 'good';
+        if (score >= thresholds.caution) return 'caution';
+        return 'concerning';
+    }
+
+    showStatus(message, isError = false) {
+        const status = document.getElementById('report-status');
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize report page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new ReportController();
+});
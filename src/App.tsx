@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { ErrorBoundary } from './components/ErrorBoundary';
 import ConsentDialog from './components/ConsentDialog';
 import { ConsentManager } from './services/ConsentManager';
+import type { UserConsent } from './services/ConsentManager';
 import { EncryptionService } from './services/EncryptionService';
 import { ErrorReporting } from './services/ErrorReporting';
 import { Shield, Search, ExternalLink, AlertTriangle, CheckCircle, XCircle, Download, Copy, BarChart3 } from 'lucide-react';
@@ -9,21 +10,52 @@ import UrlInput from './components/UrlInput';
 import AnalysisResults from './components/AnalysisResults';
 import LoadingState from './components/LoadingState';
 import ErrorState from './components/ErrorState';
+import SummaryModeToggle from './components/SummaryModeToggle';
+import HistoryDashboard from './components/HistoryDashboard';
+import ComparisonView from './components/ComparisonView';
 import { PolicyAnalyzer } from './services/PolicyAnalyzer';
 import { UrlExtractor } from './services/UrlExtractor';
-import type { AnalysisResult } from './types/analysis';
+import { LlmSummarizer } from './services/LlmSummarizer';
+import { HistoryStore } from './services/HistoryStore';
+import { ScoringProfileStore } from './services/ScoringProfileStore';
+import { ScoringProfiles } from './services/ScoringProfiles';
+import { PolicyComparison } from './services/PolicyComparison';
+import type { HistoryRecord } from './services/HistoryStore';
+import type { LlmSettings } from './services/LlmSummarizer';
+import type { ExtractionMode } from './services/UrlExtractor';
+import type { AnalysisResult, PolicyComparisonReport, PolicyContent, ScoringSettings } from './types/analysis';
 
 // Check if running in Chrome extension environment
 const isExtensionEnvironment = typeof window !== 'undefined' && 
   window.chrome && 
   window.chrome.storage;
 
+// Optional model endpoint for summaries (see .env.example). Nothing is sent
+// until the user also turns AI summaries on. An API key, if the endpoint
+// needs one, is entered by the user at runtime and never built in.
+const llmSettings: LlmSettings | null = import.meta.env.VITE_LLM_ENDPOINT && import.meta.env.VITE_LLM_MODEL
+  ? {
+    enabled: true,
+    endpoint: import.meta.env.VITE_LLM_ENDPOINT,
+    model: import.meta.env.VITE_LLM_MODEL
+  }
+  : null;
+
 // Mock services for non-extension environment
 class MockConsentManager {
+  // Held for the session only, like the rest of the web demo
+  private consent: UserConsent = {
+    dataCollection: true,
+    analytics: false,
+    storage: true,
+    llmSummaries: false,
+    consentDate: new Date().toISOString(),
+    version: '1.0.0'
+  };
   static getInstance() { return new MockConsentManager(); }
   async hasValidConsent() { return true; }
-  async getConsent() { return { analytics: false, dataCollection: true, storage: true }; }
-  async saveConsent() { return; }
+  async getConsent() { return this.consent; }
+  async saveConsent(consent: UserConsent) { this.consent = consent; }
 }
 
 class MockEncryptionService {
@@ -44,7 +76,16 @@ function App() {
   const [analysisResult, setAnalysisResult] = useState<AnalysisResult | null>(null);
   const [error, setError] = useState<string | null>(null);
   const [currentUrl, setCurrentUrl] = useState<string>('');
+  const [currentMode, setCurrentMode] = useState<ExtractionMode>('live');
+  const [currentFile, setCurrentFile] = useState<File | null>(null);
   const [showConsentDialog, setShowConsentDialog] = useState(false);
+  const [llmConsent, setLlmConsent] = useState(false);
+  const [llmApiKey, setLlmApiKey] = useState('');
+  const [historyStore] = useState(() => new HistoryStore());
+  const [historyRecords, setHistoryRecords] = useState<HistoryRecord[]>(() => historyStore.load());
+  const [comparison, setComparison] = useState<PolicyComparisonReport | null>(null);
+  const [scoringStore] = useState(() => new ScoringProfileStore());
+  const [scoringSettings, setScoringSettings] = useState<ScoringSettings>(() => scoringStore.load());
   const [consentManager] = useState(() => 
     isExtensionEnvironment ? ConsentManager.getInstance() : new MockConsentManager()
   );
@@ -74,6 +115,7 @@ function App() {
         if (consent?.analytics) {
           await errorReporting.initialize(true);
         }
+        setLlmConsent(consent?.llmSummaries === true);
       }
     } catch (error) {
       console.error('Service initialization error:', error);
@@ -109,7 +151,36 @@ function App() {
     setError('T&C Guard requires consent to analyze policies. Please refresh and accept to use the extension.');
   };
 
-  const handleAnalyze = async (url: string) => {
+  const handleLlmConsentChange = async (granted: boolean) => {
+    try {
+      const consent = await consentManager.getConsent();
+      if (!consent) {
+        setShowConsentDialog(true);
+        return;
+      }
+
+      await consentManager.saveConsent({ ...consent, llmSummaries: granted });
+      setLlmConsent(granted);
+    } catch (error) {
+      console.error('Consent save error:', error);
+      errorReporting.reportError(error as Error, { action: 'consent_save' });
+    }
+  };
+
+  const handleAnalyze = (url: string, mode: ExtractionMode = 'live') => {
+    setCurrentFile(null);
+    setCurrentMode(mode);
+    // Samples analyze demo text, so they stay out of the history
+    return runAnalysis(url, () => new UrlExtractor().extractFromUrl(url, mode), mode !== 'sample');
+  };
+
+  const handleAnalyzeFile = (file: File) => {
+    setCurrentFile(file);
+    setCurrentMode('live');
+    return runAnalysis(file.name, () => new UrlExtractor().extractFromFile(file));
+  };
+
+  const runAnalysis = async (source: string, extract: () => Promise<PolicyContent | null>, keepInHistory = true) => {
     try {
       // Check consent first
       const hasConsent = await consentManager.hasValidConsent();
@@ -121,12 +192,11 @@ function App() {
       setIsAnalyzing(true);
       setError(null);
       setAnalysisResult(null);
-      setCurrentUrl(url);
+      setCurrentUrl(source);
 
       try {
-        // Extract content from URL
-        const extractor = new UrlExtractor();
-        const content = await extractor.extractFromUrl(url);
+        // Extract content from the URL or file
+        const content = await extract();
         
         if (!content) {
           throw new Error('NO_POLICY');
@@ -134,14 +204,22 @@ function App() {
 
         // Analyze the content
         const analyzer = new PolicyAnalyzer();
-        const result = await analyzer.analyze(content, url);
+        analyzer.setScoringProfile(new ScoringProfiles().active(scoringSettings));
+        const consent = await consentManager.getConsent();
+        if (LlmSummarizer.isAllowed(llmSettings, consent)) {
+          analyzer.setSummarizer(new LlmSummarizer({ ...llmSettings, apiKey: llmApiKey.trim() || undefined }));
+        }
+        const result = await analyzer.analyze(content, source);
         
         setAnalysisResult(result);
+        if (keepInHistory && consent?.storage) {
+          setHistoryRecords(historyStore.save(result));
+        }
       } catch (err: any) {
         console.error('Analysis error:', err);
         errorReporting.reportError(err, {
           action: 'analyze_policy',
-          url: url,
+          url: source,
           timestamp: new Date().toISOString()
         });
         
@@ -149,6 +227,18 @@ function App() {
           setError('No policy content found at this URL. Please check the link or try a direct link to the privacy policy or terms of service.');
         } else if (err.message === 'FETCH_ERROR') {
           setError('Unable to fetch content from this URL. The site may block automated requests or require authentication.');
+        } else if (err.message === 'ACCESS_DENIED' || err.message === 'PAYWALL') {
+          setError('This policy is behind a login or paywall, so its text could not be read.');
+        } else if (err.message === 'REDIRECTED') {
+          setError('The URL redirected to a homepage or login page instead of the policy. Try the final policy URL directly.');
+        } else if (err.message === 'UNSUPPORTED_CONTENT') {
+          setError('This document is not an HTML page, PDF or text file, or the PDF is encrypted, so it cannot be analyzed.');
+        } else if (err.message === 'DOCUMENT_TOO_LARGE') {
+          setError('This document is too large to analyze. PDFs up to 20 MB are supported.');
+        } else if (err.message === 'PROXY_NOT_CONFIGURED') {
+          setError('Live fetching needs a local proxy when running as a web page. Set VITE_POLICY_PROXY_URL or try a sample analysis.');
+        } else if (err.message.startsWith('URL does not appear') || err.message.startsWith('Please enter a valid URL')) {
+          setError(err.message);
         } else {
           setError('Analysis failed. Please try again or check if the URL is accessible.');
         }
@@ -160,10 +250,32 @@ function App() {
     }
   };
 
+  const handleOpenHistory = (record: HistoryRecord) => {
+    setError(null);
+    setCurrentUrl(record.entry.url);
+    setCurrentMode('live');
+    setCurrentFile(null);
+    setAnalysisResult(record.result);
+  };
+
+  const handleDeleteHistory = (id: string) => {
+    setHistoryRecords(historyStore.remove(id));
+  };
+
+  const handleCompare = (records: HistoryRecord[]) => {
+    try {
+      setComparison(new PolicyComparison().compare(records.map(record => record.result)));
+    } catch (error) {
+      console.error('Comparison error:', error);
+    }
+  };
+
   const handleReset = () => {
     setAnalysisResult(null);
     setError(null);
     setCurrentUrl('');
+    setCurrentMode('live');
+    setCurrentFile(null);
   };
 
   return (
@@ -190,7 +302,7 @@ function App() {
 
           {/* Main Content */}
           <main className="w-full max-w-6xl mx-auto px-4 py-8 min-w-0">
-            {!analysisResult && !isAnalyzing && !error && (
+            {!analysisResult && !comparison && !isAnalyzing && !error && (
               <div className="text-center mb-12">
                 <div className="inline-flex items-center justify-center w-20 h-20 bg-gradient-to-br from-teal-500/20 to-teal-600/20 rounded-2xl mb-6 border border-teal-500/30">
                   <Search className="w-10 h-10 text-teal-400" />
@@ -199,7 +311,7 @@ function App() {
                   Policy Analysis Demo
                 </h2>
                 <p className="text-slate-400 text-base md:text-lg max-w-2xl mx-auto mb-8 px-4">
-                  Enter any policy URL to see how our analysis works. This demo generates realistic analysis results to showcase the full functionality.
+                  Enter any policy URL or drop in a PDF or text file to analyze the document, or explore a sample analysis generated from demo text.
                 </p>
                 
                 
@@ -234,8 +346,31 @@ function App() {
             )}
 
             {/* URL Input */}
-            {!analysisResult && !isAnalyzing && !error && (
-              <UrlInput onAnalyze={handleAnalyze} />
+            {!analysisResult && !comparison && !isAnalyzing && !error && (
+              <UrlInput onAnalyze={handleAnalyze} onAnalyzeFile={handleAnalyzeFile} />
+            )}
+
+            {!analysisResult && !comparison && !isAnalyzing && !error && llmSettings && (
+              <SummaryModeToggle
+                enabled={llmConsent}
+                endpoint={llmSettings.endpoint}
+                apiKey={llmApiKey}
+                onChange={handleLlmConsentChange}
+                onApiKeyChange={setLlmApiKey}
+              />
+            )}
+
+            {!analysisResult && !comparison && !isAnalyzing && !error && historyRecords.length > 0 && (
+              <HistoryDashboard
+                records={historyRecords}
+                onOpen={handleOpenHistory}
+                onDelete={handleDeleteHistory}
+                onCompare={handleCompare}
+              />
+            )}
+
+            {comparison && !analysisResult && (
+              <ComparisonView report={comparison} onClose={() => setComparison(null)} />
             )}
 
             {/* Loading State */}
@@ -247,15 +382,23 @@ function App() {
             {error && (
               <ErrorState 
                 error={error} 
-                onRetry={() => handleAnalyze(currentUrl)}
+                onRetry={() => currentFile ? handleAnalyzeFile(currentFile) : handleAnalyze(currentUrl, currentMode)}
                 onReset={handleReset}
               />
             )}
 
             {/* Analysis Results */}
+            {analysisResult && currentMode === 'sample' && (
+              <div className="max-w-4xl mx-auto mb-6 px-4 py-3 bg-amber-500/10 border border-amber-500/30 rounded-xl text-amber-300 text-sm">
+                Sample analysis of generated demo text, not the live policy at this URL.
+              </div>
+            )}
+
             {analysisResult && (
               <AnalysisResults 
                 result={analysisResult} 
+                scoring={scoringSettings}
+                onScoringChange={(settings) => setScoringSettings(scoringStore.save(settings))}
                 onAnalyzeNew={handleReset}
               />
             )}
@@ -267,7 +410,7 @@ function App() {
               <div className="flex flex-col md:flex-row justify-between items-center gap-4">
                 <div className="flex items-center gap-2 text-slate-400">
                   <Shield className="w-4 h-4" />
-                  <span className="text-sm">Privacy-first analysis • No data stored</span>
+                  <span className="text-sm">Privacy-first analysis • History stays on this device</span>
                 </div>
                 <div className="flex items-center gap-6 text-sm text-slate-400">
                   <a href="#" className="hover:text-teal-400 transition-colors">About</a>
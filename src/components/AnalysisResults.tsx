@@ -12,23 +12,42 @@ import {
   BarChart3,
   FileText,
   Clock,
-  Globe
+  Globe,
+  Languages,
+  Sparkles,
+  ClipboardCheck,
+  FileCode,
+  FileJson,
+  Printer,
+  BookOpen
 } from 'lucide-react';
 import TrustScoreDial from './TrustScoreDial';
 import RedFlagCard from './RedFlagCard';
 import SummaryBullet from './SummaryBullet';
 import ScoreBreakdown from './ScoreBreakdown';
-import type { AnalysisResult } from '../types/analysis';
+import ComplianceChecklist from './ComplianceChecklist';
+import ReadabilityMetrics from './ReadabilityMetrics';
+import ScoringProfilePanel from './ScoringProfilePanel';
+import { ReportExporter } from '../services/ReportExporter';
+import { ScoringProfiles } from '../services/ScoringProfiles';
+import type { ExportFormat } from '../services/ReportExporter';
+import type { AnalysisResult, ScoringSettings } from '../types/analysis';
 
 interface AnalysisResultsProps {
   result: AnalysisResult;
+  scoring: ScoringSettings;
+  onScoringChange: (settings: ScoringSettings) => void;
   onAnalyzeNew: () => void;
 }
 
-const AnalysisResults: React.FC<AnalysisResultsProps> = ({ result, onAnalyzeNew }) => {
+const AnalysisResults: React.FC<AnalysisResultsProps> = ({ result: analyzed, scoring, onScoringChange, onAnalyzeNew }) => {
   const [showFullBreakdown, setShowFullBreakdown] = useState(false);
   const [copiedReport, setCopiedReport] = useState(false);
 
+  // Re-weighted whenever the profile changes, without analyzing again
+  const profile = scoringProfiles.active(scoring);
+  const result = React.useMemo(() => scoringProfiles.apply(analyzed, profile), [analyzed, profile]);
+
   const domain = React.useMemo(() => {
     try {
       return new URL(result.url).hostname;
@@ -38,12 +57,15 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({ result, onAnalyzeNew
   }, [result.url]);
 
   const getTrustLevel = (score: number) => {
-    if (score >= 75) return { level: 'Good', color: 'text-emerald-400', bgColor: 'bg-emerald-500/20' };
-    if (score >= 50) return { level: 'Caution', color: 'text-amber-400', bgColor: 'bg-amber-500/20' };
-    return { level: 'Concerning', color: 'text-red-400', bgColor: 'bg-red-500/20' };
+    const band = scoringProfiles.band(score, profile);
+    if (band === 'good') return { band, level: 'Good', color: 'text-emerald-400', bgColor: 'bg-emerald-500/20' };
+    if (band === 'caution') return { band, level: 'Caution', color: 'text-amber-400', bgColor: 'bg-amber-500/20' };
+    return { band, level: 'Concerning', color: 'text-red-400', bgColor: 'bg-red-500/20' };
   };
 
   const trustLevel = getTrustLevel(result.scores.aggregate);
+  const isUnsupportedLanguage = result.languageSupported === false;
+  const hasCompliance = !isUnsupportedLanguage && !!result.compliance?.items.length;
 
   const handleCopyReport = async () => {
     const report = generateReportText(result);
@@ -56,17 +78,30 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({ result, onAnalyzeNew
     }
   };
 
-  const handleDownloadReport = () => {
-    const report = generateReportText(result);
-    const blob = new Blob([report], { type: 'text/plain' });
+  const handleDownloadReport = (format: ExportFormat) => {
+    const exportedAt = new Date();
+    const file = exporter.export(result, format, exportedAt);
+    const blob = new Blob([file.content], { type: file.mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `tc-guard-report-${domain}-${new Date().toISOString().split('T')[0]}.txt`;
+    a.download = exporter.fileName(result, file.extension, exportedAt);
     a.click();
     URL.revokeObjectURL(url);
   };
 
+  // The browser's print dialog turns the HTML report into a PDF
+  const handlePrintReport = () => {
+    const frame = document.createElement('iframe');
+    frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0;';
+    frame.srcdoc = exporter.toHtml(result);
+    frame.onload = () => {
+      frame.contentWindow?.addEventListener('afterprint', () => frame.remove());
+      frame.contentWindow?.print();
+    };
+    document.body.appendChild(frame);
+  };
+
   return (
     <div className="max-w-4xl mx-auto space-y-8">
       {/* Header */}
@@ -92,44 +127,71 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({ result, onAnalyzeNew
         </div>
 
         {/* Trust Score */}
+        {isUnsupportedLanguage ? (
+          <div className="flex items-start gap-3 p-4 bg-amber-500/10 border border-amber-500/30 rounded-xl">
+            <Languages className="w-5 h-5 text-amber-400 flex-shrink-0 mt-0.5" />
+            <div>
+              <p className="text-amber-300 font-semibold mb-1">Language not supported</p>
+              <p className="text-slate-300 text-sm leading-relaxed">
+                This policy appears to be in {getLanguageName(result.language)}. T&C Guard can analyze English, German, French and Spanish policies, so it has not been scored.
+              </p>
+            </div>
+          </div>
+        ) : (
         <div className="grid md:grid-cols-2 gap-6">
           <div className="text-center">
             <TrustScoreDial 
               score={result.scores.aggregate} 
               confidence={result.scores.confidence}
+              thresholds={profile.thresholds}
             />
           </div>
           <div className="flex flex-col justify-center">
             <div className={`inline-flex items-center gap-2 px-3 py-1 rounded-full text-sm font-semibold mb-4 ${trustLevel.bgColor} ${trustLevel.color} w-fit`}>
-              {result.scores.aggregate >= 75 ? <CheckCircle className="w-4 h-4" /> : 
-               result.scores.aggregate >= 50 ? <AlertTriangle className="w-4 h-4" /> : 
+              {trustLevel.band === 'good' ? <CheckCircle className="w-4 h-4" /> : 
+               trustLevel.band === 'caution' ? <AlertTriangle className="w-4 h-4" /> : 
                <XCircle className="w-4 h-4" />}
               {trustLevel.level}
             </div>
             <p className="text-slate-300 text-sm leading-relaxed">
-              {result.scores.aggregate >= 75 
+              {trustLevel.band === 'good'
                 ? "This policy shows good privacy practices with clear user rights and reasonable data handling."
-                : result.scores.aggregate >= 50
+                : trustLevel.band === 'caution'
                 ? "This policy has some concerning aspects but includes basic privacy protections."
                 : "This policy contains several red flags that may impact your privacy and rights."
               }
             </p>
+            <p className="text-slate-500 text-xs mt-2">Weighted with the {profile.name} profile</p>
           </div>
         </div>
+        )}
       </div>
 
       {/* Summary Bullets */}
+      {!isUnsupportedLanguage && (
       <div className="bg-white/5 backdrop-blur-sm border border-white/10 rounded-2xl p-6">
         <h3 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
           <FileText className="w-5 h-5 text-teal-400" />
           Key Points
+          {result.summarySource === 'llm' && (
+            <span className="ml-auto inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium text-teal-300 bg-teal-500/10 border border-teal-500/30 rounded-full">
+              <Sparkles className="w-3 h-3" />
+              AI summary
+            </span>
+          )}
         </h3>
+        {result.summaryFallback && (
+          <p className="text-amber-300 text-xs mb-4">
+            Your model endpoint did not respond with a usable summary, so the rule-based summary is shown.
+          </p>
+        )}
         <div className="space-y-3">
           {result.summary.map((item, index) => (
-            <SummaryBullet key={index} item={item} />
+            <SummaryBullet key={index} item={item} glossary={result.glossary} />
           ))}
         </div>
       </div>
+      )}
 
       {/* Red Flags */}
       {result.redFlags && result.redFlags.length > 0 && (
@@ -140,13 +202,15 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({ result, onAnalyzeNew
           </h3>
           <div className="space-y-4">
             {result.redFlags.map((flag, index) => (
-              <RedFlagCard key={index} flag={flag} />
+              <RedFlagCard key={index} flag={flag} glossary={result.glossary} />
             ))}
           </div>
         </div>
       )}
 
-      {/* Score Breakdown */}
+      {/* Score Breakdown and Compliance */}
+      {!isUnsupportedLanguage && (
+      <div className={hasCompliance ? 'grid md:grid-cols-2 gap-8 items-start' : ''}>
       <div className="bg-white/5 backdrop-blur-sm border border-white/10 rounded-2xl p-6">
         <div className="flex items-center justify-between mb-4">
           <h3 className="text-lg font-semibold text-white flex items-center gap-2">
@@ -162,9 +226,40 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({ result, onAnalyzeNew
           </button>
         </div>
         
-        <ScoreBreakdown scores={result.scores} showDetails={showFullBreakdown} />
+        <ScoreBreakdown
+          scores={result.scores}
+          showDetails={showFullBreakdown}
+          contributions={result.scoreContributions}
+          thresholds={profile.thresholds}
+        />
       </div>
 
+      {hasCompliance && (
+        <div className="bg-white/5 backdrop-blur-sm border border-white/10 rounded-2xl p-6">
+          <h3 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
+            <ClipboardCheck className="w-5 h-5 text-teal-400" />
+            Compliance Checklist
+          </h3>
+          <ComplianceChecklist report={result.compliance!} />
+        </div>
+      )}
+      </div>
+      )}
+
+      {result.readability && (
+        <div className="bg-white/5 backdrop-blur-sm border border-white/10 rounded-2xl p-6">
+          <h3 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
+            <BookOpen className="w-5 h-5 text-teal-400" />
+            Readability
+          </h3>
+          <ReadabilityMetrics report={result.readability} />
+        </div>
+      )}
+
+      {!isUnsupportedLanguage && (
+        <ScoringProfilePanel settings={scoring} onChange={onScoringChange} />
+      )}
+
       {/* Actions */}
       <div className="bg-white/5 backdrop-blur-sm border border-white/10 rounded-2xl p-6">
         <h3 className="text-lg font-semibold text-white mb-4">Export & Share</h3>
@@ -178,11 +273,35 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({ result, onAnalyzeNew
           </button>
           
           <button
-            onClick={handleDownloadReport}
+            onClick={() => handleDownloadReport('markdown')}
             className="inline-flex items-center gap-2 px-4 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg border border-white/20 transition-colors"
           >
             <Download className="w-4 h-4" />
-            Download Report
+            Markdown
+          </button>
+
+          <button
+            onClick={() => handleDownloadReport('html')}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg border border-white/20 transition-colors"
+          >
+            <FileCode className="w-4 h-4" />
+            HTML
+          </button>
+
+          <button
+            onClick={handlePrintReport}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg border border-white/20 transition-colors"
+          >
+            <Printer className="w-4 h-4" />
+            PDF
+          </button>
+
+          <button
+            onClick={() => handleDownloadReport('json')}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg border border-white/20 transition-colors"
+          >
+            <FileJson className="w-4 h-4" />
+            JSON
           </button>
           
           <a
@@ -200,14 +319,45 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({ result, onAnalyzeNew
   );
 };
 
+const exporter = new ReportExporter();
+
+const scoringProfiles = new ScoringProfiles();
+
+const getLanguageName = (code: string): string => {
+  try {
+    if (code && code !== 'und') {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    }
+  } catch {
+    // Not a valid language tag
+  }
+  return 'an undetermined language';
+};
+
 const generateReportText = (result: AnalysisResult): string => {
-  const domain = new URL(result.url).hostname;
+  let domain = result.url;
+  try {
+    domain = new URL(result.url).hostname;
+  } catch {
+    // Local files are reported by name
+  }
+
+  if (result.languageSupported === false) {
+    return `
+T&C GUARD ANALYSIS REPORT
+Domain: ${domain}
+Analyzed: ${new Date(result.retrievedAt).toLocaleString()}
+Not scored: the policy appears to be in ${getLanguageName(result.language)}, which is not supported yet.
+
+Generated by T&C Guard Web Application
+    `.trim();
+  }
   
   return `
 T&C GUARD ANALYSIS REPORT
 Domain: ${domain}
 Analyzed: ${new Date(result.retrievedAt).toLocaleString()}
-Trust Score: ${result.scores.aggregate}/100 (${Math.round(result.scores.confidence * 100)}% confidence)
+Trust Score: ${result.scores.aggregate}/100 (${Math.round(result.scores.confidence * 100)}% confidence)${result.scoring ? `, ${result.scoring.profileName} profile` : ''}
 
 KEY POINTS:
 ${result.summary.map(item => `• ${item.text}`).join('\n')}
@@ -227,7 +377,17 @@ SCORE BREAKDOWN:
 • Tracking: ${result.scores.tracking}/100
 • Children's Data: ${result.scores.children}/100
 • Security: ${result.scores.security}/100
-
+${result.compliance?.items.length ? `
+COMPLIANCE CHECKLIST:
+${result.compliance.items.map(item => `• [${item.regime.toUpperCase()}] ${item.title}: ${item.status}${item.missing ? ` (not covered: ${item.missing.join(', ')})` : ''}`).join('\n')}
+` : ''}${result.readability ? `
+READABILITY:
+• Reading ease: ${result.readability.readingEase}/100 (${result.readability.readingEaseFormula})
+• Length: ${result.readability.words} words, about ${result.readability.readingMinutes} min to read
+• Average sentence: ${result.readability.averageSentenceLength} words
+• Legal jargon: ${result.readability.legaleseShare}% of words
+• Cross-references: ${result.readability.crossReferences}
+` : ''}
 Generated by T&C Guard Web Application
   `.trim();
 };
@@ -0,0 +1,128 @@
+import React from 'react';
+import { ArrowLeft, BarChart3, AlertTriangle, FileText, Trophy } from 'lucide-react';
+import type { ComparedScore, PolicyComparisonReport } from '../types/analysis';
+
+interface ComparisonViewProps {
+  report: PolicyComparisonReport;
+  onClose: () => void;
+}
+
+const scoreLabels: Record<ComparedScore, string> = {
+  aggregate: 'Trust Score',
+  collection: 'Data Collection',
+  sharingSelling: 'Data Sharing/Selling',
+  rights: 'User Rights',
+  retention: 'Data Retention',
+  dispute: 'Dispute Resolution',
+  license: 'Content License',
+  tracking: 'Tracking',
+  children: 'Children\'s Data',
+  security: 'Security'
+};
+
+const stanceLabels = {
+  asserted: 'States it',
+  conditional: 'Only under conditions',
+  negated: 'Rules it out'
+};
+
+const cellClass = (isBest: boolean) => `p-3 align-top text-sm border-l border-white/10 ${
+  isBest ? 'bg-emerald-500/10 text-emerald-300' : 'text-slate-300'
+}`;
+
+const SectionHeader: React.FC<{ icon: React.ReactNode; title: string }> = ({ icon, title }) => (
+  <div className="px-3 pt-6 pb-2 text-white font-semibold flex items-center gap-2" style={{ gridColumn: '1 / -1' }}>
+    {icon}
+    {title}
+  </div>
+);
+
+const ComparisonView: React.FC<ComparisonViewProps> = ({ report, onClose }) => {
+  const columns = `minmax(140px, 1fr) repeat(${report.policies.length}, minmax(160px, 2fr))`;
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-bold text-white">Policy Comparison</h2>
+        <button
+          onClick={onClose}
+          className="inline-flex items-center gap-2 px-4 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg border border-white/20 transition-colors text-sm"
+        >
+          <ArrowLeft className="w-4 h-4" />
+          Back
+        </button>
+      </div>
+
+      <p className="text-slate-400 text-sm flex items-center gap-2">
+        <Trophy className="w-4 h-4 text-emerald-400" />
+        The better option in each row is highlighted. Ties are not.
+      </p>
+
+      <div className="bg-white/5 backdrop-blur-sm border border-white/10 rounded-2xl overflow-x-auto">
+        <div className="grid min-w-fit" style={{ gridTemplateColumns: columns }}>
+          <div className="p-3" />
+          {report.policies.map((policy, index) => (
+            <div key={index} className="p-3 border-l border-white/10">
+              <div className="text-white font-semibold truncate">{policy.domain}</div>
+              <div className="text-slate-400 text-xs">{new Date(policy.analyzedAt).toLocaleDateString()}</div>
+            </div>
+          ))}
+
+          <SectionHeader icon={<BarChart3 className="w-4 h-4 text-teal-400" />} title="Scores" />
+          {report.scores.map(row => (
+            <React.Fragment key={row.key}>
+              <div className="p-3 text-sm text-slate-400 border-t border-white/10">{scoreLabels[row.key]}</div>
+              {row.values.map((value, index) => (
+                <div key={index} className={`${cellClass(row.best.includes(index))} border-t font-semibold`}>
+                  {value === null ? 'Not scored' : `${value}/100`}
+                </div>
+              ))}
+            </React.Fragment>
+          ))}
+
+          <SectionHeader icon={<AlertTriangle className="w-4 h-4 text-red-400" />} title="Red Flags" />
+          {report.redFlags.length === 0 && (
+            <div className="px-3 pb-3 text-sm text-slate-400" style={{ gridColumn: '1 / -1' }}>
+              None of these policies raised a red flag.
+            </div>
+          )}
+          {report.redFlags.map(row => (
+            <React.Fragment key={row.id}>
+              <div className="p-3 text-sm text-slate-400 border-t border-white/10">{row.title}</div>
+              {row.severities.map((severity, index) => (
+                <div key={index} className={`${cellClass(row.best.includes(index))} border-t`}>
+                  {severity === null ? 'Not scored' : severity === 0 ? 'Not flagged' : `Severity ${severity}/5`}
+                </div>
+              ))}
+            </React.Fragment>
+          ))}
+
+          <SectionHeader icon={<FileText className="w-4 h-4 text-teal-400" />} title="Clauses" />
+          {report.clauses.map(row => (
+            <React.Fragment key={row.topic}>
+              <div className="p-3 text-sm text-slate-400 border-t border-white/10">{row.title}</div>
+              {row.clauses.map((clause, index) => (
+                <div key={index} className={`${cellClass(row.best.includes(index))} border-t`}>
+                  {clause ? (
+                    <>
+                      <span className="block text-xs font-semibold mb-1">{stanceLabels[clause.stance]}</span>
+                      <span className="block text-xs italic leading-relaxed text-slate-300">
+                        "{clause.text.length > 240 ? `${clause.text.slice(0, 240)}...` : clause.text}"
+                      </span>
+                    </>
+                  ) : (
+                    <span className="text-xs text-slate-500">
+                      {report.policies[index].aggregate === null ? 'Not scored' : 'Not mentioned'}
+                    </span>
+                  )}
+                </div>
+              ))}
+            </React.Fragment>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonView;
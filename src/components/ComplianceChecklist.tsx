@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { CheckCircle, XCircle, HelpCircle, Quote } from 'lucide-react';
+import type { ComplianceItem, ComplianceRegime, ComplianceReport, ComplianceStatus } from '../types/analysis';
+
+interface ComplianceChecklistProps {
+  report: ComplianceReport;
+}
+
+const regimeLabels: Record<ComplianceRegime, string> = {
+  gdpr: 'GDPR',
+  ccpa: 'CCPA/CPRA',
+  coppa: 'COPPA'
+};
+
+const statusStyles: Record<ComplianceStatus, { label: string; color: string; icon: React.ReactNode }> = {
+  pass: { label: 'Pass', color: 'text-emerald-400', icon: <CheckCircle className="w-4 h-4 text-emerald-400" /> },
+  unclear: { label: 'Unclear', color: 'text-amber-400', icon: <HelpCircle className="w-4 h-4 text-amber-400" /> },
+  missing: { label: 'Missing', color: 'text-red-400', icon: <XCircle className="w-4 h-4 text-red-400" /> }
+};
+
+const ComplianceChecklist: React.FC<ComplianceChecklistProps> = ({ report }) => {
+  const regimes = (Object.keys(regimeLabels) as ComplianceRegime[])
+    .filter(regime => report.items.some(item => item.regime === regime));
+  // Start on a law the policy names, since that's the one it claims to follow
+  const [selected, setSelected] = useState<ComplianceRegime | undefined>(
+    regimes.find(regime => report.referenced.includes(regime)) || regimes[0]
+  );
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+
+  const items = report.items.filter(item => item.regime === selected);
+  const passed = items.filter(item => item.status === 'pass').length;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-2">
+        {regimes.map(regime => (
+          <button
+            key={regime}
+            onClick={() => setSelected(regime)}
+            className={`px-3 py-1 rounded-full text-xs font-semibold border transition-colors ${
+              regime === selected
+                ? 'bg-teal-500/20 text-teal-300 border-teal-500/40'
+                : 'bg-white/5 text-slate-400 border-white/10 hover:text-white'
+            }`}
+          >
+            {regimeLabels[regime]}
+            {report.referenced.includes(regime) && ' · named'}
+          </button>
+        ))}
+      </div>
+
+      <p className="text-xs text-slate-400">
+        {passed} of {items.length} disclosures found.
+        {selected && !report.referenced.includes(selected) && ' The policy does not name this law, so it may not apply.'}
+      </p>
+
+      <div className="space-y-2">
+        {items.map(item => (
+          <ComplianceRow
+            key={item.id}
+            item={item}
+            isExpanded={expandedId === item.id}
+            onToggle={() => setExpandedId(expandedId === item.id ? null : item.id)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+interface ComplianceRowProps {
+  item: ComplianceItem;
+  isExpanded: boolean;
+  onToggle: () => void;
+}
+
+const ComplianceRow: React.FC<ComplianceRowProps> = ({ item, isExpanded, onToggle }) => {
+  const status = statusStyles[item.status];
+
+  return (
+    <div className="bg-white/5 border border-white/10 rounded-lg">
+      <button onClick={onToggle} className="w-full flex items-start gap-3 p-3 text-left hover:bg-white/5 transition-colors">
+        <span className="mt-0.5">{status.icon}</span>
+        <span className="flex-1">
+          <span className="block text-sm font-medium text-white">{item.title}</span>
+          {item.missing && (
+            <span className="block text-xs text-slate-400 mt-1">Not covered: {item.missing.join(', ')}</span>
+          )}
+        </span>
+        <span className={`text-xs font-semibold ${status.color}`}>{status.label}</span>
+      </button>
+
+      {isExpanded && (
+        <div className="px-3 pb-3 space-y-2">
+          <p className="text-xs text-slate-400 leading-relaxed">{item.requirement}</p>
+          {item.evidence && (
+            <div className="bg-black/20 rounded-lg p-3">
+              <div className="flex items-center gap-2 mb-1">
+                <Quote className="w-3 h-3 text-teal-400" />
+                <span className="text-teal-400 font-medium text-xs">Evidence from policy:</span>
+                {item.evidencePages && item.evidencePages.length > 0 && (
+                  <span className="text-slate-400 text-xs ml-auto">
+                    Page{item.evidencePages.length !== 1 ? 's' : ''} {item.evidencePages.join(', ')}
+                  </span>
+                )}
+              </div>
+              <blockquote className="text-slate-300 text-xs font-mono leading-relaxed italic">
+                "{item.evidence}"
+              </blockquote>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComplianceChecklist;
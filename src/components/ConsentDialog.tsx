@@ -83,7 +83,7 @@ const ConsentDialog: React.FC<ConsentDialogProps> = ({ onAccept, onDecline }) =>
 
           {showDetails && (
             <div className="bg-black/20 rounded-lg p-4 space-y-2 text-xs text-slate-400">
-              <p><strong className="text-white">Data Processing:</strong> All analysis happens locally on your device. No policy content is sent to external servers.</p>
+              <p><strong className="text-white">Data Processing:</strong> All analysis happens locally on your device. No policy content is sent to external servers unless you turn on AI summaries with your own model endpoint.</p>
               <p><strong className="text-white">Storage:</strong> Results are encrypted using AES-256 and stored only in your browser's local storage.</p>
               <p><strong className="text-white">Retention:</strong> Data is automatically deleted after 30 days unless you change this setting.</p>
               <p><strong className="text-white">Analytics:</strong> If enabled, only anonymous usage statistics are collected (no personal data or policy content).</p>
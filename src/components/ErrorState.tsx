@@ -45,6 +45,60 @@ const ErrorState: React.FC<ErrorStateProps> = ({ error, onRetry, onReset }) => {
         ],
         icon: '🚫'
       };
+    } else if (error.includes('behind a login or paywall')) {
+      return {
+        title: 'Login or Paywall',
+        description: 'The policy text is only shown to signed-in or paying visitors, so it could not be read.',
+        suggestions: [
+          'Look for a public version of the policy in the site footer',
+          'Open the policy in your browser and use the extension popup on the page',
+          'Some sites publish their policies on a separate legal or help domain'
+        ],
+        icon: '🔒'
+      };
+    } else if (error.includes('redirected to a homepage or login page')) {
+      return {
+        title: 'Unexpected Redirect',
+        description: 'The URL did not lead to a policy document. The site sent us to its homepage or a login page instead.',
+        suggestions: [
+          'Open the link in your browser and copy the final policy URL',
+          'The policy may have moved; check the site footer for the current link',
+          'Regional sites sometimes redirect; try the policy URL for your region'
+        ],
+        icon: '↪️'
+      };
+    } else if (error.includes('not an HTML page, PDF or text file')) {
+      return {
+        title: 'Unsupported Document',
+        description: 'This document is a file type that cannot be analyzed, such as an image, a Word file or an encrypted PDF.',
+        suggestions: [
+          'Look for an HTML or PDF version of the policy on the website',
+          'Check that the URL points to the policy page, not an attachment',
+          'Scanned PDFs without a text layer cannot be read'
+        ],
+        icon: '📎'
+      };
+    } else if (error.includes('too large to analyze')) {
+      return {
+        title: 'Document Too Large',
+        description: 'This document is larger than the analyzer accepts.',
+        suggestions: [
+          'Look for a shorter, policy-only version of the document',
+          'Save the relevant pages as a separate PDF or text file and drop it in'
+        ],
+        icon: '📦'
+      };
+    } else if (error.includes('needs a local proxy')) {
+      return {
+        title: 'Proxy Not Configured',
+        description: 'Browsers block web pages from reading other sites directly. Live fetching works in the extension, or here through a local proxy.',
+        suggestions: [
+          'Set VITE_POLICY_PROXY_URL in .env (see .env.example) and restart the dev server',
+          'Use the browser extension to analyze the policy page directly',
+          'Explore one of the sample analyses instead'
+        ],
+        icon: '🔌'
+      };
     } else {
       return {
         title: 'Analysis Failed',
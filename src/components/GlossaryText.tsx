@@ -0,0 +1,45 @@
+import React from 'react';
+import type { GlossaryEntry, TermMatch } from '../types/analysis';
+
+interface GlossaryTextProps {
+  text: string;
+  terms?: TermMatch[];
+  glossary?: GlossaryEntry[];
+}
+
+// Text with its glossary terms underlined and defined on hover or focus.
+// Definitions open above the term, since red flag cards clip overflow
+const GlossaryText: React.FC<GlossaryTextProps> = ({ text, terms = [], glossary = [] }) => {
+  const entries = new Map(glossary.map(entry => [entry.id, entry]));
+  const parts: React.ReactNode[] = [];
+  let offset = 0;
+
+  terms.forEach(match => {
+    const entry = entries.get(match.id);
+    if (!entry || match.start < offset) return;
+
+    parts.push(text.slice(offset, match.start));
+    parts.push(
+      <span
+        key={match.id}
+        tabIndex={0}
+        className="relative group/term underline decoration-dotted decoration-teal-400 underline-offset-2 cursor-help focus:outline-none"
+      >
+        {text.slice(match.start, match.end)}
+        <span
+          role="tooltip"
+          className="absolute left-0 bottom-full mb-1 z-20 w-64 hidden group-hover/term:block group-focus/term:block bg-slate-900 border border-teal-500/40 rounded-lg p-3 text-xs text-slate-300 not-italic font-sans leading-relaxed shadow-xl"
+        >
+          <strong className="block text-white mb-1">{entry.term}</strong>
+          {entry.definition}
+        </span>
+      </span>
+    );
+    offset = match.end;
+  });
+  parts.push(text.slice(offset));
+
+  return <>{parts}</>;
+};
+
+export default GlossaryText;
@@ -0,0 +1,173 @@
+import React, { useMemo, useState } from 'react';
+import { History, Search, Trash2, AlertTriangle, Columns } from 'lucide-react';
+import { AnalysisHistory } from '../services/AnalysisHistory';
+import type { HistoryRecord } from '../services/HistoryStore';
+import type { HistorySort, ScoreBand } from '../types/analysis';
+
+interface HistoryDashboardProps {
+  records: HistoryRecord[];
+  onOpen: (record: HistoryRecord) => void;
+  onDelete: (id: string) => void;
+  onCompare: (records: HistoryRecord[]) => void;
+}
+
+const bands: Array<{ value: ScoreBand | 'all'; label: string }> = [
+  { value: 'all', label: 'All' },
+  { value: 'good', label: 'Good' },
+  { value: 'caution', label: 'Caution' },
+  { value: 'concerning', label: 'Concerning' },
+  { value: 'unscored', label: 'Not scored' }
+];
+
+const sorts: Array<{ value: HistorySort; label: string }> = [
+  { value: 'newest', label: 'Newest first' },
+  { value: 'oldest', label: 'Oldest first' },
+  { value: 'score-high', label: 'Highest score' },
+  { value: 'score-low', label: 'Lowest score' },
+  { value: 'domain', label: 'Domain A-Z' }
+];
+
+const bandColors: Record<ScoreBand, string> = {
+  good: 'text-emerald-400',
+  caution: 'text-amber-400',
+  concerning: 'text-red-400',
+  unscored: 'text-slate-400'
+};
+
+const history = new AnalysisHistory();
+
+const maxCompared = 4;
+
+const HistoryDashboard: React.FC<HistoryDashboardProps> = ({ records, onOpen, onDelete, onCompare }) => {
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState<string[]>([]);
+  const [band, setBand] = useState<ScoreBand | 'all'>('all');
+  const [sort, setSort] = useState<HistorySort>('newest');
+
+  const visible = useMemo(() => {
+    const byId = new Map(records.map(record => [record.entry.id, record]));
+    return history
+      .query(records.map(record => record.entry), { search, band, sort })
+      .map(entry => byId.get(entry.id)!);
+  }, [records, search, band, sort]);
+
+  const toggleSelected = (id: string) => {
+    setSelected(current => current.includes(id)
+      ? current.filter(item => item !== id)
+      : [...current, id].slice(-maxCompared));
+  };
+
+  const handleDelete = (id: string) => {
+    setSelected(current => current.filter(item => item !== id));
+    onDelete(id);
+  };
+
+  const handleCompare = () => {
+    onCompare(selected
+      .map(id => records.find(record => record.entry.id === id))
+      .filter((record): record is HistoryRecord => record !== undefined));
+  };
+
+  return (
+    <div className="w-full max-w-3xl mx-auto px-4 mt-12">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white flex items-center gap-2">
+          <History className="w-5 h-5 text-teal-400" />
+          History ({records.length})
+        </h3>
+        <button
+          onClick={handleCompare}
+          disabled={selected.length < 2}
+          title="Select 2 to 4 policies to compare"
+          className="inline-flex items-center gap-2 px-3 py-1.5 bg-teal-500 hover:bg-teal-600 text-white rounded-lg text-sm transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          <Columns className="w-4 h-4" />
+          Compare{selected.length > 0 ? ` (${selected.length})` : ''}
+        </button>
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-3 mb-4">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by domain or URL..."
+            className="w-full pl-9 pr-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-slate-400 text-sm focus:outline-none focus:ring-2 focus:ring-teal-500"
+          />
+        </div>
+        <select
+          value={sort}
+          onChange={(e) => setSort(e.target.value as HistorySort)}
+          className="px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-teal-500"
+        >
+          {sorts.map(option => (
+            <option key={option.value} value={option.value} className="bg-slate-800">{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {bands.map(option => (
+          <button
+            key={option.value}
+            onClick={() => setBand(option.value)}
+            className={`px-3 py-1 rounded-full text-xs font-semibold border transition-colors ${
+              band === option.value
+                ? 'bg-teal-500/20 text-teal-300 border-teal-500/40'
+                : 'bg-white/5 text-slate-400 border-white/10 hover:text-white'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {visible.length === 0 ? (
+        <p className="text-slate-400 text-sm text-center py-6">No analyses match your filters.</p>
+      ) : (
+        <div className="space-y-2">
+          {visible.map(({ entry, result }) => (
+            <div
+              key={entry.id}
+              className="flex items-center gap-4 px-4 py-3 bg-white/5 hover:bg-white/10 border border-white/10 rounded-xl transition-colors"
+            >
+              <input
+                type="checkbox"
+                checked={selected.includes(entry.id)}
+                onChange={() => toggleSelected(entry.id)}
+                className="w-4 h-4 accent-teal-500"
+                title="Select for comparison"
+              />
+              <button onClick={() => onOpen({ entry, result })} className="flex-1 min-w-0 text-left">
+                <div className="text-white font-medium truncate">{entry.domain}</div>
+                <div className="text-slate-400 text-xs truncate">
+                  {new Date(entry.analyzedAt).toLocaleString()} · {entry.url}
+                </div>
+              </button>
+              {entry.redFlagCount > 0 && (
+                <span className="inline-flex items-center gap-1 text-xs text-red-400" title="Red flags">
+                  <AlertTriangle className="w-3 h-3" />
+                  {entry.redFlagCount}
+                </span>
+              )}
+              <span className={`text-sm font-bold w-14 text-right ${bandColors[history.scoreBand(entry.aggregate, entry.scoring?.thresholds)]}`}>
+                {entry.aggregate === null ? 'N/A' : `${entry.aggregate}/100`}
+              </span>
+              <button
+                onClick={() => handleDelete(entry.id)}
+                className="text-slate-400 hover:text-red-400 transition-colors"
+                title="Delete from history"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HistoryDashboard;
@@ -0,0 +1,70 @@
+import React from 'react';
+import type { ReadabilityBand, ReadabilityReport } from '../types/analysis';
+
+interface ReadabilityMetricsProps {
+  report: ReadabilityReport;
+}
+
+const bandStyles: Record<ReadabilityBand, { label: string; color: string; note: string }> = {
+  plain: {
+    label: 'Plain language',
+    color: 'text-emerald-400',
+    note: 'Most adults can follow this policy on a first read.'
+  },
+  'fairly-difficult': {
+    label: 'Fairly difficult',
+    color: 'text-amber-400',
+    note: 'Readable, but longer sentences and formal wording slow you down.'
+  },
+  difficult: {
+    label: 'Difficult',
+    color: 'text-orange-400',
+    note: 'Written for readers with a college education. Expect to read parts twice.'
+  },
+  'very-difficult': {
+    label: 'Very difficult',
+    color: 'text-red-400',
+    note: 'Reads like a legal text. A policy this hard to follow is a finding in itself: few people will understand what they agree to.'
+  }
+};
+
+const ReadabilityMetrics: React.FC<ReadabilityMetricsProps> = ({ report }) => {
+  const band = bandStyles[report.band];
+  const stats: Array<[string, string]> = [
+    ['Length', `${report.words.toLocaleString()} words`],
+    ['Reading time', `about ${report.readingMinutes} min`],
+    ['Sentence length', `${report.averageSentenceLength} words on average`],
+    ['Legal jargon', `${report.legaleseShare}% of words`],
+    ['Cross-references', String(report.crossReferences)],
+    ...report.gradeLevels.map(level => [`${level.name} grade`, String(level.grade)] as [string, string])
+  ];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-baseline gap-3">
+        <span className={`text-3xl font-bold ${band.color}`}>{report.readingEase}</span>
+        <span className="text-slate-400 text-sm">/100 reading ease</span>
+        <span className={`ml-auto text-sm font-semibold ${band.color}`}>{band.label}</span>
+      </div>
+      <p className="text-slate-300 text-sm">{band.note}</p>
+
+      <dl className="grid grid-cols-2 md:grid-cols-3 gap-3">
+        {stats.map(([label, value]) => (
+          <div key={label} className="bg-white/5 border border-white/10 rounded-lg p-3">
+            <dt className="text-xs text-slate-400">{label}</dt>
+            <dd className="text-white text-sm font-medium">{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      {report.legaleseTerms.length > 0 && (
+        <p className="text-xs text-slate-400">
+          Most frequent jargon: {report.legaleseTerms.map(item => `"${item.term}" (${item.count})`).join(', ')}
+        </p>
+      )}
+      <p className="text-xs text-slate-500">Scored with the {report.readingEaseFormula} formula; higher is easier.</p>
+    </div>
+  );
+};
+
+export default ReadabilityMetrics;
@@ -1,12 +1,14 @@
 import React, { useState } from 'react';
 import { AlertTriangle, ChevronDown, ChevronUp, Quote } from 'lucide-react';
-import type { RedFlag } from '../types/analysis';
+import type { GlossaryEntry, RedFlag } from '../types/analysis';
+import GlossaryText from './GlossaryText';
 
 interface RedFlagCardProps {
   flag: RedFlag;
+  glossary?: GlossaryEntry[];
 }
 
-const RedFlagCard: React.FC<RedFlagCardProps> = ({ flag }) => {
+const RedFlagCard: React.FC<RedFlagCardProps> = ({ flag, glossary }) => {
   const [isExpanded, setIsExpanded] = useState(false);
 
   const getSeverityColor = (severity: number) => {
@@ -54,9 +56,14 @@ const RedFlagCard: React.FC<RedFlagCardProps> = ({ flag }) => {
             <div className="flex items-center gap-2 mb-2">
               <Quote className="w-4 h-4 text-red-400" />
               <span className="text-red-400 font-medium text-sm">Evidence from policy:</span>
+              {flag.evidencePages && flag.evidencePages.length > 0 && (
+                <span className="text-slate-400 text-xs ml-auto">
+                  Page{flag.evidencePages.length !== 1 ? 's' : ''} {flag.evidencePages.join(', ')}
+                </span>
+              )}
             </div>
             <blockquote className="text-slate-300 text-sm font-mono leading-relaxed italic">
-              "{flag.evidence}"
+              "<GlossaryText text={flag.evidence} terms={flag.evidenceTerms} glossary={glossary} />"
             </blockquote>
           </div>
         </div>
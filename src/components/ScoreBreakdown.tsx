@@ -1,12 +1,14 @@
 import React from 'react';
-import type { Scores } from '../types/analysis';
+import type { AnalysisResult, ScoreCategory, Scores, TrustThresholds } from '../types/analysis';
 
 interface ScoreBreakdownProps {
   scores: Scores;
   showDetails: boolean;
+  contributions?: AnalysisResult['scoreContributions'];
+  thresholds?: TrustThresholds;
 }
 
-const ScoreBreakdown: React.FC<ScoreBreakdownProps> = ({ scores, showDetails }) => {
+const ScoreBreakdown: React.FC<ScoreBreakdownProps> = ({ scores, showDetails, contributions, thresholds = { good: 75, caution: 50 } }) => {
   const scoreCategories = [
     { key: 'collection', label: 'Data Collection', description: 'How much personal data is collected' },
     { key: 'sharingSelling', label: 'Data Sharing/Selling', description: 'Whether data is shared or sold to third parties' },
@@ -20,14 +22,14 @@ const ScoreBreakdown: React.FC<ScoreBreakdownProps> = ({ scores, showDetails })
   ];
 
   const getScoreColor = (score: number) => {
-    if (score >= 75) return 'bg-emerald-500';
-    if (score >= 50) return 'bg-amber-500';
+    if (score >= thresholds.good) return 'bg-emerald-500';
+    if (score >= thresholds.caution) return 'bg-amber-500';
     return 'bg-red-500';
   };
 
   const getScoreTextColor = (score: number) => {
-    if (score >= 75) return 'text-emerald-400';
-    if (score >= 50) return 'text-amber-400';
+    if (score >= thresholds.good) return 'text-emerald-400';
+    if (score >= thresholds.caution) return 'text-amber-400';
     return 'text-red-400';
   };
 
@@ -45,7 +47,7 @@ const ScoreBreakdown: React.FC<ScoreBreakdownProps> = ({ scores, showDetails })
         </div>
         <div className="text-center col-span-2 md:col-span-1">
           <div className={`text-2xl font-bold ${getScoreTextColor(scores.aggregate)}`}>
-            {scores.aggregate >= 75 ? 'Good' : scores.aggregate >= 50 ? 'Caution' : 'Poor'}
+            {scores.aggregate >= thresholds.good ? 'Good' : scores.aggregate >= thresholds.caution ? 'Caution' : 'Poor'}
           </div>
           <div className="text-xs text-slate-400">Trust Level</div>
         </div>
@@ -56,6 +58,7 @@ const ScoreBreakdown: React.FC<ScoreBreakdownProps> = ({ scores, showDetails })
         <div className="space-y-3 pt-4 border-t border-white/10">
           {scoreCategories.map((category) => {
             const score = scores[category.key as keyof Scores] as number;
+            const items = contributions?.[category.key as ScoreCategory];
             return (
               <div key={category.key} className="space-y-2">
                 <div className="flex justify-between items-center">
@@ -73,6 +76,35 @@ const ScoreBreakdown: React.FC<ScoreBreakdownProps> = ({ scores, showDetails })
                 <p className="text-xs text-slate-400 leading-relaxed">
                   {category.description}
                 </p>
+                {items && (
+                  <details className="text-xs">
+                    <summary className="cursor-pointer text-teal-400 hover:text-teal-300">Why this score</summary>
+                    <ul className="mt-2 space-y-2">
+                      <li className="flex justify-between text-slate-400">
+                        <span>Every category starts at</span>
+                        <span className="font-semibold">50</span>
+                      </li>
+                      {items.map((item, index) => (
+                        <li key={index} className="space-y-1">
+                          <div className="flex justify-between gap-3">
+                            <span className="text-slate-300">{item.label}</span>
+                            <span className={`font-semibold ${item.points > 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                              {item.points > 0 ? `+${item.points}` : item.points}
+                            </span>
+                          </div>
+                          {item.clause && (
+                            <p className="text-slate-400 italic leading-relaxed">
+                              "{item.clause.length > 200 ? `${item.clause.slice(0, 200)}...` : item.clause}"
+                            </p>
+                          )}
+                        </li>
+                      ))}
+                      {items.length === 0 && (
+                        <li className="text-slate-400">Nothing in the policy moved this score.</li>
+                      )}
+                    </ul>
+                  </details>
+                )}
               </div>
             );
           })}
@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal, Plus, Trash2, RotateCcw } from 'lucide-react';
+import { ScoringProfiles } from '../services/ScoringProfiles';
+import type { ScoreCategory, ScoringProfile, ScoringSettings, TrustThresholds } from '../types/analysis';
+
+interface ScoringProfilePanelProps {
+  settings: ScoringSettings;
+  // Throws when the edited settings are invalid
+  onChange: (settings: ScoringSettings) => void;
+}
+
+const categoryLabels: Record<ScoreCategory, string> = {
+  collection: 'Data Collection',
+  sharingSelling: 'Data Sharing/Selling',
+  rights: 'User Rights',
+  retention: 'Data Retention',
+  dispute: 'Dispute Resolution',
+  license: 'Content License',
+  tracking: 'Tracking',
+  children: 'Children\'s Data',
+  security: 'Security'
+};
+
+const builtIn = ScoringProfiles.builtIn();
+
+const profiles = new ScoringProfiles();
+
+const ScoringProfilePanel: React.FC<ScoringProfilePanelProps> = ({ settings, onChange }) => {
+  const [editing, setEditing] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  const active = profiles.active(settings);
+  const original = builtIn.find(profile => profile.id === active.id);
+  const totalWeight = Object.values(active.weights).reduce((sum, weight) => sum + weight, 0);
+
+  const update = (next: ScoringSettings) => {
+    try {
+      onChange(next);
+      setError(null);
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  };
+
+  const updateActive = (changes: Partial<ScoringProfile>) => {
+    update({
+      ...settings,
+      profiles: settings.profiles.map(profile => profile.id === active.id ? { ...profile, ...changes } : profile)
+    });
+  };
+
+  const setWeight = (category: ScoreCategory, weight: number) => {
+    updateActive({ weights: { ...active.weights, [category]: weight } });
+  };
+
+  const setThreshold = (key: keyof TrustThresholds, value: number) => {
+    updateActive({ thresholds: { ...active.thresholds, [key]: value } });
+  };
+
+  const handleSaveAs = () => {
+    const name = newName.trim();
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'profile';
+    let id = base;
+    for (let n = 2; settings.profiles.some(profile => profile.id === id); n++) {
+      id = `${base}-${n}`;
+    }
+
+    update({
+      activeId: id,
+      profiles: [...settings.profiles, { ...active, id, name, weights: { ...active.weights }, thresholds: { ...active.thresholds } }]
+    });
+    setNewName('');
+  };
+
+  const handleDelete = () => {
+    const remaining = settings.profiles.filter(profile => profile.id !== active.id);
+    update({ activeId: remaining[0].id, profiles: remaining });
+  };
+
+  return (
+    <div className="bg-white/5 backdrop-blur-sm border border-white/10 rounded-2xl p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-lg font-semibold text-white flex items-center gap-2">
+          <SlidersHorizontal className="w-5 h-5 text-teal-400" />
+          Scoring Profile
+        </h3>
+        <div className="flex items-center gap-3">
+          <select
+            value={active.id}
+            onChange={(e) => update({ ...settings, activeId: e.target.value })}
+            className="px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-teal-500"
+          >
+            {settings.profiles.map(profile => (
+              <option key={profile.id} value={profile.id} className="bg-slate-800">{profile.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setEditing(!editing)}
+            className="text-slate-400 hover:text-teal-400 transition-colors text-sm"
+          >
+            {editing ? 'Done' : 'Customize'}
+          </button>
+        </div>
+      </div>
+
+      <p className="text-slate-400 text-sm mt-2">
+        Decides how much each category counts toward the trust score and where Good and Caution begin. Category scores stay the same.
+      </p>
+
+      {editing && (
+        <div className="mt-4 pt-4 border-t border-white/10 space-y-4">
+          <div className="space-y-3">
+            {(Object.keys(categoryLabels) as ScoreCategory[]).map(category => (
+              <label key={category} className="grid grid-cols-[1fr_auto] md:grid-cols-[180px_1fr_auto] items-center gap-x-4 gap-y-1 text-sm">
+                <span className="text-white">{categoryLabels[category]}</span>
+                <input
+                  type="range"
+                  min={0}
+                  max={50}
+                  step={2.5}
+                  value={active.weights[category]}
+                  onChange={(e) => setWeight(category, Number(e.target.value))}
+                  className="accent-teal-500 col-span-2 md:col-span-1 md:order-none order-last"
+                />
+                <span className="text-slate-400 text-xs w-16 text-right">
+                  {totalWeight > 0 ? Math.round((active.weights[category] / totalWeight) * 100) : 0}% of score
+                </span>
+              </label>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap gap-6 text-sm">
+            <label className="flex items-center gap-2 text-white">
+              Good from
+              <input
+                // Applied when the field is left, so a half-typed number isn't rejected
+                key={`${active.id}-good-${active.thresholds.good}`}
+                type="number"
+                min={1}
+                max={100}
+                defaultValue={active.thresholds.good}
+                onBlur={(e) => setThreshold('good', Number(e.target.value))}
+                className="w-20 px-2 py-1 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-teal-500"
+              />
+            </label>
+            <label className="flex items-center gap-2 text-white">
+              Caution from
+              <input
+                key={`${active.id}-caution-${active.thresholds.caution}`}
+                type="number"
+                min={0}
+                max={99}
+                defaultValue={active.thresholds.caution}
+                onBlur={(e) => setThreshold('caution', Number(e.target.value))}
+                className="w-20 px-2 py-1 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-teal-500"
+              />
+            </label>
+          </div>
+
+          {error && <p className="text-red-400 text-xs">{error}</p>}
+
+          <div className="flex flex-wrap items-center gap-3">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New profile name"
+              maxLength={50}
+              className="px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-slate-400 text-sm focus:outline-none focus:ring-2 focus:ring-teal-500"
+            />
+            <button
+              onClick={handleSaveAs}
+              disabled={!newName.trim()}
+              className="inline-flex items-center gap-2 px-3 py-2 bg-teal-500 hover:bg-teal-600 text-white rounded-lg text-sm transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              <Plus className="w-4 h-4" />
+              Save as new profile
+            </button>
+            {original ? (
+              <button
+                onClick={() => updateActive({ weights: { ...original.weights }, thresholds: { ...original.thresholds } })}
+                className="inline-flex items-center gap-2 px-3 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg border border-white/20 text-sm transition-colors"
+              >
+                <RotateCcw className="w-4 h-4" />
+                Reset {original.name}
+              </button>
+            ) : (
+              <button
+                onClick={handleDelete}
+                className="inline-flex items-center gap-2 px-3 py-2 bg-white/10 hover:bg-white/20 text-red-300 rounded-lg border border-white/20 text-sm transition-colors"
+              >
+                <Trash2 className="w-4 h-4" />
+                Delete profile
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScoringProfilePanel;
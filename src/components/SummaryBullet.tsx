@@ -10,13 +10,15 @@ import {
   Baby, 
   Lock 
 } from 'lucide-react';
-import type { SummaryItem } from '../types/analysis';
+import type { GlossaryEntry, SummaryItem } from '../types/analysis';
+import GlossaryText from './GlossaryText';
 
 interface SummaryBulletProps {
   item: SummaryItem;
+  glossary?: GlossaryEntry[];
 }
 
-const SummaryBullet: React.FC<SummaryBulletProps> = ({ item }) => {
+const SummaryBullet: React.FC<SummaryBulletProps> = ({ item, glossary }) => {
   const getIcon = (id: string) => {
     if (id.includes('collection')) return Database;
     if (id.includes('sharing')) return Share2;
@@ -52,12 +54,13 @@ const SummaryBullet: React.FC<SummaryBulletProps> = ({ item }) => {
         </div>
         <div className="flex-1">
           <p className="text-slate-200 text-sm leading-relaxed group-hover:text-white transition-colors">
-            {item.text}
+            <GlossaryText text={item.text} terms={item.terms} glossary={glossary} />
           </p>
           {item.evidence && item.evidence.length > 0 && (
             <div className="mt-2 opacity-0 group-hover:opacity-100 transition-opacity">
               <span className="text-xs text-teal-400">
                 Evidence found in {item.evidence.length} location{item.evidence.length !== 1 ? 's' : ''}
+                {item.evidencePages && item.evidencePages.length > 0 && ` (page ${item.evidencePages.join(', ')})`}
               </span>
             </div>
           )}
@@ -0,0 +1,58 @@
+import React from 'react';
+import { Sparkles } from 'lucide-react';
+
+interface SummaryModeToggleProps {
+  enabled: boolean;
+  endpoint: string;
+  apiKey: string;
+  onChange: (enabled: boolean) => void;
+  onApiKeyChange: (apiKey: string) => void;
+}
+
+// The API key is typed in at runtime and kept in memory only: anything set
+// at build time would ship inside the public bundle
+const SummaryModeToggle: React.FC<SummaryModeToggleProps> = ({ enabled, endpoint, apiKey, onChange, onApiKeyChange }) => {
+  const host = React.useMemo(() => {
+    try {
+      return new URL(endpoint).host;
+    } catch {
+      return endpoint;
+    }
+  }, [endpoint]);
+
+  return (
+    <div className="max-w-2xl mx-auto mt-6 p-4 bg-white/5 border border-white/10 rounded-xl">
+      <label className="flex items-start gap-3 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => onChange(e.target.checked)}
+          className="mt-1 w-4 h-4 text-teal-500 bg-white/10 border-white/20 rounded focus:ring-teal-500 focus:ring-2"
+        />
+        <div>
+          <div className="flex items-center gap-2 font-medium text-white text-sm">
+            <Sparkles className="w-4 h-4 text-teal-400" />
+            AI summaries
+          </div>
+          <div className="text-slate-400 text-xs">
+            Sends the policy's clause text to your model at {host} to write the key points. Red flags and scores stay rule-based.
+          </div>
+        </div>
+      </label>
+      {enabled && (
+        <label className="block mt-3 ml-7 text-slate-400 text-xs">
+          API key (optional, kept for this session only)
+          <input
+            type="password"
+            autoComplete="off"
+            value={apiKey}
+            onChange={(e) => onApiKeyChange(e.target.value)}
+            className="mt-1 w-full px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-teal-500"
+          />
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default SummaryModeToggle;
@@ -1,11 +1,13 @@
 import React, { useEffect, useState } from 'react';
+import type { TrustThresholds } from '../types/analysis';
 
 interface TrustScoreDialProps {
   score: number;
   confidence: number;
+  thresholds?: TrustThresholds;
 }
 
-const TrustScoreDial: React.FC<TrustScoreDialProps> = ({ score, confidence }) => {
+const TrustScoreDial: React.FC<TrustScoreDialProps> = ({ score, confidence, thresholds = { good: 75, caution: 50 } }) => {
   const [animatedScore, setAnimatedScore] = useState(0);
 
   useEffect(() => {
@@ -17,8 +19,8 @@ const TrustScoreDial: React.FC<TrustScoreDialProps> = ({ score, confidence }) =>
   }, [score]);
 
   const getScoreColor = (score: number) => {
-    if (score >= 75) return '#22C55E'; // emerald-500
-    if (score >= 50) return '#F59E0B'; // amber-500
+    if (score >= thresholds.good) return '#22C55E'; // emerald-500
+    if (score >= thresholds.caution) return '#F59E0B'; // amber-500
     return '#EF4444'; // red-500
   };
 
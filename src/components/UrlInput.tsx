@@ -1,13 +1,16 @@
 import React, { useState } from 'react';
-import { Search, ExternalLink, Zap } from 'lucide-react';
+import { Search, ExternalLink, Zap, FileUp } from 'lucide-react';
+import type { ExtractionMode } from '../services/UrlExtractor';
 
 interface UrlInputProps {
-  onAnalyze: (url: string) => void;
+  onAnalyze: (url: string, mode?: ExtractionMode) => void;
+  onAnalyzeFile: (file: File) => void;
 }
 
-const UrlInput: React.FC<UrlInputProps> = ({ onAnalyze }) => {
+const UrlInput: React.FC<UrlInputProps> = ({ onAnalyze, onAnalyzeFile }) => {
   const [url, setUrl] = useState('');
   const [isValidUrl, setIsValidUrl] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
 
   const validateUrl = (input: string) => {
     try {
@@ -32,16 +35,30 @@ const UrlInput: React.FC<UrlInputProps> = ({ onAnalyze }) => {
     }
   };
 
+  const handleFiles = (files: FileList | null) => {
+    const file = files?.[0];
+    if (file) {
+      onAnalyzeFile(file);
+    }
+  };
+
+  const handleDrop = (e: React.DragEvent) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  // Samples run on generated demo text, never on a fetched page
   const exampleUrls = [
-    { name: 'Try a Privacy Policy URL', url: 'https://example.com/privacy' },
-    { name: 'Try a Terms of Service URL', url: 'https://example.com/terms' },
-    { name: 'Test with any policy URL', url: 'https://yoursite.com/policy' },
+    { name: 'Sample Privacy Policy', url: 'https://example.com/privacy' },
+    { name: 'Sample Terms of Service', url: 'https://example.com/terms' },
+    { name: 'Sample Legal Agreement', url: 'https://yoursite.com/policy' },
   ];
 
   const handleExampleClick = (exampleUrl: string) => {
     setUrl(exampleUrl);
     setIsValidUrl(true);
-    onAnalyze(exampleUrl);
+    onAnalyze(exampleUrl, 'sample');
   };
 
   return (
@@ -71,9 +88,30 @@ const UrlInput: React.FC<UrlInputProps> = ({ onAnalyze }) => {
         </div>
       </form>
 
+      {/* Local PDF or text file */}
+      <label
+        onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        className={`flex flex-col items-center justify-center gap-2 mb-8 px-4 py-6 border-2 border-dashed rounded-xl cursor-pointer transition-all ${
+          isDragging
+            ? 'border-teal-500 bg-teal-500/10 text-teal-300'
+            : 'border-white/20 bg-white/5 text-slate-400 hover:border-teal-500/50 hover:text-slate-300'
+        }`}
+      >
+        <FileUp className="w-6 h-6" />
+        <span className="text-sm">Drop a PDF or text file here, or click to choose one</span>
+        <input
+          type="file"
+          accept=".pdf,.txt,.md,application/pdf,text/plain"
+          onChange={(e) => handleFiles(e.target.files)}
+          className="hidden"
+        />
+      </label>
+
       {/* Example URLs */}
       <div className="text-center">
-        <p className="text-slate-400 text-sm mb-4">Try these examples:</p>
+        <p className="text-slate-400 text-sm mb-4">Or explore a sample analysis:</p>
         <div className="flex flex-wrap justify-center gap-2 md:gap-3">
           {exampleUrls.map((example, index) => (
             <button
@@ -0,0 +1,17 @@
+// Entry point for the extension bundle (see vite.engine.config.ts).
+// Everything exported here is exposed to background.js as `TCGuardEngine`.
+export { AlternativesCatalog } from './services/AlternativesCatalog';
+export { AnalysisHistory } from './services/AnalysisHistory';
+export { ConsentBannerAnalyzer } from './services/ConsentBannerAnalyzer';
+export { LlmSummarizer } from './services/LlmSummarizer';
+export { PolicyAnalyzer } from './services/PolicyAnalyzer';
+export { PolicyComparison } from './services/PolicyComparison';
+export { PolicyDiff } from './services/PolicyDiff';
+export { PolicyFetcher } from './services/PolicyFetcher';
+export { PolicyWatchlist } from './services/PolicyWatchlist';
+export { ReportExporter } from './services/ReportExporter';
+export { RulePackLoader } from './services/RulePackLoader';
+export { ScoringProfiles } from './services/ScoringProfiles';
+export { TrackerInventory } from './services/TrackerInventory';
+export { VerdictCombiner } from './services/VerdictCombiner';
+export type { AnalysisResult, PolicyContent } from './types/analysis';
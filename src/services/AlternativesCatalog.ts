@@ -0,0 +1,106 @@
+import { validateAlternativesCatalog } from '../types/security';
+import type { ValidatedAlternativesCatalog, ValidatedCatalogService } from '../types/security';
+import type { AlternativesReport } from '../types/analysis';
+import bundled from '../../catalog/alternatives.json';
+
+export class AlternativesCatalog {
+  private readonly maxFileSize = 2 * 1024 * 1024;
+  private readonly maxSuggestions = 3;
+
+  // The catalog shipped with the extension, used offline and until a newer
+  // one is imported
+  static bundled(): ValidatedAlternativesCatalog {
+    return validateAlternativesCatalog(bundled);
+  }
+
+  // Accepts the JSON text of a catalog file or an already parsed object
+  parse(input: unknown): ValidatedAlternativesCatalog {
+    let data = input;
+
+    if (typeof input === 'string') {
+      if (input.length > this.maxFileSize) {
+        throw new Error('Invalid catalog: file is larger than 2 MB');
+      }
+      try {
+        data = JSON.parse(input);
+      } catch {
+        throw new Error('Invalid catalog: not valid JSON');
+      }
+    }
+
+    return validateAlternativesCatalog(data);
+  }
+
+  // The file format for export; parse() reads it back unchanged
+  serialize(catalog: ValidatedAlternativesCatalog): string {
+    return JSON.stringify(catalog, null, 2) + '\n';
+  }
+
+  isNewer(candidate: ValidatedAlternativesCatalog, current: ValidatedAlternativesCatalog): boolean {
+    const a = candidate.version.split('.').map(Number);
+    const b = current.version.split('.').map(Number);
+    const index = a.findIndex((part, i) => part !== b[i]);
+    return index !== -1 && a[index] > b[index];
+  }
+
+  // Services in the same category as the one at `url` whose policies scored
+  // higher. `score` is the live analysis of the page; without it the
+  // service's own catalog snapshot is the bar.
+  suggest(catalog: ValidatedAlternativesCatalog, url: string, score: number | null = null): AlternativesReport {
+    const service = this.findService(catalog, url);
+    const report: AlternativesReport = {
+      catalogVersion: catalog.version,
+      category: null,
+      service: null,
+      baseline: null,
+      alternatives: []
+    };
+    if (!service) return report;
+
+    const category = catalog.categories.find(item => item.id === service.category)!;
+    const baseline = score ?? service.snapshot.scores.aggregate;
+
+    return {
+      ...report,
+      category: { id: category.id, name: category.name },
+      service: { id: service.id, name: service.name },
+      baseline,
+      alternatives: catalog.services
+        .filter(other => other.category === service.category && other.id !== service.id)
+        .filter(other => other.snapshot.scores.aggregate > baseline)
+        .sort((a, b) => b.snapshot.scores.aggregate - a.snapshot.scores.aggregate)
+        .slice(0, this.maxSuggestions)
+        .map(other => ({
+          id: other.id,
+          name: other.name,
+          url: other.url,
+          aggregate: other.snapshot.scores.aggregate,
+          scoreGain: other.snapshot.scores.aggregate - baseline,
+          redFlagCount: other.snapshot.redFlags.length,
+          analyzedAt: other.snapshot.analyzedAt
+        }))
+    };
+  }
+
+  // Matches the host and its parent domains, so accounts.example.com finds
+  // the service listed as example.com. The longest listed domain wins, which
+  // keeps drive.example.com apart from example.com.
+  findService(catalog: ValidatedAlternativesCatalog, url: string): ValidatedCatalogService | null {
+    let host: string;
+    try {
+      host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+      return null;
+    }
+
+    let match: ValidatedCatalogService | null = null;
+    let matchLength = 0;
+    catalog.services.forEach(service => service.domains.forEach(domain => {
+      if ((host === domain || host.endsWith(`.${domain}`)) && domain.length > matchLength) {
+        match = service;
+        matchLength = domain.length;
+      }
+    }));
+    return match;
+  }
+}
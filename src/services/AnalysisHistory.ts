@@ -0,0 +1,73 @@
+import type { AnalysisResult, HistoryEntry, HistoryQuery, ScoreBand, TrustThresholds } from '../types/analysis';
+
+// Builds and queries the list of analyzed policies. Storage is left to the
+// caller: chrome.storage in the extension, localStorage in the web app.
+export class AnalysisHistory {
+  private readonly maxEntries: number;
+
+  constructor(maxEntries = 500) {
+    this.maxEntries = maxEntries;
+  }
+
+  toEntry(result: AnalysisResult, id: string = result.url): HistoryEntry {
+    let domain = result.url;
+    try {
+      domain = new URL(result.url).hostname || result.url;
+    } catch {
+      // Local files are listed by name
+    }
+
+    return {
+      id,
+      url: result.url,
+      domain,
+      analyzedAt: result.retrievedAt,
+      aggregate: result.languageSupported === false ? null : result.scores.aggregate,
+      redFlagCount: result.redFlags?.length || 0,
+      language: result.language,
+      scoring: result.scoring
+    };
+  }
+
+  // Re-analyzing a policy moves it to the top instead of adding a duplicate
+  record(entries: HistoryEntry[], entry: HistoryEntry): HistoryEntry[] {
+    return [entry, ...entries.filter(existing => existing.id !== entry.id)].slice(0, this.maxEntries);
+  }
+
+  remove(entries: HistoryEntry[], id: string): HistoryEntry[] {
+    return entries.filter(entry => entry.id !== id);
+  }
+
+  scoreBand(aggregate: number | null, thresholds: TrustThresholds = { good: 75, caution: 50 }): ScoreBand {
+    if (aggregate === null) return 'unscored';
+    if (aggregate >= thresholds.good) return 'good';
+    if (aggregate >= thresholds.caution) return 'caution';
+    return 'concerning';
+  }
+
+  query(entries: HistoryEntry[], { search = '', band = 'all', sort = 'newest' }: HistoryQuery = {}): HistoryEntry[] {
+    const term = search.trim().toLowerCase();
+    const time = (entry: HistoryEntry) => new Date(entry.analyzedAt).getTime();
+    // Unscored policies sort after scored ones in either direction
+    const score = (entry: HistoryEntry, direction: 1 | -1) =>
+      entry.aggregate === null ? Infinity : entry.aggregate * direction;
+
+    return entries
+      .filter(entry => !term || entry.domain.toLowerCase().includes(term) || entry.url.toLowerCase().includes(term))
+      .filter(entry => band === 'all' || this.scoreBand(entry.aggregate, entry.scoring?.thresholds) === band)
+      .sort((a, b) => {
+        switch (sort) {
+          case 'oldest':
+            return time(a) - time(b);
+          case 'score-high':
+            return score(a, -1) - score(b, -1) || time(b) - time(a);
+          case 'score-low':
+            return score(a, 1) - score(b, 1) || time(b) - time(a);
+          case 'domain':
+            return a.domain.localeCompare(b.domain) || time(b) - time(a);
+          default:
+            return time(b) - time(a);
+        }
+      });
+  }
+}
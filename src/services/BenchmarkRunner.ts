@@ -0,0 +1,200 @@
+import { PolicyAnalyzer } from './PolicyAnalyzer';
+import { validateBenchmarkCorpus } from '../types/security';
+import type { ValidatedBenchmarkCorpus, ValidatedBenchmarkEntry } from '../types/security';
+import type {
+  AnalysisResult,
+  BenchmarkEntryResult,
+  BenchmarkReport,
+  BenchmarkScore,
+  FlagBenchmark,
+  ScoreBenchmark
+} from '../types/analysis';
+
+const scoreKeys: BenchmarkScore[] = [
+  'aggregate', 'collection', 'sharingSelling', 'rights', 'retention',
+  'dispute', 'license', 'tracking', 'children', 'security'
+];
+
+// Reads a snapshot given its path relative to the corpus file
+export type SnapshotReader = (path: string) => string | Promise<string>;
+
+export class BenchmarkRunner {
+  private analyzer: PolicyAnalyzer;
+
+  constructor(analyzer = new PolicyAnalyzer()) {
+    this.analyzer = analyzer;
+  }
+
+  parse(input: unknown): ValidatedBenchmarkCorpus {
+    if (typeof input !== 'string') return validateBenchmarkCorpus(input);
+    try {
+      return validateBenchmarkCorpus(JSON.parse(input));
+    } catch (error) {
+      if (error instanceof SyntaxError) throw new Error('Invalid benchmark corpus: not valid JSON');
+      throw error;
+    }
+  }
+
+  async run(corpus: ValidatedBenchmarkCorpus, readSnapshot: SnapshotReader): Promise<BenchmarkReport> {
+    const analyses: AnalysisResult[] = [];
+    for (const entry of corpus.entries) {
+      const content = await readSnapshot(entry.snapshot);
+      analyses.push(await this.analyzer.analyze(
+        { isPolicyPage: true, content, extractedAt: new Date().toISOString() },
+        entry.url
+      ));
+    }
+
+    // Every flag that was labeled or raised anywhere is judged on every entry
+    const flagIds = Array.from(new Set([
+      ...corpus.entries.flatMap(entry => entry.expected.flags),
+      ...analyses.flatMap(result => (result.redFlags || []).map(flag => flag.id))
+    ])).sort();
+
+    const entries = corpus.entries.map((entry, index) => this.scoreEntry(entry, analyses[index], flagIds));
+    const confidence = entries.map(entry => Math.abs(entry.confidence - entry.accuracy));
+    const clauseCounts = analyses.map(result => (result.sections || []).flatMap(section => section.clauses).length);
+    // Rules are tuned until the tuning entries agree, so only the held-out
+    // ones say how far the analyzer can be trusted on a policy it hasn't seen
+    const heldOut = entries.filter(entry => entry.split === 'holdout');
+    const agreed = heldOut.reduce((sum, entry) => sum + entry.agreed, 0);
+    const labels = heldOut.reduce((sum, entry) => sum + entry.labels, 0);
+
+    return {
+      corpusVersion: corpus.version,
+      entries,
+      flags: flagIds.map(flag => this.scoreFlag(flag, corpus.entries, analyses)),
+      scores: scoreKeys
+        .map(category => this.scoreCategory(category, corpus.entries, entries))
+        .filter(score => score.labeled > 0),
+      confidence: {
+        meanConfidence: this.round(this.mean(entries.map(entry => entry.confidence))),
+        meanAccuracy: this.round(this.mean(entries.map(entry => entry.accuracy))),
+        calibrationError: this.round(this.mean(confidence))
+      },
+      calibration: {
+        corpusVersion: corpus.version,
+        accuracy: Math.floor((agreed + 1) / (labels + 2) * 100) / 100,
+        heldOut: heldOut.length,
+        fullPolicyClauses: Math.min(...clauseCounts)
+      }
+    };
+  }
+
+  // Plain-text tables for the command line
+  format(report: BenchmarkReport): string {
+    const percent = (value: number | null) => value === null ? '-' : `${Math.round(value * 100)}%`;
+    const pad = (value: string | number, width: number) => String(value).padEnd(width);
+    const lines = [`Benchmark corpus ${report.corpusVersion}, ${report.entries.length} policies`, ''];
+
+    lines.push('Red flags', `${pad('flag', 24)}${pad('precision', 11)}${pad('recall', 8)}tp/fp/fn`);
+    report.flags.forEach(flag => {
+      lines.push(`${pad(flag.flag, 24)}${pad(percent(flag.precision), 11)}${pad(percent(flag.recall), 8)}${flag.truePositives}/${flag.falsePositives}/${flag.falseNegatives}`);
+    });
+
+    lines.push('', 'Scores', `${pad('category', 24)}${pad('error', 11)}in range`);
+    report.scores.forEach(score => {
+      lines.push(`${pad(score.category, 24)}${pad(score.meanAbsoluteError.toFixed(1), 11)}${score.withinRange}/${score.labeled}`);
+    });
+
+    lines.push('', `Confidence ${percent(report.confidence.meanConfidence)}, accuracy ${percent(report.confidence.meanAccuracy)}, calibration error ${percent(report.confidence.calibrationError)}`);
+    lines.push(`Held-out accuracy ${percent(report.calibration.accuracy)} over ${report.calibration.heldOut} policies, used for confidence`);
+
+    const misses = report.entries.filter(entry =>
+      entry.missedFlags.length || entry.unexpectedFlags.length || Object.values(entry.scoreErrors).some(error => error! > 0)
+    );
+    if (misses.length) {
+      lines.push('', 'Disagreements');
+      misses.forEach(entry => {
+        const details = [
+          ...entry.missedFlags.map(flag => `missed ${flag}`),
+          ...entry.unexpectedFlags.map(flag => `unexpected ${flag}`),
+          ...Object.entries(entry.scoreErrors)
+            .filter(([, error]) => error! > 0)
+            .map(([category, error]) => `${category} off by ${error}`)
+        ];
+        lines.push(`${pad(entry.id, 24)}${details.join(', ')}${entry.split === 'holdout' ? ' (held out)' : ''}`);
+      });
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  private scoreEntry(entry: ValidatedBenchmarkEntry, result: AnalysisResult, flagIds: string[]): BenchmarkEntryResult {
+    const raised = new Set((result.redFlags || []).map(flag => flag.id));
+    const expected = new Set(entry.expected.flags);
+    const scoreErrors: BenchmarkEntryResult['scoreErrors'] = {};
+
+    scoreKeys.forEach(category => {
+      const range = entry.expected.scores[category];
+      if (range) scoreErrors[category] = this.rangeError(result.scores[category], range);
+    });
+
+    const errors = Object.values(scoreErrors);
+    const flagsRight = flagIds.filter(flag => raised.has(flag) === expected.has(flag)).length;
+    const scoresRight = errors.filter(error => error === 0).length;
+
+    return {
+      id: entry.id,
+      name: entry.name,
+      split: entry.split,
+      missedFlags: entry.expected.flags.filter(flag => !raised.has(flag)),
+      unexpectedFlags: Array.from(raised).filter(flag => !expected.has(flag)),
+      scoreErrors,
+      confidence: result.scores.confidence,
+      accuracy: this.round((flagsRight + scoresRight) / (flagIds.length + errors.length)),
+      agreed: flagsRight + scoresRight,
+      labels: flagIds.length + errors.length
+    };
+  }
+
+  private scoreFlag(flag: string, entries: ValidatedBenchmarkEntry[], analyses: AnalysisResult[]): FlagBenchmark {
+    let truePositives = 0;
+    let falsePositives = 0;
+    let falseNegatives = 0;
+
+    entries.forEach((entry, index) => {
+      const expected = entry.expected.flags.includes(flag);
+      const raised = (analyses[index].redFlags || []).some(item => item.id === flag);
+      if (expected && raised) truePositives++;
+      if (!expected && raised) falsePositives++;
+      if (expected && !raised) falseNegatives++;
+    });
+
+    return {
+      flag,
+      truePositives,
+      falsePositives,
+      falseNegatives,
+      precision: truePositives + falsePositives ? this.round(truePositives / (truePositives + falsePositives)) : null,
+      recall: truePositives + falseNegatives ? this.round(truePositives / (truePositives + falseNegatives)) : null
+    };
+  }
+
+  private scoreCategory(category: BenchmarkScore, entries: ValidatedBenchmarkEntry[], results: BenchmarkEntryResult[]): ScoreBenchmark {
+    const errors = results
+      .filter((_, index) => entries[index].expected.scores[category])
+      .map(result => result.scoreErrors[category]!);
+
+    return {
+      category,
+      labeled: errors.length,
+      withinRange: errors.filter(error => error === 0).length,
+      meanAbsoluteError: this.round(this.mean(errors))
+    };
+  }
+
+  private rangeError(value: number, [min, max]: [number, number]): number {
+    if (value < min) return min - value;
+    if (value > max) return value - max;
+    return 0;
+  }
+
+  private mean(values: number[]): number {
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+  }
+
+  private round(value: number): number {
+    return Math.round(value * 100) / 100;
+  }
+}
@@ -0,0 +1,145 @@
+import type { Clause } from '../types/analysis';
+import type { ContextCues, LanguagePack, PatternCategory } from './LanguagePacks';
+
+// What a clause says about the practice its pattern matched
+export type ClauseStance = 'asserted' | 'negated' | 'conditional';
+
+export type ConsentModel = 'opt-in' | 'opt-out';
+
+export interface ClauseFinding {
+  // A language pack category, or the id given to match()
+  category: PatternCategory | string;
+  clause: Clause;
+  // Offsets of the matched words in the full policy text
+  start: number;
+  end: number;
+  stance: ClauseStance;
+  // The clause carves out exceptions ("except for service providers")
+  limited: boolean;
+  consent?: ConsentModel;
+  // How strongly the clause commits to the practice, from 0 to 1
+  weight: number;
+}
+
+export class ClauseClassifier {
+  // Words before a match that a negation may sit in ("we will never sell")
+  private readonly negationWindow = 6;
+  // Words after a match checked in languages that negate after the verb
+  private readonly trailingWindow = 4;
+
+  // One finding per clause and category; when several patterns match the
+  // same clause, the strongest reading wins
+  classify(clauses: Clause[], pack: LanguagePack): ClauseFinding[] {
+    const categories = Object.keys(pack.patterns) as PatternCategory[];
+
+    return clauses.flatMap(clause => categories
+      .map(category => this.strongest(category, clause, pack.patterns[category], pack.context))
+      .filter((finding): finding is ClauseFinding => finding !== null)
+    );
+  }
+
+  // The same reading for patterns from outside the language pack, such as
+  // imported rules. Clauses matching one of the exclusions are skipped.
+  match(id: string, clauses: Clause[], patterns: RegExp[], pack: LanguagePack, exclusions: RegExp[] = []): ClauseFinding[] {
+    return clauses
+      .filter(clause => !exclusions.some(exclusion => exclusion.test(clause.text)))
+      .map(clause => this.strongest(id, clause, patterns, pack.context))
+      .filter((finding): finding is ClauseFinding => finding !== null);
+  }
+
+  // Opt-in wording wins when a clause mentions both, since it states the default
+  consent(text: string, pack: LanguagePack): ConsentModel | undefined {
+    return this.consentModel(text, pack.context);
+  }
+
+  private strongest(category: string, clause: Clause, patterns: RegExp[], cues: ContextCues): ClauseFinding | null {
+    let best: ClauseFinding | null = null;
+
+    for (const pattern of patterns) {
+      const match = clause.text.match(pattern);
+      if (!match) continue;
+
+      const finding = this.describe(category, clause, match.index!, match[0].length, cues);
+      if (!best || finding.weight > best.weight) {
+        best = finding;
+      }
+    }
+
+    return best;
+  }
+
+  private describe(
+    category: string,
+    clause: Clause,
+    index: number,
+    length: number,
+    cues: ContextCues
+  ): ClauseFinding {
+    const negated = this.isNegated(clause.text, index, length, cues);
+    const limited = cues.exception.test(clause.text);
+    const consent = this.consentModel(clause.text, cues);
+
+    let stance: ClauseStance = 'asserted';
+    if (negated) {
+      // "We do not share your data except with processors" still shares
+      stance = limited ? 'conditional' : 'negated';
+    } else if (consent === 'opt-in' || (consent !== 'opt-out' && cues.condition.test(clause.text))) {
+      // "unless you opt out" is a condition in form only: the practice is on by default
+      stance = 'conditional';
+    }
+
+    return {
+      category,
+      clause,
+      start: clause.start + index,
+      end: clause.start + index + length,
+      stance,
+      limited,
+      consent,
+      weight: this.weigh(stance, limited, consent)
+    };
+  }
+
+  private consentModel(text: string, cues: ContextCues): ConsentModel | undefined {
+    if (cues.optIn.test(text)) return 'opt-in';
+    if (cues.optOut.test(text)) return 'opt-out';
+    return undefined;
+  }
+
+  private isNegated(text: string, index: number, length: number, cues: ContextCues): boolean {
+    const before = text.slice(0, index);
+    const window = before
+      .slice(this.scopeStart(before, cues))
+      .split(/\s+/)
+      .filter(Boolean)
+      .slice(-this.negationWindow)
+      .join(' ');
+
+    if (cues.negation.test(window)) return true;
+    if (!cues.trailingNegation) return false;
+
+    const after = text
+      .slice(index + length)
+      .split(/\s+/)
+      .filter(Boolean)
+      .slice(0, this.trailingWindow)
+      .join(' ');
+    return cues.trailingNegation.test(`${text.slice(index, index + length)} ${after}`);
+  }
+
+  // A negation does not reach past "; " or a contrasting "but"
+  private scopeStart(before: string, cues: ContextCues): number {
+    const boundary = new RegExp(`[;:]|${cues.contrast.source}`, 'gi');
+    let start = 0;
+    for (const match of before.matchAll(boundary)) {
+      start = match.index! + match[0].length;
+    }
+    return start;
+  }
+
+  private weigh(stance: ClauseStance, limited: boolean, consent?: ConsentModel): number {
+    if (stance === 'negated') return 0;
+    if (stance === 'conditional') return consent === 'opt-in' ? 0.25 : 0.5;
+    return limited ? 0.75 : 1;
+  }
+}
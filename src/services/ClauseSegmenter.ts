@@ -0,0 +1,148 @@
+import type { Clause, PolicySection } from '../types/analysis';
+
+interface SectionBoundary {
+  start: number;
+  bodyStart: number;
+  number?: string;
+  heading?: string;
+}
+
+export class ClauseSegmenter {
+  // "3.", "3.2" or "3.2.1" at the start of a line or right after a sentence,
+  // followed by a capitalised heading word
+  private readonly numberingPattern = /(^|\n|[.!?:]\s+)(\d{1,2}(?:\.\d{1,2}){0,3})\.?\s+(?=[A-Z])/g;
+
+  segment(text: string, headings: string[] = []): PolicySection[] {
+    if (!text) return [];
+
+    const boundaries = this.findBoundaries(text, headings);
+    const sections: PolicySection[] = [];
+
+    // Text before the first heading is kept as a preamble section
+    if (boundaries.length === 0 || boundaries[0].start > 0) {
+      boundaries.unshift({ start: 0, bodyStart: 0 });
+    }
+
+    boundaries.forEach((boundary, index) => {
+      const end = index + 1 < boundaries.length ? boundaries[index + 1].start : text.length;
+      const id = `s${sections.length + 1}`;
+      const clauses = this.splitClauses(text, boundary.bodyStart, end, id);
+
+      if (clauses.length === 0 && !boundary.heading && !boundary.number) return;
+
+      sections.push({
+        id,
+        number: boundary.number,
+        heading: boundary.heading,
+        start: boundary.start,
+        end,
+        clauses
+      });
+    });
+
+    return sections;
+  }
+
+  // Returns the clause containing the given character offset
+  findClause(sections: PolicySection[], offset: number): Clause | null {
+    for (const section of sections) {
+      if (offset < section.start || offset >= section.end) continue;
+      const clause = section.clauses.find(c => offset >= c.start && offset < c.end);
+      if (clause) return clause;
+    }
+    return null;
+  }
+
+  private findBoundaries(text: string, headings: string[]): SectionBoundary[] {
+    const boundaries = new Map<number, SectionBoundary>();
+
+    // Headings reported by the page (h1-h4), located in document order
+    const lowerText = text.toLowerCase();
+    let searchFrom = 0;
+    headings.forEach(heading => {
+      const needle = heading.toLowerCase().replace(/\s+/g, ' ').trim();
+      if (needle.length < 3) return;
+
+      const index = lowerText.indexOf(needle, searchFrom);
+      if (index === -1) return;
+
+      // Headings are often rendered after their number ("3.2 Sharing")
+      const prefix = text.slice(Math.max(0, index - 16), index)
+        .match(/(\d{1,2}(?:\.\d{1,2}){0,3})\.?\s+$/);
+      const start = prefix ? index - prefix[0].length : index;
+
+      boundaries.set(start, {
+        start,
+        bodyStart: index + needle.length,
+        number: prefix?.[1],
+        heading: text.slice(index, index + needle.length).trim()
+      });
+      searchFrom = index + needle.length;
+    });
+
+    // Numbered sections such as "3.2 Sharing with partners"
+    for (const match of text.matchAll(this.numberingPattern)) {
+      const start = match.index! + match[1].length;
+      if (this.isInsideBoundary(boundaries, start)) continue;
+
+      const lineEnd = text.indexOf('\n', start);
+      const heading = lineEnd !== -1 && lineEnd - start < 120
+        ? text.slice(start, lineEnd).trim()
+        : undefined;
+
+      boundaries.set(start, {
+        start,
+        bodyStart: heading ? lineEnd : start + match[0].length - match[1].length,
+        number: match[2],
+        heading
+      });
+    }
+
+    // Short standalone lines without terminal punctuation read as headings
+    if (boundaries.size === 0) {
+      for (const match of text.matchAll(/(^|\n)([^\n.!?:;,]{3,80})(?=\n)/g)) {
+        const start = match.index! + match[1].length;
+        if (!/^[A-Z0-9]/.test(match[2].trim())) continue;
+
+        boundaries.set(start, {
+          start,
+          bodyStart: start + match[2].length,
+          heading: match[2].trim()
+        });
+      }
+    }
+
+    return Array.from(boundaries.values()).sort((a, b) => a.start - b.start);
+  }
+
+  private isInsideBoundary(boundaries: Map<number, SectionBoundary>, offset: number): boolean {
+    for (const boundary of boundaries.values()) {
+      if (offset >= boundary.start && offset < boundary.bodyStart) return true;
+    }
+    return false;
+  }
+
+  private splitClauses(text: string, start: number, end: number, sectionId: string): Clause[] {
+    const clauses: Clause[] = [];
+    const body = text.slice(start, end);
+    const sentencePattern = /(?:[^.!?\n]|[.!?](?!\s|$))+(?:[.!?]+|\n|$)/g;
+
+    for (const match of body.matchAll(sentencePattern)) {
+      const raw = match[0];
+      const leading = raw.length - raw.trimStart().length;
+      const trimmed = raw.trim();
+      if (trimmed.length < 2) continue;
+
+      const clauseStart = start + match.index! + leading;
+      clauses.push({
+        id: `${sectionId}-c${clauses.length + 1}`,
+        sectionId,
+        text: trimmed,
+        start: clauseStart,
+        end: clauseStart + trimmed.length
+      });
+    }
+
+    return clauses;
+  }
+}
@@ -0,0 +1,176 @@
+import type { Clause, ComplianceItem, ComplianceRegime, ComplianceReport } from '../types/analysis';
+import { ClauseClassifier } from './ClauseClassifier';
+import type { ClauseFinding } from './ClauseClassifier';
+import type { ComplianceCheckId, ComplianceCues, LanguagePack } from './LanguagePacks';
+
+interface ComplianceCheck {
+  id: ComplianceCheckId;
+  regime: ComplianceRegime;
+  title: string;
+  requirement: string;
+  // Labels for the parts of the disclosure, keyed like ComplianceCues.parts
+  parts: Record<string, string>;
+}
+
+const checks: ComplianceCheck[] = [
+  {
+    id: 'gdpr-legal-basis',
+    regime: 'gdpr',
+    title: 'Legal basis for processing',
+    requirement: 'States the legal basis (consent, contract, legal obligation or legitimate interests) for each purpose.',
+    parts: { basis: 'legal basis' }
+  },
+  {
+    id: 'gdpr-controller',
+    regime: 'gdpr',
+    title: 'Controller identity and contact',
+    requirement: 'Names the company responsible for your data and how to reach it.',
+    parts: { identity: 'controller identity', contact: 'contact details' }
+  },
+  {
+    id: 'gdpr-dpo',
+    regime: 'gdpr',
+    title: 'Data protection officer',
+    requirement: 'Gives the contact details of the data protection officer, where one is required.',
+    parts: { dpo: 'data protection officer' }
+  },
+  {
+    id: 'gdpr-retention',
+    regime: 'gdpr',
+    title: 'Retention periods',
+    requirement: 'Says how long data is kept, or the criteria used to decide.',
+    parts: { period: 'retention period' }
+  },
+  {
+    id: 'gdpr-rights',
+    regime: 'gdpr',
+    title: 'Data subject rights',
+    requirement: 'Explains your rights to access, rectify, erase, restrict, port and object, and to complain to a supervisory authority.',
+    parts: {
+      access: 'access',
+      rectification: 'rectification',
+      erasure: 'erasure',
+      restriction: 'restriction',
+      portability: 'portability',
+      objection: 'objection',
+      complaint: 'complaint to a supervisory authority'
+    }
+  },
+  {
+    id: 'gdpr-special-categories',
+    regime: 'gdpr',
+    title: 'Special categories of data',
+    requirement: 'Says whether sensitive data such as health, biometric or genetic data is processed.',
+    parts: { categories: 'special categories' }
+  },
+  {
+    id: 'ccpa-do-not-sell',
+    regime: 'ccpa',
+    title: '"Do Not Sell or Share" link',
+    requirement: 'Offers a "Do Not Sell or Share My Personal Information" link or honors opt-out preference signals.',
+    parts: { link: 'opt-out link' }
+  },
+  {
+    id: 'ccpa-rights',
+    regime: 'ccpa',
+    title: 'Consumer rights',
+    requirement: 'Explains the rights to know, delete and correct, and promises not to discriminate against you for using them.',
+    parts: { know: 'right to know', delete: 'right to delete', correct: 'right to correct', nonDiscrimination: 'non-discrimination' }
+  },
+  {
+    id: 'ccpa-sensitive',
+    regime: 'ccpa',
+    title: 'Sensitive personal information',
+    requirement: 'Discloses sensitive personal information collected and how to limit its use.',
+    parts: { categories: 'sensitive categories', limit: 'right to limit' }
+  },
+  {
+    id: 'coppa-parental-consent',
+    regime: 'coppa',
+    title: 'Parental consent',
+    requirement: 'Obtains verifiable parental consent for children under 13, or says the service is not directed to them.',
+    parts: { consent: 'parental consent' }
+  }
+];
+
+// Law names read the same in every supported language; the national
+// GDPR implementations count as GDPR
+const regimeReferences: Record<ComplianceRegime, RegExp> = {
+  gdpr: /\b(GDPR|DSGVO|DS-GVO|RGPD|BDSG|LOPDGDD|General Data Protection Regulation|Datenschutz-Grundverordnung|règlement général sur la protection des données|Reglamento General de Protección de Datos)\b/i,
+  ccpa: /\b(CCPA|CPRA|California Consumer Privacy Act|California Privacy Rights Act)\b/i,
+  coppa: /\b(COPPA|Children['’]s Online Privacy Protection)\b/i
+};
+
+export class ComplianceChecker {
+  private classifier: ClauseClassifier;
+
+  constructor() {
+    this.classifier = new ClauseClassifier();
+  }
+
+  check(content: string, clauses: Clause[], pack: LanguagePack): ComplianceReport {
+    const referenced = (Object.keys(regimeReferences) as ComplianceRegime[])
+      .filter(regime => regimeReferences[regime].test(content));
+
+    const items = checks
+      .filter(check => pack.compliance[check.id])
+      .map(check => this.evaluate(check, pack.compliance[check.id]!, clauses, pack));
+
+    return { referenced, items };
+  }
+
+  // Share of the named laws' disclosures the policy makes, from 0 to 1;
+  // unclear items count half
+  coverage(report: ComplianceReport): number {
+    const items = report.items.filter(item => report.referenced.includes(item.regime));
+    if (items.length === 0) return 0;
+
+    const points = items.reduce((sum, item) => sum + (item.status === 'pass' ? 1 : item.status === 'unclear' ? 0.5 : 0), 0);
+    return points / items.length;
+  }
+
+  private evaluate(check: ComplianceCheck, cues: ComplianceCues, clauses: Clause[], pack: LanguagePack): ComplianceItem {
+    const found: ClauseFinding[] = [];
+    const hints: ClauseFinding[] = [];
+    const missing: string[] = [];
+
+    Object.entries(check.parts).forEach(([part, label]) => {
+      const matches = this.classifier.match(`${check.id}:${part}`, clauses, cues.parts[part] || [], pack);
+      // "We have not appointed a DPO" mentions the part without making the disclosure
+      const stated = matches.filter(finding => finding.stance !== 'negated');
+
+      if (stated.length > 0) {
+        found.push(...stated);
+      } else {
+        missing.push(label);
+        hints.push(...matches);
+      }
+    });
+    hints.push(...this.classifier.match(check.id, clauses, cues.vague || [], pack));
+
+    const { parts, ...item } = check;
+    if (missing.length === 0) {
+      return { ...item, status: 'pass', ...this.evidenceFor(found) };
+    }
+    if (found.length === 0 && hints.length === 0) {
+      return { ...item, status: 'missing' };
+    }
+    return {
+      ...item,
+      status: 'unclear',
+      ...this.evidenceFor([...found, ...hints]),
+      ...(found.length > 0 && Object.keys(parts).length > 1 && { missing })
+    };
+  }
+
+  private evidenceFor(findings: ClauseFinding[]): Pick<ComplianceItem, 'evidence' | 'evidenceRanges'> {
+    const clauses = new Map<string, Clause>();
+    findings.forEach(({ clause }) => clauses.set(clause.id, clause));
+    const ordered = Array.from(clauses.values()).sort((a, b) => a.start - b.start);
+
+    return {
+      evidence: ordered[0].text.length > 200 ? ordered[0].text.slice(0, 200) + '...' : ordered[0].text,
+      evidenceRanges: ordered.slice(0, 10).map(clause => [clause.start, clause.end])
+    };
+  }
+}
@@ -0,0 +1,149 @@
+import { validateConsentBanner } from '../types/security';
+import type { ValidatedConsentBannerSnapshot } from '../types/security';
+import type { ConsentBannerReport, ConsentPlatform, ConsentPurpose, DarkPattern } from '../types/analysis';
+
+const platformNames: Record<ConsentPlatform, string> = {
+  onetrust: 'OneTrust',
+  cookiebot: 'Cookiebot',
+  trustarc: 'TrustArc',
+  tcf: 'IAB TCF consent platform',
+  other: 'Cookie banner'
+};
+
+// Purposes as named in the IAB TCF v2.2 policy
+const tcfPurposes: Record<number, string> = {
+  1: 'Store and/or access information on a device',
+  2: 'Use limited data to select advertising',
+  3: 'Create profiles for personalised advertising',
+  4: 'Use profiles to select personalised advertising',
+  5: 'Create profiles to personalise content',
+  6: 'Use profiles to select personalised content',
+  7: 'Measure advertising performance',
+  8: 'Measure content performance',
+  9: 'Understand audiences through statistics or combinations of data from different sources',
+  10: 'Develop and improve services',
+  11: 'Use limited data to select content'
+};
+
+// Button and purpose wording in the languages the analyzer supports
+const acceptPattern = /\b(accept|agree|allow|got it|ok(ay)?)\b|akzeptieren|zustimmen|einverstanden|alle zulassen|accepter|j'accepte|autoriser|aceptar|acepto|permitir/i;
+const rejectPattern = /\b(reject|decline|deny|refuse|disagree)\b|(only|just) (strictly )?(necessary|essential)|(necessary|essential) (cookies )?only|continue without|ablehnen|nur (notwendige|erforderliche|essenzielle)|verweigern|refuser|continuer sans|rechazar|solo (las )?necesarias|denegar/i;
+const requiredPattern = /strictly necessary|essential|required|notwendig|erforderlich|essenziell|nécessaires|indispensables|necesarias|técnicas/i;
+const impliedConsentPattern = /[^.!?]*(by (continuing|using|browsing|staying|scrolling)|if you continue|continued use|weitere(n)? nutzung|weiter surfen|en poursuivant|en continuant|si contin[uú]as|al continuar)[^.!?]*[.!?]?/i;
+
+export class ConsentBannerAnalyzer {
+  // Snapshots come from the page through the content script
+  parse(input: unknown): ValidatedConsentBannerSnapshot {
+    return validateConsentBanner(input);
+  }
+
+  analyze(snapshot: ValidatedConsentBannerSnapshot, detectedAt: Date = new Date()): ConsentBannerReport {
+    const purposes = this.purposes(snapshot);
+    const vendors = Array.from(new Set(snapshot.vendors.filter(Boolean)));
+
+    return {
+      url: snapshot.url,
+      platform: snapshot.platform,
+      platformName: snapshot.platform === 'tcf' && snapshot.tcf
+        ? `${platformNames.tcf} (CMP ${snapshot.tcf.cmpId})`
+        : platformNames[snapshot.platform],
+      tcf: !!snapshot.tcf,
+      purposes,
+      vendors,
+      // Without a readable vendor list, the TCF signal still says how many
+      // vendors are covered
+      vendorCount: vendors.length || (snapshot.tcf
+        ? Math.max(snapshot.tcf.vendorConsents, snapshot.tcf.vendorLegitimateInterests)
+        : 0),
+      darkPatterns: this.darkPatterns(snapshot, purposes),
+      detectedAt: detectedAt.toISOString()
+    };
+  }
+
+  // Consent and legitimate-interest toggles for the same purpose are merged
+  private purposes(snapshot: ValidatedConsentBannerSnapshot): ConsentPurpose[] {
+    const byName = new Map<string, ConsentPurpose>();
+    const purpose = (name: string) => {
+      const key = name.toLowerCase();
+      if (!byName.has(key)) {
+        byName.set(key, { name, preChecked: false, legitimateInterest: false, required: requiredPattern.test(name) });
+      }
+      return byName.get(key)!;
+    };
+
+    snapshot.toggles.filter(toggle => toggle.label).forEach(toggle => {
+      const item = purpose(toggle.label);
+      if (toggle.disabled) item.required = true;
+      if (toggle.legitimateInterest) {
+        item.legitimateInterest = item.legitimateInterest || toggle.checked;
+      } else if (toggle.checked && !toggle.disabled) {
+        item.preChecked = true;
+      }
+    });
+
+    const tcf = snapshot.tcf;
+    if (tcf) {
+      // Consents that are on while the banner is still waiting for an answer
+      // were set for the user
+      if (tcf.eventStatus === 'cmpuishown') {
+        tcf.purposeConsents.forEach(id => { purpose(tcfPurposes[id] || `Purpose ${id}`).preChecked = true; });
+      }
+      tcf.purposeLegitimateInterests.forEach(id => {
+        purpose(tcfPurposes[id] || `Purpose ${id}`).legitimateInterest = true;
+      });
+    }
+
+    return Array.from(byName.values());
+  }
+
+  private darkPatterns(snapshot: ValidatedConsentBannerSnapshot, purposes: ConsentPurpose[]): DarkPattern[] {
+    const patterns: DarkPattern[] = [];
+    const optional = purposes.filter(item => !item.required);
+
+    const accept = snapshot.buttons.filter(label => acceptPattern.test(label) && !rejectPattern.test(label));
+    if (accept.length > 0 && !snapshot.buttons.some(label => rejectPattern.test(label))) {
+      patterns.push({
+        id: 'no-reject-all',
+        title: 'No "Reject all" button',
+        severity: 4,
+        whatItMeans: 'Accepting takes one click, while refusing means digging through the settings. Refusing should be as easy as accepting.',
+        evidence: accept
+      });
+    }
+
+    const preChecked = optional.filter(item => item.preChecked);
+    if (preChecked.length > 0) {
+      patterns.push({
+        id: 'pre-ticked',
+        title: 'Pre-ticked consent boxes',
+        severity: 4,
+        whatItMeans: 'Some purposes are switched on before you choose anything. Consent has to be an active choice, so pre-ticked boxes don\'t count as consent.',
+        evidence: preChecked.map(item => item.name)
+      });
+    }
+
+    const legitimateInterest = optional.filter(item => item.legitimateInterest);
+    if (legitimateInterest.length > 0) {
+      patterns.push({
+        id: 'legitimate-interest',
+        title: 'Processing on "legitimate interest"',
+        severity: 3,
+        whatItMeans: 'These purposes stay on even if you reject all, unless you find and switch off a separate "legitimate interest" toggle.',
+        evidence: legitimateInterest.map(item => item.name)
+      });
+    }
+
+    const implied = snapshot.text.match(impliedConsentPattern);
+    if (implied) {
+      patterns.push({
+        id: 'implied-consent',
+        title: 'Consent implied by using the site',
+        severity: 3,
+        whatItMeans: 'The banner treats browsing on as agreement. Continuing to use a site is not valid consent to tracking.',
+        evidence: [implied[0].trim().slice(0, 200)]
+      });
+    }
+
+    return patterns;
+  }
+}
@@ -4,6 +4,8 @@ export interface UserConsent {
   dataCollection: boolean;
   analytics: boolean;
   storage: boolean;
+  // Clause text may be sent to the user's own model endpoint for summaries
+  llmSummaries?: boolean;
   consentDate: string;
   version: string;
 }
@@ -0,0 +1,61 @@
+import { validateGlossary } from '../types/security';
+import type { ValidatedGlossary } from '../types/security';
+import type { GlossaryEntry, TermMatch } from '../types/analysis';
+import bundled from '../../glossary/glossary.json';
+
+const escapeRegExp = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Finds legal and privacy terms in text so they can be shown with their
+// plain-language definitions. One list covers every policy language: the
+// aliases carry the translations.
+export class Glossary {
+  private entries: Map<string, GlossaryEntry>;
+  private ids = new Map<string, string>();
+  private pattern: RegExp;
+
+  constructor(glossary: ValidatedGlossary = Glossary.bundled()) {
+    this.entries = new Map(glossary.terms.map(({ id, term, aliases, definition }) => [id, { id, term, definition, aliases }]));
+    glossary.terms.forEach(({ id, term, aliases }) => {
+      [term, ...aliases].forEach(alias => {
+        const key = this.normalize(alias);
+        if (!this.ids.has(key)) this.ids.set(key, id);
+      });
+    });
+
+    // Longest first, so "binding arbitration" wins over "arbitration"; the
+    // lookarounds stand in for \b, which doesn't know accented letters
+    const alternatives = Array.from(this.ids.keys())
+      .sort((a, b) => b.length - a.length)
+      .map(alias => escapeRegExp(alias).replace(/ /g, '\\s+').replace(/'/g, "['’]"));
+    this.pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  }
+
+  static bundled(): ValidatedGlossary {
+    return validateGlossary(bundled);
+  }
+
+  // The first use of each term, in text order; later uses are left alone
+  // so a passage isn't underlined word after word
+  find(text: string): TermMatch[] {
+    const seen = new Set<string>();
+    const matches: TermMatch[] = [];
+
+    for (const match of text.matchAll(this.pattern)) {
+      const id = this.ids.get(this.normalize(match[0]));
+      if (!id || seen.has(id)) continue;
+      seen.add(id);
+      matches.push({ id, start: match.index!, end: match.index! + match[0].length });
+    }
+    return matches;
+  }
+
+  // Definitions for the given term ids, in glossary order
+  define(ids: Iterable<string>): GlossaryEntry[] {
+    const wanted = new Set(ids);
+    return Array.from(this.entries.values()).filter(entry => wanted.has(entry.id));
+  }
+
+  private normalize(alias: string): string {
+    return alias.toLowerCase().replace(/’/g, "'").replace(/\s+/g, ' ');
+  }
+}
@@ -0,0 +1,58 @@
+import type { AnalysisResult, HistoryEntry } from '../types/analysis';
+import { AnalysisHistory } from './AnalysisHistory';
+
+export interface HistoryRecord {
+  entry: HistoryEntry;
+  result: AnalysisResult;
+}
+
+// History for the web app, kept in localStorage so results survive a reload.
+// The extension keeps its history in chrome.storage (see background.js).
+export class HistoryStore {
+  private readonly storageKey = 'tcguard_history';
+  private history: AnalysisHistory;
+  private storage: Storage;
+
+  constructor(storage: Storage = window.localStorage, maxEntries = 50) {
+    this.storage = storage;
+    this.history = new AnalysisHistory(maxEntries);
+  }
+
+  load(): HistoryRecord[] {
+    try {
+      const stored = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+      return Array.isArray(stored) ? stored.filter(record => record?.entry && record?.result) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  save(result: AnalysisResult): HistoryRecord[] {
+    const records = this.load();
+    const entry = this.history.toEntry(result);
+    const entries = this.history.record(records.map(record => record.entry), entry);
+    const results = new Map(records.map(record => [record.entry.id, record.result]));
+    results.set(entry.id, result);
+
+    return this.write(entries.map(item => ({ entry: item, result: results.get(item.id)! })));
+  }
+
+  remove(id: string): HistoryRecord[] {
+    return this.write(this.load().filter(record => record.entry.id !== id));
+  }
+
+  // Full results are large; when storage is full the oldest records go first
+  private write(records: HistoryRecord[]): HistoryRecord[] {
+    let kept = records;
+    while (kept.length > 0) {
+      try {
+        this.storage.setItem(this.storageKey, JSON.stringify(kept));
+        return kept;
+      } catch {
+        kept = kept.slice(0, -1);
+      }
+    }
+    this.storage.removeItem(this.storageKey);
+    return [];
+  }
+}
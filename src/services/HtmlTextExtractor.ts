@@ -0,0 +1,81 @@
+export interface ExtractedHtml {
+  title: string;
+  content: string;
+  headings: string[];
+  // Declared by <html lang>, if any
+  language?: string;
+}
+
+// Regex-based HTML to text conversion. The MV3 service worker has no
+// DOMParser, so this runs the same way in the worker and the web app.
+export class HtmlTextExtractor {
+  private readonly removedElements = ['script', 'style', 'noscript', 'svg', 'template', 'iframe', 'nav', 'header', 'footer'];
+  private readonly blockElements = /<\/?(p|div|li|ul|ol|br|h[1-6]|tr|table|section|article|main|dd|dt|dl|blockquote|pre)\b[^>]*>/gi;
+
+  extract(html: string): ExtractedHtml {
+    const title = this.toText(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '');
+    const language = html.match(/<html\b[^>]*\blang=["']?([\w-]+)/i)?.[1];
+
+    let body = html.replace(/<!--[\s\S]*?-->/g, '');
+    this.removedElements.forEach(tag => {
+      body = body.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+    });
+
+    const main = this.findMainContent(body);
+
+    const headings = Array.from(main.matchAll(/<h([1-4])\b[^>]*>([\s\S]*?)<\/h\1>/gi))
+      .map(match => this.toText(match[2]))
+      .filter(text => text.length > 0 && text.length < 200)
+      .slice(0, 100);
+
+    const content = this.decodeEntities(
+      main
+        .replace(this.blockElements, '\n')
+        .replace(/<[^>]+>/g, ' ')
+    )
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(line => line.length > 0)
+      .join('\n');
+
+    return { title, content, headings, language };
+  }
+
+  // Prefer the main/article region, like the in-page extractors do
+  private findMainContent(html: string): string {
+    const candidates = [
+      /<main\b[^>]*>([\s\S]*)<\/main>/i,
+      /<[^>]+role=["']main["'][^>]*>([\s\S]*)/i,
+      /<article\b[^>]*>([\s\S]*)<\/article>/i,
+      /<body\b[^>]*>([\s\S]*)<\/body>/i
+    ];
+
+    for (const pattern of candidates) {
+      const match = html.match(pattern);
+      if (match && this.toText(match[1]).length > 200) {
+        return match[1];
+      }
+    }
+    return html;
+  }
+
+  private toText(html: string): string {
+    return this.decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+  }
+
+  private decodeEntities(text: string): string {
+    const named: Record<string, string> = {
+      amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+      rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“',
+      mdash: '—', ndash: '–', hellip: '…', copy: '©', reg: '®'
+    };
+
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code: string) => {
+      if (code[0] === '#') {
+        const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(value) && value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+      }
+      return named[code.toLowerCase()] ?? entity;
+    });
+  }
+}
@@ -0,0 +1,76 @@
+export interface DetectedLanguage {
+  // ISO 639-1 code, or 'und' when the text gives too little to go on
+  language: string;
+  confidence: number;
+}
+
+// Frequent function words that rarely appear in the other languages' text
+const stopwords: Record<string, string[]> = {
+  en: ['the', 'and', 'of', 'to', 'you', 'your', 'we', 'our', 'is', 'are', 'with', 'for', 'that', 'this', 'or', 'by', 'not', 'will', 'may', 'any', 'which', 'information'],
+  de: ['der', 'die', 'das', 'und', 'sie', 'ihre', 'wir', 'unsere', 'ist', 'sind', 'mit', 'für', 'nicht', 'werden', 'oder', 'auf', 'von', 'zu', 'den', 'dem', 'eine', 'daten'],
+  fr: ['le', 'les', 'et', 'vous', 'vos', 'votre', 'nous', 'notre', 'est', 'sont', 'avec', 'pour', 'pas', 'des', 'du', 'une', 'qui', 'dans', 'sur', 'aux', 'données', 'ou'],
+  es: ['el', 'los', 'las', 'y', 'usted', 'su', 'sus', 'nosotros', 'nuestro', 'es', 'son', 'con', 'para', 'del', 'una', 'en', 'por', 'al', 'como', 'datos', 'o', 'se'],
+  it: ['il', 'di', 'e', 'che', 'per', 'non', 'sono', 'gli', 'della', 'dei', 'nostro', 'vostro', 'alla', 'nel', 'dati', 'questo'],
+  pt: ['o', 'os', 'e', 'que', 'para', 'com', 'não', 'você', 'seus', 'dados', 'nossa', 'uma', 'pelo', 'pela', 'ao', 'dos'],
+  nl: ['het', 'en', 'van', 'een', 'wij', 'uw', 'je', 'niet', 'zijn', 'met', 'voor', 'gegevens', 'ons', 'deze', 'wordt', 'door']
+};
+
+// Scripts that identify the language family without word lists
+const scripts: Array<[string, RegExp]> = [
+  ['ja', /[぀-ヿ]/g],
+  ['ko', /[가-힯]/g],
+  ['zh', /[一-鿿]/g],
+  ['ru', /[Ѐ-ӿ]/g],
+  ['ar', /[؀-ۿ]/g],
+  ['he', /[֐-׿]/g],
+  ['el', /[Ͱ-Ͽ]/g],
+  ['th', /[฀-๿]/g]
+];
+
+export class LanguageDetector {
+  private readonly sampleLength = 20000;
+  private readonly minHits = 3;
+
+  // `declared` is the page's own claim (e.g. <html lang>), used only when
+  // the text itself is inconclusive
+  detect(text: string, declared?: string): DetectedLanguage {
+    const sample = text.slice(0, this.sampleLength);
+    const fallback = this.normalize(declared);
+
+    const letters = (sample.match(/\p{L}/gu) || []).length;
+    for (const [language, pattern] of scripts) {
+      const count = (sample.match(pattern) || []).length;
+      if (letters > 0 && count / letters > 0.3) {
+        return { language, confidence: Math.min(1, count / letters + 0.2) };
+      }
+    }
+
+    const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+    const counts: Record<string, number> = {};
+    const lookup = new Map<string, string[]>();
+    Object.entries(stopwords).forEach(([language, list]) => {
+      counts[language] = 0;
+      list.forEach(word => lookup.set(word, [...(lookup.get(word) || []), language]));
+    });
+    words.forEach(word => {
+      lookup.get(word)?.forEach(language => counts[language]++);
+    });
+
+    const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    const [best, bestHits] = ranked[0];
+    const secondHits = ranked[1][1];
+
+    if (bestHits < this.minHits) {
+      return { language: fallback || 'und', confidence: fallback ? 0.3 : 0 };
+    }
+
+    // Margin over the runner-up, so closely related languages score lower
+    const confidence = Math.round(Math.min(1, (bestHits - secondHits) / bestHits + 0.3) * 100) / 100;
+    return { language: best, confidence };
+  }
+
+  private normalize(tag?: string): string | undefined {
+    const language = tag?.trim().toLowerCase().split(/[-_]/)[0];
+    return language && /^[a-z]{2,3}$/.test(language) ? language : undefined;
+  }
+}
@@ -0,0 +1,824 @@
+export type PatternCategory =
+  | 'dataSelling' | 'arbitration' | 'license' | 'retention' | 'fingerprinting'
+  | 'children' | 'rights' | 'security' | 'sharing' | 'collection';
+
+export type SummaryTopic =
+  | 'collection' | 'sharing' | 'tracking' | 'rights' | 'security' | 'retention' | 'dispute' | 'license';
+
+// Kinds of trackers a policy can admit to or rule out (see TrackerInventory)
+export type TrackerClaim = 'advertising' | 'analytics' | 'social' | 'session-replay' | 'third-party';
+
+export type ComplianceCheckId =
+  | 'gdpr-legal-basis' | 'gdpr-controller' | 'gdpr-dpo' | 'gdpr-retention' | 'gdpr-rights' | 'gdpr-special-categories'
+  | 'ccpa-do-not-sell' | 'ccpa-rights' | 'ccpa-sensitive' | 'coppa-parental-consent';
+
+// Wording for one required disclosure (see ComplianceChecker). Every part
+// has to be found for the check to pass; vague wording alone makes it unclear.
+export interface ComplianceCues {
+  parts: Record<string, RegExp[]>;
+  vague?: RegExp[];
+}
+
+// Wording that changes what a matched clause says (see ClauseClassifier)
+export interface ContextCues {
+  // Negation shortly before the matched words ("we never sell")
+  negation: RegExp;
+  // For languages that also negate after the verb ("wir verkaufen ... nicht")
+  trailingNegation?: RegExp;
+  // Words that end the reach of a negation ("but", "however")
+  contrast: RegExp;
+  // The practice only happens under a condition ("only with your consent")
+  condition: RegExp;
+  // The clause carves out exceptions ("except for service providers")
+  exception: RegExp;
+  optIn: RegExp;
+  optOut: RegExp;
+}
+
+// Language rules for the readability metrics (see ReadabilityMeter)
+export interface ReadabilityCues {
+  // Vowel groups, each counted as a syllable
+  vowels: RegExp;
+  // A final vowel group that isn't pronounced ("make", "publique")
+  silentEnding?: RegExp;
+  // Legal jargon a plain-language policy would avoid
+  legalese: RegExp[];
+  // Pointers to other sections, documents or laws ("see Section 4.2")
+  crossReferences: RegExp[];
+}
+
+export interface LanguagePack {
+  patterns: Record<PatternCategory, RegExp[]>;
+  context: ContextCues;
+  // Checks without cues don't apply to policies in the language
+  compliance: Partial<Record<ComplianceCheckId, ComplianceCues>>;
+  // Opt-out, unsubscribe or account deletion controls
+  userControls: RegExp;
+  // Parental consent, or a policy that rules out collecting from children
+  childSafeguards: RegExp;
+  // Wording about each kind of tracker, read with the context cues so
+  // "we do not use advertising cookies" rules advertising out
+  trackerTerms: Record<TrackerClaim, RegExp[]>;
+  // Lower-case fragments that pick clauses for the summary
+  summaryTerms: Record<SummaryTopic, string[]>;
+  // Words common to any privacy policy, used for confidence
+  policyTerms: string[];
+  readability: ReadabilityCues;
+}
+
+const en: LanguagePack = {
+  patterns: {
+    dataSelling: [
+      /\b(we|may|will|can)\s+sell\s+(your|personal)\s+data/i,
+      /monetize\s+(your\s+)?data/i,
+      /sell\s+.*information.*valuable\s+consideration/i,
+      /share.*third\s+parties.*advertising.*revenue/i,
+      /data\s+broker/i,
+      /sell.*information.*marketing.*purposes(?!\s+without)/i
+    ],
+    arbitration: [
+      /binding arbitration/i,
+      /waive.*right.*jury/i,
+      /class action waiver/i,
+      /dispute resolution.*binding/i,
+      /arbitration agreement/i,
+      /waive.*class.*action/i
+    ],
+    license: [
+      /perpetual.*license/i,
+      /irrevocable.*rights/i,
+      /royalty-free.*sublicense/i,
+      /worldwide.*license.*content/i,
+      /perpetual.*irrevocable/i,
+      /sublicensable.*transferable/i
+    ],
+    retention: [
+      /retain indefinitely/i,
+      /keep.*data.*forever/i,
+      /no retention period/i,
+      /retain.*as long as/i,
+      /indefinite.*retention/i
+    ],
+    fingerprinting: [
+      /device fingerprint/i,
+      /canvas fingerprint/i,
+      /unique identifier/i,
+      /cross.*site tracking/i,
+      /browser fingerprint/i,
+      /tracking.*pixels/i
+    ],
+    children: [
+      /under (13|16)/i,
+      /child.*consent/i,
+      /COPPA/i,
+      /parental consent/i,
+      /children.*privacy/i,
+      /minors.*data/i
+    ],
+    rights: [
+      /right to delete/i,
+      /data portability/i,
+      /access.*data/i,
+      /opt.*out/i,
+      /delete.*account/i,
+      /data subject rights/i
+    ],
+    security: [
+      /encrypt/i,
+      /\bsecure(ly)?\s+(servers?|storage|connections?|transmission|socket|facilities|data\s+cent(er|re)s?)/i,
+      /\b(stored?|transmit\w*|process\w*|kept)\s+securely/i,
+      /protection/i,
+      /SSL|TLS/i,
+      /security measures/i,
+      /data protection/i
+    ],
+    sharing: [
+      /share.*third parties/i,
+      /disclose.*partners/i,
+      /third.*party.*services/i,
+      /business partners/i,
+      /service providers/i
+    ],
+    collection: [
+      /collect.*information/i,
+      /gather.*data/i,
+      /obtain.*personal/i,
+      /we collect/i,
+      /information.*collect/i
+    ]
+  },
+  context: {
+    negation: /\b(not|never|no|none|neither|nor|cannot)\b|n['’]t\b/i,
+    contrast: /\b(but|however|although|whereas)\b/i,
+    condition: /\b(only|solely)\b.{0,60}\b(consent|permission|authori[sz]ation|request|instructions?)\b|\bunless\b|\bprovided that\b|\bif you (choose|agree|consent|ask|request)\b|\bwith your (explicit |express |prior )?(consent|permission)\b|\b(where|when|as|if) required by law\b/i,
+    exception: /\b(except|excluding|other than|apart from|save for)\b/i,
+    optIn: /\bopt(s|ed)?[\s-]?in\b|\b(explicit|express|prior|affirmative)\s+consent\b|\bask(s)?\s+(for\s+)?your\s+(consent|permission)\b/i,
+    optOut: /\bopt(s|ed)?[\s-]?out\b|\bunsubscribe\b|\byou (may|can) object\b/i
+  },
+  compliance: {
+    'gdpr-legal-basis': {
+      parts: {
+        basis: [
+          /\b(legal|lawful)\s+bas[ie]s\b/i,
+          /\blegitimate\s+interests?\b/i,
+          /\bperformance\s+of\s+(a|the|our|your)\s+contract/i,
+          /\bcomply\s+with\s+(a|our)\s+legal\s+obligations?/i,
+          /\bart(icle|\.)?\s*6\s*\(1\)/i
+        ]
+      },
+      vague: [/\bconsent\b/i]
+    },
+    'gdpr-controller': {
+      parts: {
+        identity: [/\b(data\s+)?controller\b/i, /\bresponsible\s+for\s+(the\s+)?processing\b/i],
+        contact: [
+          /[\w.+-]+@[\w-]+\.[\w.-]+/,
+          /\bcontact\s+us\b.{0,60}\b(at|by|via|using)\b/i,
+          /\b(postal|mailing|registered)\s+address\b/i,
+          /\bwrite\s+to\s+us\b/i
+        ]
+      }
+    },
+    'gdpr-dpo': {
+      parts: {
+        dpo: [/\bdata\s+protection\s+officer\b/i, /\bDPO\b/]
+      }
+    },
+    'gdpr-retention': {
+      parts: {
+        period: [
+          /\b(retain|keep|store|delete|retention)\w*\b.{0,120}\b\d+\s*(days?|weeks?|months?|years?)\b/i,
+          /\b\d+\s*(days?|weeks?|months?|years?)\b.{0,120}\b(retain|kept|stored|deleted|retention)\b/i,
+          /\bretention\s+(periods?|schedule)\b/i,
+          /\bcriteria\s+(we\s+)?(use|used)\s+to\s+determine\b/i
+        ]
+      },
+      vague: [/\b(retain|keep|store)\w*\b.{0,60}\bas\s+long\s+as\b/i, /\bretention\b/i]
+    },
+    'gdpr-rights': {
+      parts: {
+        access: [/\bright\s+(of|to)\s+access\b/i, /\baccess\s+(to\s+)?(your|the)\s+personal\s+(data|information)/i, /\brequest\s+a\s+copy\b/i],
+        rectification: [/\brectif/i, /\bright\s+to\s+correct/i, /\bcorrect\s+(inaccurate|incorrect)/i],
+        erasure: [/\berasure\b/i, /\bright\s+to\s+(delete|deletion|be\s+forgotten)/i, /\brequest\s+(the\s+)?deletion\b/i],
+        restriction: [/\brestrict(ion)?\s+(of\s+)?(the\s+)?processing\b/i],
+        portability: [/\bportability\b/i],
+        objection: [/\bright\s+to\s+object\b/i, /\bobject\s+to\s+(the\s+)?processing\b/i],
+        complaint: [/\bsupervisory\s+authority\b/i, /\bdata\s+protection\s+authority\b/i, /\blodge\s+a\s+complaint\b/i]
+      },
+      vague: [/\bdata\s+subject\s+rights\b/i, /\byour\s+rights\b/i]
+    },
+    'gdpr-special-categories': {
+      parts: {
+        categories: [
+          /\bspecial\s+categor(y|ies)\b/i,
+          /\bsensitive\s+(personal\s+)?(data|information)\b/i,
+          /\b(health|biometric|genetic)\s+(data|information)\b/i
+        ]
+      }
+    },
+    'ccpa-do-not-sell': {
+      parts: {
+        link: [
+          /\bdo\s+not\s+sell\s+(or\s+share\s+)?my\s+(personal\s+)?information\b/i,
+          /\bdo\s+not\s+(sell|share)\b.{0,40}\b(link|page|button)\b/i,
+          /\byour\s+privacy\s+choices\b/i,
+          /\bglobal\s+privacy\s+control\b/i
+        ]
+      },
+      vague: [/\bopt[\s-]?out\s+of\s+(the\s+)?(sale|sharing|selling)\b/i, /\bright\s+to\s+opt[\s-]?out\b/i]
+    },
+    'ccpa-rights': {
+      parts: {
+        know: [/\bright\s+to\s+know\b/i, /\brequest\s+(that\s+we\s+)?disclose\b/i, /\bright\s+to\s+access\b/i],
+        delete: [/\bright\s+to\s+(delete|deletion|request\s+deletion)\b/i, /\brequest\s+(that\s+we\s+)?delete\b/i],
+        correct: [/\bright\s+to\s+correct/i, /\bcorrect\s+inaccurate\b/i],
+        nonDiscrimination: [/\bnon-?discrimination\b/i, /\b(not|never)\s+discriminate\b/i]
+      },
+      vague: [/\bcalifornia\s+residents?\b/i]
+    },
+    'ccpa-sensitive': {
+      parts: {
+        categories: [/\bsensitive\s+personal\s+information\b/i],
+        limit: [/\blimit\s+(the\s+)?use\s+(and\s+disclosure\s+)?of\s+(my\s+|your\s+)?sensitive\b/i]
+      }
+    },
+    'coppa-parental-consent': {
+      parts: {
+        consent: [
+          /\b(verifiable\s+)?parental\s+consent\b/i,
+          /\bconsent\s+(of|from)\s+(a|the|their)\s+(parent|guardian)/i,
+          /\bnot\s+(directed|intended|targeted)\s+(to|at|for)\s+children\b/i,
+          /\bdo\s+not\s+knowingly\s+collect\b/i
+        ]
+      },
+      vague: [/\bchild(ren)?\b/i, /\bunder\s+(the\s+age\s+of\s+)?13\b/i]
+    }
+  },
+  userControls: /opt.*out|unsubscribe|delete.*account/i,
+  childSafeguards: /\b(verifiable\s+)?parental\s+(consent|permission)\b|\bconsent\s+(of|from)\s+(a|the|their)\s+(parent|guardian)|\bnot\s+(directed|intended|targeted)\s+(to|at|for)\s+children\b|\bdo\s+not\s+knowingly\s+collect\b/i,
+  trackerTerms: {
+    advertising: [
+      /\b(advertising|marketing)\s+(cookies|pixels?|tags?|partners?|networks?|trackers?)\b/i,
+      /\b(third[- ]party|targeted|personali[sz]ed|interest[- ]based|behaviou?ral)\s+(advertising|ads)\b/i,
+      /\bad\s+(networks?|pixels?|tracking)\b/i
+    ],
+    analytics: [/\banalytics\b/i, /\b(usage|traffic|visitor)\s+statistics\b/i],
+    social: [/\bsocial\s+(media\s+)?(plugins?|widgets?|buttons?|sharing)\b/i, /\b(like|share)\s+buttons?\b/i],
+    'session-replay': [/\bsession\s+(replay|recording)s?\b/i, /\bheat\s?maps?\b/i, /\brecord\w*\s+(your\s+)?(mouse|clicks|sessions?)\b/i],
+    'third-party': [/\bthird[- ]party\s+(cookies|trackers?|tracking|scripts)\b/i, /\btrack(ers|ing\s+technologies)\b/i]
+  },
+  summaryTerms: {
+    collection: ['collect', 'gather', 'obtain'],
+    sharing: ['share', 'disclose', 'third party', 'partners'],
+    tracking: ['cookie', 'tracking', 'analytics'],
+    rights: ['delete', 'remove', 'right', 'access'],
+    security: ['secure', 'protect', 'encryption'],
+    retention: ['retain', 'keep', 'store'],
+    dispute: ['arbitration', 'dispute', 'legal'],
+    license: ['license', 'content', 'intellectual']
+  },
+  policyTerms: ['privacy', 'data', 'information', 'collect', 'use', 'share'],
+  readability: {
+    vowels: /[aeiouy]+/g,
+    silentEnding: /[^aeiouyl]e$/,
+    legalese: [
+      /\b(here|there|where)(in|of|to|by|under|after|inafter|with)\b/i,
+      /\b(aforementioned|aforesaid|foregoing|notwithstanding|forthwith|heretofore)\b/i,
+      /\bpursuant\s+to\b/i,
+      /\bin\s+accordance\s+with\b/i,
+      /\bincluding\s+(but\s+not\s+limited\s+to|without\s+limitation)\b/i,
+      /\bto\s+the\s+(fullest\s+|maximum\s+)?extent\s+permitted\s+by\s+(applicable\s+)?law\b/i,
+      /\b(indemnif(y|ies|ication)|hold\s+harmless)\b/i,
+      /\b(inter\s+alia|mutatis\s+mutandis|force\s+majeure)\b/i,
+      /\bshall\b/i
+    ],
+    crossReferences: [
+      /\b(sections?|clauses?|paragraphs?|articles?|schedules?|annex|appendix|exhibit)\s+\d+[a-z]?(\.\d+)*/i,
+      /\b(see|described|defined|set\s+(out|forth)|referred\s+to|mentioned)\s+(above|below)\b/i,
+      /\b(as\s+defined|set\s+(out|forth))\s+in\s+(our|the|this)\b/i
+    ]
+  }
+};
+
+const de: LanguagePack = {
+  patterns: {
+    dataSelling: [
+      /\b(wir|können|werden)\b.{0,40}\b(ihre|personenbezogenen)\s+daten\b.{0,40}\bverkaufen/i,
+      /verkauf(en|t)?\s+(von\s+)?(ihren?|personenbezogenen)\s+daten/i,
+      /daten\s*händler/i,
+      /monetarisier\w*.{0,30}daten/i,
+      /gegen\s+entgelt.{0,60}(weitergeben|übermitteln)/i
+    ],
+    arbitration: [
+      /schiedsverfahren/i,
+      /schiedsgericht/i,
+      /schiedsvereinbarung/i,
+      /verzicht\w*.{0,40}sammelklage/i,
+      /sammelklage.{0,40}ausgeschlossen/i
+    ],
+    license: [
+      /unwiderruflich\w*.{0,60}(lizenz|nutzungsrecht)/i,
+      /unbefristet\w*.{0,40}(lizenz|nutzungsrecht)/i,
+      /weltweit\w*.{0,40}(lizenz|nutzungsrecht)/i,
+      /unterlizen/i,
+      /lizenzgebührenfrei/i
+    ],
+    retention: [
+      /unbegrenzt\s+(speichern|aufbewahren|gespeichert)/i,
+      /auf\s+unbestimmte\s+zeit/i,
+      /keine\s+(feste\s+)?speicherdauer/i,
+      /so\s+lange\s+(wie|es)\b.{0,40}(erforderlich|notwendig)/i
+    ],
+    fingerprinting: [
+      /fingerprint/i,
+      /geräte-?kennung/i,
+      /eindeutige[nr]?\s+kennung/i,
+      /seitenübergreifend\w*.{0,20}(tracking|verfolg)/i,
+      /tracking-?pixel|zählpixel/i
+    ],
+    children: [
+      /unter\s+(13|16)\s+jahren/i,
+      /einwilligung.{0,40}(eltern|erziehungsberechtigt)/i,
+      /COPPA/i,
+      /minderjährig/i,
+      /daten\s+von\s+kindern/i
+    ],
+    rights: [
+      /recht\s+auf\s+(löschung|auskunft|berichtigung|datenübertragbarkeit)/i,
+      /datenübertragbarkeit/i,
+      /widerspruch/i,
+      /konto\s+löschen/i,
+      /betroffenenrechte/i
+    ],
+    security: [
+      /verschlüssel/i,
+      /sicherheitsmaßnahmen/i,
+      /technische\w*\s+und\s+organisatorische\w*\s+maßnahmen/i,
+      /SSL|TLS/,
+      /schutz\s+(ihrer|der)\s+daten/i
+    ],
+    sharing: [
+      /weitergabe.{0,40}dritte/i,
+      /an\s+dritte.{0,40}(weitergeben|übermitteln|offenlegen)/i,
+      /geschäftspartner/i,
+      /dienstleister/i,
+      /auftragsverarbeiter/i
+    ],
+    collection: [
+      /wir\s+(erheben|erfassen|sammeln)/i,
+      /erhoben\w*\s+daten/i,
+      /wir\s+verarbeiten/i,
+      /daten.{0,40}(erheben|erfassen)/i
+    ]
+  },
+  context: {
+    negation: /\b(nicht|nie|niemals|kein\w*|keinesfalls|weder)\b/i,
+    trailingNegation: /\b(nicht|niemals|keinesfalls)\b/i,
+    contrast: /\b(aber|jedoch|allerdings|sondern)\b/i,
+    condition: /\bnur\b.{0,60}\b(einwilligung|zustimmung|auftrag|anfrage)|\bsofern\b|\bfalls\b|\bes sei denn\b|\bmit ihrer (ausdrücklichen |vorherigen )?(einwilligung|zustimmung)|\bgesetzlich (vorgeschrieben|verpflichtet)/i,
+    exception: /\b(außer|ausgenommen|mit ausnahme|abgesehen von)\b/i,
+    optIn: /\b(ausdrücklich|vorherig)\w*\s+einwilligung|\bopt-?in\b|\beinwilligen\b/i,
+    optOut: /\bwidersprechen\b|\bopt-?out\b|\babmelden\b|\babbestellen\b/i
+  },
+  compliance: {
+    'gdpr-legal-basis': {
+      parts: {
+        basis: [
+          /\brechtsgrundlage/i,
+          /\bberechtigte[nms]?\s+interesse/i,
+          /\b(erfüllung|durchführung)\s+(eines|des)\s+vertrags?/i,
+          /\brechtliche[nr]?\s+verpflichtung/i,
+          /\bart(ikel|\.)?\s*6\s*abs/i
+        ]
+      },
+      vague: [/\beinwilligung/i]
+    },
+    'gdpr-controller': {
+      parts: {
+        identity: [/\bverantwortliche[rn]?\b/i, /\bverantwortlich\s+für\s+die\s+(daten)?verarbeitung/i],
+        contact: [/[\w.+-]+@[\w-]+\.[\w.-]+/, /\b(anschrift|postanschrift|kontaktdaten)\b/i, /\bkontaktieren\s+sie\s+uns\b/i]
+      }
+    },
+    'gdpr-dpo': {
+      parts: {
+        dpo: [/\bdatenschutzbeauftragte/i]
+      }
+    },
+    'gdpr-retention': {
+      parts: {
+        period: [
+          /\b(speicher|aufbewahr|lösch)\w*\b.{0,120}\b\d+\s*(tage|tagen|wochen|monate|monaten|jahre|jahren)\b/i,
+          /\b\d+\s*(tage|tagen|wochen|monate|monaten|jahre|jahren)\b.{0,120}\b(gespeichert|aufbewahrt|gelöscht)\b/i,
+          /\b(speicherdauer|aufbewahrungsfrist)\w*\b.{0,60}\b(beträgt|richtet\s+sich|gesetzlich)/i,
+          /\bkriterien\b.{0,60}\bspeicherdauer/i
+        ]
+      },
+      vague: [/\bso\s+lange\b.{0,40}\b(erforderlich|notwendig)/i, /\b(speicherdauer|aufbewahrungsfrist)/i]
+    },
+    'gdpr-rights': {
+      parts: {
+        access: [/\bauskunft/i],
+        rectification: [/\bberichtigung/i],
+        erasure: [/\blöschung/i],
+        restriction: [/\beinschränkung\s+der\s+verarbeitung/i],
+        portability: [/\bdatenübertragbarkeit/i],
+        objection: [/\bwiderspruch/i],
+        complaint: [/\baufsichtsbehörde/i, /\bbeschwerde/i]
+      },
+      vague: [/\bbetroffenenrechte/i, /\bihre\s+rechte\b/i]
+    },
+    'gdpr-special-categories': {
+      parts: {
+        categories: [/\bbesondere[rn]?\s+kategorien/i, /\bsensible[rn]?\s+daten/i, /\bgesundheitsdaten|biometrische|genetische/i]
+      }
+    }
+  },
+  userControls: /widerspruch|widerrufen|abmelden|konto\s+löschen/i,
+  childSafeguards: /(einwilligung|zustimmung).{0,40}(eltern|erziehungsberechtigt)|richte[nt]\s+sich\s+nicht\s+an\s+kinder|erheben\s+nicht\s+wissentlich/i,
+  trackerTerms: {
+    advertising: [
+      /\b(werbe|marketing)[-\s]?(cookies|pixel|partner|netzwerk\w*|tracker)\b/i,
+      /\b(personalisierte|interessenbasierte|zielgerichtete)\s+werbung\b/i
+    ],
+    analytics: [/\banalyse[-\s]?(cookies|tools|dienst\w*)\b/i, /\bwebanalyse\b/i, /\breichweitenmessung\b/i, /\bgoogle\s+analytics\b/i],
+    social: [/\bsocial[-\s]?(media[-\s]?)?plugins?\b/i, /\bteilen[-\s]?schaltfl\w*/i],
+    'session-replay': [/\bsitzungsaufzeichnung\w*/i, /\bheatmaps?\b/i, /\bmausbewegungen\b/i],
+    'third-party': [/\bdrittanbieter[-\s]?(cookies|tracker|dienste)\b/i, /\b(cookies|tracker)\s+von\s+dritt\w*/i]
+  },
+  summaryTerms: {
+    collection: ['erheben', 'erfassen', 'sammeln'],
+    sharing: ['weitergeben', 'übermitteln', 'dritte', 'partner'],
+    tracking: ['cookie', 'tracking', 'analyse'],
+    rights: ['löschung', 'auskunft', 'recht', 'widerspruch'],
+    security: ['sicherheit', 'schutz', 'verschlüssel'],
+    retention: ['speicher', 'aufbewahr'],
+    dispute: ['schieds', 'streitigkeit', 'gerichtsstand'],
+    license: ['lizenz', 'inhalte', 'urheberrecht', 'nutzungsrecht']
+  },
+  policyTerms: ['datenschutz', 'daten', 'informationen', 'erheben', 'nutzung', 'weitergabe'],
+  readability: {
+    vowels: /[aeiouyäöü]+/g,
+    legalese: [
+      /\b(hiermit|hierin|hierzu|nachfolgend|vorstehend|obengenannt\w*|vorgenannt\w*)\b/i,
+      /\bgemäß/i,
+      /\bnach\s+maßgabe\b/i,
+      /\b(unbeschadet|ungeachtet|vorbehaltlich)\b/i,
+      /\bim\s+sinne\s+(des|der|von)\b/i,
+      /\bsoweit\s+(gesetzlich\s+)?zulässig\b/i,
+      /\b(freistellung|freizustellen|schadlos\s+zu\s+halten)\b/i,
+      /\bin\s+verbindung\s+mit\b/i
+    ],
+    crossReferences: [
+      /\b(abschnitt|ziffer|ziff\.|absatz|abs\.|artikel|art\.|anlage|anhang)\s*\d+[a-z]?(\.\d+)*/i,
+      /§{1,2}\s*\d+/,
+      /\b(siehe|vgl\.)\s+(oben|unten|abschnitt|ziffer)/i
+    ]
+  }
+};
+
+const fr: LanguagePack = {
+  patterns: {
+    dataSelling: [
+      /\b(pouvons|pourrons|allons|nous)\s+vend(re|ons)\s+(vos|les)\s+données/i,
+      /vente\s+de\s+(vos\s+)?données/i,
+      /courtiers?\s+en\s+données/i,
+      /monétis\w*.{0,30}données/i,
+      /contre\s+rémunération.{0,60}(partag|transf|communiqu)/i
+    ],
+    arbitration: [
+      /arbitrage\s+(obligatoire|contraignant)/i,
+      /convention\s+d['’]arbitrage/i,
+      /renonc\w*.{0,40}action\s+(collective|de\s+groupe)/i,
+      /renonc\w*.{0,40}jury/i
+    ],
+    license: [
+      /licence.{0,60}(perpétuelle|irrévocable)/i,
+      /(perpétuelle|irrévocable).{0,60}licence/i,
+      /licence\s+mondiale/i,
+      /sous-licenci/i,
+      /libre\s+de\s+redevances?/i
+    ],
+    retention: [
+      /indéfiniment/i,
+      /durée\s+illimitée/i,
+      /aucune\s+durée\s+de\s+conservation/i,
+      /conserv\w*.{0,40}aussi\s+longtemps\s+que/i
+    ],
+    fingerprinting: [
+      /empreinte\s+(numérique\s+)?(de\s+l['’]|du\s+)(appareil|navigateur)/i,
+      /fingerprint/i,
+      /identifiant\s+unique/i,
+      /suivi\s+inter-?sites/i,
+      /pixels?\s+(espion|de\s+suivi)/i
+    ],
+    children: [
+      /moins\s+de\s+(13|15|16)\s+ans/i,
+      /consentement\s+(parental|des\s+parents)/i,
+      /COPPA/i,
+      /données\s+des\s+(enfants|mineurs)/i
+    ],
+    rights: [
+      /droit\s+(à\s+l['’]effacement|d['’]accès|de\s+rectification|d['’]opposition|à\s+la\s+portabilité)/i,
+      /portabilité/i,
+      /supprimer\s+votre\s+compte/i,
+      /CNIL/i
+    ],
+    security: [
+      /chiffr/i,
+      /mesures\s+de\s+sécurité/i,
+      /mesures\s+techniques\s+et\s+organisationnelles/i,
+      /SSL|TLS/,
+      /protection\s+des\s+données/i
+    ],
+    sharing: [
+      /partag\w*.{0,40}tiers/i,
+      /communiqu\w*.{0,40}partenaires/i,
+      /prestataires\s+de\s+services/i,
+      /partenaires\s+commerciaux/i,
+      /sous-traitants/i
+    ],
+    collection: [
+      /nous\s+(collectons|recueillons|traitons)/i,
+      /données\s+que\s+nous\s+(collectons|recueillons)/i,
+      /collect\w*.{0,40}(informations|données)/i
+    ]
+  },
+  context: {
+    negation: /\b(ne|n['’]|jamais|aucun\w*|pas|ni)\b/i,
+    contrast: /\b(mais|cependant|toutefois)\b/i,
+    condition: /\b(uniquement|seulement)\b.{0,60}\b(consentement|accord|autorisation|demande)|\bavec votre (accord|consentement|autorisation)|\bsauf si\b|à moins que|\bsi vous (acceptez|choisissez|consentez)\b|\blorsque la loi l['’]exige/i,
+    exception: /\b(sauf|hormis)\b|\bexcept[ée]|à l['’]exception/i,
+    optIn: /\bconsentement\s+(préalable|explicite|exprès)|\bopt-?in\b/i,
+    optOut: /\bvous opposer\b|\bopt-?out\b|\bdésinscri|\bdésabonn/i
+  },
+  compliance: {
+    'gdpr-legal-basis': {
+      parts: {
+        basis: [
+          /\bbase\s+(légale|juridique)/i,
+          /\bintérêts?\s+légitimes?/i,
+          /\bexécution\s+(d['’]un|du)\s+contrat/i,
+          /\bobligations?\s+légales?/i,
+          /\barticle\s+6/i
+        ]
+      },
+      vague: [/\bconsentement/i]
+    },
+    'gdpr-controller': {
+      parts: {
+        identity: [/\bresponsable\s+(du|de\s+ce)\s+traitement/i],
+        contact: [/[\w.+-]+@[\w-]+\.[\w.-]+/, /\b(adresse\s+postale|siège\s+social)\b/i, /\bcontactez[\s-]nous\b/i, /\bnous\s+contacter\b/i]
+      }
+    },
+    'gdpr-dpo': {
+      parts: {
+        dpo: [/\bdélégué\w*\s+à\s+la\s+protection\s+des\s+données/i, /\bDPO\b/]
+      }
+    },
+    'gdpr-retention': {
+      parts: {
+        period: [
+          /\bconserv\w*\b.{0,120}\b\d+\s*(jours?|semaines?|mois|ans|années?)\b/i,
+          /\b\d+\s*(jours?|semaines?|mois|ans|années?)\b.{0,120}\b(conservées?|supprimées?)\b/i,
+          /\bdurées?\s+de\s+conservation\b.{0,60}\b(est|sont|fixée|déterminée)/i,
+          /\bcritères\b.{0,60}\bdurée\s+de\s+conservation/i
+        ]
+      },
+      vague: [/\baussi\s+longtemps\s+que\b/i, /\bdurée\s+de\s+conservation/i]
+    },
+    'gdpr-rights': {
+      parts: {
+        access: [/\bdroit\s+d['’]accès/i],
+        rectification: [/\brectification/i],
+        erasure: [/\beffacement/i, /\bdroit\s+(à\s+l['’]oubli|de\s+suppression)/i],
+        restriction: [/\blimitation\s+du\s+traitement/i],
+        portability: [/\bportabilité/i],
+        objection: [/\bdroit\s+d['’]opposition/i, /\bvous\s+opposer/i],
+        complaint: [/\bCNIL\b/, /\bautorité\s+de\s+contrôle/i, /\bintroduire\s+une\s+réclamation/i]
+      },
+      vague: [/\bvos\s+droits\b/i]
+    },
+    'gdpr-special-categories': {
+      parts: {
+        categories: [/\bcatégories\s+particulières/i, /\bdonnées\s+sensibles/i, /\bdonnées\s+(de\s+santé|biométriques|génétiques)/i]
+      }
+    }
+  },
+  userControls: /vous\s+opposer|désinscri|désabonn|supprimer\s+votre\s+compte|retirer\s+votre\s+consentement/i,
+  childSafeguards: /consentement\s+(parental|des\s+parents|du\s+titulaire\s+de\s+l['’]autorité\s+parentale)|autorisation\s+(parentale|des\s+parents)|ne\s+s['’]adresse\s+pas\s+aux\s+(enfants|mineurs)|ne\s+collectons\s+pas\s+sciemment/i,
+  trackerTerms: {
+    advertising: [
+      /\b(cookies|traceurs)\s+(publicitaires\b|de\s+publicité)/i,
+      /\bpublicité\s+(ciblée|personnalisée|comportementale)\b/i,
+      /\b(régies|partenaires)\s+publicitaires\b/i
+    ],
+    analytics: [/\bmesure\s+d['’]audience\b/i, /\bstatistiques\s+de\s+(fréquentation|visite)\b/i, /\bcookies\s+analytiques\b/i, /\bgoogle\s+analytics\b/i],
+    social: [/\bboutons?\s+de\s+partage\b/i, /\bmodules?\s+sociaux\b/i, /\bplugins?\s+sociaux\b/i],
+    'session-replay': [/\benregistrement\s+des\s+sessions\b/i, /\bcartes?\s+de\s+chaleur\b/i, /\bheatmaps?\b/i],
+    'third-party': [/\b(cookies|traceurs)\s+tiers\b/i]
+  },
+  summaryTerms: {
+    collection: ['collect', 'recueill'],
+    sharing: ['partag', 'communiqu', 'tiers', 'partenaires'],
+    tracking: ['cookie', 'traceur', 'suivi', 'analyse'],
+    rights: ['supprim', 'droit', 'accès', 'opposition'],
+    security: ['sécurité', 'protég', 'chiffr'],
+    retention: ['conserv'],
+    dispute: ['arbitrage', 'litige', 'tribunal'],
+    license: ['licence', 'contenu', 'propriété intellectuelle']
+  },
+  policyTerms: ['confidentialité', 'données', 'informations', 'collect', 'utilis', 'partag'],
+  readability: {
+    vowels: /[aeiouyàâäéèêëîïôöûùü]+/g,
+    silentEnding: /[^aeiouyàâäéèêëîïôöûùü]e(s|nt)?$/,
+    legalese: [
+      /\bci-(après|dessus|dessous|inclus)\b/i,
+      /\b(susmentionn|susvis|précité)\w*/i,
+      /\bconformément\s+(à|aux\b)/i,
+      /\b(nonobstant|sous\s+réserve\s+(de|des|du)|sans\s+préjudice)\b/i,
+      /\ben\s+vertu\s+(de|des|du)\b/i,
+      /\bdans\s+(la\s+mesure|les\s+limites)\s+(permise?s?|autorisée?s?)\s+par\s+la\s+loi\b/i,
+      /\b(le\s+cas\s+échéant|y\s+compris\s+(mais\s+)?sans\s+s['’]y\s+limiter)\b/i,
+      /\b(indemnis|garantir\s+et\s+indemnis)\w*/i
+    ],
+    crossReferences: [
+      /\b(articles?|sections?|paragraphes?|clauses?|annexes?)\s+\d+[a-z]?(\.\d+)*/i,
+      /\b(voir|visée?s?|mentionnée?s?|décrite?s?)\s+ci-(dessus|dessous)/i
+    ]
+  }
+};
+
+const es: LanguagePack = {
+  patterns: {
+    dataSelling: [
+      /\b(podemos|podremos|vamos\s+a)\s+vender\s+(sus|tus|los)\s+datos/i,
+      /\bvendemos\s+(sus|tus|los)\s+datos/i,
+      /venta\s+de\s+(sus\s+|tus\s+)?datos/i,
+      /corredor(es)?\s+de\s+datos/i,
+      /monetiz\w*.{0,30}datos/i
+    ],
+    arbitration: [
+      /arbitraje\s+(vinculante|obligatorio)/i,
+      /acuerdo\s+de\s+arbitraje/i,
+      /renuncia\w*.{0,40}(demanda|acción|acciones)\s+colectivas?/i,
+      /renuncia\w*.{0,40}jurado/i
+    ],
+    license: [
+      /licencia.{0,60}(perpetua|irrevocable)/i,
+      /licencia\s+mundial/i,
+      /sublicenci/i,
+      /libre\s+de\s+regalías/i
+    ],
+    retention: [
+      /indefinidamente/i,
+      /plazo\s+ilimitado/i,
+      /sin\s+plazo\s+de\s+conservación/i,
+      /conserv\w*.{0,40}tanto\s+tiempo\s+como/i
+    ],
+    fingerprinting: [
+      /huella\s+digital\s+del\s+(dispositivo|navegador)/i,
+      /fingerprint/i,
+      /identificador\s+único/i,
+      /seguimiento\s+entre\s+sitios/i,
+      /píxeles?\s+de\s+seguimiento/i
+    ],
+    children: [
+      /menores\s+de\s+(13|14|16)\s+años/i,
+      /consentimiento\s+(parental|de\s+los\s+padres)/i,
+      /COPPA/i,
+      /datos\s+de\s+(niños|menores)/i
+    ],
+    rights: [
+      /derecho\s+(de\s+supresión|de\s+acceso|de\s+rectificación|de\s+oposición|a\s+la\s+portabilidad)/i,
+      /portabilidad/i,
+      /eliminar\s+(su|tu)\s+cuenta/i,
+      /derechos\s+ARCO/i
+    ],
+    security: [
+      /cifr|encript/i,
+      /medidas\s+de\s+seguridad/i,
+      /medidas\s+técnicas\s+y\s+organizativas/i,
+      /SSL|TLS/,
+      /protección\s+de\s+(sus\s+)?datos/i
+    ],
+    sharing: [
+      /compart\w*.{0,40}terceros/i,
+      /comunic\w*.{0,40}(terceros|socios)/i,
+      /proveedores\s+de\s+servicios/i,
+      /socios\s+comerciales/i,
+      /encargados\s+del\s+tratamiento/i
+    ],
+    collection: [
+      /(recopilamos|recogemos|recabamos|tratamos)\s+(sus|tus|los)?\s*datos/i,
+      /datos\s+que\s+(recopilamos|recogemos|recabamos)/i,
+      /recopil\w*.{0,40}información/i
+    ]
+  },
+  context: {
+    negation: /\b(no|nunca|jam[aá]s|ning[uú]n\w*|ni)\b/i,
+    contrast: /\b(pero|sin embargo|aunque)\b/i,
+    condition: /(\bs[oó]lo|\bsolamente|[uú]nicamente)\b.{0,60}(consentimiento|autorizaci[oó]n|solicitud)|\bcon su (consentimiento|autorizaci[oó]n)|\ba menos que\b|\bsalvo que\b|\bsi usted (acepta|elige|consiente)\b|\bcuando lo exija la ley/i,
+    exception: /\b(excepto|salvo|a excepci[oó]n de|con excepci[oó]n de)\b/i,
+    optIn: /\bconsentimiento\s+(previo|expreso|expl[ií]cito)|\bopt-?in\b/i,
+    optOut: /\boponerse\b|\bdarse de baja\b|\bopt-?out\b/i
+  },
+  compliance: {
+    'gdpr-legal-basis': {
+      parts: {
+        basis: [
+          /\bbase\s+(jurídica|legal|legitimadora)/i,
+          /\binterés\s+legítimo/i,
+          /\bejecución\s+(de\s+un|del)\s+contrato/i,
+          /\bobligaci[oó]n(es)?\s+legal(es)?/i,
+          /\bart(ículo|\.)?\s*6/i
+        ]
+      },
+      vague: [/\bconsentimiento/i]
+    },
+    'gdpr-controller': {
+      parts: {
+        identity: [/\bresponsable\s+del\s+tratamiento/i],
+        contact: [/[\w.+-]+@[\w-]+\.[\w.-]+/, /\b(dirección\s+postal|domicilio\s+social)\b/i, /\bcontacte\s+con\s+nosotros\b/i, /\bpuede\s+contactarnos\b/i]
+      }
+    },
+    'gdpr-dpo': {
+      parts: {
+        dpo: [/\bdelegado\s+de\s+protección\s+de\s+datos/i, /\bDPO\b|\bDPD\b/]
+      }
+    },
+    'gdpr-retention': {
+      parts: {
+        period: [
+          /\bconserv\w*\b.{0,120}\b\d+\s*(días|semanas|meses|años)\b/i,
+          /\b\d+\s*(días|semanas|meses|años)\b.{0,120}\b(conservad[oa]s|suprimid[oa]s)\b/i,
+          /\bplazos?\s+de\s+conservación\b.{0,60}\b(es|será|son|determina)/i,
+          /\bcriterios\b.{0,60}\bplazo\s+de\s+conservación/i
+        ]
+      },
+      vague: [/\bel\s+tiempo\s+necesario\b/i, /\bplazo\s+de\s+conservación/i]
+    },
+    'gdpr-rights': {
+      parts: {
+        access: [/\bderecho\s+de\s+acceso/i],
+        rectification: [/\brectificación/i],
+        erasure: [/\bsupresión/i, /\bderecho\s+al\s+olvido/i],
+        restriction: [/\blimitación\s+del\s+tratamiento/i],
+        portability: [/\bportabilidad/i],
+        objection: [/\boposición/i, /\boponerse/i],
+        complaint: [/\bautoridad\s+de\s+control/i, /\bAgencia\s+Española\s+de\s+Protección\s+de\s+Datos/i, /\bAEPD\b/, /\breclamación/i]
+      },
+      vague: [/\bsus\s+derechos\b/i, /\bderechos\s+ARCO/i]
+    },
+    'gdpr-special-categories': {
+      parts: {
+        categories: [/\bcategorías\s+especiales/i, /\bdatos\s+sensibles/i, /\bdatos\s+(de\s+salud|biométricos|genéticos)/i]
+      }
+    }
+  },
+  userControls: /oponerse|darse\s+de\s+baja|cancelar\s+la\s+suscripción|eliminar\s+(su|tu)\s+cuenta/i,
+  childSafeguards: /consentimiento\s+(parental|de\s+(los|sus)\s+padres|del\s+tutor)|autorización\s+de\s+(los|sus)\s+padres|no\s+está\s+dirigid[oa]\s+a\s+(niños|menores)|no\s+recopilamos\s+a\s+sabiendas/i,
+  trackerTerms: {
+    advertising: [
+      /\bcookies\s+(publicitarias|de\s+publicidad)\b/i,
+      /\bpublicidad\s+(personalizada|dirigida|comportamental)\b/i,
+      /\b(redes|socios)\s+publicitari[oa]s\b/i
+    ],
+    analytics: [/\bcookies\s+(analíticas|de\s+análisis)\b/i, /\banalítica\s+web\b/i, /\bestadísticas\s+de\s+(uso|visitas)\b/i, /\bgoogle\s+analytics\b/i],
+    social: [/\bbotones\s+(de\s+)?(compartir|sociales)\b/i, /\bplugins?\s+sociales\b/i],
+    'session-replay': [/\bgrabación\s+de\s+(sesiones\b|la\s+sesión)/i, /\bmapas\s+de\s+calor\b/i, /\bheatmaps?\b/i],
+    'third-party': [/\b(cookies|rastreadores)\s+de\s+terceros\b/i]
+  },
+  summaryTerms: {
+    collection: ['recopil', 'recog', 'recab'],
+    sharing: ['compart', 'comunic', 'terceros', 'socios'],
+    tracking: ['cookie', 'seguimiento', 'analític'],
+    rights: ['elimin', 'derecho', 'acceso', 'oposición'],
+    security: ['segur', 'proteg', 'cifr'],
+    retention: ['conserv', 'almacen'],
+    dispute: ['arbitraje', 'disputa', 'tribunal'],
+    license: ['licencia', 'contenido', 'propiedad intelectual']
+  },
+  policyTerms: ['privacidad', 'datos', 'información', 'recopil', 'utiliz', 'compart'],
+  readability: {
+    vowels: /[aeiouáéíóúü]+/g,
+    legalese: [
+      /\ben\s+adelante\b/i,
+      /\b(en\s+virtud\s+de|de\s+conformidad\s+con|a\s+tenor\s+de|conforme\s+a)\b/i,
+      /\b(no\s+obstante|sin\s+perjuicio\s+de)\b/i,
+      /\b(antedich|precitad|susodich|anteriormente\s+mencionad)\w*/i,
+      /\ben\s+la\s+medida\s+(permitida|en\s+que\s+lo\s+permita)\s+(por\s+)?la\s+(ley|legislación)\b/i,
+      /\bincluyendo,?\s+(pero\s+no\s+limitado\s+a|sin\s+limitación)\b/i,
+      /\b(indemniz|mantener\s+indemne)\w*/i
+    ],
+    crossReferences: [
+      /\b(artículos?|secciones?|sección|cláusulas?|apartados?|anexos?)\s+\d+[a-z]?(\.\d+)*/i,
+      /\b(véase|ver|indicad[oa]s?|descrit[oa]s?)\s+(más\s+)?(arriba|abajo|adelante)\b/i
+    ]
+  }
+};
+
+// Keyed by ISO 639-1 code; languages without a pack are reported as
+// unsupported rather than scored with the English patterns
+export const languagePacks: Record<string, LanguagePack> = { en, de, fr, es };
+
+export const supportedLanguages = Object.keys(languagePacks);
@@ -0,0 +1,174 @@
+import type { Clause, SummaryItem } from '../types/analysis';
+import { LlmSummarySchema } from '../types/security';
+import type { UserConsent } from './ConsentManager';
+import type { SummaryTopic } from './LanguagePacks';
+
+export interface LlmSettings {
+  enabled: boolean;
+  // Base URL of an OpenAI-compatible API, e.g. http://localhost:11434/v1 for
+  // Ollama or http://localhost:8080/v1 for llama.cpp
+  endpoint: string;
+  model: string;
+  apiKey?: string;
+}
+
+const topics: SummaryTopic[] = ['collection', 'sharing', 'tracking', 'rights', 'security', 'retention', 'dispute', 'license'];
+
+export class LlmSummarizer {
+  // Keeps prompts within the context window of small local models
+  private readonly maxPromptChars = 12000;
+  private readonly minClauseLength = 40;
+  private readonly timeoutMs = 30000;
+  private settings: LlmSettings;
+
+  constructor(settings: LlmSettings) {
+    this.settings = settings;
+  }
+
+  // Off unless the user switched it on, configured an endpoint and agreed to
+  // clause text being sent to it
+  static isAllowed(
+    settings: LlmSettings | null | undefined,
+    consent: Pick<UserConsent, 'llmSummaries'> | null | undefined
+  ): settings is LlmSettings {
+    if (!settings?.enabled || !settings.model.trim() || consent?.llmSummaries !== true) {
+      return false;
+    }
+    try {
+      const { protocol } = new URL(settings.endpoint);
+      return protocol === 'http:' || protocol === 'https:';
+    } catch {
+      return false;
+    }
+  }
+
+  // `focus` holds ranges the rule-based analysis found relevant; those
+  // clauses are sent first when the policy exceeds the prompt budget
+  async summarize(clauses: Clause[], language: string, focus: number[][] = []): Promise<SummaryItem[]> {
+    const selected = this.selectClauses(clauses, focus);
+    if (selected.length === 0) {
+      throw new Error('LLM_INVALID_RESPONSE');
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const response = await fetch(`${this.settings.endpoint.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.settings.apiKey ? { Authorization: `Bearer ${this.settings.apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model: this.settings.model,
+          temperature: 0.2,
+          response_format: { type: 'json_object' },
+          messages: [
+            { role: 'system', content: this.instructions(language) },
+            { role: 'user', content: selected.map((clause, index) => `[${index + 1}] ${clause.text}`).join('\n') }
+          ]
+        }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error('LLM_UNAVAILABLE');
+      }
+
+      const body = await response.json();
+      return this.toSummary(body?.choices?.[0]?.message?.content, selected);
+    } catch (error) {
+      if (error instanceof Error && error.message.startsWith('LLM_')) {
+        throw error;
+      }
+      // Network errors, timeouts and non-JSON bodies
+      throw new Error('LLM_UNAVAILABLE');
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  private instructions(language: string): string {
+    let languageName = 'English';
+    try {
+      languageName = new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || languageName;
+    } catch {
+      // Keep English for codes Intl doesn't know
+    }
+
+    return [
+      'You explain privacy policies and terms of service to consumers.',
+      'You receive numbered clauses from one policy.',
+      'Write 4 to 8 short bullets in plain language about what data is collected, who it is shared with, what rights the user has and anything risky.',
+      'Only state what the clauses say.',
+      `Write the bullets in ${languageName}.`,
+      'Reply with JSON only, in this form: {"bullets":[{"text":"...","clauses":[1,2],"topic":"sharing"}]}',
+      `"clauses" lists the numbers of the clauses a bullet is based on. "topic" is one of: ${topics.join(', ')}.`
+    ].join(' ');
+  }
+
+  private selectClauses(clauses: Clause[], focus: number[][]): Clause[] {
+    const candidates = clauses.filter(clause => clause.text.length >= this.minClauseLength);
+    const inFocus = (clause: Clause) => focus.some(([start, end]) => start < clause.end && end > clause.start);
+    const ordered = [...candidates.filter(inFocus), ...candidates.filter(clause => !inFocus(clause))];
+
+    const selected: Clause[] = [];
+    let length = 0;
+    for (const clause of ordered) {
+      if (length + clause.text.length > this.maxPromptChars) continue;
+      selected.push(clause);
+      length += clause.text.length;
+    }
+
+    // Numbered in reading order so the model sees the policy's structure
+    return selected.sort((a, b) => a.start - b.start);
+  }
+
+  // Bullets keep the offsets of the clauses they cite; bullets citing no
+  // clause that was actually sent are dropped
+  private toSummary(reply: unknown, selected: Clause[]): SummaryItem[] {
+    if (typeof reply !== 'string') {
+      throw new Error('LLM_INVALID_RESPONSE');
+    }
+
+    // Some models wrap the JSON in prose or code fences
+    const json = reply.slice(reply.indexOf('{'), reply.lastIndexOf('}') + 1);
+    let parsed: unknown;
+    try {
+      parsed = JSON.parse(json);
+    } catch {
+      throw new Error('LLM_INVALID_RESPONSE');
+    }
+
+    const result = LlmSummarySchema.safeParse(parsed);
+    if (!result.success) {
+      throw new Error('LLM_INVALID_RESPONSE');
+    }
+
+    const summary = result.data.bullets
+      .map(bullet => ({
+        bullet,
+        evidence: Array.from(new Set(bullet.clauses))
+          .filter(number => number <= selected.length)
+          .sort((a, b) => a - b)
+          .map(number => [selected[number - 1].start, selected[number - 1].end])
+      }))
+      .filter(({ evidence }) => evidence.length > 0)
+      .slice(0, 8)
+      .map(({ bullet, evidence }, index) => {
+        const topic = topics.find(item => item === bullet.topic?.toLowerCase()) || 'general';
+        return {
+          id: `${topic}_llm_${index}`,
+          text: bullet.text.replace(/\s+/g, ' ').trim(),
+          priority: index + 1,
+          evidence
+        };
+      });
+
+    if (summary.length === 0) {
+      throw new Error('LLM_INVALID_RESPONSE');
+    }
+    return summary;
+  }
+}
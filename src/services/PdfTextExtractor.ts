@@ -0,0 +1,646 @@
+import type { PageRange } from '../types/analysis';
+
+export interface ExtractedPdf {
+  title: string;
+  content: string;
+  headings: string[];
+  pages: PageRange[];
+}
+
+interface PdfObject {
+  body: string;
+  // Decodes the object's stream on first use; images and other streams
+  // nothing reads are never inflated
+  stream?: () => Promise<Uint8Array | null>;
+}
+
+// Inflated bytes left for the document, shared by all its streams
+interface InflateBudget {
+  remaining: number;
+}
+
+interface PdfFont {
+  codeLength: number;
+  toUnicode?: Map<string, string>;
+}
+
+type Operand = string | number | Operand[] | { text: string };
+
+// WinAnsiEncoding differs from Latin-1 in 0x80-0x9F, which holds the curly
+// quotes and dashes legal text is full of
+const winAnsi: Record<number, string> = {
+  0x80: '€', 0x85: '…', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”',
+  0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™'
+};
+
+// Reads the text layer of text-based PDFs (no OCR) so policies published as
+// PDFs go through the same analyzer. Kept dependency-free like
+// HtmlTextExtractor: it runs in the service worker and the web app alike.
+// Handles Flate-compressed content and object streams and ToUnicode maps;
+// encrypted files are rejected.
+export class PdfTextExtractor {
+  private readonly maxPages = 500;
+  private readonly maxLength = 500000;
+  // Content streams run several times longer than the text they show, so
+  // this covers a long policy while a deflate bomb stops here
+  private readonly maxInflatedBytes: number;
+
+  constructor(maxInflatedBytes: number = 50000000) {
+    this.maxInflatedBytes = maxInflatedBytes;
+  }
+
+  async extract(data: ArrayBuffer | Uint8Array): Promise<ExtractedPdf> {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const raw = this.toBinaryString(bytes);
+
+    if (!raw.slice(0, 1024).includes('%PDF-')) {
+      throw new Error('UNSUPPORTED_CONTENT');
+    }
+    if (/\/Encrypt\s*(<<|\d+\s+\d+\s+R)/.test(raw)) {
+      throw new Error('UNSUPPORTED_CONTENT');
+    }
+
+    const objects = await this.readObjects(raw, bytes, { remaining: this.maxInflatedBytes });
+    const fonts = new Map<number, PdfFont>();
+    const pages: PageRange[] = [];
+    let content = '';
+
+    for (const [index, pageId] of this.findPages(objects).slice(0, this.maxPages).entries()) {
+      const text = await this.readPageText(objects, pageId, fonts);
+      if (content && text) content += '\n';
+
+      const start = content.length;
+      content += text;
+      pages.push({ page: index + 1, start, end: content.length });
+
+      if (content.length >= this.maxLength) break;
+    }
+
+    return {
+      title: this.readTitle(raw, objects),
+      content: content.slice(0, this.maxLength),
+      headings: this.readOutline(objects),
+      pages
+    };
+  }
+
+  // One char per byte, so offsets in the string match offsets in the file
+  private toBinaryString(bytes: Uint8Array): string {
+    let result = '';
+    for (let i = 0; i < bytes.length; i += 8192) {
+      result += String.fromCharCode(...bytes.subarray(i, i + 8192));
+    }
+    return result;
+  }
+
+  private async readObjects(raw: string, bytes: Uint8Array, budget: InflateBudget): Promise<Map<number, PdfObject>> {
+    const objects = new Map<number, PdfObject>();
+    const objectPattern = /(\d+)\s+\d+\s+obj\b/g;
+    let match: RegExpExecArray | null;
+
+    while ((match = objectPattern.exec(raw)) !== null) {
+      const id = Number(match[1]);
+      const start = match.index + match[0].length;
+      const streamMatch = /stream(\r\n|\n|\r)/.exec(raw.slice(start, start + 65536));
+      const nextEnd = raw.indexOf('endobj', start);
+
+      // Stream data is binary and may contain anything, so locate its end
+      // before looking for endobj
+      if (streamMatch && (nextEnd === -1 || start + streamMatch.index < nextEnd)) {
+        const body = raw.slice(start, start + streamMatch.index);
+        const dataStart = start + streamMatch.index + streamMatch[0].length;
+        const dataEnd = this.findStreamEnd(raw, body, dataStart);
+        objects.set(id, { body, stream: this.lazyStream(body, bytes.subarray(dataStart, dataEnd), budget) });
+        objectPattern.lastIndex = dataEnd;
+        continue;
+      }
+
+      const end = nextEnd === -1 ? raw.length : nextEnd;
+      objects.set(id, { body: raw.slice(start, end) });
+      objectPattern.lastIndex = end;
+    }
+
+    // PDF 1.5+ packs most non-stream objects into compressed object streams
+    for (const object of Array.from(objects.values())) {
+      if (!object.stream || !/\/Type\s*\/ObjStm\b/.test(object.body)) continue;
+      const stream = await object.stream();
+      if (stream) this.unpackObjectStream(object.body, stream, objects);
+    }
+
+    return objects;
+  }
+
+  private findStreamEnd(raw: string, dictionary: string, dataStart: number): number {
+    const length = dictionary.match(/\/Length\s+(\d+)\b(?!\s+\d+\s+R)/);
+    if (length) {
+      const end = dataStart + Number(length[1]);
+      if (raw.slice(end, end + 32).includes('endstream')) return end;
+    }
+
+    const end = raw.indexOf('endstream', dataStart);
+    if (end === -1) return raw.length;
+    return raw[end - 1] === '\n' ? (raw[end - 2] === '\r' ? end - 2 : end - 1) : raw[end - 1] === '\r' ? end - 1 : end;
+  }
+
+  private lazyStream(dictionary: string, data: Uint8Array, budget: InflateBudget): () => Promise<Uint8Array | null> {
+    let decoded: Promise<Uint8Array | null> | undefined;
+    return () => (decoded ??= this.decodeStream(dictionary, data, budget));
+  }
+
+  private async decodeStream(dictionary: string, data: Uint8Array, budget: InflateBudget): Promise<Uint8Array | null> {
+    const filter = dictionary.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1];
+    if (!filter) return data;
+
+    const filters = filter.match(/\/\w+/g) || [];
+    if (filters.length === 1 && (filters[0] === '/FlateDecode' || filters[0] === '/Fl')) {
+      return this.inflate(data, budget);
+    }
+    // Images and other encodings carry no text
+    return null;
+  }
+
+  private async inflate(data: Uint8Array, budget: InflateBudget): Promise<Uint8Array | null> {
+    if (budget.remaining <= 0) return null;
+
+    try {
+      const input = new ReadableStream<Uint8Array>({
+        start(controller) {
+          controller.enqueue(data);
+          controller.close();
+        }
+      });
+      const reader = input.pipeThrough(new DecompressionStream('deflate')).getReader();
+      const chunks: Uint8Array[] = [];
+
+      // Truncated streams are common; keep whatever inflated before the
+      // error, or before the budget ran out
+      try {
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          chunks.push(value.subarray(0, budget.remaining));
+          budget.remaining -= value.length;
+          if (budget.remaining <= 0) {
+            await reader.cancel();
+            break;
+          }
+        }
+      } catch {
+        if (chunks.length === 0) return null;
+      }
+
+      const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+      let offset = 0;
+      chunks.forEach(chunk => {
+        output.set(chunk, offset);
+        offset += chunk.length;
+      });
+      return output;
+    } catch (error) {
+      console.error('PDF stream inflate error:', error);
+      return null;
+    }
+  }
+
+  private unpackObjectStream(dictionary: string, stream: Uint8Array, objects: Map<number, PdfObject>): void {
+    const count = Number(dictionary.match(/\/N\s+(\d+)/)?.[1] || 0);
+    const first = Number(dictionary.match(/\/First\s+(\d+)/)?.[1] || 0);
+    const text = this.toBinaryString(stream);
+    const header = text.slice(0, first).trim().split(/\s+/).map(Number);
+
+    for (let i = 0; i < count; i++) {
+      const id = header[i * 2];
+      const offset = header[i * 2 + 1];
+      const next = i + 1 < count ? header[(i + 1) * 2 + 1] : text.length - first;
+      if (!Number.isFinite(id) || !Number.isFinite(offset) || objects.has(id)) continue;
+
+      objects.set(id, { body: text.slice(first + offset, first + next) });
+    }
+  }
+
+  // Pages in document order, following the page tree from the catalog
+  private findPages(objects: Map<number, PdfObject>): number[] {
+    const pages: number[] = [];
+    const visited = new Set<number>();
+
+    const visit = (id: number) => {
+      const node = objects.get(id);
+      if (!node || visited.has(id)) return;
+      visited.add(id);
+
+      if (/\/Type\s*\/Pages\b/.test(node.body)) {
+        const kids = this.readValue(node.body, 'Kids');
+        this.readRefs(kids ? this.resolve(objects, kids) : '').forEach(visit);
+      } else if (/\/Type\s*\/Page(?![a-zA-Z])/.test(node.body)) {
+        pages.push(id);
+      }
+    };
+
+    for (const [, object] of objects) {
+      if (!/\/Type\s*\/Catalog\b/.test(object.body)) continue;
+      const root = this.readRefs(this.readValue(object.body, 'Pages') || '')[0];
+      if (root !== undefined) visit(root);
+      if (pages.length > 0) return pages;
+    }
+
+    // Damaged page tree: fall back to object order
+    return Array.from(objects.entries())
+      .filter(([, object]) => /\/Type\s*\/Page(?![a-zA-Z])/.test(object.body))
+      .map(([id]) => id)
+      .sort((a, b) => a - b);
+  }
+
+  private async readPageText(objects: Map<number, PdfObject>, pageId: number, fonts: Map<number, PdfFont>): Promise<string> {
+    const page = objects.get(pageId)!;
+    const contents = this.readValue(page.body, 'Contents');
+    if (!contents) return '';
+
+    // Contents is a stream reference or an array of them, possibly indirect
+    let refs = this.readRefs(contents);
+    if (refs.length === 1 && !objects.get(refs[0])?.stream) {
+      refs = this.readRefs(objects.get(refs[0])?.body || '');
+    }
+
+    const streams: string[] = [];
+    for (const ref of refs) {
+      const data = await objects.get(ref)?.stream?.();
+      if (data) streams.push(this.toBinaryString(data));
+    }
+    const stream = streams.join('\n');
+
+    const pageFonts = await this.readPageFonts(objects, pageId, fonts);
+    return this.joinLines(this.readTextOperations(stream, pageFonts));
+  }
+
+  private async readPageFonts(objects: Map<number, PdfObject>, pageId: number, cache: Map<number, PdfFont>): Promise<Map<string, PdfFont>> {
+    const fonts = new Map<string, PdfFont>();
+
+    // Resources are inherited from the page tree when a page has none
+    let node = objects.get(pageId);
+    let resources: string | undefined;
+    for (let depth = 0; node && depth < 32; depth++) {
+      const value = this.readValue(node.body, 'Resources');
+      if (value) {
+        resources = this.resolve(objects, value);
+        break;
+      }
+      const parent = this.readRefs(this.readValue(node.body, 'Parent') || '')[0];
+      node = parent !== undefined ? objects.get(parent) : undefined;
+    }
+
+    const fontValue = resources ? this.readValue(resources, 'Font') : undefined;
+    const fontDictionary = fontValue ? this.resolve(objects, fontValue) : '';
+
+    for (const match of fontDictionary.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+      const id = Number(match[2]);
+      if (!cache.has(id)) {
+        cache.set(id, await this.readFont(objects, id));
+      }
+      fonts.set(match[1], cache.get(id)!);
+    }
+
+    return fonts;
+  }
+
+  private async readFont(objects: Map<number, PdfObject>, id: number): Promise<PdfFont> {
+    const body = objects.get(id)?.body || '';
+    const font: PdfFont = { codeLength: /\/Subtype\s*\/Type0\b/.test(body) ? 2 : 1 };
+
+    const toUnicode = this.readRefs(this.readValue(body, 'ToUnicode') || '')[0];
+    const cmap = toUnicode !== undefined ? await objects.get(toUnicode)?.stream?.() : undefined;
+    if (cmap) {
+      const parsed = this.parseCMap(this.toBinaryString(cmap));
+      font.toUnicode = parsed.map;
+      font.codeLength = parsed.codeLength || font.codeLength;
+    }
+
+    return font;
+  }
+
+  private parseCMap(cmap: string): { map: Map<string, string>; codeLength: number } {
+    const map = new Map<string, string>();
+    let codeLength = 0;
+
+    const codespace = cmap.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+    if (codespace) codeLength = codespace[1].length / 2;
+
+    for (const block of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+      for (const entry of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+        map.set(entry[1].toUpperCase(), this.decodeUtf16Hex(entry[2]));
+      }
+    }
+
+    for (const block of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+      for (const entry of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+        const width = entry[1].length;
+        const low = parseInt(entry[1], 16);
+        const high = Math.min(parseInt(entry[2], 16), low + 0xffff);
+        const targets = entry[3].startsWith('[')
+          ? Array.from(entry[3].matchAll(/<([0-9a-fA-F]*)>/g)).map(target => this.decodeUtf16Hex(target[1]))
+          : null;
+        const base = targets ? '' : this.decodeUtf16Hex(entry[3].slice(1, -1));
+
+        for (let code = low; code <= high; code++) {
+          const key = code.toString(16).toUpperCase().padStart(width, '0');
+          if (targets) {
+            if (targets[code - low] !== undefined) map.set(key, targets[code - low]);
+          } else if (base) {
+            // The last UTF-16 unit increments across the range
+            map.set(key, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + code - low));
+          }
+        }
+      }
+    }
+
+    return { map, codeLength };
+  }
+
+  private decodeUtf16Hex(hex: string): string {
+    let result = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) {
+      result += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+    }
+    return result;
+  }
+
+  // Walks the content stream operators and emits the shown text, breaking
+  // lines where the text position moves down
+  private readTextOperations(stream: string, fonts: Map<string, PdfFont>): string[] {
+    const lines: string[] = [];
+    let line = '';
+    let font: PdfFont = { codeLength: 1 };
+    let lineY: number | null = null;
+    let operands: Operand[] = [];
+    const arrays: Operand[][] = [];
+
+    const newLine = () => {
+      if (line.trim()) lines.push(line);
+      line = '';
+    };
+    const show = (value: Operand) => {
+      if (typeof value === 'object' && 'text' in value) {
+        line += this.decodeText(value.text, font);
+      } else if (Array.isArray(value)) {
+        value.forEach(item => {
+          // Large negative kerning in TJ arrays is how many PDFs space words
+          if (typeof item === 'number' && item < -200 && !line.endsWith(' ')) line += ' ';
+          else show(item);
+        });
+      }
+    };
+    const push = (value: Operand) => {
+      if (arrays.length > 0) arrays[arrays.length - 1].push(value);
+      else operands.push(value);
+    };
+
+    let i = 0;
+    while (i < stream.length) {
+      const char = stream[i];
+
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === '%') {
+        while (i < stream.length && stream[i] !== '\n' && stream[i] !== '\r') i++;
+      } else if (char === '(') {
+        const [text, next] = this.readLiteralString(stream, i);
+        push({ text });
+        i = next;
+      } else if (char === '<' && stream[i + 1] === '<') {
+        // Inline dictionaries (marked content properties) carry no text
+        let depth = 0;
+        do {
+          if (stream.startsWith('<<', i)) { depth++; i += 2; }
+          else if (stream.startsWith('>>', i)) { depth--; i += 2; }
+          else i++;
+        } while (depth > 0 && i < stream.length);
+      } else if (char === '<') {
+        const end = stream.indexOf('>', i);
+        const hex = stream.slice(i + 1, end === -1 ? stream.length : end).replace(/[^0-9a-fA-F]/g, '');
+        let text = '';
+        for (let j = 0; j < hex.length; j += 2) {
+          text += String.fromCharCode(parseInt(hex.slice(j, j + 2).padEnd(2, '0'), 16));
+        }
+        push({ text });
+        i = end === -1 ? stream.length : end + 1;
+      } else if (char === '[') {
+        arrays.push([]);
+        i++;
+      } else if (char === ']') {
+        const array = arrays.pop() || [];
+        push(array);
+        i++;
+      } else if (char === '/') {
+        const name = stream.slice(i).match(/^\/[^\s/<>[\]()%]*/)![0];
+        push(name);
+        i += name.length;
+      } else if (/[\d.+-]/.test(char)) {
+        const number = stream.slice(i, i + 32).match(/^[+-]?(\d+\.?\d*|\.\d+)/);
+        push(number ? parseFloat(number[0]) : 0);
+        i += number ? number[0].length : 1;
+      } else {
+        const operator = stream.slice(i, i + 16).match(/^[^\s/<>[\]()%]+/)?.[0] || char;
+        i += operator.length;
+
+        switch (operator) {
+          case 'Tf':
+            font = fonts.get(String(operands[0]).slice(1)) || { codeLength: 1 };
+            break;
+          case 'Td':
+          case 'TD':
+            if (operands[1] !== 0) newLine();
+            else if (line && !line.endsWith(' ')) line += ' ';
+            break;
+          case 'Tm': {
+            const y = Number(operands[5]);
+            if (lineY !== null && Math.abs(y - lineY) > 1) newLine();
+            else if (line && !line.endsWith(' ')) line += ' ';
+            lineY = y;
+            break;
+          }
+          case 'T*':
+            newLine();
+            break;
+          case 'Tj':
+          case 'TJ':
+            show(operands[operands.length - 1]);
+            break;
+          case "'":
+          case '"':
+            newLine();
+            show(operands[operands.length - 1]);
+            break;
+          case 'ET':
+            if (line && !line.endsWith(' ')) line += ' ';
+            break;
+          case 'BI': {
+            // Skip inline image data
+            const end = stream.slice(i).search(/\sEI(\s|$)/);
+            i = end === -1 ? stream.length : i + end + 3;
+            break;
+          }
+        }
+        operands = [];
+        arrays.length = 0;
+      }
+    }
+    newLine();
+
+    return lines;
+  }
+
+  private readLiteralString(stream: string, start: number): [string, number] {
+    const escapes: Record<string, string> = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    let depth = 0;
+    let text = '';
+    let i = start;
+
+    for (; i < stream.length; i++) {
+      const char = stream[i];
+      if (char === '\\') {
+        const next = stream[++i];
+        const octal = stream.slice(i, i + 3).match(/^[0-7]{1,3}/);
+        if (octal) {
+          text += String.fromCharCode(parseInt(octal[0], 8) & 0xff);
+          i += octal[0].length - 1;
+        } else if (next === '\r' || next === '\n') {
+          if (next === '\r' && stream[i + 1] === '\n') i++;
+        } else {
+          text += escapes[next] ?? next;
+        }
+      } else if (char === '(') {
+        if (depth++ > 0) text += char;
+      } else if (char === ')') {
+        if (--depth === 0) return [text, i + 1];
+        text += char;
+      } else {
+        text += char;
+      }
+    }
+
+    return [text, i];
+  }
+
+  private decodeText(bytes: string, font: PdfFont): string {
+    if (!font.toUnicode) {
+      // Without a ToUnicode map only single-byte fonts are readable
+      return font.codeLength === 1
+        ? bytes.replace(/[\x80-\x9f]/g, char => winAnsi[char.charCodeAt(0)] ?? char)
+        : '';
+    }
+
+    let text = '';
+    for (let i = 0; i < bytes.length; i += font.codeLength) {
+      const code = Array.from(bytes.slice(i, i + font.codeLength))
+        .map(char => char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'))
+        .join('');
+      text += font.toUnicode.get(code) ?? (font.codeLength === 1 ? bytes[i] : '');
+    }
+    return text;
+  }
+
+  // PDF text comes as visual lines; rejoin wrapped lines into paragraphs so
+  // the segmenter doesn't cut clauses at every line break
+  private joinLines(lines: string[]): string {
+    const paragraphs: string[] = [];
+
+    lines
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(line => line.length > 0)
+      .forEach(line => {
+        const last = paragraphs[paragraphs.length - 1];
+        const startsItem = /^([•\-–*]|\(?[a-z0-9]{1,3}[.)])\s/i.test(line);
+
+        if (last === undefined || startsItem || /[.!?:;]["'”)\]]?$/.test(last)) {
+          paragraphs.push(line);
+        } else if (/[a-z]-$/.test(last) && /^[a-z]/.test(line)) {
+          paragraphs[paragraphs.length - 1] = last.slice(0, -1) + line;
+        } else if (last.length >= 60 || /^[a-z(]/.test(line)) {
+          paragraphs[paragraphs.length - 1] = `${last} ${line}`;
+        } else {
+          // Short line without closing punctuation: most likely a heading
+          paragraphs.push(line);
+        }
+      });
+
+    return paragraphs.join('\n');
+  }
+
+  private readTitle(raw: string, objects: Map<number, PdfObject>): string {
+    const info = raw.match(/\/Info\s+(\d+)\s+\d+\s+R/);
+    const body = info ? objects.get(Number(info[1]))?.body : undefined;
+    const title = body ? this.readValue(body, 'Title') : undefined;
+    return title ? this.decodeTextString(this.resolve(objects, title)).trim() : '';
+  }
+
+  // Bookmark titles double as section headings for the segmenter
+  private readOutline(objects: Map<number, PdfObject>): string[] {
+    return Array.from(objects.entries())
+      .filter(([, object]) => /\/Parent\b/.test(object.body) && /\/(Dest|A)\b/.test(object.body) && /\/Title\b/.test(object.body))
+      .sort(([a], [b]) => a - b)
+      .map(([, object]) => this.decodeTextString(this.resolve(objects, this.readValue(object.body, 'Title') || '')))
+      .map(title => title.replace(/\s+/g, ' ').trim())
+      .filter(title => title.length > 0 && title.length < 200)
+      .slice(0, 100);
+  }
+
+  // Document strings (title, bookmarks) are PDFDocEncoding or UTF-16BE
+  private decodeTextString(encoded: string): string {
+    const value = encoded.trim();
+    let bytes = '';
+    if (value.startsWith('(')) {
+      bytes = this.readLiteralString(value, 0)[0];
+    } else if (value.startsWith('<')) {
+      const hex = value.slice(1, -1).replace(/[^0-9a-fA-F]/g, '');
+      for (let i = 0; i + 1 < hex.length; i += 2) {
+        bytes += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+      }
+    }
+
+    if (bytes.startsWith('þÿ')) {
+      let text = '';
+      for (let i = 2; i + 1 < bytes.length; i += 2) {
+        text += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+      }
+      return text;
+    }
+    return bytes;
+  }
+
+  // Raw value of a dictionary key: a reference, array, dictionary, string,
+  // name or number
+  private readValue(dictionary: string, key: string): string | undefined {
+    const match = new RegExp(`/${key}(?![A-Za-z0-9])\\s*`).exec(dictionary);
+    if (!match) return undefined;
+
+    const start = match.index + match[0].length;
+    const rest = dictionary.slice(start);
+
+    const ref = rest.match(/^\d+\s+\d+\s+R\b/);
+    if (ref) return ref[0];
+
+    const open = rest[0];
+    const close: Record<string, string> = { '[': ']', '(': ')', '<': '>' };
+    if (open in close) {
+      if (open === '(') return '(' + this.readLiteralString(rest, 0)[0].replace(/[()\\]/g, '\\$&') + ')';
+
+      let depth = 0;
+      for (let i = 0; i < rest.length; i++) {
+        if (rest[i] === open) depth++;
+        else if (rest[i] === close[open]) depth--;
+        if (depth === 0) return rest.slice(0, i + 1);
+      }
+      return rest;
+    }
+
+    return rest.match(/^\/[^\s/<>[\]()]*|^[^\s/<>[\]()]+/)?.[0];
+  }
+
+  private resolve(objects: Map<number, PdfObject>, value: string): string {
+    const ref = value.match(/^(\d+)\s+\d+\s+R\b/);
+    return ref ? objects.get(Number(ref[1]))?.body || '' : value;
+  }
+
+  private readRefs(value: string): number[] {
+    return Array.from(value.matchAll(/(\d+)\s+\d+\s+R\b/g)).map(match => Number(match[1]));
+  }
+}
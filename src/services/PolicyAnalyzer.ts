@@ -1,154 +1,212 @@
-import type { AnalysisResult, SummaryItem, RedFlag, Scores, PolicyContent } from '../types/analysis';
+import type { AnalysisResult, SummaryItem, RedFlag, Scores, ScoreCategory, ScoreContribution, ScoringProfile, ScoringSummary, PolicyContent, Clause, PageRange, ComplianceReport, GlossaryEntry } from '../types/analysis';
+import { ClauseSegmenter } from './ClauseSegmenter';
+import { ClauseClassifier } from './ClauseClassifier';
+import { ComplianceChecker } from './ComplianceChecker';
+import { ReadabilityMeter } from './ReadabilityMeter';
+import { Glossary } from './Glossary';
+import type { ClauseFinding } from './ClauseClassifier';
+import type { CompiledRule, RulePack } from './RulePackLoader';
+import type { LlmSummarizer } from './LlmSummarizer';
+import { LanguageDetector } from './LanguageDetector';
+import { ScoringProfiles } from './ScoringProfiles';
+import { languagePacks } from './LanguagePacks';
+import calibration from '../../benchmark/calibration.json';
+import type { LanguagePack, PatternCategory, SummaryTopic } from './LanguagePacks';
+
+interface RuleMatch {
+  rule: CompiledRule;
+  // Flag id, unique across packs
+  id: string;
+  findings: ClauseFinding[];
+}
 
 export class PolicyAnalyzer {
-  private patterns: Record<string, RegExp[]>;
-  private scoringWeights: Record<string, number>;
+  private scoringProfiles: ScoringProfiles;
+  private scoringProfile: ScoringProfile;
+  // The extractors' cap; every surface passes its text through unmodified
+  private readonly maxContentLength = 500000;
+  private segmenter: ClauseSegmenter;
+  private languageDetector: LanguageDetector;
+  private classifier: ClauseClassifier;
+  private complianceChecker: ComplianceChecker;
+  private readabilityMeter: ReadabilityMeter;
+  private glossary: Glossary;
+  private rulePacks: RulePack[] = [];
+  private summarizer: LlmSummarizer | null = null;
 
   constructor() {
-    this.patterns = this.initializePatterns();
-    this.scoringWeights = {
-      collection: 0.15,
-      sharingSelling: 0.20,
-      rights: 0.15,
-      retention: 0.10,
-      dispute: 0.15,
-      license: 0.10,
-      tracking: 0.10,
-      children: 0.025,
-      security: 0.075
-    };
+    this.segmenter = new ClauseSegmenter();
+    this.classifier = new ClauseClassifier();
+    this.complianceChecker = new ComplianceChecker();
+    this.readabilityMeter = new ReadabilityMeter();
+    this.glossary = new Glossary();
+    this.languageDetector = new LanguageDetector();
+    this.scoringProfiles = new ScoringProfiles();
+    this.scoringProfile = ScoringProfiles.builtIn().find(profile => profile.id === ScoringProfiles.defaultId)!;
   }
 
-  private initializePatterns(): Record<string, RegExp[]> {
-    return {
-      dataSelling: [
-        /\b(we|may|will|can)\s+sell\s+(your|personal)\s+data/i,
-        /monetize\s+(your\s+)?data/i,
-        /sell\s+.*information.*valuable\s+consideration/i,
-        /share.*third\s+parties.*advertising.*revenue/i,
-        /data\s+broker/i,
-        /sell.*information.*marketing.*purposes(?!\s+without)/i
-      ],
-      arbitration: [
-        /binding arbitration/i,
-        /waive.*right.*jury/i,
-        /class action waiver/i,
-        /dispute resolution.*binding/i,
-        /arbitration agreement/i,
-        /waive.*class.*action/i
-      ],
-      license: [
-        /perpetual.*license/i,
-        /irrevocable.*rights/i,
-        /royalty-free.*sublicense/i,
-        /worldwide.*license.*content/i,
-        /perpetual.*irrevocable/i,
-        /sublicensable.*transferable/i
-      ],
-      retention: [
-        /retain indefinitely/i,
-        /keep.*data.*forever/i,
-        /no retention period/i,
-        /retain.*as long as/i,
-        /indefinite.*retention/i
-      ],
-      fingerprinting: [
-        /device fingerprint/i,
-        /canvas fingerprint/i,
-        /unique identifier/i,
-        /cross.*site tracking/i,
-        /browser fingerprint/i,
-        /tracking.*pixels/i
-      ],
-      children: [
-        /under (13|16)/i,
-        /child.*consent/i,
-        /COPPA/i,
-        /parental consent/i,
-        /children.*privacy/i,
-        /minors.*data/i
-      ],
-      rights: [
-        /right to delete/i,
-        /data portability/i,
-        /access.*data/i,
-        /opt.*out/i,
-        /delete.*account/i,
-        /data subject rights/i,
-        /GDPR/i,
-        /CCPA/i
-      ],
-      security: [
-        /encrypt/i,
-        /secure/i,
-        /protection/i,
-        /SSL|TLS/i,
-        /security measures/i,
-        /data protection/i
-      ],
-      sharing: [
-        /share.*third parties/i,
-        /disclose.*partners/i,
-        /third.*party.*services/i,
-        /business partners/i,
-        /service providers/i
-      ],
-      collection: [
-        /collect.*information/i,
-        /gather.*data/i,
-        /obtain.*personal/i,
-        /we collect/i,
-        /information.*collect/i
-      ]
-    };
+  // The user's profile weights the aggregate; category scores don't change
+  setScoringProfile(profile: ScoringProfile): void {
+    this.scoringProfile = profile;
+  }
+
+  // Imported rule packs, applied on top of the built-in checks
+  setRulePacks(packs: RulePack[]): void {
+    this.rulePacks = packs;
+  }
+
+  // Model-backed summaries, only set when the user allowed them; the
+  // rule-based summary remains the fallback
+  setSummarizer(summarizer: LlmSummarizer | null): void {
+    this.summarizer = summarizer;
   }
 
   async analyze(content: PolicyContent, url: string): Promise<AnalysisResult> {
-    const text = content.content || '';
+    const text = (content.content || '').slice(0, this.maxContentLength);
     
-    const summary = this.generateSummary(text);
-    const redFlags = this.detectRedFlags(text);
-    const scores = this.calculateScores(text);
+    const sections = this.segmenter.segment(text, content.headings);
+    const clauses = sections.flatMap(section => section.clauses);
+
+    const { language } = this.languageDetector.detect(text, content.language);
+    const pack = languagePacks[language];
+
+    // English patterns on other languages find nothing and would report a
+    // neutral 50/100, so unsupported languages get no findings at all
+    if (!pack) {
+      return {
+        url,
+        retrievedAt: new Date().toISOString(),
+        contentHash: this.simpleHash(text),
+        language,
+        languageSupported: false,
+        summary: [],
+        redFlags: [],
+        scores: this.unscoredScores(),
+        scoring: this.scoringSummary(),
+        sections,
+        format: content.format,
+        pages: content.pages
+      };
+    }
+
+    const findings = this.classifier.classify(clauses, pack);
+    const ruleMatches = this.matchRules(clauses, language, pack);
+    const redFlags = this.detectRedFlags(text, findings, ruleMatches);
+    const compliance = this.complianceChecker.check(text, clauses, pack);
+    const readability = this.readabilityMeter.measure(clauses, language, pack);
+    const { scores, contributions: scoreContributions } = this.calculateScores(text, clauses, findings, ruleMatches, compliance, pack);
+    const scoreEvidence = this.collectScoreEvidence(scoreContributions);
+
+    let summary = this.generateSummary(clauses, pack, language);
+    let summarySource: AnalysisResult['summarySource'] = 'rules';
+    let summaryFallback = false;
+
+    if (this.summarizer) {
+      const focus = [
+        ...summary.flatMap(item => item.evidence || []),
+        ...redFlags.flatMap(flag => flag.evidenceRanges || [])
+      ];
+      try {
+        summary = await this.summarizer.summarize(clauses, language, focus);
+        summarySource = 'llm';
+      } catch (error) {
+        console.warn('Model summary unavailable, using rule-based summary:', (error as Error).message);
+        summaryFallback = true;
+      }
+    }
+
+    if (content.pages?.length) {
+      this.attachPages(content.pages, clauses, summary, [...redFlags, ...compliance.items]);
+    }
+    const glossary = this.attachTerms(text, summary, redFlags);
 
     return {
       url,
       retrievedAt: new Date().toISOString(),
       contentHash: this.simpleHash(text),
-      language: 'en',
+      language,
+      languageSupported: true,
       summary,
+      summarySource,
+      ...(summaryFallback && { summaryFallback }),
       redFlags,
-      scores
+      scores,
+      scoreContributions,
+      scoreEvidence,
+      scoring: this.scoringSummary(),
+      compliance,
+      ...(readability && { readability }),
+      glossary,
+      sections,
+      format: content.format,
+      pages: content.pages
     };
   }
 
-  private generateSummary(content: string): SummaryItem[] {
-    const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 20);
+  // Page numbers let evidence in PDFs be found without in-page highlighting
+  private attachPages(
+    pages: PageRange[],
+    clauses: Clause[],
+    summary: SummaryItem[],
+    findings: Array<Pick<RedFlag, 'evidenceRanges' | 'evidencePages'>>
+  ): void {
+    const pageAt = (offset: number) => pages.find(range => offset >= range.start && offset < range.end)?.page;
+    const pagesFor = (ranges: number[][] = []) => Array.from(new Set(
+      ranges.map(([start]) => pageAt(start)).filter((page): page is number => page !== undefined)
+    )).sort((a, b) => a - b);
+
+    clauses.forEach(clause => {
+      clause.page = pageAt(clause.start);
+    });
+    summary.forEach(item => {
+      item.evidencePages = pagesFor(item.evidence);
+    });
+    findings.forEach(finding => {
+      finding.evidencePages = pagesFor(finding.evidenceRanges);
+    });
+  }
+
+  // Marks glossary terms in the bullets and evidence (model summaries
+  // included) and defines every term the policy uses, for in-page hovers
+  private attachTerms(text: string, summary: SummaryItem[], redFlags: RedFlag[]): GlossaryEntry[] {
+    summary.forEach(item => {
+      item.terms = this.glossary.find(item.text);
+    });
+    redFlags.forEach(flag => {
+      flag.evidenceTerms = this.glossary.find(flag.evidence);
+    });
+    return this.glossary.define(this.glossary.find(text).map(match => match.id));
+  }
+
+  private generateSummary(clauses: Clause[], pack: LanguagePack, language: string): SummaryItem[] {
+    const sentences = clauses.filter(clause => clause.text.length > 20);
     const keywordSentences: SummaryItem[] = [];
 
-    const importantKeywords = [
-      { terms: ['collect', 'gather', 'obtain'], id: 'collection', priority: 1 },
-      { terms: ['share', 'disclose', 'third party', 'partners'], id: 'sharing', priority: 2 },
-      { terms: ['cookie', 'tracking', 'analytics'], id: 'tracking', priority: 3 },
-      { terms: ['delete', 'remove', 'right', 'access'], id: 'rights', priority: 4 },
-      { terms: ['secure', 'protect', 'encryption'], id: 'security', priority: 5 },
-      { terms: ['retain', 'keep', 'store'], id: 'retention', priority: 6 },
-      { terms: ['arbitration', 'dispute', 'legal'], id: 'dispute', priority: 7 },
-      { terms: ['license', 'content', 'intellectual'], id: 'license', priority: 8 }
+    const importantKeywords: Array<{ id: SummaryTopic; priority: number }> = [
+      { id: 'collection', priority: 1 },
+      { id: 'sharing', priority: 2 },
+      { id: 'tracking', priority: 3 },
+      { id: 'rights', priority: 4 },
+      { id: 'security', priority: 5 },
+      { id: 'retention', priority: 6 },
+      { id: 'dispute', priority: 7 },
+      { id: 'license', priority: 8 }
     ];
 
     importantKeywords.forEach(keyword => {
       const relevantSentences = sentences.filter(sentence => 
-        keyword.terms.some(term => 
-          sentence.toLowerCase().includes(term)
+        pack.summaryTerms[keyword.id].some(term => 
+          sentence.text.toLowerCase().includes(term)
         )
       ).slice(0, 2);
 
-      relevantSentences.forEach(sentence => {
+      relevantSentences.forEach((sentence, index) => {
         keywordSentences.push({
-          id: keyword.id + '_' + Date.now() + Math.random(),
-          text: this.simplifyLanguage(sentence.trim()),
+          // Deterministic ids so every surface produces identical results
+          id: `${keyword.id}_${index}`,
+          text: this.simplifyLanguage(sentence.text, language),
           priority: keyword.priority,
-          evidence: []
+          evidence: [[sentence.start, sentence.end]]
         });
       });
     });
@@ -158,96 +216,262 @@ export class PolicyAnalyzer {
       .slice(0, 8);
   }
 
-  private simplifyLanguage(text: string): string {
-    return text
-      .replace(/\b(shall|hereby|wherein|whereas)\b/gi, '')
-      .replace(/\b(such|aforementioned)\b/gi, 'this')
-      .replace(/\bpursuant to\b/gi, 'according to')
-      .replace(/\bin accordance with\b/gi, 'following')
+  private simplifyLanguage(text: string, language: string): string {
+    // The legalese replacements are English; other languages are only trimmed.
+    // Words that change the meaning, like "whereas", stay for the glossary to define
+    const simplified = language === 'en'
+      ? text
+        .replace(/\b(shall|hereby)\b/gi, '')
+        .replace(/\b(such|aforementioned)\b/gi, 'this')
+        .replace(/\bpursuant to\b/gi, 'according to')
+        .replace(/\bin accordance with\b/gi, 'following')
+      : text;
+
+    return simplified
       .replace(/\s+/g, ' ')
       .trim()
       .slice(0, 200) + (text.length > 200 ? '...' : '');
   }
 
-  private detectRedFlags(content: string): RedFlag[] {
-    const flags: RedFlag[] = [];
+  // Rule packs only apply to the languages their patterns are written in
+  private matchRules(clauses: Clause[], language: string, pack: LanguagePack): RuleMatch[] {
+    return this.rulePacks
+      .filter(rulePack => !rulePack.languages || rulePack.languages.includes(language))
+      .flatMap(rulePack => rulePack.rules.map(rule => {
+        const id = `${rulePack.id}:${rule.id}`;
+        const findings = this.classifier
+          .match(id, clauses, rule.patterns, pack, rule.exclusions)
+          .filter(finding => finding.weight > 0);
+        return { rule, id, findings };
+      }))
+      .filter(match => match.findings.length > 0);
+  }
 
-    // Check for data selling - but exclude explicit denials
-    const hasDataSelling = this.patterns.dataSelling.some(pattern => pattern.test(content));
-    const explicitlyDenies = /do not sell|will not sell|never sell|don't sell/i.test(content);
-    
-    if (hasDataSelling && !explicitlyDenies) {
-      flags.push({
+  private detectRedFlags(content: string, findings: ClauseFinding[], ruleMatches: RuleMatch[]): RedFlag[] {
+    const checks: Array<Pick<RedFlag, 'id' | 'title' | 'severity' | 'whatItMeans'> & { category: PatternCategory }> = [
+      {
         id: 'data-selling',
+        category: 'dataSelling',
         title: 'May sell your data',
         severity: 5,
-        evidence: this.findEvidence(content, this.patterns.dataSelling),
         whatItMeans: 'This company may sell or share your personal information with third parties for profit.'
-      });
-    }
-
-    // Check for arbitration clauses
-    if (this.patterns.arbitration.some(pattern => pattern.test(content))) {
-      flags.push({
+      },
+      {
         id: 'arbitration',
+        category: 'arbitration',
         title: 'Mandatory arbitration',
         severity: 4,
-        evidence: this.findEvidence(content, this.patterns.arbitration),
         whatItMeans: 'You give up your right to sue or join class action lawsuits.'
-      });
-    }
-
-    // Check for broad content licenses
-    if (this.patterns.license.some(pattern => pattern.test(content))) {
-      flags.push({
+      },
+      {
         id: 'broad-license',
+        category: 'license',
         title: 'Broad license to your content',
         severity: 3,
-        evidence: this.findEvidence(content, this.patterns.license),
         whatItMeans: 'The company gets extensive rights to use, modify, and share your content.'
-      });
-    }
-
-    // Check for indefinite retention
-    if (this.patterns.retention.some(pattern => pattern.test(content))) {
-      flags.push({
+      },
+      {
         id: 'indefinite-retention',
+        category: 'retention',
         title: 'Keeps data indefinitely',
         severity: 4,
-        evidence: this.findEvidence(content, this.patterns.retention),
         whatItMeans: 'Your data may be stored forever without clear deletion policies.'
-      });
-    }
-
-    // Check for fingerprinting
-    if (this.patterns.fingerprinting.some(pattern => pattern.test(content))) {
-      flags.push({
+      },
+      {
         id: 'fingerprinting',
+        category: 'fingerprinting',
         title: 'Device fingerprinting',
         severity: 3,
-        evidence: this.findEvidence(content, this.patterns.fingerprinting),
         whatItMeans: 'Uses advanced tracking techniques that are hard to block.'
+      }
+    ];
+
+    const flags: RedFlag[] = [];
+
+    checks.forEach(({ category, ...flag }) => {
+      // Clauses that deny the practice ("we never sell your data") don't count
+      const matches = findings.filter(finding => finding.category === category && finding.weight > 0);
+      if (matches.length > 0) {
+        flags.push(this.buildFlag(content, flag, matches));
+      }
+    });
+
+    ruleMatches
+      .filter(({ rule }) => rule.severity > 0)
+      .forEach(({ rule, id, findings: matches }) => {
+        flags.push(this.buildFlag(content, {
+          id,
+          title: rule.title,
+          severity: rule.severity,
+          whatItMeans: rule.explanation
+        }, matches));
       });
-    }
 
-    return flags.slice(0, 5);
+    // Most severe first, so imported rules compete with the built-in ones
+    return flags
+      .sort((a, b) => b.severity - a.severity)
+      .slice(0, 5);
   }
 
-  private findEvidence(content: string, patterns: RegExp[]): string {
-    for (const pattern of patterns) {
-      const match = content.match(pattern);
-      if (match) {
-        const start = Math.max(0, match.index! - 50);
-        const end = Math.min(content.length, match.index! + match[0].length + 50);
-        return content.substring(start, end).trim();
-      }
-    }
-    return 'Evidence found in policy text';
+  private buildFlag(
+    content: string,
+    flag: Pick<RedFlag, 'id' | 'title' | 'severity' | 'whatItMeans'>,
+    matches: ClauseFinding[]
+  ): RedFlag {
+    // A practice that only happens with consent or under a condition is less severe
+    const strongest = matches.reduce((best, finding) => finding.weight > best.weight ? finding : best);
+    const severity = matches.some(finding => finding.stance === 'asserted')
+      ? flag.severity
+      : Math.max(1, flag.severity - 1);
+
+    return {
+      ...flag,
+      severity,
+      evidence: this.findEvidence(content, strongest),
+      evidenceRanges: this.findEvidenceRanges(matches.map(finding => finding.clause))
+    };
+  }
+
+  private findEvidence(content: string, finding: ClauseFinding): string {
+    const start = Math.max(0, finding.start - 50);
+    const end = Math.min(content.length, finding.end + 50);
+    return content.substring(start, end).trim();
+  }
+
+  // Ranges of every clause behind a finding
+  private findEvidenceRanges(clauses: Clause[]): number[][] {
+    const ranges = new Map<string, number[]>();
+
+    clauses.forEach(clause => {
+      ranges.set(clause.id, [clause.start, clause.end]);
+    });
+
+    return Array.from(ranges.values())
+      .sort((a, b) => a[0] - b[0])
+      .slice(0, 10);
   }
 
-  private calculateScores(content: string): Scores {
+  // Every category starts at 50; each adjustment is kept as a contribution
+  // so the score can be explained clause by clause
+  private calculateScores(
+    content: string,
+    clauses: Clause[],
+    findings: ClauseFinding[],
+    ruleMatches: RuleMatch[],
+    compliance: ComplianceReport,
+    pack: LanguagePack
+  ): { scores: Scores; contributions: Record<ScoreCategory, ScoreContribution[]> } {
     const baseScore = 50;
-    let scores = {
+    const contributions: Record<ScoreCategory, ScoreContribution[]> = {
+      collection: [],
+      sharingSelling: [],
+      rights: [],
+      retention: [],
+      dispute: [],
+      license: [],
+      tracking: [],
+      children: [],
+      security: []
+    };
+    const contribute = (category: ScoreCategory, contribution: ScoreContribution) => {
+      if (contribution.points !== 0) contributions[category].push(contribution);
+    };
+
+    // Each category counts as strongly as its most committed clause, so
+    // denials score nothing and conditional practices score partially
+    const practices: Array<{ category: PatternCategory; score: ScoreCategory; points: number; rule: string; label: string }> = [
+      { category: 'dataSelling', score: 'sharingSelling', points: -30, rule: 'data-selling', label: 'May sell your data' },
+      { category: 'arbitration', score: 'dispute', points: -25, rule: 'arbitration', label: 'Mandatory arbitration' },
+      { category: 'rights', score: 'rights', points: 15, rule: 'user-rights', label: 'Describes your privacy rights' },
+      { category: 'security', score: 'security', points: 15, rule: 'security-measures', label: 'Describes security measures' },
+      { category: 'fingerprinting', score: 'tracking', points: -20, rule: 'fingerprinting', label: 'Device fingerprinting' },
+      { category: 'license', score: 'license', points: -20, rule: 'broad-license', label: 'Broad license to your content' },
+      { category: 'retention', score: 'retention', points: -25, rule: 'indefinite-retention', label: 'Keeps data indefinitely' }
+    ];
+    practices.forEach(practice => {
+      const matches = findings.filter(finding => finding.category === practice.category && finding.weight > 0);
+      if (matches.length === 0) return;
+      const strongest = matches.reduce((best, finding) => finding.weight > best.weight ? finding : best);
+      contribute(practice.score, {
+        rule: practice.rule,
+        label: practice.label,
+        points: Math.round(practice.points * strongest.weight),
+        ...this.contributionEvidence(strongest.clause, matches.map(finding => finding.clause))
+      });
+    });
+
+    // Opt-in consent for sharing and tracking beats an opt-out the user has to find
+    const sharingClauses = findings
+      .filter(finding => (finding.category === 'sharing' || finding.category === 'dataSelling') && finding.weight > 0)
+      .map(finding => finding.clause);
+    const trackingClauses = clauses.filter(clause =>
+      pack.summaryTerms.tracking.some(term => clause.text.toLowerCase().includes(term))
+    );
+    const sharingConsent = this.consentContribution(sharingClauses, pack, 'sharing');
+    if (sharingConsent) contribute('sharingSelling', sharingConsent);
+    const trackingConsent = this.consentContribution(trackingClauses, pack, 'tracking');
+    if (trackingConsent) contribute('tracking', trackingConsent);
+
+    ruleMatches.forEach(({ rule, id, findings: matches }) => {
+      const strongest = matches.reduce((best, finding) => finding.weight > best.weight ? finding : best);
+      contribute(rule.category, {
+        rule: id,
+        label: rule.title,
+        points: Math.round(rule.scoreImpact * strongest.weight),
+        ...this.contributionEvidence(strongest.clause, matches.map(finding => finding.clause))
+      });
+    });
+
+    // Naming GDPR or CCPA only counts for as much of the law's required
+    // disclosures as the policy actually makes
+    const coverage = this.complianceChecker.coverage(compliance);
+    if (coverage > 0) {
+      const byStart = new Map(clauses.map(clause => [clause.start, clause]));
+      const disclosures = compliance.items
+        .filter(item => compliance.referenced.includes(item.regime) && item.status !== 'missing')
+        .flatMap(item => item.evidenceRanges || [])
+        .map(([start]) => byStart.get(start))
+        .filter((clause): clause is Clause => clause !== undefined);
+      const label = `Makes ${Math.round(coverage * 100)}% of the disclosures the named laws require`;
+      const evidence = disclosures.length ? this.contributionEvidence(disclosures[0], disclosures) : {};
+      contribute('rights', { rule: 'compliance-coverage', label, points: Math.round(15 * coverage), ...evidence });
+      contribute('collection', { rule: 'compliance-coverage', label, points: Math.round(10 * coverage), ...evidence });
+    }
+
+    // Children's data counts for or against the policy only once it
+    // addresses children, depending on whether it describes safeguards
+    const childFindings = findings.filter(finding => finding.category === 'children');
+    if (childFindings.length > 0) {
+      const safeguards = clauses.filter(clause => pack.childSafeguards.test(clause.text));
+      const collected = childFindings.filter(finding => finding.weight > 0).map(finding => finding.clause);
+      if (safeguards.length > 0) {
+        contribute('children', {
+          rule: 'child-safeguards',
+          label: 'Requires parental consent or rules out collecting from children',
+          points: 25,
+          ...this.contributionEvidence(safeguards[0], safeguards)
+        });
+      } else if (collected.length > 0) {
+        contribute('children', {
+          rule: 'children-without-safeguards',
+          label: 'Covers children without mentioning parental consent',
+          points: -20,
+          ...this.contributionEvidence(collected[0], collected)
+        });
+      }
+    }
+
+    if (pack.userControls.test(content)) {
+      const controls = clauses.filter(clause => pack.userControls.test(clause.text));
+      contribute('rights', {
+        rule: 'user-controls',
+        label: 'Lets you opt out or delete your account',
+        points: 5,
+        ...(controls.length ? this.contributionEvidence(controls[0], controls) : {})
+      });
+    }
+
+    const scores: Scores = {
       collection: baseScore,
       sharingSelling: baseScore,
       rights: baseScore,
@@ -261,80 +485,94 @@ export class PolicyAnalyzer {
       confidence: 0.5
     };
 
-    // Adjust scores based on detected patterns
-    if (this.patterns.dataSelling.some(p => p.test(content))) {
-      scores.sharingSelling -= 30;
-    }
-
-    if (this.patterns.arbitration.some(p => p.test(content))) {
-      scores.dispute -= 25;
-    }
-
-    if (this.patterns.rights.some(p => p.test(content))) {
-      scores.rights += 20;
-    }
+    // Ensure scores stay within bounds; the cut-off is a contribution too, so
+    // contributions always add up to the score
+    (Object.keys(contributions) as ScoreCategory[]).forEach(category => {
+      const raw = contributions[category].reduce((sum, contribution) => sum + contribution.points, baseScore);
+      scores[category] = Math.max(0, Math.min(100, raw));
+      contribute(category, { rule: 'score-bounds', label: 'Scores stay between 0 and 100', points: scores[category] - raw });
+    });
 
-    if (this.patterns.security.some(p => p.test(content))) {
-      scores.security += 15;
-    }
+    scores.aggregate = this.scoringProfiles.aggregate(scores, this.scoringProfile, contributions);
+    scores.confidence = this.calculateConfidence(content, clauses, pack);
 
-    if (this.patterns.fingerprinting.some(p => p.test(content))) {
-      scores.tracking -= 20;
-    }
-
-    if (this.patterns.license.some(p => p.test(content))) {
-      scores.license -= 20;
-    }
+    return { scores, contributions };
+  }
 
-    if (this.patterns.retention.some(p => p.test(content))) {
-      scores.retention -= 25;
-    }
+  private contributionEvidence(clause: Clause, clauses: Clause[]): Pick<ScoreContribution, 'clause' | 'ranges'> {
+    return {
+      clause: clause.text,
+      ranges: this.findEvidenceRanges(clauses)
+    };
+  }
 
-    // Positive indicators
-    if (/GDPR|CCPA|data protection/i.test(content)) {
-      scores.rights += 15;
-      scores.collection += 10;
+  private consentContribution(clauses: Clause[], pack: LanguagePack, subject: 'sharing' | 'tracking'): ScoreContribution | null {
+    const optOut = clauses.find(clause => this.classifier.consent(clause.text, pack) === 'opt-out');
+    if (optOut) {
+      return {
+        rule: `opt-out-${subject}`,
+        label: `${subject === 'sharing' ? 'Sharing' : 'Tracking'} is on until you opt out`,
+        points: -5,
+        ...this.contributionEvidence(optOut, [optOut])
+      };
     }
-
-    if (/opt.*out|unsubscribe|delete.*account/i.test(content)) {
-      scores.rights += 10;
+    const optIn = clauses.find(clause => this.classifier.consent(clause.text, pack) === 'opt-in');
+    if (optIn) {
+      return {
+        rule: `opt-in-${subject}`,
+        label: `${subject === 'sharing' ? 'Sharing' : 'Tracking'} needs your opt-in`,
+        points: 5,
+        ...this.contributionEvidence(optIn, [optIn])
+      };
     }
-
-    // Ensure scores stay within bounds
-    Object.keys(scores).forEach(key => {
-      if (key !== 'aggregate' && key !== 'confidence') {
-        scores[key as keyof Scores] = Math.max(0, Math.min(100, scores[key as keyof Scores] as number));
-      }
-    });
-
-    // Calculate aggregate score
-    const aggregate = Math.round(
-      Object.entries(scores)
-        .filter(([key]) => key !== 'aggregate' && key !== 'confidence')
-        .reduce((sum, [key, value]) => sum + (value as number) * this.scoringWeights[key], 0)
-    );
-
-    scores.aggregate = aggregate;
-    scores.confidence = this.calculateConfidence(content);
-
-    return scores;
+    return null;
   }
 
-  private calculateConfidence(content: string): number {
-    let confidence = 0.5;
-
-    // Higher confidence for longer documents
-    if (content.length > 5000) confidence += 0.2;
-    if (content.length > 10000) confidence += 0.1;
+  // The clauses behind each category score, from the contributions that moved it
+  private collectScoreEvidence(contributions: Record<ScoreCategory, ScoreContribution[]>): Partial<Record<ScoreCategory, number[][]>> {
+    return Object.fromEntries((Object.keys(contributions) as ScoreCategory[])
+      .map(category => {
+        const ranges = new Map(contributions[category]
+          .flatMap(contribution => contribution.ranges || [])
+          .map(range => [range[0], range]));
+        return [category, Array.from(ranges.values()).sort((a, b) => a[0] - b[0]).slice(0, 10)];
+      })
+      .filter(([, ranges]) => ranges.length > 0));
+  }
 
-    // Higher confidence if we find clear policy language
-    const policyTerms = ['privacy', 'data', 'information', 'collect', 'use', 'share'];
-    const foundTerms = policyTerms.filter(term => 
+  // A full policy is trusted as far as the analysis agrees with the held-out
+  // benchmark labels; short texts and ones without policy language less than that.
+  // Rerun `npm run benchmark -- --write` after changing rules or points.
+  private calculateConfidence(content: string, clauses: Clause[], pack: LanguagePack): number {
+    const foundTerms = pack.policyTerms.filter(term => 
       content.toLowerCase().includes(term)
     ).length;
-    confidence += (foundTerms / policyTerms.length) * 0.3;
+    const language = 0.6 + 0.4 * (foundTerms / pack.policyTerms.length);
+    const length = 0.5 + 0.5 * Math.min(1, clauses.length / calibration.fullPolicyClauses);
 
-    return Math.min(1.0, confidence);
+    return Math.round(calibration.accuracy * language * length * 100) / 100;
+  }
+
+  private scoringSummary(): ScoringSummary {
+    const { id, name, thresholds } = this.scoringProfile;
+    return { profileId: id, profileName: name, thresholds: { ...thresholds } };
+  }
+
+  // Placeholder scores for results that could not be analyzed
+  private unscoredScores(): Scores {
+    return {
+      collection: 0,
+      sharingSelling: 0,
+      rights: 0,
+      retention: 0,
+      dispute: 0,
+      license: 0,
+      tracking: 0,
+      children: 0,
+      security: 0,
+      aggregate: 0,
+      confidence: 0
+    };
   }
 
   private simpleHash(str: string): string {
@@ -0,0 +1,142 @@
+import type {
+  AnalysisResult,
+  ClauseComparisonRow,
+  ComparedClause,
+  ComparedScore,
+  FlagComparisonRow,
+  PolicyComparisonReport,
+  ScoreComparisonRow
+} from '../types/analysis';
+import { ClauseClassifier } from './ClauseClassifier';
+import type { ClauseFinding } from './ClauseClassifier';
+import { languagePacks } from './LanguagePacks';
+import type { PatternCategory } from './LanguagePacks';
+
+type Better = 'more' | 'less';
+
+const scoreKeys: ComparedScore[] = [
+  'aggregate', 'collection', 'sharingSelling', 'rights', 'retention',
+  'dispute', 'license', 'tracking', 'children', 'security'
+];
+
+// Practices compared clause by clause; for the harmful ones the policy
+// committing to them least comes out ahead
+const clauseTopics: Array<{ category: PatternCategory; title: string; better: Better }> = [
+  { category: 'dataSelling', title: 'Selling your data', better: 'less' },
+  { category: 'sharing', title: 'Sharing with third parties', better: 'less' },
+  { category: 'fingerprinting', title: 'Tracking and fingerprinting', better: 'less' },
+  { category: 'retention', title: 'Keeping your data', better: 'less' },
+  { category: 'arbitration', title: 'Arbitration', better: 'less' },
+  { category: 'license', title: 'License to your content', better: 'less' },
+  { category: 'rights', title: 'Your rights', better: 'more' },
+  { category: 'security', title: 'Security', better: 'more' }
+];
+
+export class PolicyComparison {
+  private readonly minPolicies = 2;
+  private readonly maxPolicies = 4;
+  private classifier: ClauseClassifier;
+
+  constructor() {
+    this.classifier = new ClauseClassifier();
+  }
+
+  compare(results: AnalysisResult[]): PolicyComparisonReport {
+    if (results.length < this.minPolicies || results.length > this.maxPolicies) {
+      throw new Error(`Invalid comparison: choose ${this.minPolicies} to ${this.maxPolicies} policies`);
+    }
+
+    // Unscored policies have placeholder scores and no findings to compare
+    const scored = results.map(result => result.languageSupported !== false);
+
+    return {
+      policies: results.map((result, index) => ({
+        url: result.url,
+        domain: this.domainOf(result.url),
+        analyzedAt: result.retrievedAt,
+        aggregate: scored[index] ? result.scores.aggregate : null
+      })),
+      scores: this.compareScores(results, scored),
+      redFlags: this.compareFlags(results, scored),
+      clauses: this.compareClauses(results, scored)
+    };
+  }
+
+  private compareScores(results: AnalysisResult[], scored: boolean[]): ScoreComparisonRow[] {
+    return scoreKeys.map(key => {
+      const values = results.map((result, index) => scored[index] ? result.scores[key] : null);
+      return { key, values, best: this.best(values, 'more') };
+    });
+  }
+
+  // One row per flag raised by any policy, most severe first
+  private compareFlags(results: AnalysisResult[], scored: boolean[]): FlagComparisonRow[] {
+    const titles = new Map<string, string>();
+    results.forEach(result => (result.redFlags || []).forEach(flag => {
+      if (!titles.has(flag.id)) titles.set(flag.id, flag.title);
+    }));
+
+    return Array.from(titles.entries())
+      .map(([id, title]) => {
+        const severities = results.map((result, index) => scored[index]
+          ? result.redFlags?.find(flag => flag.id === id)?.severity || 0
+          : null);
+        return { id, title, severities, best: this.best(severities, 'less') };
+      })
+      .sort((a, b) => Math.max(...b.severities.map(Number)) - Math.max(...a.severities.map(Number)));
+  }
+
+  // Each policy's most committed clause per practice, read with the same
+  // classifier as the analysis so denials and conditions count
+  private compareClauses(results: AnalysisResult[], scored: boolean[]): ClauseComparisonRow[] {
+    const findings = results.map((result, index) => {
+      const pack = languagePacks[result.language];
+      if (!scored[index] || !pack) return null;
+      const clauses = (result.sections || []).flatMap(section => section.clauses);
+      return this.classifier.classify(clauses, pack);
+    });
+
+    return clauseTopics.map(({ category, title, better }) => {
+      const strongest = findings.map(policyFindings => policyFindings
+        ? policyFindings
+          .filter(finding => finding.category === category)
+          .reduce<ClauseFinding | null>((top, finding) => !top || finding.weight > top.weight ? finding : top, null)
+        : undefined);
+
+      const weights = strongest.map(finding => finding === undefined ? null : finding?.weight || 0);
+      return {
+        topic: category,
+        title,
+        clauses: strongest.map(finding => finding ? this.toClause(finding) : null),
+        best: this.best(weights, better)
+      };
+    });
+  }
+
+  private toClause(finding: ClauseFinding): ComparedClause {
+    return {
+      text: finding.clause.text,
+      stance: finding.stance,
+      range: [finding.clause.start, finding.clause.end]
+    };
+  }
+
+  private best(values: Array<number | null>, better: Better): number[] {
+    const known = values.filter((value): value is number => value !== null);
+    if (known.length < 2) return [];
+
+    const target = better === 'more' ? Math.max(...known) : Math.min(...known);
+    if (known.every(value => value === target)) return [];
+
+    return values.flatMap((value, index) => value === target ? [index] : []);
+  }
+
+  private domainOf(url: string): string {
+    try {
+      return new URL(url).hostname || url;
+    } catch {
+      // Local files are listed by name
+      return url;
+    }
+  }
+}
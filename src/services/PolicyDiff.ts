@@ -0,0 +1,114 @@
+import type { AnalysisResult, Clause, ClauseChange, PolicyChange, Scores } from '../types/analysis';
+
+export class PolicyDiff {
+  // Word overlap above which a removed and an added clause count as one edit
+  private readonly modifiedThreshold = 0.5;
+
+  hasChanged(previous: AnalysisResult, current: AnalysisResult): boolean {
+    return previous.contentHash !== current.contentHash;
+  }
+
+  compare(previous: AnalysisResult, current: AnalysisResult): PolicyChange {
+    return {
+      previousHash: previous.contentHash,
+      previousRetrievedAt: previous.retrievedAt,
+      clauses: this.diffClauses(this.getClauses(previous), this.getClauses(current)),
+      addedFlags: (current.redFlags || []).filter(flag =>
+        !(previous.redFlags || []).some(prev => prev.id === flag.id)
+      ),
+      removedFlags: (previous.redFlags || []).filter(flag =>
+        !(current.redFlags || []).some(next => next.id === flag.id)
+      ),
+      scoreChanges: this.diffScores(previous.scores, current.scores, previous.scoring?.profileId === current.scoring?.profileId)
+    };
+  }
+
+  private getClauses(result: AnalysisResult): Clause[] {
+    return (result.sections || []).flatMap(section => section.clauses);
+  }
+
+  private diffClauses(before: Clause[], after: Clause[]): ClauseChange[] {
+    // Unchanged clauses are matched by normalized text, wherever they moved
+    const remaining = new Map<string, Clause[]>();
+    before.forEach(clause => {
+      const key = this.normalize(clause.text);
+      remaining.set(key, [...(remaining.get(key) || []), clause]);
+    });
+
+    const added: Clause[] = [];
+    after.forEach(clause => {
+      const matches = remaining.get(this.normalize(clause.text));
+      if (matches && matches.length > 0) {
+        matches.shift();
+      } else {
+        added.push(clause);
+      }
+    });
+
+    const removed = Array.from(remaining.values()).flat().sort((a, b) => a.start - b.start);
+    const changes: ClauseChange[] = [];
+
+    added.forEach(clause => {
+      let bestIndex = -1;
+      let bestScore = this.modifiedThreshold;
+      removed.forEach((candidate, index) => {
+        const score = this.similarity(candidate.text, clause.text);
+        if (score >= bestScore) {
+          bestScore = score;
+          bestIndex = index;
+        }
+      });
+
+      if (bestIndex === -1) {
+        changes.push({ type: 'added', after: clause.text, range: [clause.start, clause.end] });
+      } else {
+        const [original] = removed.splice(bestIndex, 1);
+        changes.push({
+          type: 'modified',
+          before: original.text,
+          after: clause.text,
+          range: [clause.start, clause.end]
+        });
+      }
+    });
+
+    removed.forEach(clause => {
+      changes.push({ type: 'removed', before: clause.text });
+    });
+
+    return changes;
+  }
+
+  // Aggregates weighted by different profiles would show the switch as a
+  // policy change; callers that can rescore the previous version should
+  private diffScores(before: Scores, after: Scores, sameProfile: boolean): PolicyChange['scoreChanges'] {
+    const changes: PolicyChange['scoreChanges'] = {};
+
+    (Object.keys(after) as (keyof Scores)[])
+      .filter(key => key !== 'confidence' && (sameProfile || key !== 'aggregate'))
+      .forEach(key => {
+        if (before[key] !== after[key]) {
+          changes[key] = { before: before[key], after: after[key] };
+        }
+      });
+
+    return changes;
+  }
+
+  private normalize(text: string): string {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  // Jaccard overlap of the two clauses' word sets
+  private similarity(a: string, b: string): number {
+    const wordsA = new Set(this.normalize(a).split(/\W+/).filter(Boolean));
+    const wordsB = new Set(this.normalize(b).split(/\W+/).filter(Boolean));
+    if (wordsA.size === 0 && wordsB.size === 0) return 1;
+
+    let shared = 0;
+    wordsA.forEach(word => {
+      if (wordsB.has(word)) shared++;
+    });
+    return shared / (wordsA.size + wordsB.size - shared);
+  }
+}
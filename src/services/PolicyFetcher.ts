@@ -0,0 +1,253 @@
+import type { PageRange, PolicyContent, PolicyFormat } from '../types/analysis';
+import { HtmlTextExtractor } from './HtmlTextExtractor';
+import { PdfTextExtractor } from './PdfTextExtractor';
+
+export interface FetchedPolicy extends PolicyContent {
+  url: string;
+  content: string;
+}
+
+export interface FetchOptions {
+  // Local proxy for web pages without host permissions, e.g.
+  // "http://localhost:8787/fetch?url=". It must return the upstream body and
+  // content type, and the final URL after redirects in `X-Final-Url`.
+  proxyUrl?: string;
+}
+
+export class PolicyFetcher {
+  private htmlExtractor = new HtmlTextExtractor();
+  private pdfExtractor = new PdfTextExtractor();
+  private readonly timeoutMs: number;
+  private readonly maxBytes = 2000000;
+  private readonly maxPdfBytes = 20000000;
+
+  constructor(timeoutMs: number = 15000) {
+    this.timeoutMs = timeoutMs;
+  }
+
+  async fetchPolicy(url: string, options: FetchOptions = {}): Promise<FetchedPolicy> {
+    const controller = new AbortController();
+    // Runs until the whole body is in, so a server that answers quickly and
+    // then trickles the document still times out
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    const requestUrl = options.proxyUrl ? this.buildProxyUrl(options.proxyUrl, url) : url;
+
+    let data: ArrayBuffer;
+    let format: PolicyFormat | null;
+    let finalUrl: string;
+    let contentType: string;
+    try {
+      let response: Response;
+      try {
+        // No cookies: policies are public documents
+        response = await fetch(requestUrl, {
+          credentials: 'omit',
+          redirect: 'follow',
+          signal: controller.signal
+        });
+      } catch (error) {
+        console.error('Policy fetch error:', error);
+        throw new Error('FETCH_ERROR');
+      }
+
+      if ([401, 402, 403].includes(response.status)) {
+        throw new Error('ACCESS_DENIED');
+      }
+      if (!response.ok) {
+        throw new Error('FETCH_ERROR');
+      }
+
+      finalUrl = options.proxyUrl
+        ? response.headers.get('x-final-url') || url
+        : response.url || url;
+      if (this.isUnexpectedRedirect(url, finalUrl)) {
+        throw new Error('REDIRECTED');
+      }
+
+      contentType = response.headers.get('content-type') || '';
+      format = this.detectFormat(contentType, finalUrl);
+      if (!format) {
+        throw new Error('UNSUPPORTED_CONTENT');
+      }
+
+      data = await this.readBody(response, format);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    return this.readDocument(data, format, finalUrl, contentType);
+  }
+
+  // Format from the content type, falling back to the file extension for
+  // servers (and local files) that send none or a generic binary type
+  detectFormat(contentType: string, name: string): PolicyFormat | null {
+    if (/application\/pdf/i.test(contentType)) return 'pdf';
+    if (/text\/(plain|markdown)/i.test(contentType)) return 'text';
+    if (/html|xml/i.test(contentType)) return 'html';
+
+    if (contentType === '' || /octet-stream/i.test(contentType)) {
+      const path = name.split(/[?#]/)[0].toLowerCase();
+      if (path.endsWith('.pdf')) return 'pdf';
+      if (/\.(txt|text|md)$/.test(path)) return 'text';
+      if (contentType === '' || /\.x?html?$/.test(path)) return 'html';
+    }
+    return null;
+  }
+
+  // Shared by fetched documents and local files picked by the user
+  async readDocument(data: ArrayBuffer, format: PolicyFormat, url: string, contentType: string = ''): Promise<FetchedPolicy> {
+    const bytes = new Uint8Array(data);
+    // Some servers label PDFs as HTML or text
+    const isPdf = format === 'pdf' || this.startsAsPdf(bytes);
+
+    let extracted: { title: string; content: string; headings: string[]; language?: string; pages?: PageRange[] };
+    if (isPdf) {
+      if (bytes.length > this.maxPdfBytes) {
+        throw new Error('DOCUMENT_TOO_LARGE');
+      }
+      extracted = await this.pdfExtractor.extract(bytes);
+    } else {
+      const body = this.decodeText(bytes.subarray(0, this.maxBytes), contentType);
+      extracted = format === 'text'
+        ? this.readPlainText(body)
+        : this.htmlExtractor.extract(body);
+
+      if (format === 'html' && this.isPaywalled(body, extracted.content)) {
+        throw new Error('PAYWALL');
+      }
+    }
+
+    if (extracted.content.length < 200) {
+      throw new Error('NO_POLICY');
+    }
+
+    return {
+      isPolicyPage: true,
+      url,
+      content: extracted.content,
+      title: extracted.title,
+      headings: extracted.headings,
+      language: extracted.language,
+      format: isPdf ? 'pdf' : format,
+      pages: extracted.pages,
+      extractedAt: new Date().toISOString()
+    };
+  }
+
+  // Reads the body only up to the size limit instead of buffering whatever
+  // the server sends. Text past maxBytes is left out, as readDocument would
+  // drop it anyway; a PDF can't be cut short, so a larger one is refused.
+  private async readBody(response: Response, format: PolicyFormat): Promise<ArrayBuffer> {
+    if (!response.body) {
+      return new ArrayBuffer(0);
+    }
+
+    const reader = response.body.getReader();
+    const chunks: Uint8Array[] = [];
+    let size = 0;
+    let limit = format === 'pdf' ? this.maxPdfBytes : this.maxBytes;
+
+    for (;;) {
+      let chunk: ReadableStreamReadResult<Uint8Array>;
+      try {
+        chunk = await reader.read();
+      } catch (error) {
+        console.error('Policy fetch error:', error);
+        throw new Error('FETCH_ERROR');
+      }
+      if (chunk.done) break;
+
+      chunks.push(chunk.value);
+      size += chunk.value.length;
+      if (size <= limit) continue;
+
+      // Some servers label PDFs as HTML or text
+      if (limit === this.maxBytes && this.startsAsPdf(this.join(chunks, 5))) {
+        limit = this.maxPdfBytes;
+        continue;
+      }
+
+      await reader.cancel().catch(() => undefined);
+      if (limit === this.maxPdfBytes) {
+        throw new Error('DOCUMENT_TOO_LARGE');
+      }
+      return this.join(chunks, this.maxBytes).buffer;
+    }
+
+    return this.join(chunks, size).buffer;
+  }
+
+  // The first `length` bytes of the chunks, as one array
+  private join(chunks: Uint8Array[], length: number): Uint8Array {
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+      if (offset >= length) break;
+      bytes.set(chunk.subarray(0, length - offset), offset);
+      offset += chunk.length;
+    }
+    return bytes;
+  }
+
+  private startsAsPdf(bytes: Uint8Array): boolean {
+    return String.fromCharCode(...bytes.subarray(0, 5)) === '%PDF-';
+  }
+
+  private decodeText(bytes: Uint8Array, contentType: string): string {
+    const charset = contentType.match(/charset=["']?([\w-]+)/i)?.[1] || 'utf-8';
+    try {
+      return new TextDecoder(charset).decode(bytes);
+    } catch {
+      return new TextDecoder('utf-8').decode(bytes);
+    }
+  }
+
+  // Form feeds mark page breaks in text exported from paged documents
+  private readPlainText(body: string): { title: string; content: string; headings: string[]; pages?: PageRange[] } {
+    const text = body.replace(/\r\n?/g, '\n');
+    if (!text.includes('\f')) {
+      return { title: '', content: text.trim(), headings: [] };
+    }
+
+    const pages: PageRange[] = [];
+    let content = '';
+    text.split('\f').forEach((page, index) => {
+      const pageText = page.trim();
+      if (content && pageText) content += '\n';
+      const start = content.length;
+      content += pageText;
+      pages.push({ page: index + 1, start, end: content.length });
+    });
+
+    return { title: '', content, headings: [], pages };
+  }
+
+  private buildProxyUrl(proxyUrl: string, url: string): string {
+    return proxyUrl.includes('{url}')
+      ? proxyUrl.replace('{url}', encodeURIComponent(url))
+      : proxyUrl + encodeURIComponent(url);
+  }
+
+  // Redirects to another policy URL (http to https, locales, a policies
+  // subdomain) are fine; landing on a homepage or login page means the
+  // policy we were asked for isn't what we'd be reading
+  private isUnexpectedRedirect(requested: string, final: string): boolean {
+    try {
+      const from = new URL(requested);
+      const to = new URL(final);
+      const loginPath = /\/(login|signin|sign-in|sso|auth)(\/|$)/i;
+
+      if (to.pathname === '/' && from.pathname !== '/') return true;
+      return loginPath.test(to.pathname) && !loginPath.test(from.pathname);
+    } catch {
+      return false;
+    }
+  }
+
+  private isPaywalled(html: string, text: string): boolean {
+    if (/"isAccessibleForFree"\s*:\s*"?false"?/i.test(html)) return true;
+
+    return text.length < 2000 &&
+      /(subscribe|sign in|log in|create an account|register) to (continue|read|view|access)/i.test(text);
+  }
+}
@@ -0,0 +1,143 @@
+import type {
+  AnalysisResult,
+  HistoryEntry,
+  WatchChange,
+  WatchlistEntry,
+  WatchSnapshot,
+  WatchTargetKind
+} from '../types/analysis';
+
+const domainPattern = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+// Builds the list of pinned domains and policy URLs and decides what changed
+// between two checks. Fetching, storage and notifications are left to the
+// caller (the extension's background worker).
+export class PolicyWatchlist {
+  private readonly maxEntries: number;
+  // A domain is checked through the policies analyzed on it
+  private readonly maxPoliciesPerDomain = 5;
+
+  constructor(maxEntries = 50) {
+    this.maxEntries = maxEntries;
+  }
+
+  // Accepts a policy URL or a bare domain ("example.com", "www.example.com")
+  parseTarget(input: unknown): { kind: WatchTargetKind; target: string } {
+    const value = typeof input === 'string' ? input.trim() : '';
+
+    if (/^https?:\/\//i.test(value)) {
+      try {
+        const url = new URL(value);
+        url.hash = '';
+        return { kind: 'url', target: url.href };
+      } catch {
+        throw new Error('Invalid watchlist target: not a valid URL');
+      }
+    }
+
+    const domain = value.toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+    if (!domainPattern.test(domain)) {
+      throw new Error('Invalid watchlist target: enter a domain or an http(s) URL');
+    }
+    return { kind: 'domain', target: domain };
+  }
+
+  // Pinning something that is already watched keeps the existing entry
+  add(entries: WatchlistEntry[], input: unknown, addedAt: Date = new Date()): WatchlistEntry[] {
+    const { kind, target } = this.parseTarget(input);
+    if (entries.some(entry => entry.target === target)) return entries;
+    if (entries.length >= this.maxEntries) {
+      throw new Error(`The watchlist is full (${this.maxEntries} entries)`);
+    }
+
+    return [...entries, {
+      target,
+      kind,
+      addedAt: addedAt.toISOString(),
+      lastCheckedAt: null,
+      lastError: null,
+      snapshots: {}
+    }];
+  }
+
+  remove(entries: WatchlistEntry[], target: string): WatchlistEntry[] {
+    return entries.filter(entry => entry.target !== target);
+  }
+
+  matches(entry: WatchlistEntry, url: string): boolean {
+    if (entry.kind === 'url') return entry.target === url.split('#')[0];
+    try {
+      const host = new URL(url).hostname.toLowerCase();
+      return host === entry.target || host.endsWith(`.${entry.target}`);
+    } catch {
+      return false;
+    }
+  }
+
+  // The policy URLs a check fetches: the pinned URL itself, or the most
+  // recently analyzed policies on a pinned domain
+  policyUrls(entry: WatchlistEntry, history: HistoryEntry[]): string[] {
+    if (entry.kind === 'url') return [entry.target];
+
+    const urls = history
+      .filter(item => /^https?:/.test(item.url) && this.matches(entry, item.url))
+      .map(item => item.url);
+    return Array.from(new Set([...Object.keys(entry.snapshots), ...urls])).slice(0, this.maxPoliciesPerDomain);
+  }
+
+  snapshot(result: AnalysisResult, checkedAt: Date = new Date()): WatchSnapshot {
+    return {
+      contentHash: result.contentHash,
+      aggregate: result.languageSupported === false ? null : result.scores.aggregate,
+      profileId: result.scoring?.profileId || null,
+      redFlags: (result.redFlags || []).map(flag => ({ id: flag.id, title: flag.title })),
+      checkedAt: checkedAt.toISOString()
+    };
+  }
+
+  // The first check of a policy only records it; later checks report a
+  // lower trust score, red flags that weren't raised before and new text.
+  // Unchanged text reports nothing: a different score or flag then comes
+  // from edited profile weights or rule packs, and the caller stores the
+  // new snapshot as the baseline.
+  changes(url: string, previous: WatchSnapshot | undefined, current: WatchSnapshot): WatchChange[] {
+    if (!previous || previous.contentHash === current.contentHash) return [];
+    const changes: WatchChange[] = [];
+
+    if (previous.aggregate !== null && current.aggregate !== null &&
+        previous.profileId === current.profileId && current.aggregate < previous.aggregate) {
+      changes.push({
+        type: 'score-drop',
+        url,
+        detail: `Trust score dropped from ${previous.aggregate} to ${current.aggregate}`
+      });
+    }
+
+    const known = new Set(previous.redFlags.map(flag => flag.id));
+    current.redFlags
+      .filter(flag => !known.has(flag.id))
+      .forEach(flag => changes.push({ type: 'new-flag', url, detail: `New red flag: ${flag.title}` }));
+
+    if (previous.contentHash !== current.contentHash) {
+      changes.push({ type: 'content-changed', url, detail: 'The policy text changed' });
+    }
+
+    return changes;
+  }
+
+  // Title and message of the browser notification for one policy
+  describe(url: string, changes: WatchChange[]): { title: string; message: string } {
+    let host = url;
+    try {
+      host = new URL(url).hostname;
+    } catch {
+      // Shown as is
+    }
+
+    const worse = changes.some(change => change.type !== 'content-changed');
+    return {
+      title: worse ? `${host}: policy got worse` : `${host}: policy changed`,
+      message: changes.map(change => change.detail).join('\n')
+    };
+  }
+}
@@ -0,0 +1,196 @@
+import type { Clause, GradeLevel, ReadabilityBand, ReadabilityReport } from '../types/analysis';
+import type { LanguagePack } from './LanguagePacks';
+
+interface TextStats {
+  words: number;
+  sentences: number;
+  syllables: number;
+  // Words of three or more syllables
+  polysyllables: number;
+  monosyllables: number;
+  letters: number;
+  // Words of more than six letters
+  longWords: number;
+}
+
+interface LanguageFormulas {
+  // Silent reading speed in words per minute, from the IReST study
+  // (Trauzettel-Klosinski & Dietz, 2012)
+  wordsPerMinute: number;
+  readingEase: { name: string; score: (stats: TextStats) => number };
+  gradeLevels: Array<Omit<GradeLevel, 'grade'> & { grade: (stats: TextStats) => number }>;
+}
+
+const perWord = (stats: TextStats, count: number) => count / stats.words;
+const perSentence = (stats: TextStats) => stats.words / stats.sentences;
+
+const formulas: Record<string, LanguageFormulas> = {
+  en: {
+    wordsPerMinute: 228,
+    readingEase: {
+      name: 'Flesch reading ease',
+      score: stats => 206.835 - 1.015 * perSentence(stats) - 84.6 * perWord(stats, stats.syllables)
+    },
+    gradeLevels: [
+      {
+        id: 'flesch-kincaid',
+        name: 'Flesch-Kincaid',
+        grade: stats => 0.39 * perSentence(stats) + 11.8 * perWord(stats, stats.syllables) - 15.59
+      },
+      {
+        id: 'gunning-fog',
+        name: 'Gunning fog',
+        grade: stats => 0.4 * (perSentence(stats) + 100 * perWord(stats, stats.polysyllables))
+      },
+      {
+        id: 'smog',
+        name: 'SMOG',
+        grade: stats => 1.043 * Math.sqrt(stats.polysyllables * (30 / stats.sentences)) + 3.1291
+      },
+      {
+        id: 'coleman-liau',
+        name: 'Coleman-Liau',
+        grade: stats => 5.88 * perWord(stats, stats.letters) - 29.6 * perWord(stats, stats.sentences) - 15.8
+      }
+    ]
+  },
+  de: {
+    wordsPerMinute: 179,
+    readingEase: {
+      name: 'Flesch reading ease (Amstad)',
+      score: stats => 180 - perSentence(stats) - 58.5 * perWord(stats, stats.syllables)
+    },
+    gradeLevels: [
+      {
+        id: 'wiener-sachtextformel',
+        name: 'Wiener Sachtextformel',
+        grade: stats => 19.35 * perWord(stats, stats.polysyllables) + 0.1672 * perSentence(stats) +
+          12.97 * perWord(stats, stats.longWords) - 3.27 * perWord(stats, stats.monosyllables) - 0.875
+      }
+    ]
+  },
+  fr: {
+    wordsPerMinute: 195,
+    readingEase: {
+      name: 'Flesch reading ease (Kandel & Moles)',
+      score: stats => 207 - 1.015 * perSentence(stats) - 73.6 * perWord(stats, stats.syllables)
+    },
+    gradeLevels: []
+  },
+  es: {
+    wordsPerMinute: 218,
+    readingEase: {
+      // With the sentence-length term as corrected by Law (2011)
+      name: 'Fernández Huerta reading ease',
+      score: stats => 206.84 - 1.02 * perSentence(stats) - 60 * perWord(stats, stats.syllables)
+    },
+    gradeLevels: [
+      {
+        id: 'crawford',
+        name: 'Crawford',
+        grade: stats => -20.5 * perWord(stats, stats.sentences) + 4.9 * perWord(stats, stats.syllables) - 3.407
+      }
+    ]
+  }
+};
+
+const wordPattern = /\p{L}+(?:['’-]\p{L}+)*/gu;
+
+export class ReadabilityMeter {
+  private readonly maxLegaleseTerms = 5;
+
+  // Null for languages without formulas and for clauses without words
+  measure(clauses: Clause[], language: string, pack: LanguagePack): ReadabilityReport | null {
+    const rules = formulas[language];
+    if (!rules) return null;
+
+    const sentences = clauses.map(clause => clause.text.match(wordPattern) || []).filter(words => words.length > 0);
+    const words = sentences.flat();
+    if (words.length === 0) return null;
+
+    const stats: TextStats = {
+      words: words.length,
+      sentences: sentences.length,
+      syllables: 0,
+      polysyllables: 0,
+      monosyllables: 0,
+      letters: 0,
+      longWords: 0
+    };
+    words.forEach(word => {
+      const syllables = this.syllables(word, pack);
+      const letters = word.replace(/['’-]/g, '').length;
+      stats.syllables += syllables;
+      if (syllables >= 3) stats.polysyllables++;
+      if (syllables === 1) stats.monosyllables++;
+      stats.letters += letters;
+      if (letters > 6) stats.longWords++;
+    });
+
+    const text = clauses.map(clause => clause.text).join('\n');
+    const legalese = this.legalese(text, pack);
+    const readingEase = Math.round(Math.min(100, Math.max(0, rules.readingEase.score(stats))));
+
+    return {
+      words: stats.words,
+      sentences: stats.sentences,
+      readingMinutes: Math.max(1, Math.round(stats.words / rules.wordsPerMinute)),
+      averageSentenceLength: this.round(perSentence(stats)),
+      readingEase,
+      readingEaseFormula: rules.readingEase.name,
+      band: this.band(readingEase),
+      gradeLevels: rules.gradeLevels.map(({ id, name, grade }) => ({
+        id,
+        name,
+        grade: this.round(Math.max(0, grade(stats)))
+      })),
+      legaleseShare: this.round((legalese.words / stats.words) * 100),
+      legaleseTerms: legalese.terms,
+      crossReferences: pack.readability.crossReferences
+        .reduce((count, pattern) => count + this.matchAll(text, pattern).length, 0)
+    };
+  }
+
+  band(readingEase: number): ReadabilityBand {
+    if (readingEase >= 60) return 'plain';
+    if (readingEase >= 50) return 'fairly-difficult';
+    if (readingEase >= 30) return 'difficult';
+    return 'very-difficult';
+  }
+
+  // Vowel groups, less a silent final one; every word has at least one
+  private syllables(word: string, pack: LanguagePack): number {
+    const lower = word.toLowerCase();
+    let count = (lower.match(pack.readability.vowels) || []).length;
+    if (count > 1 && pack.readability.silentEnding?.test(lower)) count--;
+    return Math.max(1, count);
+  }
+
+  private legalese(text: string, pack: LanguagePack): { words: number; terms: ReadabilityReport['legaleseTerms'] } {
+    const counts = new Map<string, number>();
+    let words = 0;
+
+    pack.readability.legalese.forEach(pattern => {
+      this.matchAll(text, pattern).forEach(match => {
+        const term = match.toLowerCase().replace(/\s+/g, ' ');
+        counts.set(term, (counts.get(term) || 0) + 1);
+        words += (match.match(wordPattern) || []).length;
+      });
+    });
+
+    const terms = Array.from(counts, ([term, count]) => ({ term, count }))
+      .sort((a, b) => b.count - a.count || a.term.localeCompare(b.term))
+      .slice(0, this.maxLegaleseTerms);
+    return { words, terms };
+  }
+
+  // Pack patterns are written for single matches
+  private matchAll(text: string, pattern: RegExp): string[] {
+    const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+    return Array.from(text.matchAll(new RegExp(pattern.source, flags)), match => match[0]);
+  }
+
+  private round(value: number): number {
+    return Math.round(value * 10) / 10;
+  }
+}
@@ -0,0 +1,288 @@
+import type { AnalysisResult, ReadabilityBand, ReadabilityReport, ScoreCategory, ScoreContribution } from '../types/analysis';
+
+export type ExportFormat = 'markdown' | 'html' | 'json';
+
+export interface ExportedReport {
+  content: string;
+  mimeType: string;
+  extension: string;
+}
+
+// Envelope of JSON exports; `version` changes whenever a field is renamed,
+// removed or changes meaning (see schemas/analysis-export.schema.json)
+export interface AnalysisExport {
+  format: 'tcguard-analysis';
+  version: number;
+  exportedAt: string;
+  analysis: AnalysisResult;
+}
+
+const scoreLabels: Record<ScoreCategory, string> = {
+  collection: 'Data Collection',
+  sharingSelling: 'Data Sharing/Selling',
+  rights: 'User Rights',
+  retention: 'Data Retention',
+  dispute: 'Dispute Resolution',
+  license: 'Content License',
+  tracking: 'Tracking',
+  children: 'Children\'s Data',
+  security: 'Security'
+};
+
+const regimeLabels: Record<string, string> = { gdpr: 'GDPR', ccpa: 'CCPA/CPRA', coppa: 'COPPA' };
+
+const statusLabels: Record<string, string> = { pass: 'Pass', unclear: 'Unclear', missing: 'Missing' };
+
+const readabilityLabels: Record<ReadabilityBand, string> = {
+  plain: 'Plain language',
+  'fairly-difficult': 'Fairly difficult',
+  difficult: 'Difficult',
+  'very-difficult': 'Very difficult'
+};
+
+export class ReportExporter {
+  static readonly schemaVersion = 1;
+
+  // Runs in the service worker too, so everything here is plain strings
+  export(result: AnalysisResult, format: ExportFormat, exportedAt = new Date()): ExportedReport {
+    switch (format) {
+      case 'markdown':
+        return { content: this.toMarkdown(result, exportedAt), mimeType: 'text/markdown', extension: 'md' };
+      case 'html':
+        return { content: this.toHtml(result, exportedAt), mimeType: 'text/html', extension: 'html' };
+      case 'json':
+        return { content: this.toJson(result, exportedAt), mimeType: 'application/json', extension: 'json' };
+      default:
+        throw new Error(`Invalid export format: ${String(format)}`);
+    }
+  }
+
+  fileName(result: AnalysisResult, extension: string, exportedAt = new Date()): string {
+    const domain = this.domainOf(result.url).replace(/[^a-z0-9.-]+/gi, '-');
+    return `tc-guard-report-${domain}-${exportedAt.toISOString().split('T')[0]}.${extension}`;
+  }
+
+  toJson(result: AnalysisResult, exportedAt = new Date()): string {
+    const envelope: AnalysisExport = {
+      format: 'tcguard-analysis',
+      version: ReportExporter.schemaVersion,
+      exportedAt: exportedAt.toISOString(),
+      analysis: result
+    };
+    return JSON.stringify(envelope, null, 2) + '\n';
+  }
+
+  toMarkdown(result: AnalysisResult, exportedAt = new Date()): string {
+    const lines = [
+      `# T&C Guard Report: ${this.markdown(this.domainOf(result.url))}`,
+      '',
+      ...this.metadata(result, exportedAt).map(([label, value]) => `- **${label}:** ${this.markdown(value)}`),
+      ''
+    ];
+
+    if (result.languageSupported === false) {
+      lines.push('This policy is in a language T&C Guard cannot analyze yet, so it was not scored.', '');
+      return lines.join('\n');
+    }
+
+    lines.push('## Key Points', '');
+    lines.push(...(result.summary.length
+      ? result.summary.map(item => `- ${this.markdown(item.text)}${this.pagesNote(item.evidencePages)}`)
+      : ['No key points found.']));
+    lines.push('');
+
+    lines.push('## Red Flags', '');
+    if (result.redFlags?.length) {
+      result.redFlags.forEach(flag => {
+        lines.push(`### ${this.markdown(flag.title)} (severity ${flag.severity}/5)`, '');
+        lines.push(this.markdown(flag.whatItMeans), '');
+        lines.push(`> ${this.markdown(flag.evidence).replace(/\n+/g, ' ')}${this.pagesNote(flag.evidencePages)}`, '');
+      });
+    } else {
+      lines.push('No significant red flags detected.', '');
+    }
+
+    lines.push('## Score Breakdown', '', '| Category | Score | Evidence clauses |', '| --- | ---: | ---: |');
+    this.categories().forEach(category => {
+      lines.push(`| ${scoreLabels[category]} | ${result.scores[category]}/100 | ${result.scoreEvidence?.[category]?.length || 0} |`);
+    });
+    lines.push('');
+
+    const explained = this.explainedCategories(result);
+    if (explained.length) {
+      lines.push('### Why These Scores', '', 'Every category starts at 50.', '');
+      explained.forEach(([category, items]) => {
+        lines.push(`- **${scoreLabels[category]}:** ${items.map(item => `${this.markdown(item.label)} (${this.points(item)})`).join('; ')}`);
+      });
+      lines.push('');
+    }
+
+    if (result.compliance?.items.length) {
+      lines.push('## Compliance Checklist', '', '| Law | Requirement | Status | Not covered |', '| --- | --- | --- | --- |');
+      result.compliance.items.forEach(item => {
+        lines.push(`| ${regimeLabels[item.regime]} | ${this.markdown(item.title)} | ${statusLabels[item.status]} | ${this.markdown((item.missing || []).join(', '))} |`);
+      });
+      lines.push('');
+    }
+
+    if (result.readability) {
+      lines.push('## Readability', '');
+      lines.push(...this.readabilityRows(result.readability).map(([label, value]) => `- **${label}:** ${this.markdown(value)}`));
+      lines.push('');
+    }
+
+    lines.push('---', '', 'Generated by T&C Guard. This is a reading aid, not legal advice.', '');
+    return lines.join('\n');
+  }
+
+  // Self-contained: inline styles only, no scripts or external resources, and
+  // laid out to print cleanly to PDF
+  toHtml(result: AnalysisResult, exportedAt = new Date()): string {
+    const domain = this.html(this.domainOf(result.url));
+    const meta = this.metadata(result, exportedAt)
+      .map(([label, value]) => `<dt>${label}</dt><dd>${this.html(value)}</dd>`)
+      .join('');
+
+    const body = result.languageSupported === false
+      ? '<p>This policy is in a language T&C Guard cannot analyze yet, so it was not scored.</p>'
+      : [
+        '<h2>Key Points</h2>',
+        result.summary.length
+          ? `<ul>${result.summary.map(item => `<li>${this.html(item.text)}${this.html(this.pagesNote(item.evidencePages))}</li>`).join('')}</ul>`
+          : '<p>No key points found.</p>',
+        '<h2>Red Flags</h2>',
+        result.redFlags?.length
+          ? result.redFlags.map(flag => `
+<section class="flag severity-${flag.severity}">
+  <h3>${this.html(flag.title)} <span>severity ${flag.severity}/5</span></h3>
+  <p>${this.html(flag.whatItMeans)}</p>
+  <blockquote>${this.html(flag.evidence)}${this.html(this.pagesNote(flag.evidencePages))}</blockquote>
+</section>`).join('')
+          : '<p>No significant red flags detected.</p>',
+        '<h2>Score Breakdown</h2>',
+        `<table><thead><tr><th>Category</th><th>Score</th><th></th></tr></thead><tbody>${this.categories().map(category => `
+<tr><td>${scoreLabels[category]}</td><td class="num">${result.scores[category]}/100</td><td><div class="bar"><div style="width: ${result.scores[category]}%"></div></div></td></tr>`).join('')}
+</tbody></table>`,
+        this.explainedCategories(result).length
+          ? `<h3>Why These Scores</h3><p class="note">Every category starts at 50.</p><ul>${this.explainedCategories(result).map(([category, items]) => `
+<li><strong>${scoreLabels[category]}:</strong> ${items.map(item => `${this.html(item.label)} (${this.points(item)})`).join('; ')}</li>`).join('')}</ul>`
+          : '',
+        result.compliance?.items.length
+          ? `<h2>Compliance Checklist</h2><table><thead><tr><th>Law</th><th>Requirement</th><th>Status</th></tr></thead><tbody>${result.compliance.items.map(item => `
+<tr><td>${regimeLabels[item.regime]}</td><td>${this.html(item.title)}${item.missing?.length ? `<br><small>Not covered: ${this.html(item.missing.join(', '))}</small>` : ''}</td><td class="status-${item.status}">${statusLabels[item.status]}</td></tr>`).join('')}
+</tbody></table>`
+          : '',
+        result.readability
+          ? `<h2>Readability</h2><dl>${this.readabilityRows(result.readability).map(([label, value]) => `<dt>${label}</dt><dd>${this.html(value)}</dd>`).join('')}</dl>`
+          : ''
+      ].join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>T&amp;C Guard Report: ${domain}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1e293b; max-width: 800px; margin: 32px auto; padding: 0 24px; line-height: 1.5; }
+  h1 { font-size: 24px; margin-bottom: 4px; }
+  h2 { font-size: 18px; border-bottom: 1px solid #e2e8f0; padding-bottom: 4px; margin-top: 28px; }
+  h3 { font-size: 15px; margin: 0 0 4px; }
+  h3 span { font-weight: normal; color: #64748b; font-size: 13px; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 16px; font-size: 13px; }
+  dt { color: #64748b; }
+  dd { margin: 0; word-break: break-all; }
+  .flag { border-left: 4px solid #ef4444; padding: 4px 12px; margin: 12px 0; break-inside: avoid; }
+  .flag.severity-3, .flag.severity-2, .flag.severity-1 { border-left-color: #f59e0b; }
+  blockquote { margin: 6px 0; color: #475569; font-style: italic; font-size: 13px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+  .note { color: #64748b; font-size: 13px; margin: 0; }
+  .num { text-align: right; white-space: nowrap; }
+  .bar { background: #e2e8f0; height: 6px; border-radius: 3px; min-width: 120px; }
+  .bar div { background: #14b8a6; height: 100%; border-radius: 3px; }
+  .status-pass { color: #059669; }
+  .status-unclear { color: #d97706; }
+  .status-missing { color: #dc2626; }
+  footer { margin-top: 32px; color: #64748b; font-size: 12px; }
+  @media print { body { margin: 0; } a { color: inherit; } }
+</style>
+</head>
+<body>
+<h1>T&amp;C Guard Report: ${domain}</h1>
+<dl>${meta}</dl>
+${body}
+<footer>Generated by T&amp;C Guard. This is a reading aid, not legal advice.</footer>
+</body>
+</html>
+`;
+  }
+
+  private metadata(result: AnalysisResult, exportedAt: Date): Array<[string, string]> {
+    const scored = result.languageSupported !== false;
+    return [
+      ['URL', result.url],
+      ['Retrieved', result.retrievedAt],
+      ['Exported', exportedAt.toISOString()],
+      ['Trust score', scored ? `${result.scores.aggregate}/100` : 'Not scored'],
+      ...(result.scoring ? [['Scoring profile', result.scoring.profileName] as [string, string]] : []),
+      ['Confidence', scored ? `${Math.round(result.scores.confidence * 100)}%` : '-'],
+      ['Language', result.language],
+      ['Content hash', result.contentHash]
+    ];
+  }
+
+  private readabilityRows(readability: ReadabilityReport): Array<[string, string]> {
+    const terms = readability.legaleseTerms.map(item => `"${item.term}" ${item.count}x`).join(', ');
+    return [
+      ['Reading ease', `${readability.readingEase}/100, ${readabilityLabels[readability.band]} (${readability.readingEaseFormula})`],
+      ...readability.gradeLevels.map(level => [`${level.name} grade`, String(level.grade)] as [string, string]),
+      ['Length', `${readability.words} words in ${readability.sentences} sentences, about ${readability.readingMinutes} min to read`],
+      ['Average sentence', `${readability.averageSentenceLength} words`],
+      ['Legal jargon', `${readability.legaleseShare}% of words${terms ? ` (${terms})` : ''}`],
+      ['Cross-references', String(readability.crossReferences)]
+    ];
+  }
+
+  private categories(): ScoreCategory[] {
+    return Object.keys(scoreLabels) as ScoreCategory[];
+  }
+
+  private explainedCategories(result: AnalysisResult): Array<[ScoreCategory, ScoreContribution[]]> {
+    const contributions = result.scoreContributions;
+    if (!contributions) return [];
+    return this.categories()
+      .filter(category => contributions[category]?.length)
+      .map(category => [category, contributions[category]]);
+  }
+
+  private points(item: ScoreContribution): string {
+    return item.points > 0 ? `+${item.points}` : String(item.points);
+  }
+
+  private pagesNote(pages?: number[]): string {
+    return pages?.length ? ` (p. ${pages.join(', ')})` : '';
+  }
+
+  private domainOf(url: string): string {
+    try {
+      return new URL(url).hostname || url;
+    } catch {
+      // Local files are reported by name
+      return url;
+    }
+  }
+
+  private html(text: string): string {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Keeps policy text from turning into markup or breaking table rows
+  private markdown(text: string): string {
+    return text.replace(/([\\`*_[\]<>|#])/g, '\\$1');
+  }
+}
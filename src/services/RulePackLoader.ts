@@ -0,0 +1,53 @@
+import { validateRulePack } from '../types/security';
+import type { ValidatedRule, ValidatedRulePack } from '../types/security';
+
+export interface CompiledRule extends Omit<ValidatedRule, 'patterns' | 'exclusions'> {
+  patterns: RegExp[];
+  exclusions: RegExp[];
+}
+
+export interface RulePack extends Omit<ValidatedRulePack, 'rules'> {
+  rules: CompiledRule[];
+}
+
+export class RulePackLoader {
+  private readonly maxFileSize = 256 * 1024;
+
+  // Accepts the JSON text of a pack file or an already parsed object
+  parse(input: unknown): ValidatedRulePack {
+    let data = input;
+
+    if (typeof input === 'string') {
+      if (input.length > this.maxFileSize) {
+        throw new Error('Invalid rule pack: file is larger than 256 KB');
+      }
+      try {
+        data = JSON.parse(input);
+      } catch {
+        throw new Error('Invalid rule pack: not valid JSON');
+      }
+    }
+
+    return validateRulePack(data);
+  }
+
+  compile(definition: ValidatedRulePack): RulePack {
+    return {
+      ...definition,
+      rules: definition.rules.map(rule => ({
+        ...rule,
+        patterns: rule.patterns.map(source => new RegExp(source, 'i')),
+        exclusions: rule.exclusions.map(source => new RegExp(source, 'i'))
+      }))
+    };
+  }
+
+  load(input: unknown): RulePack {
+    return this.compile(this.parse(input));
+  }
+
+  // The file format for export; parse() reads it back unchanged
+  serialize(definition: ValidatedRulePack): string {
+    return JSON.stringify(definition, null, 2) + '\n';
+  }
+}
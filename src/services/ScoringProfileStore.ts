@@ -0,0 +1,35 @@
+import type { ScoringSettings } from '../types/analysis';
+import { ScoringProfiles } from './ScoringProfiles';
+
+// Scoring profiles for the web app, kept in localStorage. The extension keeps
+// them in chrome.storage under `scoringProfiles` (see background.js).
+export class ScoringProfileStore {
+  private readonly storageKey = 'tcguard_scoring_profiles';
+  private profiles: ScoringProfiles;
+  private storage: Storage;
+
+  constructor(storage: Storage = window.localStorage) {
+    this.storage = storage;
+    this.profiles = new ScoringProfiles();
+  }
+
+  load(): ScoringSettings {
+    try {
+      return this.profiles.parse(JSON.parse(this.storage.getItem(this.storageKey) || 'null'));
+    } catch {
+      return ScoringProfiles.defaultSettings();
+    }
+  }
+
+  // Throws on invalid settings so the editor can show what is wrong
+  save(settings: ScoringSettings): ScoringSettings {
+    const valid = this.profiles.parse(settings);
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(valid));
+    } catch (error) {
+      // Still applied for this session when storage is full or blocked
+      console.warn('Could not store scoring profiles:', (error as Error).message);
+    }
+    return valid;
+  }
+}
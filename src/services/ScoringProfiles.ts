@@ -0,0 +1,114 @@
+import { validateScoringSettings } from '../types/security';
+import type {
+  AnalysisResult,
+  ScoreBand,
+  ScoreCategory,
+  ScoreContribution,
+  ScoringProfile,
+  ScoringSettings,
+  Scores
+} from '../types/analysis';
+
+const defaultThresholds = { good: 75, caution: 50 };
+
+const builtInProfiles: ScoringProfile[] = [
+  {
+    id: 'balanced',
+    name: 'Balanced',
+    weights: {
+      collection: 15, sharingSelling: 20, rights: 15, retention: 10, dispute: 15,
+      license: 10, tracking: 10, children: 2.5, security: 7.5
+    },
+    thresholds: defaultThresholds
+  },
+  {
+    id: 'parent',
+    name: 'Parent',
+    weights: {
+      collection: 10, sharingSelling: 20, rights: 10, retention: 5, dispute: 2.5,
+      license: 2.5, tracking: 15, children: 25, security: 10
+    },
+    thresholds: defaultThresholds
+  },
+  {
+    id: 'developer',
+    name: 'Developer',
+    weights: {
+      collection: 5, sharingSelling: 10, rights: 10, retention: 10, dispute: 20,
+      license: 25, tracking: 5, children: 0, security: 15
+    },
+    thresholds: defaultThresholds
+  },
+  {
+    id: 'privacy-first',
+    name: 'Privacy first',
+    weights: {
+      collection: 15, sharingSelling: 25, rights: 10, retention: 15, dispute: 2.5,
+      license: 2.5, tracking: 20, children: 0, security: 10
+    },
+    thresholds: { good: 80, caution: 60 }
+  }
+];
+
+export class ScoringProfiles {
+  static readonly defaultId = 'balanced';
+
+  // Categories the policy says nothing about sit at a neutral 50 and would
+  // pull every aggregate toward it, so they count for a tenth. Calibrated
+  // against benchmark/corpus.json (npm run benchmark).
+  private readonly silentCategoryWeight = 0.1;
+
+  static builtIn(): ScoringProfile[] {
+    return builtInProfiles.map(profile => ({
+      ...profile,
+      weights: { ...profile.weights },
+      thresholds: { ...profile.thresholds }
+    }));
+  }
+
+  static defaultSettings(): ScoringSettings {
+    return { activeId: ScoringProfiles.defaultId, profiles: ScoringProfiles.builtIn() };
+  }
+
+  // Settings come back from storage or the settings page; both are untrusted
+  parse(input: unknown): ScoringSettings {
+    return validateScoringSettings(input);
+  }
+
+  active(settings: ScoringSettings): ScoringProfile {
+    return settings.profiles.find(profile => profile.id === settings.activeId) || settings.profiles[0];
+  }
+
+  // Weighted mean of the category scores. Without contributions (results
+  // saved before they were recorded) every category counts in full.
+  aggregate(scores: Scores, profile: ScoringProfile, contributions?: Record<ScoreCategory, ScoreContribution[]>): number {
+    const categories = Object.keys(profile.weights) as ScoreCategory[];
+    const weightOf = (category: ScoreCategory) => profile.weights[category] *
+      (!contributions || contributions[category]?.length ? 1 : this.silentCategoryWeight);
+    const totalWeight = categories.reduce((sum, category) => sum + weightOf(category), 0);
+    if (totalWeight === 0) return 50;
+
+    return Math.round(
+      categories.reduce((sum, category) => sum + scores[category] * weightOf(category), 0) / totalWeight
+    );
+  }
+
+  // Re-weights a stored result; category scores don't depend on the profile,
+  // so switching profiles never needs the policy to be analyzed again
+  apply(result: AnalysisResult, profile: ScoringProfile): AnalysisResult {
+    const scoring = { profileId: profile.id, profileName: profile.name, thresholds: { ...profile.thresholds } };
+    if (result.languageSupported === false) return { ...result, scoring };
+
+    return {
+      ...result,
+      scores: { ...result.scores, aggregate: this.aggregate(result.scores, profile, result.scoreContributions) },
+      scoring
+    };
+  }
+
+  band(score: number, profile: Pick<ScoringProfile, 'thresholds'>): Exclude<ScoreBand, 'unscored'> {
+    if (score >= profile.thresholds.good) return 'good';
+    if (score >= profile.thresholds.caution) return 'caution';
+    return 'concerning';
+  }
+}
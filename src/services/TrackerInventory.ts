@@ -0,0 +1,191 @@
+import { validatePageResources, validateTrackerList } from '../types/security';
+import type { ValidatedPageResources, ValidatedTrackerList } from '../types/security';
+import type { AnalysisResult, DetectedTracker, TrackerCategory, TrackerGap, TrackerReport } from '../types/analysis';
+import { ClauseClassifier } from './ClauseClassifier';
+import { languagePacks } from './LanguagePacks';
+import type { TrackerClaim } from './LanguagePacks';
+import bundled from '../../trackers/trackers.json';
+
+const categoryNames: Record<TrackerCategory, string> = {
+  advertising: 'Advertising trackers',
+  analytics: 'Analytics',
+  social: 'Social media widgets',
+  'session-replay': 'Session recording',
+  'tag-manager': 'Tag managers'
+};
+
+// Tag managers only load other tags, so a policy isn't expected to name them
+const disclosedCategories: Extract<TrackerCategory, TrackerClaim>[] = ['advertising', 'analytics', 'social', 'session-replay'];
+
+const pixelTypes = new Set(['img', 'image', 'beacon', 'ping']);
+
+// Common two-label public suffixes; anything else is a single-label TLD, so
+// "static.bbc.de" and "www.bbc.de" are one site
+const publicSuffixes = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'ltd.uk', 'plc.uk', 'net.uk',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+  'co.nz', 'net.nz', 'org.nz', 'govt.nz',
+  'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp',
+  'co.kr', 'or.kr', 'com.cn', 'net.cn', 'org.cn', 'com.hk', 'com.tw', 'com.sg',
+  'co.in', 'net.in', 'org.in', 'co.id', 'com.my', 'com.ph', 'co.th', 'co.il', 'co.za',
+  'com.br', 'net.br', 'org.br', 'com.mx', 'com.ar', 'com.co', 'com.tr', 'com.ua'
+]);
+
+// Matches what the page loaded against the bundled tracker list and compares
+// it with what the site's policy says. Collecting resources and cookies is
+// left to the caller (the extension's content script and background worker).
+export class TrackerInventory {
+  private readonly maxOtherThirdParties = 50;
+  private classifier = new ClauseClassifier();
+
+  static bundled(): ValidatedTrackerList {
+    return validateTrackerList(bundled);
+  }
+
+  // Resources and cookies come from the page and are untrusted
+  parse(input: unknown): ValidatedPageResources {
+    return validatePageResources(input);
+  }
+
+  // The registrable part of a host name: "cdn.example.co.uk" -> "example.co.uk"
+  siteOf(host: string): string {
+    const labels = host.toLowerCase().replace(/^\.|\.$/g, '').split('.');
+    if (labels.length <= 2) return labels.join('.');
+    const keep = publicSuffixes.has(labels.slice(-2).join('.')) ? 3 : 2;
+    return labels.slice(-keep).join('.');
+  }
+
+  // The gaps are left empty until compare() has a policy to hold the page to
+  classify(list: ValidatedTrackerList, page: ValidatedPageResources, inspectedAt: Date = new Date()): TrackerReport {
+    const pageSite = this.siteOf(this.hostOf(page.url) || '');
+    const found = new Map<string, DetectedTracker>();
+    const others = new Set<string>();
+
+    const detected = (tracker: ValidatedTrackerList['trackers'][number]): DetectedTracker => {
+      if (!found.has(tracker.id)) {
+        found.set(tracker.id, {
+          id: tracker.id,
+          name: tracker.name,
+          company: tracker.company,
+          category: tracker.category,
+          hosts: [],
+          scripts: 0,
+          pixels: 0,
+          requests: 0,
+          cookies: []
+        });
+      }
+      return found.get(tracker.id)!;
+    };
+
+    page.resources.forEach(resource => {
+      const host = this.hostOf(resource.url);
+      if (!host) return;
+
+      const tracker = this.trackerForHost(list, host);
+      if (!tracker) {
+        if (this.siteOf(host) !== pageSite) others.add(host);
+        return;
+      }
+
+      const item = detected(tracker);
+      if (!item.hosts.includes(host)) item.hosts.push(host);
+      if (resource.type === 'script') item.scripts++;
+      else if (pixelTypes.has(resource.type)) item.pixels++;
+      else item.requests++;
+    });
+
+    page.cookies.forEach(cookie => {
+      const tracker = this.trackerForHost(list, cookie.domain.replace(/^\./, '').toLowerCase()) ||
+        list.trackers.find(candidate => candidate.cookies.some(pattern => this.cookieMatches(pattern, cookie.name)));
+      if (!tracker) return;
+
+      const item = detected(tracker);
+      if (!item.cookies.includes(cookie.name)) item.cookies.push(cookie.name);
+    });
+
+    return {
+      url: page.url,
+      listVersion: list.version,
+      trackers: Array.from(found.values()),
+      otherThirdParties: Array.from(others).sort().slice(0, this.maxOtherThirdParties),
+      policyUrl: null,
+      gaps: [],
+      inspectedAt: inspectedAt.toISOString()
+    };
+  }
+
+  // Holds the page to its policy: tracker categories the policy rules out
+  // are contradictions, ones it never mentions are undisclosed. Policies in
+  // unsupported languages, or saved without their clauses, aren't judged.
+  compare(report: TrackerReport, analysis: AnalysisResult): TrackerReport {
+    const pack = languagePacks[analysis.language];
+    const clauses = (analysis.sections || []).flatMap(section => section.clauses);
+    const result = { ...report, policyUrl: analysis.url, gaps: [] as TrackerGap[] };
+    if (!pack || clauses.length === 0 || report.trackers.length === 0) return result;
+
+    const claim = (id: TrackerClaim) => this.classifier.match(`tracker:${id}`, clauses, pack.trackerTerms[id], pack);
+    const ruledOut = (id: TrackerClaim) => {
+      const findings = claim(id);
+      if (findings.length === 0) return { mentioned: false, clause: undefined };
+      const denial = findings.every(finding => finding.stance === 'negated') ? findings[0] : undefined;
+      return { mentioned: true, clause: denial?.clause.text };
+    };
+
+    const thirdParty = ruledOut('third-party');
+    if (thirdParty.clause) {
+      result.gaps.push({
+        type: 'contradicted',
+        category: 'third-party',
+        title: 'The policy rules out third-party trackers, but the page loads them',
+        severity: 4,
+        trackers: report.trackers.map(tracker => tracker.name),
+        clause: thirdParty.clause
+      });
+    }
+
+    disclosedCategories.forEach(category => {
+      const trackers = report.trackers.filter(tracker => tracker.category === category).map(tracker => tracker.name);
+      if (trackers.length === 0) return;
+
+      const policy = ruledOut(category);
+      if (policy.clause) {
+        result.gaps.push({
+          type: 'contradicted',
+          category,
+          title: `${categoryNames[category]} the policy rules out`,
+          severity: 4,
+          trackers,
+          clause: policy.clause
+        });
+      } else if (!policy.mentioned) {
+        result.gaps.push({
+          type: 'undisclosed',
+          category,
+          title: `${categoryNames[category]} the policy doesn't mention`,
+          severity: 2,
+          trackers
+        });
+      }
+    });
+
+    return result;
+  }
+
+  private hostOf(url: string): string | null {
+    try {
+      const parsed = new URL(url);
+      return /^https?:$/.test(parsed.protocol) ? parsed.hostname.toLowerCase() : null;
+    } catch {
+      return null;
+    }
+  }
+
+  private trackerForHost(list: ValidatedTrackerList, host: string) {
+    return list.trackers.find(tracker => tracker.domains.some(domain => host === domain || host.endsWith(`.${domain}`)));
+  }
+
+  private cookieMatches(pattern: string, name: string): boolean {
+    return pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern;
+  }
+}
@@ -1,18 +1,31 @@
+import type { PageRange, PolicyFormat } from '../types/analysis';
+import { PolicyFetcher } from './PolicyFetcher';
+
+export type ExtractionMode = 'live' | 'sample';
+
 export class UrlExtractor {
-  async extractFromUrl(url: string): Promise<PolicyContent | null> {
+  private fetcher = new PolicyFetcher();
+
+  async extractFromUrl(url: string, mode: ExtractionMode = 'live'): Promise<PolicyContent | null> {
     try {
       // Validate URL format
       new URL(url);
-      
-      // Check if this looks like a policy URL
-      if (!this.isPolicyUrl(url)) {
-        throw new Error('URL does not appear to be a policy page. Please check the URL and try again.');
+
+      if (mode === 'sample') {
+        return this.extractSample(url);
       }
 
-      // Since we can't fetch external URLs due to CORS restrictions,
-      // we'll provide a demo analysis for demonstration purposes
-      return this.createDemoContent(url);
-      
+      // Extension pages fetch through the host permissions; a plain web page
+      // is blocked by CORS and needs the configured local proxy
+      if (this.hasHostPermissions()) {
+        return await this.fetcher.fetchPolicy(url);
+      }
+
+      const proxyUrl = import.meta.env.VITE_POLICY_PROXY_URL;
+      if (!proxyUrl) {
+        throw new Error('PROXY_NOT_CONFIGURED');
+      }
+      return await this.fetcher.fetchPolicy(url, { proxyUrl });
     } catch (error) {
       if (error instanceof TypeError && error.message.includes('Invalid URL')) {
         throw new Error('Please enter a valid URL (e.g., https://example.com/privacy)');
@@ -21,6 +34,31 @@ export class UrlExtractor {
     }
   }
 
+  // PDF and text files picked or dropped by the user
+  async extractFromFile(file: File): Promise<PolicyContent> {
+    const format = this.fetcher.detectFormat(file.type, file.name);
+    if (format !== 'pdf' && format !== 'text') {
+      throw new Error('UNSUPPORTED_CONTENT');
+    }
+
+    return this.fetcher.readDocument(await file.arrayBuffer(), format, file.name, file.type);
+  }
+
+  // Generated text for demos; never presented as the real policy
+  private extractSample(url: string): PolicyContent {
+    // Check if this looks like a policy URL
+    if (!this.isPolicyUrl(url)) {
+      throw new Error('URL does not appear to be a policy page. Please check the URL and try again.');
+    }
+
+    return this.createDemoContent(url);
+  }
+
+  private hasHostPermissions(): boolean {
+    const runtime = (globalThis as { chrome?: { runtime?: { id?: string } } }).chrome?.runtime;
+    return !!runtime?.id && window.location.protocol === 'chrome-extension:';
+  }
+
   private createDemoContent(url: string): PolicyContent {
     const domain = this.extractDomain(url);
     
@@ -176,6 +214,10 @@ For questions about these terms or our privacy practices, please contact our leg
 export interface PolicyContent {
   isPolicyPage: boolean;
   content: string;
-  title: string;
+  title?: string;
+  headings?: string[];
+  language?: string;
+  format?: PolicyFormat;
+  pages?: PageRange[];
   extractedAt: string;
 }
\ No newline at end of file
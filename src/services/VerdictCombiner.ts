@@ -0,0 +1,47 @@
+import type { AnalysisResult, CombinedVerdict, LinkedPolicyRef, LinkedRedFlag } from '../types/analysis';
+
+export interface LinkedPolicyOutcome {
+  link: LinkedPolicyRef;
+  analysis?: AnalysisResult;
+  error?: string;
+}
+
+export class VerdictCombiner {
+  combine(context: string, allOutcomes: LinkedPolicyOutcome[]): CombinedVerdict {
+    // A document in an unsupported language has no real score to combine
+    const outcomes = allOutcomes.map(outcome => outcome.analysis?.languageSupported === false
+      ? { link: outcome.link, error: 'UNSUPPORTED_LANGUAGE' }
+      : outcome);
+    const analyzed = outcomes.filter(outcome => outcome.analysis);
+
+    // The user agrees to every linked document at once, so the weakest one
+    // sets the overall verdict
+    const aggregate = analyzed.length > 0
+      ? Math.min(...analyzed.map(outcome => outcome.analysis!.scores.aggregate))
+      : null;
+
+    const flags = new Map<string, LinkedRedFlag>();
+    analyzed.forEach(({ link, analysis }) => {
+      (analysis!.redFlags || []).forEach(flag => {
+        const existing = flags.get(flag.id);
+        if (!existing || flag.severity > existing.severity) {
+          flags.set(flag.id, { ...flag, source: link.type, sourceUrl: link.href });
+        }
+      });
+    });
+
+    return {
+      context,
+      aggregate,
+      analyzedAt: new Date().toISOString(),
+      documents: outcomes.map(({ link, analysis, error }) => ({
+        ...link,
+        aggregate: analysis ? analysis.scores.aggregate : null,
+        redFlagCount: analysis?.redFlags?.length || 0,
+        error
+      })),
+      redFlags: Array.from(flags.values()).sort((a, b) => b.severity - a.severity),
+      scoring: analyzed[0]?.analysis!.scoring
+    };
+  }
+}
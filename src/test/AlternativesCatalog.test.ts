@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { AlternativesCatalog } from '../services/AlternativesCatalog';
+import type { ValidatedAlternativesCatalog } from '../types/security';
+
+const service = (id: string, domains: string[], aggregate: number, category = 'email') => ({
+  id,
+  name: id,
+  category,
+  url: `https://${domains[0]}`,
+  domains,
+  snapshot: {
+    policyUrl: `https://${domains[0]}/privacy`,
+    analyzedAt: '2026-09-01T00:00:00Z',
+    scores: {
+      aggregate, collection: 50, sharingSelling: 50, rights: 50, retention: 50,
+      dispute: 50, license: 50, tracking: 50, children: 50, security: 50
+    },
+    redFlags: aggregate < 50 ? ['data-selling'] : []
+  }
+});
+
+const catalog = {
+  version: '1.2.0',
+  updatedAt: '2026-09-01T00:00:00Z',
+  categories: [{ id: 'email', name: 'Email' }, { id: 'search', name: 'Web search' }],
+  services: [
+    service('bigmail', ['bigmail.example', 'mail.big.example'], 45),
+    service('okmail', ['okmail.example'], 60),
+    service('privmail', ['privmail.example'], 85),
+    service('bigsearch', ['big.example'], 40, 'search')
+  ]
+};
+
+describe('AlternativesCatalog', () => {
+  const alternatives = new AlternativesCatalog();
+  const parsed = alternatives.parse(catalog);
+
+  it('should accept the bundled catalog', () => {
+    const bundled = AlternativesCatalog.bundled();
+
+    expect(bundled.services.length).toBeGreaterThan(0);
+    expect(alternatives.suggest(bundled, 'https://www.facebook.com/privacy/policy/').alternatives.length).toBeGreaterThan(0);
+  });
+
+  it('should suggest better scored services from the same category', () => {
+    const report = alternatives.suggest(parsed, 'https://accounts.bigmail.example/terms');
+
+    expect(report.category).toEqual({ id: 'email', name: 'Email' });
+    expect(report.service?.id).toBe('bigmail');
+    expect(report.baseline).toBe(45);
+    expect(report.alternatives.map(item => [item.id, item.scoreGain])).toEqual([['privmail', 40], ['okmail', 15]]);
+  });
+
+  it('should measure against the live score and prefer the most specific domain', () => {
+    const report = alternatives.suggest(parsed, 'https://mail.big.example/privacy', 70);
+
+    expect(report.service?.id).toBe('bigmail');
+    expect(report.alternatives.map(item => item.id)).toEqual(['privmail']);
+    expect(alternatives.suggest(parsed, 'https://unknown.example').category).toBeNull();
+  });
+
+  it('should only treat higher versions as newer', () => {
+    const later = { ...parsed, version: '1.10.0' } as ValidatedAlternativesCatalog;
+
+    expect(alternatives.isNewer(later, { ...parsed, version: '1.9.3' })).toBe(true);
+    expect(alternatives.isNewer(parsed, parsed)).toBe(false);
+    expect(alternatives.isNewer(parsed, later)).toBe(false);
+  });
+
+  it('should reject invalid catalogs with the offending field', () => {
+    expect(alternatives.parse(alternatives.serialize(parsed))).toEqual(parsed);
+
+    const orphan = { ...catalog, services: [...catalog.services, service('lost', ['lost.example'], 70, 'maps')] };
+    expect(() => alternatives.parse(orphan)).toThrow('Every service must belong to a listed category');
+
+    const badDomain = { ...catalog, services: [service('bad', ['https://bad.example'], 70)] };
+    expect(() => alternatives.parse(badDomain)).toThrow(/services\.0\.domains\.0/);
+
+    expect(() => alternatives.parse('{ not json')).toThrow('Invalid catalog: not valid JSON');
+  });
+});
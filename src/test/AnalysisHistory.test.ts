@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { AnalysisHistory } from '../services/AnalysisHistory';
+import { HistoryStore } from '../services/HistoryStore';
+import type { AnalysisResult, HistoryEntry } from '../types/analysis';
+
+const entry = (id: string, domain: string, aggregate: number | null, analyzedAt: string): HistoryEntry => ({
+  id,
+  url: `https://${domain}/privacy`,
+  domain,
+  analyzedAt,
+  aggregate,
+  redFlagCount: 0,
+  language: 'en'
+});
+
+const entries = [
+  entry('a', 'shop.example', 82, '2024-03-01T10:00:00Z'),
+  entry('b', 'bank.example', 41, '2024-05-01T10:00:00Z'),
+  entry('c', 'social.example', 63, '2024-04-01T10:00:00Z'),
+  entry('d', 'sozial.example', null, '2024-02-01T10:00:00Z')
+];
+
+const result = (url: string, aggregate: number): AnalysisResult => ({
+  url,
+  retrievedAt: '2024-06-01T10:00:00Z',
+  contentHash: 'simple-1',
+  language: 'en',
+  languageSupported: true,
+  summary: [],
+  redFlags: [{ id: 'arbitration', title: 'Mandatory arbitration', severity: 4, evidence: '', whatItMeans: '' }],
+  scores: {
+    collection: 50, sharingSelling: 50, rights: 50, retention: 50, dispute: 50,
+    license: 50, tracking: 50, children: 50, security: 50, aggregate, confidence: 0.5
+  }
+});
+
+describe('AnalysisHistory', () => {
+  const history = new AnalysisHistory(3);
+
+  it('should summarize a result as a history entry', () => {
+    expect(history.toEntry(result('https://bank.example/terms', 41), 'key')).toEqual({
+      id: 'key',
+      url: 'https://bank.example/terms',
+      domain: 'bank.example',
+      analyzedAt: '2024-06-01T10:00:00Z',
+      aggregate: 41,
+      redFlagCount: 1,
+      language: 'en'
+    });
+    expect(history.toEntry({ ...result('policy.pdf', 41), languageSupported: false }).aggregate).toBeNull();
+  });
+
+  it('should move re-analyzed policies to the top and cap the list', () => {
+    const updated = history.record(entries, { ...entries[2], aggregate: 70 });
+
+    expect(updated.map(item => item.id)).toEqual(['c', 'a', 'b']);
+    expect(updated[0].aggregate).toBe(70);
+  });
+
+  it('should search, filter by score band and sort', () => {
+    expect(history.query(entries).map(item => item.id)).toEqual(['b', 'c', 'a', 'd']);
+    expect(history.query(entries, { search: 'SO' }).map(item => item.id)).toEqual(['c', 'd']);
+    expect(history.query(entries, { band: 'caution' }).map(item => item.id)).toEqual(['c']);
+    expect(history.query(entries, { band: 'unscored' }).map(item => item.id)).toEqual(['d']);
+    // Entries scored with a stricter profile are banded by its thresholds
+    const strict = { profileId: 'privacy-first', profileName: 'Privacy first', thresholds: { good: 80, caution: 60 } };
+    const scoredStrictly = [{ ...entries[0], aggregate: 76, scoring: strict }];
+    expect(history.query(scoredStrictly, { band: 'caution' }).map(item => item.id)).toEqual(['a']);
+    expect(history.query(scoredStrictly, { band: 'good' })).toEqual([]);
+    expect(history.query(entries, { sort: 'score-high' }).map(item => item.id)).toEqual(['a', 'c', 'b', 'd']);
+    expect(history.query(entries, { sort: 'score-low' }).map(item => item.id)).toEqual(['b', 'c', 'a', 'd']);
+    expect(history.query(entries, { sort: 'domain' }).map(item => item.id)).toEqual(['b', 'a', 'c', 'd']);
+  });
+});
+
+describe('HistoryStore', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should keep results across instances and delete entries', () => {
+    new HistoryStore().save(result('https://bank.example/terms', 41));
+    const records = new HistoryStore().save(result('https://shop.example/privacy', 82));
+
+    expect(records.map(record => record.entry.domain)).toEqual(['shop.example', 'bank.example']);
+    expect(new HistoryStore().load()[1].result.scores.aggregate).toBe(41);
+
+    expect(new HistoryStore().remove('https://shop.example/privacy').map(record => record.entry.domain)).toEqual(['bank.example']);
+  });
+
+  it('should drop the oldest results when storage is full', () => {
+    const saved = new Map<string, string>();
+    const tinyStorage = {
+      getItem: (key: string) => saved.get(key) ?? null,
+      setItem: (key: string, value: string) => {
+        if (value.length > 1500) throw new DOMException('Quota exceeded', 'QuotaExceededError');
+        saved.set(key, value);
+      },
+      removeItem: (key: string) => saved.delete(key)
+    } as unknown as Storage;
+
+    const store = new HistoryStore(tinyStorage);
+    store.save(result('https://a.example/privacy', 60));
+    store.save(result('https://b.example/privacy', 60));
+    const records = store.save(result('https://c.example/privacy', 60));
+
+    expect(records[0].entry.domain).toBe('c.example');
+    expect(records.length).toBeLessThan(3);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { BenchmarkRunner } from '../services/BenchmarkRunner';
+
+const corpusDir = join(__dirname, '../../benchmark');
+
+const corpus = {
+  version: '1.0.0',
+  entries: [
+    {
+      id: 'seller',
+      name: 'Seller',
+      url: 'https://seller.example/privacy',
+      snapshot: 'snapshots/seller.txt',
+      source: 'synthetic',
+      capturedAt: '2026-10-01',
+      expected: { flags: ['data-selling', 'arbitration'], scores: { aggregate: [0, 40], sharingSelling: [0, 30] } }
+    },
+    {
+      id: 'quiet',
+      name: 'Quiet',
+      url: 'https://quiet.example/privacy',
+      snapshot: 'snapshots/quiet.txt',
+      source: 'synthetic',
+      capturedAt: '2026-10-01',
+      split: 'holdout',
+      expected: { flags: [], scores: { aggregate: [90, 100] } }
+    }
+  ]
+};
+
+const snapshots: Record<string, string> = {
+  'snapshots/seller.txt': 'We collect information you provide. We may sell your data to advertising partners for valuable consideration.',
+  'snapshots/quiet.txt': 'We collect information you provide to run the service.'
+};
+
+describe('BenchmarkRunner', () => {
+  const runner = new BenchmarkRunner();
+
+  it('should report precision and recall per flag and score error per category', async () => {
+    const report = await runner.run(runner.parse(corpus), path => snapshots[path]);
+
+    const selling = report.flags.find(flag => flag.flag === 'data-selling')!;
+    expect(selling).toMatchObject({ truePositives: 1, falsePositives: 0, falseNegatives: 0, precision: 1, recall: 1 });
+    const arbitration = report.flags.find(flag => flag.flag === 'arbitration')!;
+    expect(arbitration).toMatchObject({ truePositives: 0, falseNegatives: 1, precision: null, recall: 0 });
+
+    const quiet = report.entries.find(entry => entry.id === 'quiet')!;
+    expect(quiet.scoreErrors.aggregate).toBeGreaterThan(0);
+    expect(report.scores.find(score => score.category === 'aggregate')).toMatchObject({ labeled: 2, withinRange: 1 });
+    expect(report.scores.some(score => score.category === 'rights')).toBe(false);
+    expect(runner.format(report)).toContain('seller                  missed arbitration');
+  });
+
+  it('should calibrate on the held-out entries only, never at full accuracy', async () => {
+    const report = await runner.run(runner.parse(corpus), path => snapshots[path]);
+    const quiet = report.entries.find(entry => entry.id === 'quiet')!;
+
+    // The seller entry is tuning data and doesn't count
+    expect(report.calibration.heldOut).toBe(1);
+    expect(report.calibration.accuracy).toBe(Math.floor((quiet.agreed + 1) / (quiet.labels + 2) * 100) / 100);
+
+    const agreeing = { ...corpus, entries: [{ ...corpus.entries[1], expected: { flags: [], scores: { aggregate: [0, 100] } } }] };
+    const perfect = await runner.run(runner.parse(agreeing), path => snapshots[path]);
+    expect(perfect.entries[0].accuracy).toBe(1);
+    expect(perfect.calibration.accuracy).toBeLessThan(1);
+  });
+
+  it('should reject malformed corpora', () => {
+    expect(() => runner.parse('{')).toThrow('Invalid benchmark corpus: not valid JSON');
+    expect(() => runner.parse({ ...corpus, entries: [corpus.entries[0], corpus.entries[0]] })).toThrow('Entry ids must be unique');
+    expect(() => runner.parse({
+      ...corpus,
+      entries: [{ ...corpus.entries[0], expected: { flags: [], scores: { aggregate: [60, 40] } } }]
+    })).toThrow('Invalid benchmark corpus');
+    expect(() => runner.parse({ ...corpus, entries: [corpus.entries[0]] })).toThrow('Hold out at least one entry for calibration');
+  });
+
+  // Guards the calibration: a rule or weight change that makes the analyzer
+  // disagree with the labeled corpus more than it does today fails here
+  it('should keep agreeing with the labeled corpus', async () => {
+    const labeled = runner.parse(readFileSync(join(corpusDir, 'corpus.json'), 'utf8'));
+    const report = await runner.run(labeled, path => readFileSync(join(corpusDir, path), 'utf8'));
+
+    report.flags.forEach(flag => expect(flag.recall ?? 1).toBeGreaterThanOrEqual(0.9));
+    expect(report.scores.find(score => score.category === 'aggregate')!.withinRange).toBeGreaterThanOrEqual(8);
+    expect(report.confidence.calibrationError).toBeLessThanOrEqual(0.12);
+    expect(Math.abs(report.confidence.meanConfidence - report.confidence.meanAccuracy)).toBeLessThanOrEqual(0.05);
+
+    // The analyzer's confidence reads this file; regenerate it with `npm run benchmark -- --write`
+    const calibration = JSON.parse(readFileSync(join(corpusDir, 'calibration.json'), 'utf8'));
+    expect(calibration).toEqual(report.calibration);
+  });
+});
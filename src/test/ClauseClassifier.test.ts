@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { ClauseClassifier } from '../services/ClauseClassifier';
+import { ClauseSegmenter } from '../services/ClauseSegmenter';
+import { languagePacks } from '../services/LanguagePacks';
+
+const classify = (text: string, language = 'en') => {
+  const clauses = new ClauseSegmenter().segment(text).flatMap(section => section.clauses);
+  return new ClauseClassifier().classify(clauses, languagePacks[language]);
+};
+
+const finding = (text: string, category: string, language = 'en') =>
+  classify(text, language).find(item => item.category === category);
+
+describe('ClauseClassifier', () => {
+  describe('classify', () => {
+    it('should tell asserted practices from negated ones', () => {
+      expect(finding('We sell information for marketing purposes.', 'dataSelling')).toMatchObject({
+        stance: 'asserted',
+        weight: 1
+      });
+      expect(finding('We will never sell information for marketing purposes.', 'dataSelling')).toMatchObject({
+        stance: 'negated',
+        weight: 0
+      });
+    });
+
+    it('should not carry a negation past a contrasting clause', () => {
+      const result = finding('We do not rent your data, but we sell information for marketing purposes.', 'dataSelling');
+
+      expect(result?.stance).toBe('asserted');
+    });
+
+    it('should treat consent conditions and exceptions as partial', () => {
+      const conditional = finding('We share your data with third parties only with your consent.', 'sharing');
+      expect(conditional?.stance).toBe('conditional');
+      expect(conditional?.weight).toBe(0.5);
+
+      const excepted = finding('We do not share your information with third parties except for payment processing.', 'sharing');
+      expect(excepted?.stance).toBe('conditional');
+      expect(excepted?.limited).toBe(true);
+    });
+
+    it('should distinguish opt-in from opt-out wording', () => {
+      const optIn = finding('We share your data with third parties for advertising if you opt in.', 'sharing');
+      expect(optIn).toMatchObject({ stance: 'conditional', consent: 'opt-in', weight: 0.25 });
+
+      const optOut = finding('We share your data with third parties for advertising unless you opt out.', 'sharing');
+      expect(optOut).toMatchObject({ stance: 'asserted', consent: 'opt-out', weight: 1 });
+    });
+
+    it('should record offsets of the matched words in the full text', () => {
+      const text = 'Welcome. Any dispute goes to binding arbitration.';
+      const result = finding(text, 'arbitration');
+
+      expect(text.slice(result!.start, result!.end)).toBe('binding arbitration');
+      expect(text.slice(result!.clause.start, result!.clause.end)).toBe('Any dispute goes to binding arbitration.');
+    });
+
+    it('should not count the bare word "secure" as a security measure', () => {
+      expect(finding('No method of transmission over the Internet is completely secure.', 'security')).toBeUndefined();
+      expect(finding('Your data is stored securely in our data centers.', 'security')?.stance).toBe('asserted');
+    });
+
+    it('should read negations that follow the verb in German', () => {
+      expect(finding('Wir verkaufen Ihre Daten nicht.', 'dataSelling', 'de')?.stance).toBe('negated');
+      expect(finding('Wir verkaufen Ihre Daten an Werbepartner.', 'dataSelling', 'de')?.stance).toBe('asserted');
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { ClauseSegmenter } from '../services/ClauseSegmenter';
+
+describe('ClauseSegmenter', () => {
+  const segmenter = new ClauseSegmenter();
+
+  describe('segment', () => {
+    it('should split numbered sections located from page headings', () => {
+      const text = 'Welcome to our service. 1. Information We Collect We collect your email. 2. Sharing We may share data with partners.';
+      const sections = segmenter.segment(text, ['information we collect', 'sharing']);
+
+      expect(sections.map(section => section.number)).toEqual([undefined, '1', '2']);
+      expect(sections[1].heading).toBe('Information We Collect');
+      expect(sections[1].clauses.map(clause => clause.text)).toEqual(['We collect your email.']);
+    });
+
+    it('should detect dotted numbering such as 3.2 without page headings', () => {
+      const text = 'Terms apply. 3.1 Accounts must be accurate. 3.2 Content You grant us a license.';
+      const sections = segmenter.segment(text);
+
+      expect(sections.map(section => section.number)).toEqual([undefined, '3.1', '3.2']);
+    });
+
+    it('should treat short standalone lines as headings in multi-line text', () => {
+      const text = 'Information We Collect\nWe collect data. We use cookies.\n\nSharing\nWe share with processors.';
+      const sections = segmenter.segment(text);
+
+      expect(sections.map(section => section.heading)).toEqual(['Information We Collect', 'Sharing']);
+      expect(sections[0].clauses).toHaveLength(2);
+    });
+
+    it('should return clause offsets that point at the clause text', () => {
+      const text = 'Privacy Notice\nWe keep logs for 3.5 years. You may opt out at any time!';
+      const clauses = segmenter.segment(text).flatMap(section => section.clauses);
+
+      clauses.forEach(clause => {
+        expect(text.slice(clause.start, clause.end)).toBe(clause.text);
+      });
+      expect(clauses.map(clause => clause.text)).toContain('We keep logs for 3.5 years.');
+    });
+  });
+
+  describe('findClause', () => {
+    it('should return the clause containing an offset', () => {
+      const text = 'We collect data. We sell data.';
+      const sections = segmenter.segment(text);
+
+      expect(segmenter.findClause(sections, text.indexOf('sell'))?.text).toBe('We sell data.');
+    });
+  });
+});
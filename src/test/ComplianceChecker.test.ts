@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { ComplianceChecker } from '../services/ComplianceChecker';
+import { ClauseSegmenter } from '../services/ClauseSegmenter';
+import { languagePacks } from '../services/LanguagePacks';
+
+const check = (text: string, language = 'en') => {
+  const clauses = new ClauseSegmenter().segment(text).flatMap(section => section.clauses);
+  return new ComplianceChecker().check(text, clauses, languagePacks[language]);
+};
+
+const statusOf = (report: ReturnType<typeof check>, id: string) =>
+  report.items.find(item => item.id === id)?.status;
+
+const gdprPolicy = `Acme Ltd is the data controller for the personal data described in this policy.
+You can contact us at privacy@acme.example with any questions.
+Our data protection officer can be reached at dpo@acme.example.
+We process your data for the performance of a contract and on the basis of our legitimate interests.
+We retain account data for 24 months after you close your account.
+Under the GDPR you have the right to access, rectification and erasure of your personal data.`;
+
+describe('ComplianceChecker', () => {
+  it('should pass disclosures the policy makes and cite the clauses', () => {
+    const report = check(gdprPolicy);
+
+    expect(report.referenced).toEqual(['gdpr']);
+    expect(statusOf(report, 'gdpr-controller')).toBe('pass');
+    expect(statusOf(report, 'gdpr-dpo')).toBe('pass');
+    expect(statusOf(report, 'gdpr-legal-basis')).toBe('pass');
+    expect(statusOf(report, 'gdpr-retention')).toBe('pass');
+
+    const retention = report.items.find(item => item.id === 'gdpr-retention')!;
+    const [start, end] = retention.evidenceRanges![0];
+    expect(gdprPolicy.slice(start, end)).toContain('24 months');
+  });
+
+  it('should list the parts of a disclosure that are left out', () => {
+    const rights = check(gdprPolicy).items.find(item => item.id === 'gdpr-rights')!;
+
+    expect(rights.status).toBe('unclear');
+    expect(rights.missing).toEqual(['restriction', 'portability', 'objection', 'complaint to a supervisory authority']);
+  });
+
+  it('should mark vague or denied disclosures as unclear and absent ones as missing', () => {
+    const report = check(`We keep your information for as long as necessary.
+We have not appointed a data protection officer.
+We only process personal data with your consent.`);
+
+    expect(statusOf(report, 'gdpr-retention')).toBe('unclear');
+    expect(statusOf(report, 'gdpr-dpo')).toBe('unclear');
+    expect(statusOf(report, 'gdpr-legal-basis')).toBe('unclear');
+    expect(statusOf(report, 'ccpa-do-not-sell')).toBe('missing');
+    expect(report.items.find(item => item.id === 'ccpa-do-not-sell')?.evidenceRanges).toBeUndefined();
+  });
+
+  it('should check CCPA and COPPA disclosures', () => {
+    const report = check(`California residents can use the Do Not Sell or Share My Personal Information link in our footer.
+Under the CCPA you have the right to know and the right to delete the personal information we hold.
+Our service is not directed to children under 13.`);
+
+    expect(report.referenced).toEqual(['ccpa']);
+    expect(statusOf(report, 'ccpa-do-not-sell')).toBe('pass');
+    expect(report.items.find(item => item.id === 'ccpa-rights')?.missing).toEqual(['right to correct', 'non-discrimination']);
+    expect(statusOf(report, 'coppa-parental-consent')).toBe('pass');
+  });
+
+  it('should only run the GDPR checks on German, French and Spanish policies', () => {
+    const report = check(`Verantwortlicher im Sinne der DSGVO ist die Beispiel GmbH, erreichbar unter datenschutz@beispiel.de.
+Unseren Datenschutzbeauftragten erreichen Sie unter derselben Adresse.`, 'de');
+
+    expect(report.items.every(item => item.regime === 'gdpr')).toBe(true);
+    expect(statusOf(report, 'gdpr-controller')).toBe('pass');
+    expect(statusOf(report, 'gdpr-dpo')).toBe('pass');
+  });
+
+  it('should only give coverage for laws the policy names', () => {
+    const checker = new ComplianceChecker();
+    const report = check(gdprPolicy);
+
+    expect(checker.coverage(report)).toBeGreaterThan(0.5);
+    expect(checker.coverage({ ...report, referenced: [] })).toBe(0);
+  });
+});
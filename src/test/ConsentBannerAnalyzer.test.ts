@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { ConsentBannerAnalyzer } from '../services/ConsentBannerAnalyzer';
+
+const banner = {
+  platform: 'onetrust',
+  url: 'https://news.example/article',
+  text: 'We and our 312 partners use cookies. By continuing to browse the site you agree to our use of cookies.',
+  buttons: ['Accept All Cookies', 'Cookie Settings'],
+  toggles: [
+    { label: 'Strictly Necessary Cookies', checked: true, disabled: true, legitimateInterest: false },
+    { label: 'Performance Cookies', checked: true, disabled: false, legitimateInterest: false },
+    { label: 'Targeting Cookies', checked: false, disabled: false, legitimateInterest: false },
+    { label: 'Targeting Cookies', checked: true, disabled: false, legitimateInterest: true }
+  ],
+  vendors: ['Ad Network', 'Ad Network', 'Analytics Co']
+};
+
+describe('ConsentBannerAnalyzer', () => {
+  const analyzer = new ConsentBannerAnalyzer();
+
+  it('should list purposes and vendors and flag dark patterns', () => {
+    const report = analyzer.analyze(analyzer.parse(banner), new Date('2026-10-01T00:00:00Z'));
+
+    expect(report).toMatchObject({ platformName: 'OneTrust', tcf: false, vendors: ['Ad Network', 'Analytics Co'], vendorCount: 2 });
+    expect(report.purposes).toEqual([
+      { name: 'Strictly Necessary Cookies', preChecked: false, legitimateInterest: false, required: true },
+      { name: 'Performance Cookies', preChecked: true, legitimateInterest: false, required: false },
+      { name: 'Targeting Cookies', preChecked: false, legitimateInterest: true, required: false }
+    ]);
+    expect(report.darkPatterns.map(pattern => [pattern.id, pattern.evidence])).toEqual([
+      ['no-reject-all', ['Accept All Cookies']],
+      ['pre-ticked', ['Performance Cookies']],
+      ['legitimate-interest', ['Targeting Cookies']],
+      ['implied-consent', ['By continuing to browse the site you agree to our use of cookies.']]
+    ]);
+  });
+
+  it('should accept a banner where refusing is as easy as accepting', () => {
+    const report = analyzer.analyze(analyzer.parse({
+      ...banner,
+      text: 'We use cookies to measure traffic.',
+      buttons: ['Alle akzeptieren', 'Nur notwendige Cookies', 'Einstellungen'],
+      toggles: banner.toggles.map(toggle => ({ ...toggle, checked: toggle.disabled }))
+    }));
+    expect(report.darkPatterns).toEqual([]);
+  });
+
+  it('should read purposes from the TCF signal', () => {
+    const report = analyzer.analyze(analyzer.parse({
+      ...banner,
+      platform: 'tcf',
+      text: '',
+      buttons: [],
+      toggles: [],
+      vendors: [],
+      tcf: {
+        cmpId: 10,
+        eventStatus: 'cmpuishown',
+        purposeConsents: [1],
+        purposeLegitimateInterests: [7],
+        vendorConsents: 0,
+        vendorLegitimateInterests: 140
+      }
+    }));
+
+    expect(report.platformName).toBe('IAB TCF consent platform (CMP 10)');
+    expect(report.vendorCount).toBe(140);
+    expect(report.darkPatterns.map(pattern => [pattern.id, pattern.evidence])).toEqual([
+      ['pre-ticked', ['Store and/or access information on a device']],
+      ['legitimate-interest', ['Measure advertising performance']]
+    ]);
+  });
+
+  it('should reject malformed snapshots', () => {
+    expect(() => analyzer.parse({ ...banner, platform: 'unknown' })).toThrow('Invalid consent banner: platform');
+    expect(() => analyzer.parse({ ...banner, url: 'not a url' })).toThrow('Invalid consent banner: url');
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { Glossary } from '../services/Glossary';
+import { PolicyAnalyzer } from '../services/PolicyAnalyzer';
+import { validateGlossary } from '../types/security';
+
+const termsIn = (glossary: Glossary, text: string) =>
+  glossary.find(text).map(match => [match.id, text.slice(match.start, match.end)]);
+
+describe('Glossary', () => {
+  const glossary = new Glossary();
+
+  it('should find the first use of each term, preferring the longest alias', () => {
+    const text = 'Disputes go to binding arbitration. You agree to indemnify us; arbitration is final. We rely on Legitimate Interests.';
+
+    expect(termsIn(glossary, text)).toEqual([
+      ['arbitration', 'binding arbitration'],
+      ['indemnify', 'indemnify'],
+      ['legitimate-interest', 'Legitimate Interests']
+    ]);
+    expect(glossary.find('The arbitrationist is a controllership.')).toEqual([]);
+  });
+
+  it('should match translations, including ones ending in an accented letter', () => {
+    expect(termsIn(glossary, 'Wir verarbeiten Daten gemäß Art. 6 DSGVO auf Grundlage unserer berechtigten Interessen.')).toEqual([
+      ['pursuant-to', 'gemäß'],
+      ['legitimate-interest', 'berechtigten Interessen']
+    ]);
+    expect(termsIn(glossary, 'Vous disposez du droit à l’effacement.')).toEqual([['right-to-erasure', 'droit à l’effacement']]);
+  });
+
+  it('should mark terms in the summary and red flag evidence and define them', async () => {
+    const result = await new PolicyAnalyzer().analyze({
+      isPolicyPage: true,
+      content: [
+        'We share your personal information with our affiliates and third parties for advertising.',
+        'Any dispute will be resolved by binding arbitration, and you waive your right to a class action.',
+        'Whereas you use the service, you grant us a perpetual, irrevocable, royalty-free license to your content.'
+      ].join('\n\n'),
+      extractedAt: new Date().toISOString()
+    }, 'https://example.com/terms');
+
+    const ids = result.glossary!.map(entry => entry.id);
+    expect(ids).toEqual(expect.arrayContaining(['personal-data', 'arbitration', 'class-action-waiver', 'whereas', 'perpetual']));
+    expect(result.glossary!.find(entry => entry.id === 'arbitration')).toMatchObject({
+      term: 'Arbitration',
+      definition: expect.stringContaining('private judge'),
+      aliases: expect.arrayContaining(['binding arbitration'])
+    });
+
+    const bullet = result.summary.find(item => item.terms?.some(match => match.id === 'personal-data'))!;
+    const match = bullet.terms!.find(term => term.id === 'personal-data')!;
+    expect(bullet.text.slice(match.start, match.end)).toBe('personal information');
+    expect(result.summary.some(item => item.text.startsWith('Whereas'))).toBe(true);
+
+    const flag = result.redFlags!.find(item => item.evidenceTerms?.some(term => term.id === 'arbitration'))!;
+    expect(flag).toBeDefined();
+    flag.evidenceTerms!.forEach(term => expect(ids).toContain(term.id));
+  });
+
+  it('should validate the bundled glossary and reject duplicate ids', () => {
+    const bundled = Glossary.bundled();
+    expect(bundled.terms.length).toBeGreaterThan(40);
+
+    expect(() => validateGlossary({ ...bundled, terms: [...bundled.terms, bundled.terms[0]] }))
+      .toThrow('Invalid glossary: terms: Term ids must be unique');
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { HtmlTextExtractor } from '../services/HtmlTextExtractor';
+
+const filler = 'We collect information you provide when you create an account and use our services. '.repeat(4);
+
+describe('HtmlTextExtractor', () => {
+  const extractor = new HtmlTextExtractor();
+
+  it('should extract title, headings and main content without page chrome', () => {
+    const html = `<html><head><title>Privacy Policy &amp; Terms</title><style>p{}</style></head>
+      <body><nav>Home | Pricing</nav>
+      <main><h2>1. Information We Collect</h2><p>${filler}</p><script>track()</script>
+      <h2>2. Sharing</h2><p>We don&#39;t sell your data.</p></main>
+      <footer>Copyright</footer></body></html>`;
+
+    const result = extractor.extract(html);
+
+    expect(result.title).toBe('Privacy Policy & Terms');
+    expect(result.headings).toEqual(['1. Information We Collect', '2. Sharing']);
+    expect(result.content).toContain("We don't sell your data.");
+    expect(result.content).not.toMatch(/Pricing|Copyright|track\(\)/);
+  });
+
+  it('should keep block elements on separate lines', () => {
+    const result = extractor.extract(`<body><article><h1>Terms</h1><p>${filler}</p><ul><li>First</li><li>Second</li></ul></article></body>`);
+
+    expect(result.content.split('\n')).toEqual(['Terms', filler.trim(), 'First', 'Second']);
+  });
+});
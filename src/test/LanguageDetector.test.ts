@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { LanguageDetector } from '../services/LanguageDetector';
+
+describe('LanguageDetector', () => {
+  const detector = new LanguageDetector();
+
+  it('should detect English, German, French and Spanish policies', () => {
+    expect(detector.detect('We collect the information you provide to us and we may share it with our partners for the purposes of this policy.').language).toBe('en');
+    expect(detector.detect('Wir erheben die Daten, die Sie uns mitteilen, und geben sie nicht ohne Ihre Einwilligung an Dritte weiter. Die Daten werden für die Dauer der Nutzung gespeichert.').language).toBe('de');
+    expect(detector.detect('Nous collectons les données que vous nous fournissez et nous ne les partageons pas avec des tiers sans votre consentement pour les finalités décrites dans la présente politique.').language).toBe('fr');
+    expect(detector.detect('Recopilamos los datos que usted nos proporciona y no los compartimos con terceros sin su consentimiento para los fines descritos en esta política.').language).toBe('es');
+  });
+
+  it('should recognise languages without a pattern set', () => {
+    expect(detector.detect('Raccogliamo i dati che ci fornisci e non li condividiamo con terzi per le finalità della presente informativa sul trattamento dei dati.').language).toBe('it');
+    expect(detector.detect('Мы собираем информацию, которую вы предоставляете при регистрации, и используем её для работы сервиса.').language).toBe('ru');
+  });
+
+  it('should fall back to the declared language when the text is inconclusive', () => {
+    expect(detector.detect('Datenschutz', 'de-DE')).toEqual({ language: 'de', confidence: 0.3 });
+    expect(detector.detect('Datenschutz').language).toBe('und');
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { LlmSummarizer } from '../services/LlmSummarizer';
+import type { LlmSettings } from '../services/LlmSummarizer';
+import { PolicyAnalyzer } from '../services/PolicyAnalyzer';
+import type { Clause, PolicyContent } from '../types/analysis';
+
+const settings: LlmSettings = {
+  enabled: true,
+  endpoint: 'http://localhost:11434/v1/',
+  model: 'llama3.1'
+};
+
+const policyText = `We collect your email address and phone number when you sign up for an account.
+We share your purchase history with advertising partners to show you targeted offers.`;
+
+const clauses: Clause[] = [
+  { id: 'c1', sectionId: 's0', text: policyText.split('\n')[0], start: 0, end: 81 },
+  { id: 'c2', sectionId: 's0', text: policyText.split('\n')[1], start: 82, end: policyText.length }
+];
+
+const chatResponse = (content: string, status = 200) => ({
+  ok: status < 400,
+  status,
+  json: async () => ({ choices: [{ message: { content } }] })
+});
+
+describe('LlmSummarizer', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should stay off without consent or a usable endpoint', () => {
+    expect(LlmSummarizer.isAllowed(settings, null)).toBe(false);
+    expect(LlmSummarizer.isAllowed(settings, { llmSummaries: false })).toBe(false);
+    expect(LlmSummarizer.isAllowed({ ...settings, enabled: false }, { llmSummaries: true })).toBe(false);
+    expect(LlmSummarizer.isAllowed({ ...settings, endpoint: 'file:///model' }, { llmSummaries: true })).toBe(false);
+    expect(LlmSummarizer.isAllowed(settings, { llmSummaries: true })).toBe(true);
+  });
+
+  it('should tie bullets to the offsets of the clauses they cite', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(chatResponse(JSON.stringify({
+      bullets: [
+        { text: 'They collect your email and phone number.', clauses: [1], topic: 'collection' },
+        { text: 'Your purchases are used for ads.', clauses: [2, 9], topic: 'Sharing' },
+        { text: 'Made up point.', clauses: [7] }
+      ]
+    })));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const summary = await new LlmSummarizer(settings).summarize(clauses, 'en');
+
+    expect(fetchMock.mock.calls[0][0]).toBe('http://localhost:11434/v1/chat/completions');
+    expect(summary).toEqual([
+      { id: 'collection_llm_0', text: 'They collect your email and phone number.', priority: 1, evidence: [[0, 81]] },
+      { id: 'sharing_llm_1', text: 'Your purchases are used for ads.', priority: 2, evidence: [[82, policyText.length]] }
+    ]);
+  });
+
+  it('should accept JSON wrapped in code fences', async () => {
+    const reply = '```json\n{"bullets":[{"text":"Data is shared with advertisers.","clauses":[2]}]}\n```';
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(chatResponse(reply)));
+
+    const summary = await new LlmSummarizer(settings).summarize(clauses, 'en');
+
+    expect(summary[0].id).toBe('general_llm_0');
+  });
+
+  it('should report unusable replies and unreachable endpoints', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(chatResponse('I cannot help with that.')));
+    await expect(new LlmSummarizer(settings).summarize(clauses, 'en')).rejects.toThrow('LLM_INVALID_RESPONSE');
+
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(chatResponse('', 500)));
+    await expect(new LlmSummarizer(settings).summarize(clauses, 'en')).rejects.toThrow('LLM_UNAVAILABLE');
+
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')));
+    await expect(new LlmSummarizer(settings).summarize(clauses, 'en')).rejects.toThrow('LLM_UNAVAILABLE');
+  });
+
+  it('should fall back to the rule-based summary when the endpoint fails', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')));
+    const content: PolicyContent = { isPolicyPage: true, content: policyText, extractedAt: new Date().toISOString() };
+
+    const analyzer = new PolicyAnalyzer();
+    analyzer.setSummarizer(new LlmSummarizer(settings));
+    const result = await analyzer.analyze(content, 'https://example.com/privacy');
+    const rulesOnly = await new PolicyAnalyzer().analyze(content, 'https://example.com/privacy');
+
+    expect(result.summarySource).toBe('rules');
+    expect(result.summaryFallback).toBe(true);
+    expect(result.summary).toEqual(rulesOnly.summary);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { PdfTextExtractor } from '../services/PdfTextExtractor';
+
+const toBytes = (text: string) => Uint8Array.from(text, char => char.charCodeAt(0));
+
+const compress = async (text: string): Promise<string> => {
+  const stream = new ReadableStream<Uint8Array>({
+    start(controller) {
+      controller.enqueue(toBytes(text));
+      controller.close();
+    }
+  }).pipeThrough(new CompressionStream('deflate'));
+  const buffer = new Uint8Array(await new Response(stream).arrayBuffer());
+  return String.fromCharCode(...buffer);
+};
+
+// Minimal PDF: catalog, page tree, one Helvetica font and a content stream
+// per page. The extractor doesn't need the xref table, so none is written.
+const buildPdf = (pages: string[], options: { compressed?: string[]; images?: string[] } = {}): Uint8Array => {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} /Resources << /Font << /F1 3 0 R >> >> >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    '<< /Title (Terms of Service) >>'
+  ];
+  const body: string[] = [];
+
+  pages.forEach((content, i) => {
+    const stream = options.compressed?.[i] ?? content;
+    const filter = options.compressed ? ' /Filter /FlateDecode' : '';
+    body.push(`${4 + i * 2} 0 obj\n<< /Type /Page /Parent 2 0 R /Contents ${5 + i * 2} 0 R >>\nendobj`);
+    body.push(`${5 + i * 2} 0 obj\n<< /Length ${stream.length}${filter} >>\nstream\n${stream}\nendstream\nendobj`);
+  });
+
+  const info = 4 + pages.length * 2;
+  const text = [
+    '%PDF-1.4',
+    ...(options.images || []).map((image, i) =>
+      `${100 + i} 0 obj\n<< /Type /XObject /Subtype /Image /Width 1000 /Height 1000 /Filter /FlateDecode /Length ${image.length} >>\nstream\n${image}\nendstream\nendobj`),
+    `1 0 obj\n${objects[0]}\nendobj`,
+    `2 0 obj\n${objects[1]}\nendobj`,
+    `3 0 obj\n${objects[2]}\nendobj`,
+    ...body,
+    `${info} 0 obj\n${objects[3]}\nendobj`,
+    `trailer\n<< /Root 1 0 R /Info ${info} 0 R >>\n%%EOF`
+  ].join('\n');
+  return toBytes(text);
+};
+
+const page = (lines: string[]) =>
+  `BT /F1 11 Tf 72 720 Td ${lines.map(line => `(${line}) Tj 0 -14 Td`).join(' ')} ET`;
+
+describe('PdfTextExtractor', () => {
+  it('should extract text per page and record page ranges', async () => {
+    const pdf = buildPdf([
+      page(['1. Acceptance', 'By using the service you agree to these terms and to our handling', 'of your data as described below.']),
+      page(['2. Disputes', 'Any dispute will be resolved through binding arbitration.'])
+    ]);
+
+    const result = await new PdfTextExtractor().extract(pdf);
+
+    expect(result.title).toBe('Terms of Service');
+    expect(result.pages).toHaveLength(2);
+    expect(result.content).toContain('agree to these terms and to our handling of your data');
+
+    const second = result.pages[1];
+    expect(result.content.slice(second.start, second.end)).toContain('binding arbitration');
+    expect(result.content.indexOf('binding arbitration')).toBeGreaterThanOrEqual(second.start);
+  });
+
+  it('should read Flate-compressed content streams', async () => {
+    const content = page(['We may sell your data to advertising partners.']);
+    const pdf = buildPdf([content], { compressed: [await compress(content)] });
+
+    const result = await new PdfTextExtractor().extract(pdf);
+
+    expect(result.content).toContain('We may sell your data to advertising partners.');
+  });
+
+  it('should space words split by TJ kerning and decode escapes', async () => {
+    const pdf = buildPdf(['BT /F1 11 Tf 72 720 Td [(binding)-300(arbitration \\(AAA\\))] TJ ET']);
+
+    const result = await new PdfTextExtractor().extract(pdf);
+
+    expect(result.content).toBe('binding arbitration (AAA)');
+  });
+
+  it('should inflate only the streams it reads, within a fixed budget', async () => {
+    const first = page(['We may sell your data to advertising partners.']);
+    const second = page(['Any dispute will be resolved through binding arbitration.']);
+    // Both the image and the padded page inflate well past the budget
+    const image = await compress('\0'.repeat(1000000));
+    const padded = first + ' '.repeat(1000000);
+    const pdf = buildPdf([padded, second], {
+      compressed: [await compress(padded), await compress(second)],
+      images: [image]
+    });
+
+    const result = await new PdfTextExtractor(100000).extract(pdf);
+
+    expect(result.content).toContain('We may sell your data to advertising partners.');
+    expect(result.content).not.toContain('binding arbitration');
+  });
+
+  it('should reject files that are not PDFs', async () => {
+    await expect(new PdfTextExtractor().extract(toBytes('<html></html>'))).rejects.toThrow('UNSUPPORTED_CONTENT');
+  });
+});
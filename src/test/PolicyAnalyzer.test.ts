@@ -0,0 +1,238 @@
+import { describe, it, expect } from 'vitest';
+import { PolicyAnalyzer } from '../services/PolicyAnalyzer';
+import { RulePackLoader } from '../services/RulePackLoader';
+import type { PolicyContent } from '../types/analysis';
+
+const samplePolicy = `We collect information you provide when you create an account.
+We may sell your data to advertising partners for valuable consideration.
+Any dispute will be resolved through binding arbitration and you waive your right to a jury trial.
+You have the right to delete your account and request data portability under the GDPR.
+We use encryption and other security measures to protect your information.`;
+
+const content: PolicyContent = {
+  isPolicyPage: true,
+  content: samplePolicy,
+  extractedAt: new Date().toISOString()
+};
+
+describe('PolicyAnalyzer', () => {
+  describe('analyze', () => {
+    it('should return identical results for identical text', async () => {
+      const first = await new PolicyAnalyzer().analyze(content, 'https://example.com/privacy');
+      const second = await new PolicyAnalyzer().analyze(content, 'https://example.com/privacy');
+
+      expect({ ...first, retrievedAt: '' }).toEqual({ ...second, retrievedAt: '' });
+    });
+
+    it('should detect data selling and arbitration red flags', async () => {
+      const result = await new PolicyAnalyzer().analyze(content, 'https://example.com/privacy');
+      const flagIds = result.redFlags?.map(flag => flag.id);
+
+      expect(flagIds).toContain('data-selling');
+      expect(flagIds).toContain('arbitration');
+    });
+
+    it('should link red flags and summary bullets to clause ranges', async () => {
+      const result = await new PolicyAnalyzer().analyze(content, 'https://example.com/privacy');
+      const arbitration = result.redFlags?.find(flag => flag.id === 'arbitration');
+
+      expect(arbitration?.evidenceRanges).toHaveLength(1);
+      const [start, end] = arbitration!.evidenceRanges![0];
+      expect(samplePolicy.slice(start, end)).toContain('binding arbitration');
+
+      result.summary.forEach(item => {
+        expect(item.evidence?.length).toBeGreaterThan(0);
+      });
+    });
+
+    it('should keep the clauses behind each category score', async () => {
+      const result = await new PolicyAnalyzer().analyze(content, 'https://example.com/privacy');
+      const textOf = (ranges: number[][] = []) => ranges.map(([start, end]) => samplePolicy.slice(start, end));
+
+      expect(textOf(result.scoreEvidence?.sharingSelling)).toEqual([expect.stringContaining('sell your data')]);
+      expect(textOf(result.scoreEvidence?.dispute)).toEqual([expect.stringContaining('binding arbitration')]);
+      expect(textOf(result.scoreEvidence?.rights).join(' ')).toContain('delete your account');
+      expect(result.scoreEvidence?.children).toBeUndefined();
+    });
+
+    it('should itemize what moved each category score from the baseline', async () => {
+      const result = await new PolicyAnalyzer().analyze(content, 'https://example.com/privacy');
+      const contributions = result.scoreContributions!;
+
+      Object.entries(contributions).forEach(([category, items]) => {
+        const total = items.reduce((sum, item) => sum + item.points, 0);
+        expect(total).toBe(result.scores[category as keyof typeof contributions] - 50);
+      });
+
+      const selling = contributions.sharingSelling.find(item => item.rule === 'data-selling');
+      expect(selling?.points).toBeLessThan(0);
+      expect(selling?.clause).toContain('sell your data');
+      expect(contributions.children).toEqual([]);
+    });
+
+    it('should judge each clause on its own instead of the whole document', async () => {
+      const mixedPolicy = `We do not sell personal information for marketing purposes.
+We may sell your data to insurers for valuable consideration.`;
+      const result = await new PolicyAnalyzer().analyze(
+        { ...content, content: mixedPolicy },
+        'https://example.com/privacy'
+      );
+      const selling = result.redFlags?.find(flag => flag.id === 'data-selling');
+
+      expect(selling?.evidenceRanges).toHaveLength(1);
+      const [start, end] = selling!.evidenceRanges![0];
+      expect(mixedPolicy.slice(start, end)).toContain('insurers');
+    });
+
+    it('should not flag or penalize practices the policy denies', async () => {
+      const denyingPolicy = `We never sell information for marketing purposes.
+We will not resolve disputes through binding arbitration.`;
+      const result = await new PolicyAnalyzer().analyze(
+        { ...content, content: denyingPolicy },
+        'https://example.com/privacy'
+      );
+
+      expect(result.redFlags).toEqual([]);
+      expect(result.scores.sharingSelling).toBe(50);
+      expect(result.scores.dispute).toBe(50);
+    });
+
+    it('should judge text extracted by the extension like the web app does', async () => {
+      // The extension passes page text through unmodified, past its old 10,000 character cut
+      const filler = 'We collect the information you provide when you contact our support team.\n'.repeat(150);
+      const extracted = `${filler}We don't sell your information for marketing purposes.`;
+      const result = await new PolicyAnalyzer().analyze(
+        { ...content, content: extracted },
+        'https://example.com/privacy'
+      );
+      const clauses = result.sections!.flatMap(section => section.clauses);
+
+      expect(extracted.length).toBeGreaterThan(10000);
+      expect(clauses.some(clause => clause.text.includes("don't sell"))).toBe(true);
+      expect(result.redFlags?.map(flag => flag.id)).not.toContain('data-selling');
+      expect(result.scores.sharingSelling).toBe(50);
+
+      const capped = await new PolicyAnalyzer().analyze(
+        { ...content, content: 'a'.repeat(500000) + ' We may sell your data.' },
+        'https://example.com/privacy'
+      );
+      expect(capped.redFlags?.map(flag => flag.id)).not.toContain('data-selling');
+    });
+
+    it('should lower severity for practices that need consent', async () => {
+      const consentPolicy = 'We may sell your data to partners only with your explicit consent.';
+      const result = await new PolicyAnalyzer().analyze(
+        { ...content, content: consentPolicy },
+        'https://example.com/privacy'
+      );
+
+      expect(result.redFlags?.find(flag => flag.id === 'data-selling')?.severity).toBe(4);
+    });
+
+    it('should not reward naming a law without its disclosures', async () => {
+      const basePolicy = 'We collect information you provide when you create an account.';
+      const withoutLaw = await new PolicyAnalyzer().analyze({ ...content, content: basePolicy }, 'https://example.com/privacy');
+      const withLaw = await new PolicyAnalyzer().analyze(
+        { ...content, content: `${basePolicy}\nWe fully comply with the GDPR.` },
+        'https://example.com/privacy'
+      );
+
+      expect(withLaw.compliance?.referenced).toEqual(['gdpr']);
+      expect(withLaw.scores.rights).toBe(withoutLaw.scores.rights);
+      expect(withLaw.compliance?.items.find(item => item.id === 'gdpr-rights')?.status).toBe('missing');
+    });
+
+    it('should keep every category score within 0-100', async () => {
+      const result = await new PolicyAnalyzer().analyze(content, 'https://example.com/privacy');
+
+      Object.entries(result.scores)
+        .filter(([key]) => key !== 'confidence')
+        .forEach(([, value]) => {
+          expect(value).toBeGreaterThanOrEqual(0);
+          expect(value).toBeLessThanOrEqual(100);
+        });
+    });
+  });
+
+  describe('rule packs', () => {
+    const rulePack = new RulePackLoader().load({
+      id: 'fintech',
+      name: 'Fintech',
+      version: '1.0.0',
+      languages: ['en'],
+      rules: [
+        {
+          id: 'account-freeze',
+          title: 'Can freeze your funds',
+          category: 'dispute',
+          severity: 4,
+          scoreImpact: -20,
+          patterns: ['freeze\\w*\\s+(your\\s+)?(account|funds)'],
+          exclusions: ['court order'],
+          explanation: 'The company can block access to your money.'
+        }
+      ]
+    });
+    const fintechPolicy = `We collect information you provide when you open an account.
+We may freeze your account at our sole discretion.`;
+
+    it('should raise flags and adjust scores from imported rules', async () => {
+      const analyzer = new PolicyAnalyzer();
+      analyzer.setRulePacks([rulePack]);
+
+      const result = await analyzer.analyze({ ...content, content: fintechPolicy }, 'https://bank.example/terms');
+      const flag = result.redFlags?.find(item => item.id === 'fintech:account-freeze');
+
+      expect(flag?.whatItMeans).toBe('The company can block access to your money.');
+      expect(flag?.severity).toBe(4);
+      expect(result.scores.dispute).toBe(30);
+    });
+
+    it('should skip excluded clauses and negated matches', async () => {
+      const analyzer = new PolicyAnalyzer();
+      analyzer.setRulePacks([rulePack]);
+
+      const safePolicy = `We collect information you provide when you open an account.
+We will freeze your funds only when a court order requires it. We never freeze your account for other reasons.`;
+      const result = await analyzer.analyze({ ...content, content: safePolicy }, 'https://bank.example/terms');
+
+      expect(result.redFlags?.map(flag => flag.id)).not.toContain('fintech:account-freeze');
+    });
+  });
+
+  describe('languages', () => {
+    it('should analyze German policies with the German patterns', async () => {
+      const germanPolicy: PolicyContent = {
+        isPolicyPage: true,
+        content: `Wir erheben die Daten, die Sie bei der Registrierung angeben.
+Alle Streitigkeiten werden in einem verbindlichen Schiedsverfahren beigelegt und Sie verzichten auf die Teilnahme an einer Sammelklage.
+Sie haben das Recht auf Löschung und Datenübertragbarkeit nach der DSGVO.
+Wir verkaufen Ihre personenbezogenen Daten nicht.`,
+        extractedAt: new Date().toISOString()
+      };
+
+      const result = await new PolicyAnalyzer().analyze(germanPolicy, 'https://example.de/datenschutz');
+      const flagIds = result.redFlags?.map(flag => flag.id);
+
+      expect(result.language).toBe('de');
+      expect(result.languageSupported).toBe(true);
+      expect(flagIds).toContain('arbitration');
+      expect(flagIds).not.toContain('data-selling');
+    });
+
+    it('should mark unsupported languages instead of scoring them', async () => {
+      const italianPolicy: PolicyContent = {
+        isPolicyPage: true,
+        content: 'Raccogliamo i dati che ci fornisci e non li condividiamo con terzi. I dati sono conservati per il periodo necessario alle finalità della presente informativa.',
+        extractedAt: new Date().toISOString()
+      };
+
+      const result = await new PolicyAnalyzer().analyze(italianPolicy, 'https://example.it/privacy');
+
+      expect(result.language).toBe('it');
+      expect(result.languageSupported).toBe(false);
+      expect(result.redFlags).toEqual([]);
+      expect(result.scores.confidence).toBe(0);
+    });
+  });
+});
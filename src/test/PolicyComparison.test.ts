@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { PolicyComparison } from '../services/PolicyComparison';
+import { PolicyAnalyzer } from '../services/PolicyAnalyzer';
+import type { AnalysisResult } from '../types/analysis';
+
+const analyze = (content: string, url: string) => new PolicyAnalyzer().analyze(
+  { isPolicyPage: true, content, extractedAt: new Date().toISOString() },
+  url
+);
+
+const strictVendor = `We collect the information you provide when you create an account.
+We never sell information for marketing purposes.
+You have the right to delete your account and request data portability.
+We use encryption and other security measures to protect your information.`;
+
+const looseVendor = `We collect information you provide when you create an account.
+We may sell your data to advertising partners for valuable consideration.
+Any dispute will be resolved through binding arbitration and you waive your right to a jury trial.`;
+
+describe('PolicyComparison', () => {
+  it('should highlight the better policy per score, flag and clause', async () => {
+    const report = new PolicyComparison().compare([
+      await analyze(strictVendor, 'https://strict.example/privacy'),
+      await analyze(looseVendor, 'https://loose.example/privacy')
+    ]);
+
+    expect(report.policies.map(policy => policy.domain)).toEqual(['strict.example', 'loose.example']);
+    expect(report.scores.find(row => row.key === 'sharingSelling')?.best).toEqual([0]);
+
+    const selling = report.redFlags.find(row => row.id === 'data-selling');
+    expect(selling?.severities).toEqual([0, 5]);
+    expect(selling?.best).toEqual([0]);
+
+    const sellingClauses = report.clauses.find(row => row.topic === 'dataSelling')!;
+    expect(sellingClauses.clauses[0]?.stance).toBe('negated');
+    expect(sellingClauses.clauses[1]?.text).toContain('advertising partners');
+    expect(sellingClauses.best).toEqual([0]);
+
+    expect(report.clauses.find(row => row.topic === 'rights')?.best).toEqual([0]);
+  });
+
+  it('should not highlight ties or unscored policies', async () => {
+    const italian = await analyze(
+      'Raccogliamo i dati che ci fornisci e non li condividiamo con terzi. I dati sono conservati per il periodo necessario.',
+      'https://example.it/privacy'
+    );
+    const report = new PolicyComparison().compare([
+      await analyze(strictVendor, 'https://a.example/privacy'),
+      await analyze(strictVendor, 'https://b.example/privacy'),
+      italian
+    ]);
+
+    expect(report.policies[2].aggregate).toBeNull();
+    expect(report.scores.every(row => row.values[2] === null && row.best.length === 0)).toBe(true);
+    expect(report.clauses.every(row => row.clauses[2] === null)).toBe(true);
+  });
+
+  it('should only compare two to four policies', () => {
+    const result = { url: 'https://a.example' } as AnalysisResult;
+
+    expect(() => new PolicyComparison().compare([result])).toThrow('Invalid comparison');
+    expect(() => new PolicyComparison().compare(Array(5).fill(result))).toThrow('Invalid comparison');
+  });
+});
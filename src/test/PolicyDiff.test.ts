@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { PolicyAnalyzer } from '../services/PolicyAnalyzer';
+import { PolicyDiff } from '../services/PolicyDiff';
+
+const analyze = (text: string) => new PolicyAnalyzer().analyze(
+  { isPolicyPage: true, content: text, extractedAt: new Date().toISOString() },
+  'https://example.com/terms'
+);
+
+describe('PolicyDiff', () => {
+  const diff = new PolicyDiff();
+
+  it('should report no clause changes for identical text', async () => {
+    const text = 'We collect your email address. You may delete your account at any time.';
+    const result = diff.compare(await analyze(text), await analyze(text));
+
+    expect(result.clauses).toEqual([]);
+    expect(result.scoreChanges).toEqual({});
+  });
+
+  it('should classify added, removed and modified clauses', async () => {
+    const before = await analyze(
+      'We collect your email address. We keep logs for thirty days. You may contact support by email.'
+    );
+    const after = await analyze(
+      'We collect your email address. We keep logs for ninety days. Any dispute is settled by binding arbitration.'
+    );
+    const result = diff.compare(before, after);
+
+    expect(result.clauses.map(change => change.type).sort()).toEqual(['added', 'modified', 'removed']);
+    expect(result.clauses.find(change => change.type === 'modified')).toMatchObject({
+      before: 'We keep logs for thirty days.',
+      after: 'We keep logs for ninety days.'
+    });
+  });
+
+  it('should list new red flags and changed category scores', async () => {
+    const before = await analyze('We collect your email address to provide the service.');
+    const after = await analyze(
+      'We collect your email address to provide the service. Disputes go to binding arbitration.'
+    );
+    const result = diff.compare(before, after);
+
+    expect(diff.hasChanged(before, after)).toBe(true);
+    expect(result.addedFlags.map(flag => flag.id)).toEqual(['arbitration']);
+    expect(result.scoreChanges.dispute).toEqual({ before: 50, after: 25 });
+  });
+
+  it('should leave out the aggregate when the versions were scored under different profiles', async () => {
+    const text = 'We collect your email address to provide the service.';
+    const before = { ...(await analyze(text)), scoring: { profileId: 'developer', profileName: 'Developer', thresholds: { good: 75, caution: 50 } } };
+    const after = await analyze(`${text} Disputes go to binding arbitration.`);
+    const result = diff.compare({ ...before, scores: { ...before.scores, aggregate: 90 } }, after);
+
+    expect(result.scoreChanges.aggregate).toBeUndefined();
+    expect(result.scoreChanges.dispute).toEqual({ before: 50, after: 25 });
+  });
+});
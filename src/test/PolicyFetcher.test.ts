@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { PolicyFetcher } from '../services/PolicyFetcher';
+
+const policyHtml = `<html><head><title>Privacy Policy</title></head><body><main>
+<h1>Privacy Policy</h1>
+<p>${'We collect information you provide when you create an account. '.repeat(8)}</p>
+</main></body></html>`;
+
+const mockResponse = (body: string, init: { status?: number; url?: string; type?: string } = {}) => ({
+  ok: (init.status ?? 200) < 400,
+  status: init.status ?? 200,
+  url: init.url ?? 'https://example.com/privacy',
+  headers: new Headers({ 'content-type': init.type ?? 'text/html; charset=utf-8' }),
+  body: new Response(body).body
+});
+
+const streamedResponse = (stream: ReadableStream<Uint8Array>) => ({
+  ok: true,
+  status: 200,
+  url: 'https://example.com/privacy',
+  headers: new Headers({ 'content-type': 'text/plain' }),
+  body: stream
+});
+
+describe('PolicyFetcher', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should extract text and headings from an HTML policy', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(mockResponse(policyHtml)));
+
+    const result = await new PolicyFetcher().fetchPolicy('https://example.com/privacy');
+
+    expect(result.title).toBe('Privacy Policy');
+    expect(result.headings).toContain('Privacy Policy');
+    expect(result.content).toContain('create an account');
+  });
+
+  it('should route requests through the proxy when configured', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(mockResponse(policyHtml));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await new PolicyFetcher().fetchPolicy('https://example.com/privacy', {
+      proxyUrl: 'http://localhost:8787/fetch?url='
+    });
+
+    expect(fetchMock.mock.calls[0][0]).toBe('http://localhost:8787/fetch?url=https%3A%2F%2Fexample.com%2Fprivacy');
+  });
+
+  it('should reject redirects to the homepage', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(mockResponse(policyHtml, { url: 'https://example.com/' })));
+
+    await expect(new PolicyFetcher().fetchPolicy('https://example.com/privacy')).rejects.toThrow('REDIRECTED');
+  });
+
+  it('should reject non-HTML documents', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(mockResponse('', { type: 'image/png' })));
+
+    await expect(new PolicyFetcher().fetchPolicy('https://example.com/privacy')).rejects.toThrow('UNSUPPORTED_CONTENT');
+  });
+
+  it('should stop reading at the size limit instead of buffering the whole body', async () => {
+    const chunk = new TextEncoder().encode('We collect information you provide when you create an account. '.repeat(8000));
+    let pulls = 0;
+    const endless = new ReadableStream<Uint8Array>({
+      pull(controller) {
+        pulls++;
+        controller.enqueue(chunk);
+      }
+    });
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(streamedResponse(endless)));
+
+    const result = await new PolicyFetcher().fetchPolicy('https://example.com/privacy');
+
+    expect(result.content.length).toBeLessThanOrEqual(2000000);
+    expect(pulls).toBeLessThanOrEqual(Math.ceil(2000000 / chunk.length) + 1);
+  });
+
+  it('should time out while the body is still arriving', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockImplementation(async (_url: string, init: RequestInit) => streamedResponse(
+      new ReadableStream<Uint8Array>({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode('We collect information '));
+        },
+        // Like a real response body, the stream fails once the request is aborted
+        pull: () => new Promise((_, reject) => {
+          init.signal!.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        })
+      })
+    )));
+
+    await expect(new PolicyFetcher(20).fetchPolicy('https://example.com/privacy')).rejects.toThrow('FETCH_ERROR');
+  });
+
+  it('should report login walls and paywalls', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(mockResponse('', { status: 403 })));
+    await expect(new PolicyFetcher().fetchPolicy('https://example.com/privacy')).rejects.toThrow('ACCESS_DENIED');
+
+    const paywall = '<html><body><main><p>Subscribe to continue reading our full policy.</p></main></body></html>';
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(mockResponse(paywall)));
+    await expect(new PolicyFetcher().fetchPolicy('https://example.com/privacy')).rejects.toThrow('PAYWALL');
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { PolicyWatchlist } from '../services/PolicyWatchlist';
+import type { AnalysisResult, HistoryEntry, WatchSnapshot } from '../types/analysis';
+
+const result = (contentHash: string, aggregate: number, flags: string[] = []): AnalysisResult => ({
+  url: 'https://shop.example/privacy',
+  retrievedAt: '2026-10-01T10:00:00Z',
+  contentHash,
+  language: 'en',
+  languageSupported: true,
+  summary: [],
+  redFlags: flags.map(id => ({ id, title: `Flag ${id}`, severity: 4, evidence: '', whatItMeans: '' })),
+  scores: {
+    collection: 50, sharingSelling: 50, rights: 50, retention: 50, dispute: 50,
+    license: 50, tracking: 50, children: 50, security: 50, aggregate, confidence: 0.5
+  },
+  scoring: { profileId: 'balanced', profileName: 'Balanced', thresholds: { good: 75, caution: 50 } }
+});
+
+const historyEntry = (url: string): HistoryEntry => ({
+  id: url,
+  url,
+  domain: new URL(url).hostname,
+  analyzedAt: '2026-10-01T10:00:00Z',
+  aggregate: 60,
+  redFlagCount: 0,
+  language: 'en'
+});
+
+describe('PolicyWatchlist', () => {
+  const watchlist = new PolicyWatchlist(2);
+  const url = 'https://shop.example/privacy';
+
+  it('should pin domains and policy URLs once', () => {
+    let entries = watchlist.add([], 'WWW.Shop.Example', new Date('2026-10-01T00:00:00Z'));
+    entries = watchlist.add(entries, `${url}#section-3`);
+    expect(entries.map(entry => [entry.kind, entry.target])).toEqual([['domain', 'shop.example'], ['url', url]]);
+    expect(entries[0]).toMatchObject({ addedAt: '2026-10-01T00:00:00.000Z', lastCheckedAt: null, snapshots: {} });
+
+    expect(watchlist.add(entries, 'shop.example')).toBe(entries);
+    expect(() => watchlist.add(entries, 'bank.example')).toThrow('The watchlist is full (2 entries)');
+    expect(() => watchlist.add([], 'not a domain')).toThrow('Invalid watchlist target');
+    expect(watchlist.remove(entries, 'shop.example').map(entry => entry.target)).toEqual([url]);
+  });
+
+  it('should check a domain through the policies analyzed on it', () => {
+    const [domain] = watchlist.add([], 'shop.example');
+    const history = [
+      historyEntry('https://help.shop.example/terms'),
+      historyEntry('https://shop.example.evil/privacy'),
+      historyEntry(url)
+    ];
+
+    expect(watchlist.policyUrls(domain, history)).toEqual(['https://help.shop.example/terms', url]);
+    expect(watchlist.matches(domain, 'https://shopping.example/privacy')).toBe(false);
+  });
+
+  it('should report a lower score, new red flags and changed text', () => {
+    const before = watchlist.snapshot(result('a', 70, ['arbitration']));
+
+    expect(watchlist.changes(url, undefined, before)).toEqual([]);
+    expect(watchlist.changes(url, before, watchlist.snapshot(result('a', 72, ['arbitration'])))).toEqual([]);
+
+    const changes = watchlist.changes(url, before, watchlist.snapshot(result('b', 58, ['arbitration', 'data-selling'])));
+    expect(changes.map(change => change.type)).toEqual(['score-drop', 'new-flag', 'content-changed']);
+    expect(watchlist.describe(url, changes)).toEqual({
+      title: 'shop.example: policy got worse',
+      message: 'Trust score dropped from 70 to 58\nNew red flag: Flag data-selling\nThe policy text changed'
+    });
+  });
+
+  it('should not compare scores weighted by different profiles', () => {
+    const before: WatchSnapshot = { ...watchlist.snapshot(result('a', 70)), profileId: 'parent' };
+    const changes = watchlist.changes(url, before, watchlist.snapshot(result('b', 50)));
+    expect(changes.map(change => change.type)).toEqual(['content-changed']);
+  });
+
+  it('should not alert when only the scoring or rules changed', () => {
+    const before = watchlist.snapshot(result('a', 70, ['arbitration']));
+    // Same text, rescored after editing the profile's weights and enabling a rule pack
+    const after = watchlist.snapshot(result('a', 40, ['arbitration', 'fintech:account-freeze']));
+    expect(watchlist.changes(url, before, after)).toEqual([]);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { ReadabilityMeter } from '../services/ReadabilityMeter';
+import { ClauseSegmenter } from '../services/ClauseSegmenter';
+import { languagePacks } from '../services/LanguagePacks';
+
+const measure = (text: string, language = 'en') => {
+  const clauses = new ClauseSegmenter().segment(text).flatMap(section => section.clauses);
+  return new ReadabilityMeter().measure(clauses, language, languagePacks[language] || languagePacks.en);
+};
+
+const plain = 'We keep your data safe. You can delete it at any time.';
+
+const legalese = `Notwithstanding Section 4.2, the Company shall retain all information hereinafter referred to as Records pursuant to applicable regulations.
+The Company shall indemnify the Licensee in accordance with the procedures set forth in Section 7 and the Supplementary Conditions.`;
+
+describe('ReadabilityMeter', () => {
+  it('should count words and sentences and grade plain text as easy', () => {
+    const report = measure(plain)!;
+
+    expect(report).toMatchObject({ words: 12, sentences: 2, averageSentenceLength: 6, readingMinutes: 1, band: 'plain' });
+    expect(report.readingEaseFormula).toBe('Flesch reading ease');
+    expect(report.gradeLevels.map(level => level.id)).toEqual(['flesch-kincaid', 'gunning-fog', 'smog', 'coleman-liau']);
+    expect(report.legaleseShare).toBe(0);
+  });
+
+  it('should score legalese as harder and count jargon and cross-references', () => {
+    const easy = measure(plain)!;
+    const hard = measure(legalese)!;
+
+    expect(hard.readingEase).toBeLessThan(easy.readingEase);
+    expect(hard.band).toBe('very-difficult');
+    expect(hard.gradeLevels[0].grade).toBeGreaterThan(easy.gradeLevels[0].grade);
+    expect(hard.legaleseTerms[0]).toEqual({ term: 'shall', count: 2 });
+    expect(hard.legaleseTerms.map(item => item.term)).toEqual(
+      expect.arrayContaining(['hereinafter', 'in accordance with', 'indemnify', 'notwithstanding'])
+    );
+    expect(hard.legaleseShare).toBeGreaterThan(10);
+    expect(hard.crossReferences).toBe(2);
+  });
+
+  it('should use the formulas made for the policy language', () => {
+    const german = measure('Wir speichern Ihre Daten gemäß Abschnitt 3 nur so lange, wie es erforderlich ist.', 'de')!;
+
+    expect(german.readingEaseFormula).toBe('Flesch reading ease (Amstad)');
+    expect(german.gradeLevels.map(level => level.id)).toEqual(['wiener-sachtextformel']);
+    expect(german.legaleseTerms).toEqual([{ term: 'gemäß', count: 1 }]);
+    expect(german.crossReferences).toBe(1);
+
+    expect(measure('Wir speichern Ihre Daten.', 'it')).toBeNull();
+  });
+});
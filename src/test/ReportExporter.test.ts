@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { ReportExporter } from '../services/ReportExporter';
+import type { AnalysisExport } from '../services/ReportExporter';
+import { PolicyAnalyzer } from '../services/PolicyAnalyzer';
+
+const policy = `We collect information you provide when you create an account.
+We may sell your data to advertising partners | <script>alert(1)</script> for valuable consideration.
+You have the right to delete your account.`;
+
+const analyze = () => new PolicyAnalyzer().analyze(
+  { isPolicyPage: true, content: policy, extractedAt: new Date().toISOString() },
+  'https://vendor.example/privacy'
+);
+
+const exportedAt = new Date('2026-10-01T12:00:00Z');
+
+describe('ReportExporter', () => {
+  const exporter = new ReportExporter();
+
+  it('should wrap the full result in a versioned JSON envelope', async () => {
+    const result = await analyze();
+    const exported: AnalysisExport = JSON.parse(exporter.export(result, 'json', exportedAt).content);
+
+    expect(exported.format).toBe('tcguard-analysis');
+    expect(exported.version).toBe(ReportExporter.schemaVersion);
+    expect(exported.exportedAt).toBe('2026-10-01T12:00:00.000Z');
+    expect(exported.analysis).toEqual(result);
+
+    const [start, end] = exported.analysis.redFlags![0].evidenceRanges![0];
+    expect(policy.slice(start, end)).toContain('sell your data');
+  });
+
+  it('should write Markdown with escaped policy text', async () => {
+    const markdown = exporter.toMarkdown(await analyze(), exportedAt);
+
+    expect(markdown).toContain('# T&C Guard Report: vendor.example');
+    expect(markdown).toContain('### May sell your data (severity 5/5)');
+    expect(markdown).toContain('partners \\| \\<script\\>');
+    expect(markdown).toMatch(/\| Data Sharing\/Selling \| \d+\/100 \| 1 \|/);
+    expect(markdown).toMatch(/- \*\*Data Sharing\/Selling:\*\* May sell your data \(-\d+\)/);
+    expect(markdown).toContain('## Readability');
+    expect(markdown).toMatch(/- \*\*Length:\*\* \d+ words in 3 sentences, about 1 min to read/);
+  });
+
+  it('should write self-contained HTML without live markup from the policy', async () => {
+    const html = exporter.toHtml(await analyze(), exportedAt);
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).not.toMatch(/<(link|img)\b|src=/);
+  });
+
+  it('should report unscored policies without scores', async () => {
+    const result = { ...(await analyze()), languageSupported: false };
+
+    expect(exporter.toMarkdown(result, exportedAt)).toContain('Trust score:** Not scored');
+    expect(exporter.toMarkdown(result, exportedAt)).not.toContain('## Score Breakdown');
+    expect(exporter.fileName(result, 'md', exportedAt)).toBe('tc-guard-report-vendor.example-2026-10-01.md');
+  });
+});
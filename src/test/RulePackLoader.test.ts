@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { RulePackLoader } from '../services/RulePackLoader';
+import fintech from '../../rule-packs/fintech.json';
+import health from '../../rule-packs/health.json';
+
+const minimalPack = {
+  id: 'example',
+  name: 'Example',
+  version: '1.0.0',
+  rules: [
+    {
+      id: 'auto-renewal',
+      title: 'Renews automatically',
+      category: 'license',
+      severity: 3,
+      scoreImpact: -10,
+      patterns: ['renews? automatically'],
+      explanation: 'You keep paying until you cancel.'
+    }
+  ]
+};
+
+describe('RulePackLoader', () => {
+  const loader = new RulePackLoader();
+
+  it('should accept the example rule packs', () => {
+    expect(loader.parse(fintech).rules.length).toBeGreaterThan(0);
+    expect(loader.parse(health).rules.length).toBeGreaterThan(0);
+  });
+
+  it('should compile patterns and default missing exclusions', () => {
+    const pack = loader.load(JSON.stringify(minimalPack));
+
+    expect(pack.rules[0].patterns[0].test('This plan Renews Automatically.')).toBe(true);
+    expect(pack.rules[0].exclusions).toEqual([]);
+  });
+
+  it('should round-trip through serialize', () => {
+    const definition = loader.parse(minimalPack);
+
+    expect(loader.parse(loader.serialize(definition))).toEqual(definition);
+  });
+
+  it('should reject invalid packs with the offending field', () => {
+    const badPattern = { ...minimalPack, rules: [{ ...minimalPack.rules[0], patterns: ['(unclosed'] }] };
+    expect(() => loader.parse(badPattern)).toThrow(/rules\.0\.patterns\.0: Invalid regular expression/);
+
+    const badCategory = { ...minimalPack, rules: [{ ...minimalPack.rules[0], category: 'fees' }] };
+    expect(() => loader.parse(badCategory)).toThrow(/rules\.0\.category/);
+
+    const duplicate = { ...minimalPack, rules: [minimalPack.rules[0], minimalPack.rules[0]] };
+    expect(() => loader.parse(duplicate)).toThrow('Rule ids must be unique');
+
+    expect(() => loader.parse('{ not json')).toThrow('Invalid rule pack: not valid JSON');
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { ScoringProfiles } from '../services/ScoringProfiles';
+import { PolicyAnalyzer } from '../services/PolicyAnalyzer';
+
+const policy = {
+  isPolicyPage: true,
+  content: 'We collect your email address. We may sell your data to advertising partners.',
+  extractedAt: new Date().toISOString()
+};
+
+describe('ScoringProfiles', () => {
+  const profiles = new ScoringProfiles();
+  const settings = ScoringProfiles.defaultSettings();
+  const profile = (id: string) => settings.profiles.find(item => item.id === id)!;
+
+  it('should re-weight the aggregate without touching category scores', async () => {
+    const result = await new PolicyAnalyzer().analyze(policy, 'https://example.com/privacy');
+
+    const balanced = profiles.apply(result, profile('balanced'));
+    const developer = profiles.apply(result, profile('developer'));
+    const privacyFirst = profiles.apply(result, profile('privacy-first'));
+
+    // Selling data weighs less for developers and more for the privacy-first profile
+    expect(balanced.scores.aggregate).toBe(result.scores.aggregate);
+    expect(developer.scores.aggregate).toBeGreaterThan(balanced.scores.aggregate);
+    expect(privacyFirst.scores.aggregate).toBeLessThan(balanced.scores.aggregate);
+    expect(developer.scores.sharingSelling).toBe(balanced.scores.sharingSelling);
+    expect(privacyFirst.scoring).toEqual({ profileId: 'privacy-first', profileName: 'Privacy first', thresholds: { good: 80, caution: 60 } });
+  });
+
+  it('should score children\'s data so the Parent profile weighs it', async () => {
+    const analyze = (content: string) => new PolicyAnalyzer().analyze({ ...policy, content }, 'https://example.com/privacy');
+    const unprotected = await analyze('We collect data from children under 13. We may sell your data to advertising partners.');
+    const protectedPolicy = await analyze('We collect data from children under 13 only with verifiable parental consent. We may sell your data to advertising partners.');
+
+    expect(unprotected.scores.children).toBe(30);
+    expect(unprotected.scoreContributions!.children[0].rule).toBe('children-without-safeguards');
+    expect(protectedPolicy.scores.children).toBe(75);
+    expect(profiles.apply(unprotected, profile('parent')).scores.aggregate)
+      .toBeLessThan(profiles.apply(unprotected, profile('balanced')).scores.aggregate);
+    expect(profiles.apply(protectedPolicy, profile('parent')).scores.aggregate)
+      .toBeGreaterThan(profiles.apply(unprotected, profile('parent')).scores.aggregate);
+  });
+
+  it('should weight every category in full when contributions are missing', () => {
+    const scores = {
+      aggregate: 0, collection: 100, sharingSelling: 0, rights: 0, retention: 0,
+      dispute: 0, license: 0, tracking: 0, children: 0, security: 0, confidence: 1
+    };
+    const onlyCollection = {
+      ...profile('balanced'),
+      weights: { ...profile('balanced').weights, sharingSelling: 0, rights: 0, retention: 0, dispute: 0, license: 0, tracking: 0, children: 0, security: 0 }
+    };
+
+    expect(profiles.aggregate(scores, onlyCollection)).toBe(100);
+    // Collection carries 15 of the 105 weight points
+    expect(profiles.aggregate(scores, profile('balanced'))).toBe(14);
+  });
+
+  it('should band scores with the profile thresholds', () => {
+    expect(profiles.band(76, profile('balanced'))).toBe('good');
+    expect(profiles.band(76, profile('privacy-first'))).toBe('caution');
+    expect(profiles.band(55, profile('privacy-first'))).toBe('concerning');
+  });
+
+  it('should reject invalid settings', () => {
+    const balanced = profile('balanced');
+    const zeroWeights = Object.fromEntries(Object.keys(balanced.weights).map(key => [key, 0]));
+
+    expect(() => profiles.parse({ activeId: 'balanced', profiles: [{ ...balanced, thresholds: { good: 50, caution: 60 } }] }))
+      .toThrow('Invalid scoring profile');
+    expect(() => profiles.parse({ activeId: 'balanced', profiles: [{ ...balanced, weights: zeroWeights }] }))
+      .toThrow('At least one category needs a weight above 0');
+    expect(() => profiles.parse({ activeId: 'balanced', profiles: [balanced, balanced] }))
+      .toThrow('Profile ids must be unique');
+    expect(() => profiles.parse({ activeId: 'missing', profiles: [balanced] })).toThrow('Invalid scoring profile');
+    expect(profiles.parse(settings)).toEqual(settings);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { TrackerInventory } from '../services/TrackerInventory';
+import { PolicyAnalyzer } from '../services/PolicyAnalyzer';
+
+const page = {
+  url: 'https://shop.example.co.uk/products',
+  resources: [
+    { url: 'https://www.googletagmanager.com/gtag/js?id=G-1', type: 'script' },
+    { url: 'https://region1.google-analytics.com/g/collect?v=2', type: 'beacon' },
+    { url: 'https://connect.facebook.net/en_US/fbevents.js', type: 'script' },
+    { url: 'https://www.facebook.com/tr?id=1&ev=PageView', type: 'img' },
+    { url: 'https://cdn.example.co.uk/app.js', type: 'script' },
+    { url: 'https://fonts.gstatic.com/s/inter.woff2', type: 'css' },
+    { url: 'data:image/png;base64,AAAA', type: 'img' }
+  ],
+  cookies: [
+    { name: '_ga', domain: 'shop.example.co.uk' },
+    { name: '_ga_ABC123', domain: 'shop.example.co.uk' },
+    { name: 'session', domain: 'shop.example.co.uk' }
+  ]
+};
+
+const analyze = (text: string) => new PolicyAnalyzer().analyze(
+  { isPolicyPage: true, content: text, extractedAt: new Date().toISOString() },
+  'https://shop.example.co.uk/privacy'
+);
+
+describe('TrackerInventory', () => {
+  const inventory = new TrackerInventory();
+  const list = TrackerInventory.bundled();
+
+  it('should classify scripts, pixels and cookies against the tracker list', () => {
+    const report = inventory.classify(list, inventory.parse(page), new Date('2026-10-01T00:00:00Z'));
+    const byId = Object.fromEntries(report.trackers.map(tracker => [tracker.id, tracker]));
+
+    expect(byId['google-analytics']).toMatchObject({ category: 'analytics', scripts: 0, pixels: 1, cookies: ['_ga', '_ga_ABC123'] });
+    expect(byId['google-tag-manager']).toMatchObject({ category: 'tag-manager', scripts: 1 });
+    expect(byId['meta-pixel']).toMatchObject({ category: 'advertising', scripts: 1, hosts: ['connect.facebook.net'] });
+    expect(report.otherThirdParties).toEqual(['fonts.gstatic.com', 'www.facebook.com']);
+    expect(report).toMatchObject({ policyUrl: null, gaps: [], inspectedAt: '2026-10-01T00:00:00.000Z' });
+    expect(inventory.siteOf('cdn.example.co.uk')).toBe('example.co.uk');
+  });
+
+  it('should keep a short domain\'s own hosts on its site', () => {
+    expect(inventory.siteOf('static.bbc.de')).toBe('bbc.de');
+    expect(inventory.siteOf('www.bbc.de')).toBe('bbc.de');
+    expect(inventory.siteOf('cdn.ab.io')).toBe('ab.io');
+    expect(inventory.siteOf('shop.example.com.au')).toBe('example.com.au');
+
+    const report = inventory.classify(TrackerInventory.bundled(), inventory.parse({
+      url: 'https://www.bbc.de/',
+      resources: [{ url: 'https://static.bbc.de/app.js', type: 'script' }],
+      cookies: []
+    }), new Date('2026-10-01T00:00:00Z'));
+    expect(report.otherThirdParties).toEqual([]);
+  });
+
+  it('should flag trackers the policy rules out or never mentions', async () => {
+    const analysis = await analyze([
+      'We collect your email address to process your orders.',
+      'We use Google Analytics to understand how visitors use the shop.',
+      'We do not use advertising cookies.'
+    ].join('\n\n'));
+    const report = inventory.compare(inventory.classify(list, inventory.parse(page)), analysis);
+
+    expect(report.policyUrl).toBe('https://shop.example.co.uk/privacy');
+    expect(report.gaps).toEqual([
+      expect.objectContaining({
+        type: 'contradicted',
+        category: 'advertising',
+        trackers: ['Meta Pixel'],
+        clause: expect.stringContaining('We do not use advertising cookies')
+      })
+    ]);
+
+    const silent = await analyze('We collect your email address to process your orders. We keep it for two years.');
+    expect(inventory.compare(inventory.classify(list, inventory.parse(page)), silent).gaps.map(gap => [gap.type, gap.category])).toEqual([
+      ['undisclosed', 'advertising'],
+      ['undisclosed', 'analytics']
+    ]);
+  });
+
+  it('should flag a general denial of third-party trackers', async () => {
+    const analysis = await analyze('We do not use third-party cookies. We use analytics and advertising cookies of our own.');
+    const report = inventory.compare(inventory.classify(list, inventory.parse(page)), analysis);
+
+    expect(report.gaps.map(gap => [gap.type, gap.category])).toEqual([['contradicted', 'third-party']]);
+    expect(report.gaps[0].trackers).toContain('Meta Pixel');
+  });
+
+  it('should reject malformed page data', () => {
+    expect(() => inventory.parse({ ...page, url: 'not a url' })).toThrow('Invalid page resources');
+  });
+});
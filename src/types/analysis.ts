@@ -1,7 +1,13 @@
+// Character ranges are [start, end) offsets into the analyzed policy text
 export interface SummaryItem {
   id: string;
   text: string;
+  priority?: number;
   evidence?: number[][];
+  // Document pages the evidence falls on (PDF and paged text documents)
+  evidencePages?: number[];
+  // Glossary terms in the bullet text
+  terms?: TermMatch[];
 }
 
 export interface RedFlag {
@@ -9,9 +15,105 @@ export interface RedFlag {
   title: string;
   severity: number;
   evidence: string;
+  evidenceRanges?: number[][];
+  evidencePages?: number[];
+  // Glossary terms in the evidence text
+  evidenceTerms?: TermMatch[];
   whatItMeans: string;
 }
 
+// A glossary term found in a piece of text; start and end are offsets into
+// that text, not into the policy
+export interface TermMatch {
+  id: string;
+  start: number;
+  end: number;
+}
+
+export interface GlossaryEntry {
+  id: string;
+  term: string;
+  definition: string;
+  // Kept so the extension can find the term in the page itself
+  aliases: string[];
+}
+
+export type ComplianceRegime = 'gdpr' | 'ccpa' | 'coppa';
+
+export type ComplianceStatus = 'pass' | 'missing' | 'unclear';
+
+export interface ComplianceItem {
+  id: string;
+  regime: ComplianceRegime;
+  title: string;
+  // What the law asks the policy to disclose
+  requirement: string;
+  status: ComplianceStatus;
+  evidence?: string;
+  evidenceRanges?: number[][];
+  evidencePages?: number[];
+  // Parts of the requirement the policy leaves out when it covers only some
+  missing?: string[];
+}
+
+// Disclosures each law requires, checked whether or not the policy names the law
+export interface ComplianceReport {
+  // Laws the policy refers to by name
+  referenced: ComplianceRegime[];
+  items: ComplianceItem[];
+}
+
+// Flesch's reading ease bands: 60 and up is plain language, below 30 reads
+// like an academic paper
+export type ReadabilityBand = 'plain' | 'fairly-difficult' | 'difficult' | 'very-difficult';
+
+export interface GradeLevel {
+  // 'flesch-kincaid', 'gunning-fog', 'smog', 'coleman-liau', 'wiener-sachtextformel', 'crawford'
+  id: string;
+  name: string;
+  // Years of schooling needed to follow the text
+  grade: number;
+}
+
+// How hard the policy is to get through. The formulas are the ones made for
+// the policy's language; headings are left out.
+export interface ReadabilityReport {
+  words: number;
+  sentences: number;
+  readingMinutes: number;
+  // Words per sentence
+  averageSentenceLength: number;
+  // Flesch reading ease or its adaptation for the language, 0 (hardest) to 100
+  readingEase: number;
+  readingEaseFormula: string;
+  band: ReadabilityBand;
+  gradeLevels: GradeLevel[];
+  // Percent of words that are legal jargon ("hereinafter", "pursuant to")
+  legaleseShare: number;
+  // The most frequent jargon, lower-cased
+  legaleseTerms: Array<{ term: string; count: number }>;
+  // Pointers to other sections, documents or laws ("see Section 4.2")
+  crossReferences: number;
+}
+
+export interface Clause {
+  id: string;
+  sectionId: string;
+  text: string;
+  start: number;
+  end: number;
+  page?: number;
+}
+
+export interface PolicySection {
+  id: string;
+  number?: string;
+  heading?: string;
+  start: number;
+  end: number;
+  clauses: Clause[];
+}
+
 export interface Scores {
   collection: number;
   sharingSelling: number;
@@ -26,19 +128,409 @@ export interface Scores {
   confidence: number;
 }
 
+export type ScoreCategory = Exclude<keyof Scores, 'aggregate' | 'confidence'>;
+
+// Trust bands: an aggregate at or above `good` is good, at or above
+// `caution` calls for caution, and anything lower is concerning
+export interface TrustThresholds {
+  good: number;
+  caution: number;
+}
+
+// How much each category counts toward the aggregate; weights are relative
+// and need not add up to 1
+export interface ScoringProfile {
+  id: string;
+  name: string;
+  weights: Record<ScoreCategory, number>;
+  thresholds: TrustThresholds;
+}
+
+export interface ScoringSettings {
+  activeId: string;
+  profiles: ScoringProfile[];
+}
+
+export interface ScoringSummary {
+  profileId: string;
+  profileName: string;
+  thresholds: TrustThresholds;
+}
+
+// One adjustment to a category score, which starts at 50
+export interface ScoreContribution {
+  // Built-in check ('data-selling', 'user-controls', ...) or rule pack rule
+  // ('fintech:account-freeze') behind the adjustment
+  rule: string;
+  label: string;
+  points: number;
+  // The clause that decided the adjustment and the ranges of all clauses behind it
+  clause?: string;
+  ranges?: number[][];
+}
+
 export interface AnalysisResult {
   url: string;
   retrievedAt: string;
   contentHash: string;
+  // Detected ISO 639-1 code ('und' if undetermined)
   language: string;
+  // False when no pattern set exists for the language; scores are then
+  // placeholders and must not be shown
+  languageSupported?: boolean;
   summary: SummaryItem[];
+  // 'llm' when the bullets came from the configured model endpoint
+  summarySource?: 'rules' | 'llm';
+  // The model endpoint was enabled but failed, so the rule-based summary is shown
+  summaryFallback?: boolean;
   redFlags?: RedFlag[];
   scores: Scores;
+  // Adjustments that add up to each category score, in the order applied
+  scoreContributions?: Record<ScoreCategory, ScoreContribution[]>;
+  // Ranges of the clauses that moved each category score; categories left
+  // at the neutral starting score have none
+  scoreEvidence?: Partial<Record<ScoreCategory, number[][]>>;
+  // The profile the aggregate was weighted and banded with
+  scoring?: ScoringSummary;
+  compliance?: ComplianceReport;
+  readability?: ReadabilityReport;
+  // Definitions for the glossary terms the policy uses, for the term
+  // matches in the summary and red flags
+  glossary?: GlossaryEntry[];
+  sections?: PolicySection[];
+  format?: PolicyFormat;
+  pages?: PageRange[];
+  changes?: PolicyChange;
+}
+
+export interface ClauseChange {
+  type: 'added' | 'removed' | 'modified';
+  before?: string;
+  after?: string;
+  // Range in the current text for added/modified clauses
+  range?: number[];
+}
+
+export interface ScoreChange {
+  before: number;
+  after: number;
+}
+
+export interface PolicyChange {
+  previousHash: string;
+  previousRetrievedAt: string;
+  clauses: ClauseChange[];
+  addedFlags: RedFlag[];
+  removedFlags: RedFlag[];
+  scoreChanges: Partial<Record<keyof Scores, ScoreChange>>;
+}
+
+export type PolicyFormat = 'html' | 'pdf' | 'text';
+
+// Where a page of a paged document sits in the extracted text
+export interface PageRange {
+  page: number;
+  start: number;
+  end: number;
 }
 
 export interface PolicyContent {
   isPolicyPage: boolean;
   content?: string;
   title?: string;
+  headings?: string[];
+  // Language the page declares (e.g. <html lang>), a hint for detection
+  language?: string;
+  format?: PolicyFormat;
+  pages?: PageRange[];
   extractedAt: string;
-}
\ No newline at end of file
+}
+export interface LinkedPolicyRef {
+  href: string;
+  text: string;
+  type: 'privacy' | 'terms' | 'cookie' | 'other';
+}
+
+export interface LinkedPolicyDocument extends LinkedPolicyRef {
+  aggregate: number | null;
+  redFlagCount: number;
+  error?: string;
+}
+
+export interface LinkedRedFlag extends RedFlag {
+  source: LinkedPolicyRef['type'];
+  sourceUrl: string;
+}
+
+// Verdict across the policies linked from a signup, checkout or cookie banner
+export interface CombinedVerdict {
+  context: string;
+  aggregate: number | null;
+  analyzedAt: string;
+  documents: LinkedPolicyDocument[];
+  redFlags: LinkedRedFlag[];
+  // Profile the documents were scored with, so the verdict is banded the
+  // same way as a single analysis
+  scoring?: ScoringSummary;
+}
+
+// Bands match the trust levels shown with the score
+export type ScoreBand = 'good' | 'caution' | 'concerning' | 'unscored';
+
+// One analyzed policy in the history, kept after the cached result expires
+export interface HistoryEntry {
+  id: string;
+  url: string;
+  domain: string;
+  analyzedAt: string;
+  // Null for policies that could not be scored (unsupported language)
+  aggregate: number | null;
+  redFlagCount: number;
+  language: string;
+  // Profile the policy was scored with; entries recorded before profiles
+  // existed have none and use the default bands
+  scoring?: ScoringSummary;
+}
+
+export type HistorySort = 'newest' | 'oldest' | 'score-high' | 'score-low' | 'domain';
+
+export interface HistoryQuery {
+  search?: string;
+  band?: ScoreBand | 'all';
+  sort?: HistorySort;
+}
+
+export type ComparedScore = Exclude<keyof Scores, 'confidence'>;
+
+export interface ComparedPolicy {
+  url: string;
+  domain: string;
+  analyzedAt: string;
+  // Null for policies that could not be scored (unsupported language)
+  aggregate: number | null;
+}
+
+// In every row, `best` lists the indexes of the policies that come out
+// ahead; it is empty when they tie or fewer than two can be compared
+export interface ScoreComparisonRow {
+  key: ComparedScore;
+  values: Array<number | null>;
+  best: number[];
+}
+
+export interface FlagComparisonRow {
+  id: string;
+  title: string;
+  // 0 when the policy doesn't raise the flag
+  severities: Array<number | null>;
+  best: number[];
+}
+
+export interface ComparedClause {
+  text: string;
+  stance: 'asserted' | 'negated' | 'conditional';
+  range: number[];
+}
+
+export interface ClauseComparisonRow {
+  topic: string;
+  title: string;
+  clauses: Array<ComparedClause | null>;
+  best: number[];
+}
+
+export interface PolicyComparisonReport {
+  policies: ComparedPolicy[];
+  scores: ScoreComparisonRow[];
+  redFlags: FlagComparisonRow[];
+  clauses: ClauseComparisonRow[];
+}
+
+export interface AlternativeSuggestion {
+  id: string;
+  name: string;
+  url: string;
+  aggregate: number;
+  // Points above the score the suggestion was measured against
+  scoreGain: number;
+  redFlagCount: number;
+  analyzedAt: string;
+}
+
+export interface AlternativesReport {
+  catalogVersion: string;
+  category: { id: string; name: string } | null;
+  // The catalog entry of the service being viewed, when it is listed
+  service: { id: string; name: string } | null;
+  // The score alternatives have to beat
+  baseline: number | null;
+  alternatives: AlternativeSuggestion[];
+}
+
+export type BenchmarkScore = ScoreCategory | 'aggregate';
+
+export interface BenchmarkEntryResult {
+  id: string;
+  name: string;
+  split: 'tuning' | 'holdout';
+  missedFlags: string[];
+  unexpectedFlags: string[];
+  // Distance outside the labeled range; 0 when the score lands inside it
+  scoreErrors: Partial<Record<BenchmarkScore, number>>;
+  confidence: number;
+  // Share of the entry's labels (flags and score ranges) the analysis agrees with
+  accuracy: number;
+  agreed: number;
+  labels: number;
+}
+
+export interface FlagBenchmark {
+  flag: string;
+  truePositives: number;
+  falsePositives: number;
+  falseNegatives: number;
+  // null when the flag was never raised (precision) or never labeled (recall)
+  precision: number | null;
+  recall: number | null;
+}
+
+export interface ScoreBenchmark {
+  category: BenchmarkScore;
+  labeled: number;
+  withinRange: number;
+  meanAbsoluteError: number;
+}
+
+export interface BenchmarkReport {
+  corpusVersion: string;
+  entries: BenchmarkEntryResult[];
+  flags: FlagBenchmark[];
+  scores: ScoreBenchmark[];
+  confidence: {
+    meanConfidence: number;
+    meanAccuracy: number;
+    // Mean distance between each entry's confidence and its accuracy
+    calibrationError: number;
+  };
+  // What the analyzer's confidence is derived from (benchmark/calibration.json)
+  calibration: BenchmarkCalibration;
+}
+
+export interface BenchmarkCalibration {
+  corpusVersion: string;
+  // Share of the held-out labels the analyzer agrees with, smoothed so it
+  // stays below 1 however well the analyzer does
+  accuracy: number;
+  heldOut: number;
+  // Clauses in the shortest policy of the corpus; texts with fewer are
+  // trusted less, as excerpts rather than full policies
+  fullPolicyClauses: number;
+}
+
+// A domain covers every analyzed policy on it and its subdomains
+export type WatchTargetKind = 'domain' | 'url';
+
+// What a watched policy looked like when it was last checked
+export interface WatchSnapshot {
+  contentHash: string;
+  aggregate: number | null;
+  // Scores under different profiles aren't comparable
+  profileId: string | null;
+  redFlags: Array<{ id: string; title: string }>;
+  checkedAt: string;
+}
+
+export interface WatchlistEntry {
+  target: string;
+  kind: WatchTargetKind;
+  addedAt: string;
+  lastCheckedAt: string | null;
+  // Why the last check could not read one of the policies
+  lastError: string | null;
+  // Keyed by policy URL
+  snapshots: Record<string, WatchSnapshot>;
+}
+
+export type WatchChangeType = 'score-drop' | 'new-flag' | 'content-changed';
+
+export interface WatchChange {
+  type: WatchChangeType;
+  url: string;
+  detail: string;
+}
+
+export type ConsentPlatform = 'onetrust' | 'cookiebot' | 'trustarc' | 'tcf' | 'other';
+
+export type DarkPatternId = 'no-reject-all' | 'pre-ticked' | 'legitimate-interest' | 'implied-consent';
+
+export interface DarkPattern {
+  id: DarkPatternId;
+  title: string;
+  severity: number;
+  whatItMeans: string;
+  // Banner labels the pattern was found in
+  evidence: string[];
+}
+
+export interface ConsentPurpose {
+  name: string;
+  // Switched on before the user chose anything
+  preChecked: boolean;
+  legitimateInterest: boolean;
+  // Strictly necessary purposes can't be switched off
+  required: boolean;
+}
+
+export interface ConsentBannerReport {
+  url: string;
+  platform: ConsentPlatform;
+  platformName: string;
+  // Read through the IAB Transparency & Consent Framework API
+  tcf: boolean;
+  purposes: ConsentPurpose[];
+  vendors: string[];
+  vendorCount: number;
+  darkPatterns: DarkPattern[];
+  detectedAt: string;
+}
+
+export type TrackerCategory = 'advertising' | 'analytics' | 'social' | 'session-replay' | 'tag-manager';
+
+export interface DetectedTracker {
+  id: string;
+  name: string;
+  company: string;
+  category: TrackerCategory;
+  // Host names the page loaded it from
+  hosts: string[];
+  scripts: number;
+  // Images, beacons and pings
+  pixels: number;
+  // Frames, XHR/fetch and anything else
+  requests: number;
+  cookies: string[];
+}
+
+// A tracker category the page uses that the policy rules out or never mentions
+export interface TrackerGap {
+  type: 'contradicted' | 'undisclosed';
+  // 'third-party' when the policy rules out third-party trackers in general
+  category: TrackerCategory | 'third-party';
+  title: string;
+  severity: number;
+  trackers: string[];
+  // The policy clause that rules it out
+  clause?: string;
+}
+
+export interface TrackerReport {
+  url: string;
+  listVersion: string;
+  trackers: DetectedTracker[];
+  // Third-party hosts that aren't on the tracker list
+  otherThirdParties: string[];
+  // The analyzed policy the page was compared with
+  policyUrl: string | null;
+  gaps: TrackerGap[];
+  inspectedAt: string;
+}
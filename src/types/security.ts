@@ -27,6 +27,280 @@ export const StorageDataSchema = z.object({
   encryptionKey: z.string().optional()
 });
 
+// Rule packs: declarative detection rules imported as JSON (see RulePackLoader).
+// Patterns are regular expression sources, compiled case-insensitively.
+const RulePatternSchema = z.string().min(1).max(300).refine(source => {
+  try {
+    new RegExp(source, 'i');
+    return true;
+  } catch {
+    return false;
+  }
+}, { message: 'Invalid regular expression' });
+
+const RuleIdSchema = z.string().max(64).regex(/^[a-z0-9][a-z0-9-]*$/, 'Use lower-case letters, digits and dashes');
+
+export const ScoreCategorySchema = z.enum([
+  'collection', 'sharingSelling', 'rights', 'retention', 'dispute', 'license', 'tracking', 'children', 'security'
+]);
+
+export const RuleSchema = z.object({
+  id: RuleIdSchema,
+  title: z.string().min(1).max(120),
+  category: ScoreCategorySchema,
+  // 0 adjusts the score without raising a red flag
+  severity: z.number().int().min(0).max(5),
+  // Points added to the category score; negative for risky practices
+  scoreImpact: z.number().min(-50).max(50),
+  patterns: z.array(RulePatternSchema).min(1).max(50),
+  // Clauses matching any of these never trigger the rule
+  exclusions: z.array(RulePatternSchema).max(50).default([]),
+  // Plain-language explanation shown with the red flag
+  explanation: z.string().min(1).max(500)
+});
+
+export const RulePackSchema = z.object({
+  id: RuleIdSchema,
+  name: z.string().min(1).max(100),
+  version: z.string().regex(/^\d+\.\d+\.\d+$/, 'Use a semantic version such as 1.0.0'),
+  description: z.string().max(500).optional(),
+  // ISO 639-1 codes the patterns are written in; all languages when omitted
+  languages: z.array(z.string().regex(/^[a-z]{2}$/)).min(1).max(20).optional(),
+  rules: z.array(RuleSchema).min(1).max(200)
+}).refine(pack => new Set(pack.rules.map(rule => rule.id)).size === pack.rules.length, {
+  message: 'Rule ids must be unique within a pack',
+  path: ['rules']
+});
+
+// Alternatives catalog: services grouped by category, each with the scores
+// of its policy when the catalog was built (see AlternativesCatalog)
+const CatalogScoreSchema = z.number().min(0).max(100);
+
+const CatalogDomainSchema = z.string().max(253).regex(/^([a-z0-9-]+\.)+[a-z]{2,}$/, 'Use a lower-case host name such as example.com');
+
+export const CatalogServiceSchema = z.object({
+  id: RuleIdSchema,
+  name: z.string().min(1).max(100),
+  category: RuleIdSchema,
+  url: z.string().url().max(2048).refine(url => url.startsWith('https://'), { message: 'Use an https URL' }),
+  // Host names the service is reached under; subdomains match too
+  domains: z.array(CatalogDomainSchema).min(1).max(20),
+  snapshot: z.object({
+    policyUrl: z.string().url().max(2048),
+    analyzedAt: z.string().datetime(),
+    scores: z.object({
+      aggregate: CatalogScoreSchema,
+      collection: CatalogScoreSchema,
+      sharingSelling: CatalogScoreSchema,
+      rights: CatalogScoreSchema,
+      retention: CatalogScoreSchema,
+      dispute: CatalogScoreSchema,
+      license: CatalogScoreSchema,
+      tracking: CatalogScoreSchema,
+      children: CatalogScoreSchema,
+      security: CatalogScoreSchema
+    }),
+    redFlags: z.array(RuleIdSchema).max(50).default([])
+  })
+});
+
+export const AlternativesCatalogSchema = z.object({
+  version: z.string().regex(/^\d+\.\d+\.\d+$/, 'Use a semantic version such as 1.0.0'),
+  updatedAt: z.string().datetime(),
+  categories: z.array(z.object({
+    id: RuleIdSchema,
+    name: z.string().min(1).max(100)
+  })).min(1).max(100),
+  services: z.array(CatalogServiceSchema).min(1).max(2000)
+}).refine(catalog => new Set(catalog.categories.map(category => category.id)).size === catalog.categories.length, {
+  message: 'Category ids must be unique',
+  path: ['categories']
+}).refine(catalog => new Set(catalog.services.map(service => service.id)).size === catalog.services.length, {
+  message: 'Service ids must be unique',
+  path: ['services']
+}).refine(catalog => catalog.services.every(service => catalog.categories.some(category => category.id === service.category)), {
+  message: 'Every service must belong to a listed category',
+  path: ['services']
+});
+
+// Benchmark corpus: policy snapshots labeled with the flags they should
+// raise and the score range each category should land in (see BenchmarkRunner)
+const ScoreRangeSchema = z.tuple([CatalogScoreSchema, CatalogScoreSchema])
+  .refine(([min, max]) => min <= max, { message: 'The lower bound must not exceed the upper bound' });
+
+export const BenchmarkEntrySchema = z.object({
+  id: RuleIdSchema,
+  name: z.string().min(1).max(100),
+  url: z.string().url().max(2048),
+  // Relative to the corpus file
+  snapshot: z.string().regex(/^snapshots\/[a-z0-9-]+\.txt$/, 'Use a file under snapshots/ such as snapshots/example.txt'),
+  // Synthetic snapshots are written for the benchmark; captured ones are copies of a live policy
+  source: z.enum(['synthetic', 'captured']),
+  capturedAt: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Use a date such as 2026-01-31'),
+  // Held-out entries only calibrate the confidence; rules and points are
+  // tuned against the others
+  split: z.enum(['tuning', 'holdout']).default('tuning'),
+  expected: z.object({
+    flags: z.array(RuleIdSchema).max(50),
+    scores: z.object({
+      aggregate: ScoreRangeSchema,
+      collection: ScoreRangeSchema.optional(),
+      sharingSelling: ScoreRangeSchema.optional(),
+      rights: ScoreRangeSchema.optional(),
+      retention: ScoreRangeSchema.optional(),
+      dispute: ScoreRangeSchema.optional(),
+      license: ScoreRangeSchema.optional(),
+      tracking: ScoreRangeSchema.optional(),
+      children: ScoreRangeSchema.optional(),
+      security: ScoreRangeSchema.optional()
+    })
+  }),
+  notes: z.string().max(500).optional()
+});
+
+export const BenchmarkCorpusSchema = z.object({
+  version: z.string().regex(/^\d+\.\d+\.\d+$/, 'Use a semantic version such as 1.0.0'),
+  description: z.string().max(1000).optional(),
+  entries: z.array(BenchmarkEntrySchema).min(1).max(1000)
+}).refine(corpus => new Set(corpus.entries.map(entry => entry.id)).size === corpus.entries.length, {
+  message: 'Entry ids must be unique',
+  path: ['entries']
+}).refine(corpus => corpus.entries.some(entry => entry.split === 'holdout'), {
+  message: 'Hold out at least one entry for calibration',
+  path: ['entries']
+});
+
+// Scoring profiles are edited by hand on the settings page
+const ProfileWeightSchema = z.number().min(0).max(100);
+
+export const ScoringProfileSchema = z.object({
+  id: RuleIdSchema,
+  name: z.string().trim().min(1).max(50),
+  weights: z.object({
+    collection: ProfileWeightSchema,
+    sharingSelling: ProfileWeightSchema,
+    rights: ProfileWeightSchema,
+    retention: ProfileWeightSchema,
+    dispute: ProfileWeightSchema,
+    license: ProfileWeightSchema,
+    tracking: ProfileWeightSchema,
+    children: ProfileWeightSchema,
+    security: ProfileWeightSchema
+  }).refine(weights => Object.values(weights).some(weight => weight > 0), {
+    message: 'At least one category needs a weight above 0'
+  }),
+  thresholds: z.object({
+    good: z.number().int().min(1).max(100),
+    caution: z.number().int().min(0).max(99)
+  }).refine(thresholds => thresholds.caution < thresholds.good, {
+    message: 'The caution threshold must be below the good threshold'
+  })
+});
+
+export const ScoringSettingsSchema = z.object({
+  activeId: RuleIdSchema,
+  profiles: z.array(ScoringProfileSchema).min(1).max(20)
+}).refine(settings => new Set(settings.profiles.map(profile => profile.id)).size === settings.profiles.length, {
+  message: 'Profile ids must be unique',
+  path: ['profiles']
+}).refine(settings => settings.profiles.some(profile => profile.id === settings.activeId), {
+  message: 'The active profile must be one of the profiles',
+  path: ['activeId']
+});
+
+// Tracker list: known third-party trackers by the host names they load from
+// (see TrackerInventory)
+export const TrackerCategorySchema = z.enum(['advertising', 'analytics', 'social', 'session-replay', 'tag-manager']);
+
+export const TrackerListSchema = z.object({
+  version: z.string().regex(/^\d+\.\d+\.\d+$/, 'Use a semantic version such as 1.0.0'),
+  updatedAt: z.string().datetime(),
+  trackers: z.array(z.object({
+    id: RuleIdSchema,
+    name: z.string().min(1).max(100),
+    company: z.string().min(1).max(100),
+    category: TrackerCategorySchema,
+    // Subdomains match too
+    domains: z.array(CatalogDomainSchema).min(1).max(20),
+    // Cookie names the tracker sets; a trailing * matches any suffix
+    cookies: z.array(z.string().min(1).max(100)).max(20).default([])
+  })).min(1).max(5000)
+}).refine(list => new Set(list.trackers.map(tracker => tracker.id)).size === list.trackers.length, {
+  message: 'Tracker ids must be unique',
+  path: ['trackers']
+});
+
+// What the content script saw the page load, plus the cookies the
+// background worker read for it
+export const PageResourcesSchema = z.object({
+  url: UrlSchema,
+  resources: z.array(z.object({
+    url: z.string().max(4096),
+    // PerformanceResourceTiming.initiatorType
+    type: z.string().max(40)
+  })).max(5000),
+  cookies: z.array(z.object({
+    name: z.string().max(256),
+    domain: z.string().max(253)
+  })).max(2000)
+});
+
+// What the content script read from a cookie banner; comes from the page,
+// so lengths and counts are capped
+const BannerLabelSchema = z.string().trim().max(200);
+
+export const ConsentBannerSnapshotSchema = z.object({
+  platform: z.enum(['onetrust', 'cookiebot', 'trustarc', 'tcf', 'other']),
+  url: UrlSchema,
+  text: z.string().max(5000),
+  // Buttons shown on the first layer, before any settings are opened
+  buttons: z.array(BannerLabelSchema).max(30),
+  toggles: z.array(z.object({
+    label: BannerLabelSchema,
+    checked: z.boolean(),
+    // Locked toggles, usually "strictly necessary"
+    disabled: z.boolean(),
+    legitimateInterest: z.boolean()
+  })).max(200),
+  vendors: z.array(BannerLabelSchema).max(1000),
+  tcf: z.object({
+    cmpId: z.number().int().min(0),
+    eventStatus: z.string().max(40),
+    purposeConsents: z.array(z.number().int().min(1).max(24)).max(24),
+    purposeLegitimateInterests: z.array(z.number().int().min(1).max(24)).max(24),
+    vendorConsents: z.number().int().min(0),
+    vendorLegitimateInterests: z.number().int().min(0)
+  }).optional()
+});
+
+// Glossary: legal and privacy terms with plain-language definitions
+// (see Glossary)
+export const GlossarySchema = z.object({
+  version: z.string().regex(/^\d+\.\d+\.\d+$/, 'Use a semantic version such as 1.0.0'),
+  updatedAt: z.string().datetime(),
+  terms: z.array(z.object({
+    id: RuleIdSchema,
+    term: z.string().min(1).max(100),
+    // Other spellings and the term in the supported policy languages;
+    // matched whole-word and case-insensitively
+    aliases: z.array(z.string().min(1).max(100)).max(30).default([]),
+    definition: z.string().min(1).max(500)
+  })).min(1).max(1000)
+}).refine(glossary => new Set(glossary.terms.map(term => term.id)).size === glossary.terms.length, {
+  message: 'Term ids must be unique',
+  path: ['terms']
+});
+
+// Replies from a user-configured model endpoint are untrusted input too
+export const LlmSummarySchema = z.object({
+  bullets: z.array(z.object({
+    text: z.string().min(1).max(400),
+    // 1-based numbers of the clauses the bullet is based on
+    clauses: z.array(z.number().int().min(1)).min(1).max(10),
+    topic: z.string().max(20).optional()
+  })).min(1).max(12)
+});
+
 // Security validation functions
 export function validateUrl(url: string): string {
   const result = UrlSchema.safeParse(url);
@@ -44,6 +318,30 @@ export function validatePolicyContent(content: unknown): PolicyContentSchema {
   return result.data;
 }
 
+// Parses untrusted data with the schema and lists every issue, e.g.
+// "Invalid rule pack: rules.0.id: ..."
+function validateWith<T extends z.ZodType>(schema: T, label: string): (data: unknown) => z.output<T> {
+  return (data: unknown) => {
+    const result = schema.safeParse(data);
+    if (!result.success) {
+      const issues = result.error.issues
+        .map(issue => issue.path.length ? `${issue.path.join('.')}: ${issue.message}` : issue.message)
+        .join('; ');
+      throw new Error(`Invalid ${label}: ${issues}`);
+    }
+    return result.data;
+  };
+}
+
+export const validateRulePack = validateWith(RulePackSchema, 'rule pack');
+export const validateAlternativesCatalog = validateWith(AlternativesCatalogSchema, 'catalog');
+export const validateBenchmarkCorpus = validateWith(BenchmarkCorpusSchema, 'benchmark corpus');
+export const validateScoringSettings = validateWith(ScoringSettingsSchema, 'scoring profile');
+export const validateTrackerList = validateWith(TrackerListSchema, 'tracker list');
+export const validatePageResources = validateWith(PageResourcesSchema, 'page resources');
+export const validateConsentBanner = validateWith(ConsentBannerSnapshotSchema, 'consent banner');
+export const validateGlossary = validateWith(GlossarySchema, 'glossary');
+
 export function sanitizeText(text: string): string {
   // Remove potentially dangerous characters and limit length
   return text
@@ -56,4 +354,16 @@ export function sanitizeText(text: string): string {
 export type ValidatedUrl = z.infer<typeof UrlSchema>;
 export type ValidatedPolicyContent = z.infer<typeof PolicyContentSchema>;
 export type ValidatedAnalysisRequest = z.infer<typeof AnalysisRequestSchema>;
-export type ValidatedStorageData = z.infer<typeof StorageDataSchema>;
\ No newline at end of file
+export type ValidatedStorageData = z.infer<typeof StorageDataSchema>;
+export type ValidatedRule = z.infer<typeof RuleSchema>;
+export type ValidatedRulePack = z.infer<typeof RulePackSchema>;
+export type ValidatedLlmSummary = z.infer<typeof LlmSummarySchema>;
+export type ValidatedCatalogService = z.infer<typeof CatalogServiceSchema>;
+export type ValidatedAlternativesCatalog = z.infer<typeof AlternativesCatalogSchema>;
+export type ValidatedBenchmarkEntry = z.infer<typeof BenchmarkEntrySchema>;
+export type ValidatedBenchmarkCorpus = z.infer<typeof BenchmarkCorpusSchema>;
+export type ValidatedScoringSettings = z.infer<typeof ScoringSettingsSchema>;
+export type ValidatedConsentBannerSnapshot = z.infer<typeof ConsentBannerSnapshotSchema>;
+export type ValidatedTrackerList = z.infer<typeof TrackerListSchema>;
+export type ValidatedPageResources = z.infer<typeof PageResourcesSchema>;
+export type ValidatedGlossary = z.infer<typeof GlossarySchema>;
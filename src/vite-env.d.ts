@@ -1 +1,9 @@
 /// <reference types="vite/client" />
+
+interface ImportMetaEnv {
+  // Local fetch proxy used by the web app, e.g. http://localhost:8787/fetch?url=
+  readonly VITE_POLICY_PROXY_URL?: string;
+  // Optional OpenAI-compatible model endpoint for summaries
+  readonly VITE_LLM_ENDPOINT?: string;
+  readonly VITE_LLM_MODEL?: string;
+}
@@ -0,0 +1,17 @@
+import { defineConfig } from 'vite';
+
+// Bundles the shared analysis engine as a classic script so the MV3
+// service worker can load it with importScripts().
+export default defineConfig({
+  build: {
+    outDir: 'lib',
+    emptyOutDir: true,
+    minify: false,
+    lib: {
+      entry: 'src/engine.ts',
+      name: 'TCGuardEngine',
+      formats: ['iife'],
+      fileName: () => 'engine.js',
+    },
+  },
+});